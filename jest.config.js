@@ -0,0 +1,16 @@
+// 源码为 ES 模块，测试时通过 ts-jest 转换为 CommonJS
+module.exports = {
+  testEnvironment: 'node',
+  roots: ['<rootDir>/tests'],
+  transform: {
+    '^.+\\.js$': ['ts-jest', {
+      diagnostics: false,
+      tsconfig: {
+        allowJs: true,
+        target: 'es2020',
+        module: 'commonjs',
+        esModuleInterop: true
+      }
+    }]
+  }
+};
@@ -2,8 +2,8 @@
  * ConflictDetector.js
  * 冲突检测系统，负责检测和解决资源冲突
  */
-import EventEmitter from './EventEmitter.js';
-import { UniCanvasError } from './UniCanvasError.js';
+import EventEmitter from '../utils/EventEmitter.js';
+import { UniCanvasError } from '../utils/UniCanvasError.js';
 
 class ConflictDetector extends EventEmitter {
   constructor(options = {}) {
@@ -2,16 +2,111 @@
  * SmartTemplateEngine.js
  * 智能模板引擎，负责模板的创建、保存、适配和应用
  */
-class SmartTemplateEngine {
+import TemplateRenderer from '../utils/TemplateRenderer.js';
+import SchemaValidator from '../utils/SchemaValidator.js';
+import CssScoper from '../utils/CssScoper.js';
+import HtmlTokenizer from '../utils/HtmlTokenizer.js';
+import TemplateLinter from '../utils/TemplateLinter.js';
+import TemplateSyntaxRegistry from '../utils/TemplateSyntaxRegistry.js';
+import LocaleFormatter from '../utils/LocaleFormatter.js';
+import VariantResolver from '../utils/VariantResolver.js';
+import DependencyGraph from '../utils/DependencyGraph.js';
+import { UniCanvasError } from '../utils/UniCanvasError.js';
+import EventEmitter from '../utils/EventEmitter.js';
+
+// 值为元素ID（或以空格分隔的ID列表）的属性
+const ID_REFERENCE_ATTRIBUTES = [
+  'for',
+  'form',
+  'list',
+  'headers',
+  'aria-labelledby',
+  'aria-describedby',
+  'aria-controls',
+  'aria-owns',
+  'aria-activedescendant'
+];
+
+class SmartTemplateEngine extends EventEmitter {
   constructor(options = {}) {
+    super();
+    
     this.templates = {};
+    this.templateVersions = {};
+    this.resourceHub = options.resourceHub || null;
     this.options = {
       autoAdapt: options.autoAdapt !== false,
       preserveOriginalClasses: options.preserveOriginalClasses || false,
+      cssScoping: options.cssScoping || 'class',
+      prefixIds: options.prefixIds !== false,
+      lintOnSave: options.lintOnSave || false,
       adaptDataSources: options.adaptDataSources !== false,
+      autoEscape: options.autoEscape !== false,
+      strictRender: options.strictRender || false,
+      maxCompiledTemplates: options.maxCompiledTemplates || 100,
+      validateData: options.validateData !== false,
+      maxVersions: options.maxVersions || 50,
+      defaultSyntax: options.defaultSyntax || 'handlebars',
+      locale: options.locale || null,
+      currency: options.currency || null,
       debug: options.debug || false
     };
     
+    this.renderer = new TemplateRenderer({
+      escape: this.options.autoEscape,
+      strict: this.options.strictRender,
+      debug: this.options.debug
+    });
+    
+    this.schemaValidator = new SchemaValidator({
+      debug: this.options.debug
+    });
+    
+    this.cssScoper = new CssScoper({
+      debug: this.options.debug
+    });
+    
+    this.htmlTokenizer = new HtmlTokenizer({
+      debug: this.options.debug
+    });
+    
+    this.syntaxes = new TemplateSyntaxRegistry({
+      renderer: this.renderer,
+      defaultSyntax: this.options.defaultSyntax,
+      debug: this.options.debug
+    });
+    
+    this.localeFormatter = new LocaleFormatter({
+      locale: this.options.locale,
+      currency: this.options.currency,
+      resourceHub: this.resourceHub,
+      debug: this.options.debug
+    });
+    
+    this.variantResolver = new VariantResolver({
+      debug: this.options.debug
+    });
+    
+    this.linter = new TemplateLinter({
+      renderer: this.renderer,
+      htmlTokenizer: this.htmlTokenizer,
+      cssScoper: this.cssScoper,
+      rules: options.lintRules,
+      debug: this.options.debug
+    });
+    
+    // 设置资源中心后改用资源中心的依赖图，使模板与资源、页面的依赖关系在同一张图中
+    this.dependencyGraph = this.resourceHub ? this.resourceHub.dependencyGraph : new DependencyGraph();
+    
+    // 已编译模板缓存，键为 `${templateId}@${version}`
+    this.compiledCache = new Map();
+    this.cacheStats = {
+      hits: 0,
+      misses: 0,
+      evictions: 0,
+      invalidations: 0
+    };
+    
     this.conflictHandlers = {
       name: options.nameConflictHandler || this._defaultNameConflictHandler,
       style: options.styleConflictHandler || this._defaultStyleConflictHandler,
@@ -39,28 +134,67 @@ class SmartTemplateEngine {
       throw new UniCanvasError('INVALID_TEMPLATE', 'Template must be an object');
     }
     
+    this._getSyntax(template);
+    this.variantResolver.validate(template);
+    
+    // 保存前检查模板
+    if (options.lint !== undefined ? options.lint : this.options.lintOnSave) {
+      const lintResult = this.lintTemplate(template);
+      
+      if (!lintResult.valid) {
+        throw new UniCanvasError(
+          'TEMPLATE_LINT_FAILED',
+          `Template ${id} has ${lintResult.errorCount} lint error(s): ${lintResult.diagnostics.find(item => item.severity === 'error').message}`,
+          { templateId: id, diagnostics: lintResult.diagnostics }
+        );
+      }
+    }
+    
+    const previous = this.templates[id];
+    const history = this.templateVersions[id] || [];
+    const lastRevision = history.length > 0 ? history[history.length - 1].revision : 0;
+    
     // 处理模板元数据
     const metadata = {
-      createdAt: new Date(),
+      createdAt: previous ? previous.metadata.createdAt : new Date(),
       updatedAt: new Date(),
       sourceEnvironment: options.sourceEnvironment || null,
       version: options.version || '1.0.0',
       author: options.author || null,
       description: options.description || '',
       tags: options.tags || [],
-      ...template.metadata
+      ...template.metadata,
+      updatedAt: new Date(),
+      revision: lastRevision + 1
     };
     
+    // 覆盖已有模板时使旧的编译结果失效
+    if (previous) {
+      this.invalidateCompiled(id);
+    }
+    
     // 保存模板
     this.templates[id] = {
       ...template,
       metadata
     };
     
+    // 记录版本历史
+    this._recordVersion(id, this.templates[id]);
+    
+    // 更新依赖图
+    this._indexDependencies(id);
+    
     if (this.options.debug) {
-      console.log(`Template saved with ID: ${id}`);
+      console.log(`Template saved with ID: ${id} (revision ${metadata.revision})`);
     }
     
+    this.emit('template.saved', {
+      templateId: id,
+      template: this.templates[id],
+      revision: metadata.revision
+    });
+    
     return id;
   }
   
@@ -77,6 +211,112 @@ class SmartTemplateEngine {
     return this.templates[id];
   }
   
+  /**
+   * 列出模板的版本历史
+   * @param {string} id - 模板ID
+   * @returns {Array} 版本信息列表，按修订号升序
+   */
+  listTemplateVersions(id) {
+    const history = this.templateVersions[id] || [];
+    
+    return history.map(entry => ({
+      revision: entry.revision,
+      version: entry.version,
+      savedAt: entry.savedAt,
+      author: entry.template.metadata.author,
+      description: entry.template.metadata.description,
+      current: this.templates[id]?.metadata.revision === entry.revision
+    }));
+  }
+  
+  /**
+   * 获取模板的指定版本
+   * @param {string} id - 模板ID
+   * @param {number|string} ref - 修订号或版本号（同一版本号取最新的修订）
+   * @returns {Object|null} 模板定义副本或null
+   */
+  getTemplateVersion(id, ref) {
+    const entry = this._findVersion(id, ref);
+    
+    return entry ? this._cloneTemplate(entry.template) : null;
+  }
+  
+  /**
+   * 比较模板的两个版本
+   * @param {string} id - 模板ID
+   * @param {number|string} fromRef - 起始版本
+   * @param {number|string} [toRef] - 目标版本，默认为当前版本
+   * @returns {Object} 差异信息 { html, css, data }
+   */
+  diffTemplateVersions(id, fromRef, toRef) {
+    const from = this._findVersion(id, fromRef);
+    const to = toRef === undefined
+      ? this._findVersion(id, this.templates[id]?.metadata.revision)
+      : this._findVersion(id, toRef);
+    
+    if (!from || !to) {
+      throw new UniCanvasError(
+        'TEMPLATE_VERSION_NOT_FOUND',
+        `Version ${from ? toRef : fromRef} of template ${id} not found`,
+        { templateId: id, fromRef, toRef }
+      );
+    }
+    
+    const diffText = (a = '', b = '') => ({
+      changed: a !== b,
+      lines: a === b ? [] : this._diffLines(a, b)
+    });
+    
+    const dataChanges = this._diffData(from.template.data || {}, to.template.data || {});
+    
+    return {
+      templateId: id,
+      from: { revision: from.revision, version: from.version },
+      to: { revision: to.revision, version: to.version },
+      html: diffText(from.template.html, to.template.html),
+      css: diffText(from.template.css, to.template.css),
+      data: {
+        changed: dataChanges.length > 0,
+        changes: dataChanges
+      }
+    };
+  }
+  
+  /**
+   * 回滚模板到指定版本（以新修订的形式保存，历史不会丢失）
+   * @param {string} id - 模板ID
+   * @param {number|string} ref - 修订号或版本号
+   * @param {Object} options - 回滚选项
+   * @returns {number} 新的修订号
+   */
+  rollbackTemplate(id, ref, options = {}) {
+    const entry = this._findVersion(id, ref);
+    
+    if (!entry) {
+      throw new UniCanvasError(
+        'TEMPLATE_VERSION_NOT_FOUND',
+        `Version ${ref} of template ${id} not found`,
+        { templateId: id, ref }
+      );
+    }
+    
+    const restored = this._cloneTemplate(entry.template);
+    restored.metadata = {
+      ...restored.metadata,
+      rolledBackFrom: this.templates[id]?.metadata.revision || null,
+      restoredRevision: entry.revision,
+      ...options.metadata
+    };
+    
+    this.saveTemplate(id, restored);
+    
+    if (this.options.debug) {
+      console.log(`Template ${id} rolled back to revision ${entry.revision}`);
+    }
+    
+    return this.templates[id].metadata.revision;
+  }
+  
   /**
    * 应用模板到目标环境
    * @param {string} templateId - 模板ID
@@ -85,15 +325,7 @@ class SmartTemplateEngine {
    * @returns {Object} 适配后的模板
    */
   applyTemplate(templateId, targetEnvironment, options = {}) {
-    const template = this.getTemplate(templateId);
-    
-    if (!template) {
-      throw new UniCanvasError(
-        'TEMPLATE_NOT_FOUND',
-        `Template ${templateId} not found`,
-        { templateId }
-      );
-    }
+    const template = this._getPinnedTemplate(templateId, options.templateVersion);
     
     if (!targetEnvironment || !targetEnvironment.id) {
       throw new UniCanvasError(
@@ -109,12 +341,41 @@ class SmartTemplateEngine {
       ...options
     };
     
+    // 校验随模板一起应用的数据
+    if (options.data !== undefined && applyOptions.validateData) {
+      this._assertValidData(templateId, template, options.data);
+    }
+    
+    // 检查目标环境是否满足模板声明的要求
+    const unmetRequirements = this.variantResolver.checkRequirements(template.requirements, targetEnvironment);
+    
+    if (unmetRequirements.length > 0 && options.enforceRequirements) {
+      throw new UniCanvasError(
+        'ENVIRONMENT_REQUIREMENTS_UNMET',
+        `Environment ${targetEnvironment.id} does not meet requirements of template ${templateId}: ${unmetRequirements.join(', ')}`,
+        { templateId, requirements: unmetRequirements }
+      );
+    }
+    
     // 获取源环境
     const sourceEnvironment = template.metadata.sourceEnvironment || { id: 'default' };
     
-    // 如果源环境和目标环境相同，直接返回模板
+    // 如果源环境和目标环境相同，直接返回模板；需要解析变体或指定语言时返回副本
     if (sourceEnvironment.id === targetEnvironment.id) {
-      return template;
+      if (!options.locale && !template.variants && unmetRequirements.length === 0) {
+        return template;
+      }
+      
+      const resolvedTemplate = this._cloneTemplate(template);
+      
+      resolvedTemplate.warnings = this._applyLayoutRules(resolvedTemplate, targetEnvironment, templateId, unmetRequirements).warnings;
+      
+      if (options.locale) {
+        resolvedTemplate.warnings.push(...this.checkMessages(resolvedTemplate, options.locale));
+        resolvedTemplate.metadata.locale = options.locale;
+      }
+      
+      return resolvedTemplate;
     }
     
     if (this.options.debug) {
@@ -124,21 +385,67 @@ class SmartTemplateEngine {
     // 开始适配过程
     const adaptedTemplate = JSON.parse(JSON.stringify(template)); // 深拷贝
     
-    // 1. 适配类名
-    if (!applyOptions.preserveOriginalClasses) {
-      this._adaptClassNames(adaptedTemplate, sourceEnvironment, targetEnvironment);
+    // 记录适配过程中的所有改写，用于将修改同步回源模板
+    const adaptation = {
+      sourceTemplateId: templateId,
+      sourceRevision: template.metadata.revision || null,
+      sourceEnvironment: sourceEnvironment.id,
+      targetEnvironment: targetEnvironment.id,
+      cssScoping: 'none',
+      classes: {},
+      ids: {},
+      dataPaths: {},
+      selectors: {},
+      wrapper: false,
+      variants: null
+    };
+    
+    // 0. 按目标环境选择响应式变体，生成的HTML和CSS参与后续的类名、ID适配
+    const layout = this._applyLayoutRules(adaptedTemplate, targetEnvironment, templateId, unmetRequirements);
+    adaptation.variants = layout.variants;
+    
+    // 1. 适配类名，或以 [data-env] 属性选择器限定样式作用域
+    if (applyOptions.cssScoping === 'attribute') {
+      this._scopeStylesByAttribute(adaptedTemplate, sourceEnvironment, targetEnvironment, adaptation);
+    } else if (!applyOptions.preserveOriginalClasses) {
+      this._adaptClassNames(adaptedTemplate, sourceEnvironment, targetEnvironment, adaptation);
+    }
+    
+    // 2. 为元素ID添加环境前缀
+    if (applyOptions.prefixIds) {
+      this._adaptIds(adaptedTemplate, sourceEnvironment, targetEnvironment, adaptation);
     }
     
-    // 2. 适配数据路径
+    // 3. 适配数据路径（data 字段以及元素上的 data-* 属性）
     if (applyOptions.adaptDataSources) {
+      const mapDataPath = dataPath => {
+        const adaptedPath = this.conflictHandlers.data(dataPath, targetEnvironment, sourceEnvironment);
+        adaptation.dataPaths[dataPath] = adaptedPath;
+        return adaptedPath;
+      };
+      
       adaptedTemplate.data = this._transformDataPaths(
         adaptedTemplate.data || {},
         sourceEnvironment,
-        targetEnvironment
+        targetEnvironment,
+        mapDataPath
       );
+      this._adaptDataAttributes(adaptedTemplate, sourceEnvironment, targetEnvironment, mapDataPath);
+    }
+    
+    adaptedTemplate.adaptation = adaptation;
+    
+    // 4. 检查样式变量是否在目标环境中可用，以及消息在目标语言中是否存在
+    adaptedTemplate.warnings = [
+      ...layout.warnings,
+      ...this.checkStyleVariables(adaptedTemplate, targetEnvironment)
+    ];
+    
+    if (options.locale) {
+      adaptedTemplate.warnings.push(...this.checkMessages(adaptedTemplate, options.locale));
     }
     
-    // 3. 更新元数据
+    // 5. 更新元数据
     adaptedTemplate.metadata = {
       ...adaptedTemplate.metadata,
       adaptedFrom: templateId,
@@ -146,6 +453,10 @@ class SmartTemplateEngine {
       targetEnvironment: targetEnvironment.id
     };
     
+    if (options.locale) {
+      adaptedTemplate.metadata.locale = options.locale;
+    }
+    
     if (this.options.debug) {
       console.log('Template adaptation complete');
     }
@@ -154,153 +465,1209 @@ class SmartTemplateEngine {
   }
   
   /**
-   * 设置冲突处理器
-   * @param {Object} handlers - 处理器对象
+   * 撤销适配，将适配后的模板还原为源环境下的形式
+   * @param {Object} adaptedTemplate - applyTemplate 返回（并可能经过编辑）的模板
+   * @returns {Object} 还原后的模板
    */
-  onConflict(handlers) {
-    if (!handlers || typeof handlers !== 'object') {
-      throw new UniCanvasError('INVALID_HANDLERS', 'Handlers must be an object');
-    }
+  revertAdaptation(adaptedTemplate) {
+    const adaptation = adaptedTemplate && adaptedTemplate.adaptation;
     
-    this.conflictHandlers = {
-      ...this.conflictHandlers,
-      ...handlers
-    };
+    if (!adaptation) {
+      throw new UniCanvasError(
+        'TEMPLATE_NOT_ADAPTED',
+        'Template has no adaptation mapping to revert',
+        { templateId: adaptedTemplate?.metadata?.adaptedFrom || null }
+      );
+    }
     
-    return this;
-  }
-  
-  /**
-   * 批量导入模板
-   * @param {Array} templates - 模板数组
-   * @param {Object} options - 导入选项
-   * @returns {Array} 导入的模板ID列表
-   */
-  importTemplates(templates, options = {}) {
-    if (!Array.isArray(templates)) {
-      throw new UniCanvasError('INVALID_TEMPLATES', 'Templates must be an array');
+    // 变体已合并进HTML和CSS，无法还原出原始的变体定义
+    if (adaptation.variants) {
+      throw new UniCanvasError(
+        'TEMPLATE_NOT_REVERSIBLE',
+        `Template ${adaptation.sourceTemplateId} was adapted with responsive variants and cannot be reverted`,
+        { templateId: adaptation.sourceTemplateId, variants: adaptation.variants }
+      );
     }
     
-    const importedIds = [];
+    const invert = map => Object.keys(map || {}).reduce((result, key) => {
+      result[map[key]] = key;
+      return result;
+    }, {});
     
-    templates.forEach(template => {
-      try {
-        const id = template.id || `imported_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-        this.saveTemplate(id, template, options);
-        importedIds.push(id);
-      } catch (error) {
-        if (options.continueOnError) {
-          console.error('Error importing template:', error);
-        } else {
-          throw error;
-        }
+    const classes = invert(adaptation.classes);
+    const ids = invert(adaptation.ids);
+    const dataPaths = invert(adaptation.dataPaths);
+    const selectors = invert(adaptation.selectors);
+    const restorePath = path => (path in dataPaths ? dataPaths[path] : path);
+    
+    const restored = this._cloneTemplate(adaptedTemplate);
+    
+    if (restored.html) {
+      // 移除属性作用域模式下添加的包裹元素
+      const wrapperStart = `<div data-env="${adaptation.targetEnvironment}">`;
+      if (adaptation.wrapper && restored.html.startsWith(wrapperStart) && restored.html.endsWith('</div>')) {
+        restored.html = restored.html.slice(wrapperStart.length, -'</div>'.length);
       }
-    });
+      
+      restored.html = this.htmlTokenizer.transformAttributes(restored.html, (tagName, attributes) => {
+        attributes.forEach(attr => {
+          if (!attr.opaque && attr.value && attr.name.toLowerCase() === 'class') {
+            attr.value = attr.value.split(/(\s+)/).map(part => classes[part] || part).join('');
+          }
+        });
+      });
+      restored.html = this._renameIdAttributes(restored.html, ids);
+      this._adaptDataAttributes(restored, null, null, restorePath);
+    }
     
-    if (this.options.debug) {
-      console.log(`Imported ${importedIds.length} templates`);
+    if (restored.css) {
+      restored.css = this.cssScoper.scope(restored.css, {
+        renameClass: className => classes[className] || null,
+        renameId: id => ids[id] || null,
+        prefixSelector: adaptation.cssScoping === 'attribute'
+          ? selector => selectors[selector] || selector
+          : undefined
+      });
     }
     
-    return importedIds;
+    if (restored.data) {
+      restored.data = this._transformDataPaths(restored.data, null, null, restorePath);
+    }
+    
+    delete restored.adaptation;
+    delete restored.warnings;
+    delete restored.metadata.adaptedFrom;
+    delete restored.metadata.adaptedAt;
+    delete restored.metadata.targetEnvironment;
+    
+    return restored;
   }
   
   /**
-   * 导出模板
-   * @param {string} templateId - 模板ID
-   * @param {Object} options - 导出选项
-   * @returns {Object} 导出的模板
+   * 将编辑过的适配模板同步回源模板，保存为源模板的新版本
+   * @param {Object} adaptedTemplate - applyTemplate 返回（并可能经过编辑）的模板
+   * @param {Object} options - 同步选项
+   * @returns {number} 源模板的新修订号
    */
-  exportTemplate(templateId, options = {}) {
-    const template = this.getTemplate(templateId);
+  unadaptTemplate(adaptedTemplate, options = {}) {
+    const restored = this.revertAdaptation(adaptedTemplate);
+    const { sourceTemplateId, sourceRevision, targetEnvironment } = adaptedTemplate.adaptation;
+    const source = this.getTemplate(sourceTemplateId);
     
-    if (!template) {
+    if (!source) {
       throw new UniCanvasError(
         'TEMPLATE_NOT_FOUND',
-        `Template ${templateId} not found`,
-        { templateId }
+        `Template ${sourceTemplateId} not found`,
+        { templateId: sourceTemplateId }
       );
     }
     
-    // 创建导出版本
-    const exportedTemplate = JSON.parse(JSON.stringify(template));
+    this.saveTemplate(sourceTemplateId, {
+      ...source,
+      html: restored.html,
+      css: restored.css,
+      data: restored.data,
+      metadata: {
+        ...source.metadata,
+        ...options.metadata,
+        unadaptedFrom: targetEnvironment,
+        baseRevision: sourceRevision
+      }
+    }, { lint: options.lint });
     
-    // 添加导出元数据
-    exportedTemplate.metadata = {
-      ...exportedTemplate.metadata,
-      exportedAt: new Date(),
-      exportVersion: options.version || exportedTemplate.metadata.version
-    };
+    if (this.options.debug) {
+      console.log(`Template ${sourceTemplateId} updated from adapted copy for ${targetEnvironment}`);
+    }
     
-    // 如果需要，移除敏感信息
-    if (options.removeSensitiveData) {
-      delete exportedTemplate.metadata.author;
-      delete exportedTemplate.metadata.sourceEnvironment;
+    return this.templates[sourceTemplateId].metadata.revision;
+  }
+  
+  /**
+   * 渲染模板
+   * @param {string|Object} template - 模板ID或模板对象（如 applyTemplate 的返回值）
+   * @param {Object} data - 渲染数据
+   * @param {Object} options - 渲染选项
+   * @returns {string} 渲染后的HTML
+   */
+  renderTemplate(template, data = {}, options = {}) {
+    const resolvedTemplate = this._resolveTemplate(template);
+    const render = typeof template === 'string'
+      ? this.compileTemplate(template)
+      : this.renderer.compile(this._parseTemplate(resolvedTemplate));
+    const renderOptions = this._getRenderOptions({
+      ...options,
+      locale: options.locale || resolvedTemplate.metadata?.locale
+    });
+    
+    if (typeof template === 'string') {
+      renderOptions.partialStack = [template];
     }
     
-    // 如果需要，添加导出格式信息
-    if (options.format) {
-      exportedTemplate.metadata.format = options.format;
+    // 按 schema 校验数据并填充默认值
+    let renderData = data;
+    if (this.options.validateData && options.validate !== false) {
+      const templateId = typeof template === 'string' ? template : resolvedTemplate.metadata?.adaptedFrom;
+      renderData = this._assertValidData(templateId, resolvedTemplate, data);
     }
     
-    return exportedTemplate;
+    return render(renderData, renderOptions);
   }
   
   /**
-   * 适配类名
-   * @param {Object} template - 模板对象
-   * @param {Object} sourceEnv - 源环境
-   * @param {Object} targetEnv - 目标环境
-   * @private
+   * 按模板的 schema 校验数据
+   * @param {string|Object} template - 模板ID或模板对象
+   * @param {Object} data - 待校验的数据
+   * @returns {Object} 校验结果 { valid, errors, data }
    */
-  _adaptClassNames(template, sourceEnv, targetEnv) {
-    if (!template.html) {
-      return;
+  validateTemplateData(template, data = {}) {
+    const resolvedTemplate = this._resolveTemplate(template);
+    
+    if (!resolvedTemplate.schema) {
+      return { valid: true, errors: [], data };
     }
     
-    // 提取所有类名
-    const classRegex = /class=["']([^"']+)["']/g;
-    let match;
-    const classNames = new Set();
+    return this.schemaValidator.validate(resolvedTemplate.schema, data);
+  }
+  
+  /**
+   * 编译模板为渲染函数，结果按模板ID和版本缓存
+   * @param {string} templateId - 模板ID
+   * @returns {Function} 渲染函数 (data, options) => string
+   */
+  compileTemplate(templateId) {
+    const template = this._resolveTemplate(templateId);
+    const cacheKey = `${templateId}@${template.metadata.version}`;
     
-    while ((match = classRegex.exec(template.html)) !== null) {
-      match[1].split(/\s+/).forEach(className => {
-        if (className) classNames.add(className);
-      });
+    if (this.compiledCache.has(cacheKey)) {
+      const cached = this.compiledCache.get(cacheKey);
+      
+      // 重新插入以维持最近使用顺序
+      this.compiledCache.delete(cacheKey);
+      this.compiledCache.set(cacheKey, cached);
+      this.cacheStats.hits++;
+      
+      return cached;
     }
     
-    // 适配每个类名
-    classNames.forEach(className => {
-      // 检查是否需要适配
-      if (this._shouldAdaptClassName(className, sourceEnv, targetEnv)) {
-        const adaptedName = this.conflictHandlers.name(className, targetEnv, sourceEnv);
-        
-        // 替换HTML中的类名
-        template.html = template.html.replace(
-          new RegExp(`(class=["'][^"']*)(\\b${className}\\b)([^"']*)["']`, 'g'),
-          `$1${adaptedName}$3"`
-        );
-        
-        // 替换CSS中的类名
-        if (template.css) {
-          template.css = template.css.replace(
-            new RegExp(`\\.${className}(\\s|\\{|:)`, 'g'),
-            `.${adaptedName}$1`
-          );
+    this.cacheStats.misses++;
+    
+    const compiled = this.renderer.compile(this._parseTemplate(template));
+    const render = (data = {}, options = {}) => compiled(data, this._getRenderOptions(options));
+    render.scoped = compiled.scoped;
+    
+    this.compiledCache.set(cacheKey, render);
+    
+    // 超出容量时淘汰最久未使用的条目
+    if (this.compiledCache.size > this.options.maxCompiledTemplates) {
+      const oldestKey = this.compiledCache.keys().next().value;
+      this.compiledCache.delete(oldestKey);
+      this.cacheStats.evictions++;
+    }
+    
+    if (this.options.debug) {
+      console.log(`Template compiled: ${cacheKey}`);
+    }
+    
+    return render;
+  }
+  
+  /**
+   * 使模板的编译缓存失效
+   * @param {string} [templateId] - 模板ID，不传则清空全部缓存
+   * @returns {number} 移除的缓存条目数
+   */
+  invalidateCompiled(templateId) {
+    let removed = 0;
+    
+    if (templateId === undefined) {
+      removed = this.compiledCache.size;
+      this.compiledCache.clear();
+    } else {
+      for (const key of [...this.compiledCache.keys()]) {
+        if (key.slice(0, key.lastIndexOf('@')) === templateId) {
+          this.compiledCache.delete(key);
+          removed++;
         }
       }
+    }
+    
+    this.cacheStats.invalidations += removed;
+    
+    return removed;
+  }
+  
+  /**
+   * 获取编译缓存统计信息
+   * @returns {Object} 缓存统计信息
+   */
+  getCacheStats() {
+    const lookups = this.cacheStats.hits + this.cacheStats.misses;
+    
+    return {
+      ...this.cacheStats,
+      size: this.compiledCache.size,
+      maxSize: this.options.maxCompiledTemplates,
+      hitRate: lookups > 0 ? this.cacheStats.hits / lookups : 0
+    };
+  }
+  
+  /**
+   * 检查模板中的问题
+   * @param {string|Object} template - 模板ID或模板对象
+   * @param {Object} options - 检查选项
+   * @param {Object} [options.rules] - 规则严重级别覆盖，值为 'error'、'warning' 或 'off'
+   * @returns {Object} 检查结果 { valid, errorCount, warningCount, diagnostics }
+   */
+  lintTemplate(template, options = {}) {
+    const resolvedTemplate = this._resolveTemplate(template);
+    
+    return this.linter.lint(resolvedTemplate, {
+      rules: options.rules,
+      partialExists: name => !!this.templates[name],
+      parse: () => this._parseTemplate(resolvedTemplate)
     });
   }
   
+  /**
+   * 注册模板语法适配器，模板通过 metadata.syntax 选择语法
+   * @param {string} name - 语法名称
+   * @param {Object} adapter - 适配器 { parse(source) => 语法树, detect?(source) => 0~1 的匹配度 }
+   * @returns {SmartTemplateEngine} 当前实例
+   */
+  registerSyntax(name, adapter) {
+    const replacing = this.syntaxes.has(name);
+    
+    this.syntaxes.register(name, adapter);
+    
+    // 替换已有语法时，使用该语法编译的模板需要重新编译
+    if (replacing) {
+      this.invalidateCompiled();
+    }
+    
+    return this;
+  }
+  
+  /**
+   * 获取已注册的模板语法名称
+   * @returns {Array<string>} 语法名称列表
+   */
+  listSyntaxes() {
+    return this.syntaxes.list();
+  }
+  
+  /**
+   * 推断模板源码使用的语法
+   * @param {string} source - 模板HTML
+   * @returns {string} 语法名称
+   */
+  detectSyntax(source) {
+    return this.syntaxes.detect(source);
+  }
+  
+  /**
+   * 设置用于解析样式变量的全局资源中心
+   * @param {GlobalResourceHub} resourceHub - 全局资源中心
+   * @returns {SmartTemplateEngine} 当前实例
+   */
+  setResourceHub(resourceHub) {
+    this.resourceHub = resourceHub;
+    this.localeFormatter.setResourceHub(resourceHub);
+    
+    // 将已保存模板的依赖关系迁移到资源中心的依赖图
+    if (resourceHub && resourceHub.dependencyGraph) {
+      this.dependencyGraph = resourceHub.dependencyGraph;
+      Object.keys(this.templates).forEach(id => this._indexDependencies(id));
+    }
+    
+    return this;
+  }
+  
+  /**
+   * 查询模板依赖的局部模板、布局、样式变量、数据模型和脚本
+   * @param {string} templateId - 模板ID
+   * @param {Object} options - 查询选项
+   * @param {boolean} [options.transitive] - 是否包含间接依赖
+   * @param {Array<string>} [options.types] - 只返回指定类型
+   * @returns {Array<Object>} 依赖列表 [{ type, id, exists, depth }]
+   */
+  getTemplateDependencies(templateId, options = {}) {
+    this._resolveTemplate(templateId);
+    
+    return this.dependencyGraph.getDependencies('template', templateId, options);
+  }
+  
+  /**
+   * 查询依赖该模板的模板、组件和页面
+   * @param {string} templateId - 模板ID
+   * @param {Object} options - 查询选项 { transitive, types }
+   * @returns {Array<Object>} 依赖方列表 [{ type, id, exists, depth }]
+   */
+  getTemplateDependents(templateId, options = {}) {
+    return this.dependencyGraph.getDependents('template', templateId, options);
+  }
+  
+  /**
+   * 检查模板引用的样式变量
+   * @param {string|Object} template - 模板ID或模板对象
+   * @param {Object|string} [environment] - 目标环境或环境ID
+   * @returns {Array} 警告列表
+   */
+  checkStyleVariables(template, environment) {
+    const resolvedTemplate = this._resolveTemplate(template);
+    const warnings = [];
+    
+    if (!this.resourceHub) {
+      return warnings;
+    }
+    
+    const environmentId = environment && typeof environment === 'object' ? environment.id : environment;
+    const { references, declarations } = this._collectStyleVariables(resolvedTemplate);
+    const checked = new Set();
+    
+    references.forEach(reference => {
+      // 模板内部声明的变量以及已检查过的变量跳过
+      if (declarations.includes(reference.name) || checked.has(reference.name)) {
+        return;
+      }
+      checked.add(reference.name);
+      
+      const variable = this.resourceHub.lookupStyleVariable(reference.name, { environment: environmentId });
+      
+      if (!variable) {
+        warnings.push({
+          code: 'STYLE_VARIABLE_MISSING',
+          variable: reference.name,
+          hasFallback: reference.fallback !== null,
+          message: `Style variable ${reference.name} is not available in environment ${environmentId || 'default'}`
+        });
+      } else if (variable.restricted) {
+        warnings.push({
+          code: 'STYLE_VARIABLE_RESTRICTED',
+          variable: reference.name,
+          hasFallback: reference.fallback !== null,
+          message: `Style variable ${reference.name} is restricted`
+        });
+      }
+    });
+    
+    return warnings;
+  }
+  
+  /**
+   * 检查模板引用的消息在指定语言的回退链中是否存在
+   * @param {string|Object} template - 模板ID或模板对象
+   * @param {string} [locale] - 语言标签
+   * @returns {Array} 警告列表
+   */
+  checkMessages(template, locale) {
+    const resolvedTemplate = this._resolveTemplate(template);
+    const resolvedLocale = this.resolveLocale(locale);
+    const warnings = [];
+    
+    this._collectMessageKeys(resolvedTemplate).forEach(key => {
+      const found = this.resourceHub ? this.resourceHub.lookupMessage(key, { locale: resolvedLocale }) : null;
+      
+      if (!found) {
+        warnings.push({
+          code: 'MESSAGE_MISSING',
+          key,
+          locale: resolvedLocale,
+          message: `Message ${key} is not available for locale ${resolvedLocale}`
+        });
+      } else if (found.locale !== resolvedLocale) {
+        warnings.push({
+          code: 'MESSAGE_FALLBACK',
+          key,
+          locale: resolvedLocale,
+          fallbackLocale: found.locale,
+          message: `Message ${key} falls back to locale ${found.locale}`
+        });
+      }
+    });
+    
+    return warnings;
+  }
+  
+  /**
+   * 确定渲染时使用的语言
+   * @param {string} [locale] - 请求的语言
+   * @returns {string} 语言标签
+   */
+  resolveLocale(locale) {
+    return this.localeFormatter.resolveLocale(locale);
+  }
+  
+  /**
+   * 翻译消息
+   * @param {string} key - 消息键
+   * @param {Object} params - 消息参数
+   * @param {Object} options - 翻译选项 { locale, strict }
+   * @returns {string} 翻译后的文本
+   */
+  translate(key, params = {}, options = {}) {
+    return this.localeFormatter.translate(key, params, options);
+  }
+  
+  /**
+   * 设置冲突处理器
+   * @param {Object} handlers - 处理器对象
+   */
+  onConflict(handlers) {
+    if (!handlers || typeof handlers !== 'object') {
+      throw new UniCanvasError('INVALID_HANDLERS', 'Handlers must be an object');
+    }
+    
+    this.conflictHandlers = {
+      ...this.conflictHandlers,
+      ...handlers
+    };
+    
+    return this;
+  }
+  
+  /**
+   * 批量导入模板
+   * @param {Array} templates - 模板数组
+   * @param {Object} options - 导入选项
+   * @returns {Array} 导入的模板ID列表
+   */
+  importTemplates(templates, options = {}) {
+    if (!Array.isArray(templates)) {
+      throw new UniCanvasError('INVALID_TEMPLATES', 'Templates must be an array');
+    }
+    
+    const importedIds = [];
+    
+    templates.forEach(template => {
+      try {
+        const id = template.id || `imported_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        
+        // 未声明语法时根据模板内容推断并记录
+        const syntax = (template.metadata && template.metadata.syntax) || this.detectSyntax(template.html || '');
+        
+        this.saveTemplate(id, {
+          ...template,
+          metadata: {
+            ...template.metadata,
+            syntax
+          }
+        }, options);
+        importedIds.push(id);
+      } catch (error) {
+        if (options.continueOnError) {
+          console.error('Error importing template:', error);
+        } else {
+          throw error;
+        }
+      }
+    });
+    
+    if (this.options.debug) {
+      console.log(`Imported ${importedIds.length} templates`);
+    }
+    
+    return importedIds;
+  }
+  
+  /**
+   * 导出模板
+   * @param {string} templateId - 模板ID
+   * @param {Object} options - 导出选项
+   * @returns {Object} 导出的模板
+   */
+  exportTemplate(templateId, options = {}) {
+    const template = this._getPinnedTemplate(templateId, options.templateVersion);
+    
+    // 创建导出版本
+    const exportedTemplate = JSON.parse(JSON.stringify(template));
+    
+    // 添加导出元数据
+    exportedTemplate.metadata = {
+      ...exportedTemplate.metadata,
+      exportedAt: new Date(),
+      exportVersion: options.version || exportedTemplate.metadata.version
+    };
+    
+    // 如果需要，移除敏感信息
+    if (options.removeSensitiveData) {
+      delete exportedTemplate.metadata.author;
+      delete exportedTemplate.metadata.sourceEnvironment;
+    }
+    
+    // 如果需要，添加导出格式信息
+    if (options.format) {
+      exportedTemplate.metadata.format = options.format;
+    }
+    
+    // 如果需要，为样式变量补充回退值，以便在 UniCanvas 之外使用
+    if (options.inlineStyleVariables && exportedTemplate.css && this.resourceHub) {
+      const environment = options.environment || exportedTemplate.metadata.sourceEnvironment;
+      const environmentId = environment && typeof environment === 'object' ? environment.id : environment;
+      
+      exportedTemplate.css = this.cssScoper.inlineVariableFallbacks(exportedTemplate.css, name => {
+        const variable = this.resourceHub.lookupStyleVariable(name, { environment: environmentId });
+        return variable ? variable.value : null;
+      });
+    }
+    
+    return exportedTemplate;
+  }
+  
+  /**
+   * 获取当前模板或指定版本的模板
+   * @param {string} templateId - 模板ID
+   * @param {number|string} [ref] - 修订号或版本号
+   * @returns {Object} 模板对象
+   * @private
+   */
+  _getPinnedTemplate(templateId, ref) {
+    const template = this.getTemplate(templateId);
+    
+    if (!template) {
+      throw new UniCanvasError(
+        'TEMPLATE_NOT_FOUND',
+        `Template ${templateId} not found`,
+        { templateId }
+      );
+    }
+    
+    if (ref === undefined || ref === null) {
+      return template;
+    }
+    
+    const pinned = this.getTemplateVersion(templateId, ref);
+    
+    if (!pinned) {
+      throw new UniCanvasError(
+        'TEMPLATE_VERSION_NOT_FOUND',
+        `Version ${ref} of template ${templateId} not found`,
+        { templateId, ref }
+      );
+    }
+    
+    return pinned;
+  }
+  
+  /**
+   * 记录模板版本
+   * @param {string} id - 模板ID
+   * @param {Object} template - 模板对象
+   * @private
+   */
+  _recordVersion(id, template) {
+    if (!this.templateVersions[id]) {
+      this.templateVersions[id] = [];
+    }
+    
+    const history = this.templateVersions[id];
+    
+    history.push({
+      revision: template.metadata.revision,
+      version: template.metadata.version,
+      savedAt: new Date(),
+      template: this._cloneTemplate(template)
+    });
+    
+    // 限制历史大小
+    if (history.length > this.options.maxVersions) {
+      history.splice(0, history.length - this.options.maxVersions);
+    }
+  }
+  
+  /**
+   * 查找版本记录
+   * @param {string} id - 模板ID
+   * @param {number|string} ref - 修订号或版本号
+   * @returns {Object|null} 版本记录或null
+   * @private
+   */
+  _findVersion(id, ref) {
+    const history = this.templateVersions[id] || [];
+    
+    if (typeof ref === 'number') {
+      return history.find(entry => entry.revision === ref) || null;
+    }
+    
+    // 同一版本号可能保存过多次，取最新的一次
+    for (let i = history.length - 1; i >= 0; i--) {
+      if (history[i].version === ref) {
+        return history[i];
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * 深拷贝模板（保留 Date 对象）
+   * @param {*} value - 待拷贝的值
+   * @returns {*} 副本
+   * @private
+   */
+  _cloneTemplate(value) {
+    if (value instanceof Date) {
+      return new Date(value.getTime());
+    }
+    
+    if (Array.isArray(value)) {
+      return value.map(item => this._cloneTemplate(item));
+    }
+    
+    if (value && typeof value === 'object') {
+      const result = {};
+      for (const key of Object.keys(value)) {
+        result[key] = this._cloneTemplate(value[key]);
+      }
+      return result;
+    }
+    
+    return value;
+  }
+  
+  /**
+   * 按行比较文本
+   * @param {string} a - 原文本
+   * @param {string} b - 新文本
+   * @returns {Array} 行差异列表 { type: 'added'|'removed'|'unchanged', text }
+   * @private
+   */
+  _diffLines(a, b) {
+    const left = a.split('\n');
+    const right = b.split('\n');
+    
+    // 最长公共子序列
+    const lcs = Array.from({ length: left.length + 1 }, () => new Array(right.length + 1).fill(0));
+    for (let i = left.length - 1; i >= 0; i--) {
+      for (let j = right.length - 1; j >= 0; j--) {
+        lcs[i][j] = left[i] === right[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    
+    const result = [];
+    let i = 0;
+    let j = 0;
+    
+    while (i < left.length && j < right.length) {
+      if (left[i] === right[j]) {
+        result.push({ type: 'unchanged', text: left[i] });
+        i++;
+        j++;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        result.push({ type: 'removed', text: left[i++] });
+      } else {
+        result.push({ type: 'added', text: right[j++] });
+      }
+    }
+    
+    while (i < left.length) {
+      result.push({ type: 'removed', text: left[i++] });
+    }
+    
+    while (j < right.length) {
+      result.push({ type: 'added', text: right[j++] });
+    }
+    
+    return result;
+  }
+  
+  /**
+   * 比较数据对象
+   * @param {*} a - 原数据
+   * @param {*} b - 新数据
+   * @param {string} path - 当前路径
+   * @returns {Array} 差异列表 { path, type: 'added'|'removed'|'changed', from, to }
+   * @private
+   */
+  _diffData(a, b, path = '') {
+    const isObject = value => value !== null && typeof value === 'object';
+    
+    if (!isObject(a) || !isObject(b) || Array.isArray(a) !== Array.isArray(b)) {
+      return JSON.stringify(a) === JSON.stringify(b)
+        ? []
+        : [{ path, type: 'changed', from: a, to: b }];
+    }
+    
+    const changes = [];
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    
+    keys.forEach(key => {
+      const childPath = path ? `${path}.${key}` : key;
+      
+      if (!(key in b)) {
+        changes.push({ path: childPath, type: 'removed', from: a[key] });
+      } else if (!(key in a)) {
+        changes.push({ path: childPath, type: 'added', to: b[key] });
+      } else {
+        changes.push(...this._diffData(a[key], b[key], childPath));
+      }
+    });
+    
+    return changes;
+  }
+  
+  /**
+   * 合并渲染选项
+   * @param {Object} options - 渲染选项
+   * @returns {Object} 合并后的渲染选项
+   * @private
+   */
+  _getRenderOptions(options = {}) {
+    const strict = options.strict !== undefined ? options.strict : this.options.strictRender;
+    const localeHelpers = this.localeFormatter.createHelpers(options.locale, {
+      strict,
+      currency: options.currency
+    });
+    
+    return {
+      ...options,
+      escape: options.escape !== undefined ? options.escape : this.options.autoEscape,
+      strict,
+      helpers: {
+        ...localeHelpers,
+        ...options.helpers
+      },
+      resolvePartial: name => (this.templates[name] ? this.compileTemplate(name) : null)
+    };
+  }
+  
+  /**
+   * 获取模板使用的语法适配器
+   * @param {Object} template - 模板对象
+   * @returns {Object} 语法适配器
+   * @private
+   */
+  _getSyntax(template) {
+    const syntax = template.metadata && template.metadata.syntax;
+    const adapter = this.syntaxes.get(syntax);
+    
+    if (!adapter) {
+      throw new UniCanvasError(
+        'UNKNOWN_TEMPLATE_SYNTAX',
+        `Template syntax ${syntax} is not registered`,
+        { syntax }
+      );
+    }
+    
+    return adapter;
+  }
+  
+  /**
+   * 按模板声明的语法解析模板HTML
+   * @param {Object} template - 模板对象
+   * @returns {Array} 语法树节点列表
+   * @private
+   */
+  _parseTemplate(template) {
+    return this._getSyntax(template).parse(template.html || '');
+  }
+  
+  /**
+   * 校验数据，失败时抛出错误
+   * @param {string} templateId - 模板ID
+   * @param {Object} template - 模板对象
+   * @param {Object} data - 待校验的数据
+   * @returns {Object} 填充默认值后的数据
+   * @private
+   */
+  _assertValidData(templateId, template, data) {
+    const result = this.validateTemplateData(template, data);
+    
+    if (!result.valid) {
+      throw new UniCanvasError(
+        'TEMPLATE_DATA_INVALID',
+        `Data for template ${templateId || '(anonymous)'} failed schema validation: ${result.errors[0].message}`,
+        { templateId, errors: result.errors }
+      );
+    }
+    
+    return result.data;
+  }
+  
+  /**
+   * 解析模板参数
+   * @param {string|Object} template - 模板ID或模板对象
+   * @returns {Object} 模板对象
+   * @private
+   */
+  _resolveTemplate(template) {
+    if (typeof template === 'string') {
+      const stored = this.getTemplate(template);
+      
+      if (!stored) {
+        throw new UniCanvasError(
+          'TEMPLATE_NOT_FOUND',
+          `Template ${template} not found`,
+          { templateId: template }
+        );
+      }
+      
+      return stored;
+    }
+    
+    if (!template || typeof template !== 'object') {
+      throw new UniCanvasError('INVALID_TEMPLATE', 'Template must be an ID or an object');
+    }
+    
+    return template;
+  }
+  
+  /**
+   * 适配类名
+   * @param {Object} template - 模板对象
+   * @param {Object} sourceEnv - 源环境
+   * @param {Object} targetEnv - 目标环境
+   * @param {Object} [adaptation] - 适配记录
+   * @private
+   */
+  _adaptClassNames(template, sourceEnv, targetEnv, adaptation = null) {
+    if (!template.html) {
+      return;
+    }
+    
+    // 每个类名只计算一次适配结果，null 表示保持不变
+    const renames = {};
+    const getAdaptedName = className => {
+      if (!(className in renames)) {
+        renames[className] = this._shouldAdaptClassName(className, sourceEnv, targetEnv)
+          ? this.conflictHandlers.name(className, targetEnv, sourceEnv)
+          : null;
+      }
+      return renames[className];
+    };
+    
+    // 只改写真实元素上的 class 属性，忽略注释和 <script> 中的文本
+    template.html = this.htmlTokenizer.transformAttributes(template.html, (tagName, attributes) => {
+      attributes.forEach(attr => {
+        if (attr.opaque || attr.value === null || attr.name.toLowerCase() !== 'class') {
+          return;
+        }
+        
+        attr.value = attr.value.split(/(\s+)/).map(part => {
+          // 含模板占位符的类名无法静态改写
+          if (!part.trim() || part.includes('{{')) {
+            return part;
+          }
+          return getAdaptedName(part) || part;
+        }).join('');
+      });
+    });
+    
+    // 替换CSS中的类名（包括 @media、@supports 内的选择器）
+    if (template.css) {
+      template.css = this.cssScoper.scope(template.css, {
+        renameClass: className => renames[className] || null
+      });
+    }
+    
+    if (adaptation) {
+      adaptation.cssScoping = 'class';
+      Object.keys(renames)
+        .filter(className => renames[className])
+        .forEach(className => {
+          adaptation.classes[className] = renames[className];
+        });
+    }
+  }
+  
+  /**
+   * 为元素ID添加环境前缀，并同步更新引用这些ID的属性和CSS选择器
+   * @param {Object} template - 模板对象
+   * @param {Object} sourceEnv - 源环境
+   * @param {Object} targetEnv - 目标环境
+   * @param {Object} [adaptation] - 适配记录
+   * @private
+   */
+  _adaptIds(template, sourceEnv, targetEnv, adaptation = null) {
+    if (!template.html) {
+      return;
+    }
+    
+    const renames = {};
+    
+    // 收集需要改写的ID
+    this.htmlTokenizer.tokenize(template.html).forEach(token => {
+      if (token.type !== 'startTag') {
+        return;
+      }
+      
+      token.attributes.forEach(attr => {
+        if (attr.name.toLowerCase() === 'id' && attr.value && !attr.value.includes('{{') &&
+            this._shouldAdaptClassName(attr.value, sourceEnv, targetEnv)) {
+          renames[attr.value] = this.conflictHandlers.name(attr.value, targetEnv, sourceEnv);
+        }
+      });
+    });
+    
+    if (Object.keys(renames).length === 0) {
+      return;
+    }
+    
+    template.html = this._renameIdAttributes(template.html, renames);
+    
+    if (template.css) {
+      template.css = this.cssScoper.scope(template.css, {
+        renameId: id => renames[id] || null
+      });
+    }
+    
+    if (adaptation) {
+      Object.assign(adaptation.ids, renames);
+    }
+  }
+  
+  /**
+   * 改写元素ID以及引用这些ID的属性
+   * @param {string} html - 模板HTML
+   * @param {Object} renames - ID映射
+   * @returns {string} 改写后的HTML
+   * @private
+   */
+  _renameIdAttributes(html, renames) {
+    const renameList = value => value.split(/(\s+)/).map(part => renames[part] || part).join('');
+    
+    return this.htmlTokenizer.transformAttributes(html, (tagName, attributes) => {
+      attributes.forEach(attr => {
+        if (attr.opaque || !attr.value) {
+          return;
+        }
+        
+        const name = attr.name.toLowerCase();
+        
+        if (name === 'id') {
+          attr.value = renames[attr.value] || attr.value;
+        } else if (ID_REFERENCE_ATTRIBUTES.includes(name)) {
+          attr.value = renameList(attr.value);
+        } else if ((name === 'href' || name === 'xlink:href') && attr.value.startsWith('#')) {
+          const id = attr.value.slice(1);
+          attr.value = renames[id] ? `#${renames[id]}` : attr.value;
+        }
+      });
+    });
+  }
+  
+  /**
+   * 改写元素 data-* 属性中的数据路径引用（$data.xxx）
+   * @param {Object} template - 模板对象
+   * @param {Object} sourceEnv - 源环境
+   * @param {Object} targetEnv - 目标环境
+   * @param {Function} [mapPath] - 路径改写函数，默认使用数据路径冲突处理器
+   * @private
+   */
+  _adaptDataAttributes(template, sourceEnv, targetEnv, mapPath = null) {
+    if (!template.html) {
+      return;
+    }
+    
+    const transformPath = mapPath || (dataPath => this.conflictHandlers.data(dataPath, targetEnv, sourceEnv));
+    
+    template.html = this.htmlTokenizer.transformAttributes(template.html, (tagName, attributes) => {
+      attributes.forEach(attr => {
+        if (attr.opaque || !attr.value || !attr.name.toLowerCase().startsWith('data-') ||
+            !attr.value.startsWith('$data.')) {
+          return;
+        }
+        
+        const dataPath = attr.value.substring(6);
+        attr.value = `$data.${transformPath(dataPath)}`;
+      });
+    });
+  }
+  
+  /**
+   * 收集模板CSS和内联样式中的样式变量
+   * @param {Object} template - 模板对象
+   * @returns {Object} { references, declarations }
+   * @private
+   */
+  _collectStyleVariables(template) {
+    const result = this.cssScoper.extractVariables(template.css || '');
+    
+    if (template.html) {
+      this.htmlTokenizer.tokenize(template.html).forEach(token => {
+        if (token.type !== 'startTag') {
+          return;
+        }
+        
+        token.attributes
+          .filter(attr => attr.name.toLowerCase() === 'style' && attr.value)
+          .forEach(attr => {
+            const inline = this.cssScoper.extractVariables(attr.value);
+            result.references.push(...inline.references);
+            result.declarations.push(...inline.declarations);
+          });
+      });
+    }
+    
+    return result;
+  }
+  
+  /**
+   * 分析模板的依赖并写入依赖图
+   * 局部模板、布局和样式变量从模板内容中提取，数据模型和脚本由 metadata.dataModels、metadata.scripts 声明
+   * @param {string} id - 模板ID
+   * @private
+   */
+  _indexDependencies(id) {
+    const template = this.templates[id];
+    const dependencies = [];
+    const add = (type, dependencyId) => {
+      if (!dependencies.some(item => item.type === type && item.id === dependencyId)) {
+        dependencies.push({ type, id: dependencyId });
+      }
+    };
+    
+    // 语法错误不影响保存，此时不记录HTML中的依赖
+    let ast = [];
+    try {
+      ast = this._parseTemplate(template);
+    } catch (error) {
+      if (this.options.debug) {
+        console.warn(`Cannot analyze dependencies of template ${id}: ${error.message}`);
+      }
+    }
+    
+    const walk = nodes => {
+      nodes.forEach(node => {
+        if (node.type === 'partial') {
+          add('template', node.name);
+        } else if (node.type === 'block') {
+          if (node.name === 'extend') {
+            add('template', node.path);
+          }
+          walk(node.children);
+          walk(node.inverse);
+        }
+      });
+    };
+    walk(ast);
+    
+    const { references, declarations } = this._collectStyleVariables(template);
+    (template.variants || []).forEach(variant => {
+      references.push(...this.cssScoper.extractVariables(variant.css || '').references);
+    });
+    references
+      .filter(reference => !declarations.includes(reference.name))
+      .forEach(reference => add('styleVariable', reference.name));
+    
+    [].concat(template.metadata.dataModels || []).forEach(model => add('dataModel', model));
+    [].concat(template.metadata.scripts || []).forEach(script => add('script', script));
+    
+    this.dependencyGraph.addNode('template', id, { revision: template.metadata.revision });
+    this.dependencyGraph.setDependencies('template', id, dependencies);
+  }
+  
+  /**
+   * 按目标环境解析响应式变体，并生成环境要求相关的警告
+   * @param {Object} template - 模板副本，会被直接修改
+   * @param {Object} targetEnvironment - 目标环境
+   * @param {string} templateId - 模板ID，用于标识生成的变体包裹元素
+   * @param {Array<string>} unmetRequirements - 未满足的环境要求
+   * @returns {Object} { warnings, variants }，未声明变体时 variants 为null
+   * @private
+   */
+  _applyLayoutRules(template, targetEnvironment, templateId, unmetRequirements) {
+    const warnings = unmetRequirements.map(requirement => ({
+      code: 'ENVIRONMENT_REQUIREMENT_UNMET',
+      requirement,
+      expected: template.requirements[requirement],
+      message: `Environment ${targetEnvironment.id} does not meet requirement ${requirement}`
+    }));
+    
+    if (!template.variants) {
+      return { warnings, variants: null };
+    }
+    
+    const { html, css, selected, responsive, skipped } = this.variantResolver.resolve(
+      template,
+      targetEnvironment,
+      templateId
+    );
+    
+    template.html = html;
+    template.css = css;
+    delete template.variants;
+    
+    if (this.options.debug) {
+      console.log(`Variants for ${targetEnvironment.id}: selected [${selected}], responsive [${responsive.map(item => item.name)}]`);
+    }
+    
+    return {
+      warnings,
+      variants: { selected, responsive, skipped }
+    };
+  }
+  
+  /**
+   * 收集模板中 {{t "key"}} 引用的消息键
+   * @param {Object} template - 模板对象
+   * @returns {Array<string>} 消息键列表
+   * @private
+   */
+  _collectMessageKeys(template) {
+    const keys = new Set();
+    const walk = nodes => {
+      nodes.forEach(node => {
+        if (node.type === 'helper' && node.name === 't' &&
+            node.args[0] && node.args[0].type === 'literal') {
+          keys.add(String(node.args[0].value));
+        }
+        
+        if (node.type === 'block') {
+          walk(node.children);
+          walk(node.inverse);
+        }
+      });
+    };
+    
+    walk(this._parseTemplate(template));
+    
+    return [...keys];
+  }
+  
+  /**
+   * 使用 [data-env] 属性选择器限定样式作用域
+   * @param {Object} template - 模板对象
+   * @param {Object} sourceEnv - 源环境
+   * @param {Object} targetEnv - 目标环境
+   * @param {Object} [adaptation] - 适配记录
+   * @private
+   */
+  _scopeStylesByAttribute(template, sourceEnv, targetEnv, adaptation = null) {
+    if (template.css) {
+      template.css = this.cssScoper.scope(template.css, {
+        prefixSelector: selector => {
+          const scoped = this.conflictHandlers.style(selector, targetEnv, sourceEnv);
+          if (adaptation) {
+            adaptation.selectors[selector] = scoped;
+          }
+          return scoped;
+        }
+      });
+    }
+    
+    if (template.html) {
+      template.html = `<div data-env="${targetEnv.id}">${template.html}</div>`;
+    }
+    
+    if (adaptation) {
+      adaptation.cssScoping = 'attribute';
+      adaptation.wrapper = !!template.html;
+    }
+  }
+  
   /**
    * 转换数据路径
    * @param {Object} data - 数据对象
    * @param {Object} sourceEnv - 源环境
    * @param {Object} targetEnv - 目标环境
+   * @param {Function} [mapPath] - 路径改写函数，默认使用数据路径冲突处理器
    * @returns {Object} 转换后的数据
    * @private
    */
-  _transformDataPaths(data, sourceEnv, targetEnv) {
-    const transformedData = {};
+  _transformDataPaths(data, sourceEnv, targetEnv, mapPath = null) {
+    const transformPath = mapPath || (dataPath => this.conflictHandlers.data(dataPath, targetEnv, sourceEnv));
     
     // 递归处理数据对象
     const processObject = (obj, path = '') => {
@@ -323,8 +1690,7 @@ class SmartTemplateEngine {
           if (typeof value === 'string' && value.startsWith('$data.')) {
             // 数据引用路径
             const dataPath = value.substring(6);
-            const adaptedPath = this.conflictHandlers.data(dataPath, targetEnv, sourceEnv);
-            result[key] = `$data.${adaptedPath}`;
+            result[key] = `$data.${transformPath(dataPath)}`;
           } else if (typeof value === 'object' && value !== null) {
             // 递归处理嵌套对象
             result[key] = processObject(value, fullPath);
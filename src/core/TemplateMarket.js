@@ -2,8 +2,9 @@
  * TemplateMarket.js
  * 模板市场，负责模板的发布、搜索和使用
  */
-import EventEmitter from './EventEmitter.js';
-import { UniCanvasError } from './UniCanvasError.js';
+import EventEmitter from '../utils/EventEmitter.js';
+import TemplateLinter from '../utils/TemplateLinter.js';
+import { UniCanvasError } from '../utils/UniCanvasError.js';
 
 class TemplateMarket extends EventEmitter {
   constructor(options = {}) {
@@ -13,12 +14,15 @@ class TemplateMarket extends EventEmitter {
       enableRating: options.enableRating !== false,
       enableComments: options.enableComments !== false,
       requireApproval: options.requireApproval || false,
+      // 是否在发布前检查模板，由市场配置，发布者无法跳过
+      lintOnPublish: options.lintOnPublish !== false,
       debug: options.debug || false,
       ...options
     };
     
     this.templates = {};
     this.categories = {};
+    this.linter = options.linter || this._createDefaultLinter(options.lintRules);
     this.tags = new Set();
     this.authors = new Set();
     
@@ -45,6 +49,20 @@ class TemplateMarket extends EventEmitter {
       throw new UniCanvasError('INVALID_METADATA', 'Template name is required');
     }
     
+    // 发布前检查模板，存在错误时拒绝发布
+    let lintResult = null;
+    if (this.options.lintOnPublish) {
+      lintResult = this.linter(template);
+      
+      if (lintResult.errorCount > 0) {
+        throw new UniCanvasError(
+          'TEMPLATE_LINT_FAILED',
+          `Template ${metadata.name} has ${lintResult.errorCount} lint error(s)`,
+          { diagnostics: lintResult.diagnostics }
+        );
+      }
+    }
+    
     // 生成模板ID
     const templateId = metadata.id || `tpl_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     
@@ -93,6 +111,7 @@ class TemplateMarket extends EventEmitter {
           total: 0
         },
         comments: [],
+        lintWarnings: lintResult ? lintResult.warningCount : 0,
         status: this.options.requireApproval ? 'pending' : 'approved'
       }
     };
@@ -113,6 +132,35 @@ class TemplateMarket extends EventEmitter {
     return templateId;
   }
   
+  /**
+   * 设置发布前使用的模板检查函数
+   * @param {Function|null} linter - 检查函数 (template) => { errorCount, warningCount, diagnostics }，为 null 时恢复默认检查
+   * @returns {TemplateMarket} 当前实例
+   */
+  setLinter(linter) {
+    if (linter !== null && typeof linter !== 'function') {
+      throw new UniCanvasError('INVALID_LINTER', 'Linter must be a function');
+    }
+    
+    this.linter = linter || this._createDefaultLinter(this.options.lintRules);
+    return this;
+  }
+  
+  /**
+   * 创建默认的模板检查函数，独立使用的市场也会在发布前检查模板
+   * @param {Object} [rules] - 规则严重级别覆盖
+   * @returns {Function} 检查函数
+   * @private
+   */
+  _createDefaultLinter(rules) {
+    const linter = new TemplateLinter({
+      rules,
+      debug: this.options.debug
+    });
+    
+    return template => linter.lint(template);
+  }
+  
   /**
    * 获取模板
    * @param {string} templateId - 模板ID
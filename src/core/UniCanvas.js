@@ -2,13 +2,115 @@
  * UniCanvas.js
  * 核心整合模块，负责协调各个子系统的工作
  */
-import GlobalResourceHub from './GlobalResourceHub.js';
-import SandboxBridge from './SandboxBridge.js';
+import GlobalResourceHub from '../utils/GlobalResourceHub.js';
+import SandboxBridge from '../utils/SandboxBridge.js';
 import SmartTemplateEngine from './SmartTemplateEngine.js';
-import EventEmitter from './EventEmitter.js';
+import EventEmitter from '../utils/EventEmitter.js';
 import ConflictDetector from './ConflictDetector.js';
 import TemplateMarket from './TemplateMarket.js';
-import { UniCanvasError } from './UniCanvasError.js';
+import uniCanvasRuntime from '../utils/BrowserRuntime.js';
+import ContentSecurityPolicy from '../utils/ContentSecurityPolicy.js';
+import StaticExporter from '../utils/StaticExporter.js';
+import LayoutRegistry from '../utils/LayoutRegistry.js';
+import ComponentPositioner from '../utils/ComponentPositioner.js';
+import StateSerializer from '../utils/StateSerializer.js';
+import CommandHistory from '../utils/CommandHistory.js';
+import StateRecorder from '../utils/StateRecorder.js';
+import PageRouter from '../utils/PageRouter.js';
+import { UniCanvasError } from '../utils/UniCanvasError.js';
+
+// updateSite / updatePage / updateComponent 可修改的字段
+const SITE_FIELDS = ['name', 'domain', 'description'];
+const SITE_CONFIG_FIELDS = ['theme', 'layout', 'security', 'locale'];
+const PAGE_FIELDS = ['name', 'path', 'title', 'description', 'meta', 'content', 'layout'];
+const COMPONENT_FIELDS = ['type', 'name', 'content', 'templateId', 'style', 'script', 'data'];
+
+// 页面布局未注册时使用的布局
+const FALLBACK_LAYOUT = 'standard';
+
+// 支持的重定向状态码
+const REDIRECT_STATUSES = [301, 302, 307, 308];
+
+// 状态快照格式
+const SNAPSHOT_FORMAT = 'unicanvas-state';
+const SNAPSHOT_VERSION = 1;
+
+// 快照中保存的资源中心状态
+const RESOURCE_HUB_STATE = [
+  'styleVariables',
+  'components',
+  'scripts',
+  'dataModels',
+  'messageCatalogs',
+  'permissions',
+  'inheritanceConfig',
+  'localeConfig'
+];
+
+// 记录到编辑历史的修改操作，键为所属子系统；值根据操作的参数返回将被修改的状态 [对象, 键, 深度]，
+// 深度见 StateRecorder，省略时记录完整结构；操作内部调用的其他操作（如 removeSite 删除页面）各自记录
+const RECORDED_OPERATIONS = {
+  uniCanvas: {
+    createSite: canvas => [[canvas, 'sites', 1]],
+    updateSite: (canvas, [siteId]) => [[canvas.sites, siteId]],
+    removeSite: canvas => [[canvas, 'sites', 1], [canvas.sandboxBridge.options, 'allowedOrigins', 0]],
+    cloneSite: () => [],
+    createPage: (canvas, [siteId]) => [[canvas, 'pages', 1], [canvas.sites, siteId]],
+    updatePage: (canvas, [pageId]) => [[canvas.pages, pageId]],
+    removePage: (canvas, [pageId]) => [[canvas, 'pages', 1], [canvas.sites, canvas.pages[pageId] && canvas.pages[pageId].siteId]],
+    clonePage: () => [],
+    movePage: (canvas, [pageId, targetSiteId]) => [
+      [canvas.pages, pageId],
+      [canvas.sites, canvas.pages[pageId] && canvas.pages[pageId].siteId],
+      [canvas.sites, targetSiteId]
+    ],
+    addComponentToPage: (canvas, [pageId]) => [[canvas.pages, pageId]],
+    updateComponent: (canvas, [pageId]) => [[canvas.pages, pageId]],
+    removeComponent: (canvas, [pageId]) => [[canvas.pages, pageId]],
+    cloneComponent: () => [],
+    moveComponent: (canvas, [pageId, , targetPageId]) => [[canvas.pages, pageId], [canvas.pages, targetPageId]],
+    registerLayout: (canvas, [name]) => [[canvas.layouts.layouts, name, 0]],
+    addRedirect: (canvas, [siteId]) => [[canvas.sites, siteId]],
+    removeRedirect: (canvas, [siteId]) => [[canvas.sites, siteId]],
+    configureSiteCommunication: canvas => [[canvas.sandboxBridge.options, 'allowedOrigins', 0]]
+  },
+  resourceHub: {
+    registerStyleVariable: (hub, [id]) => [[hub.styleVariables, id, 0], [hub.permissions, 'restrictedVars']],
+    registerComponent: (hub, [id]) => [[hub.components, id, 0]],
+    registerScript: (hub, [id]) => [[hub.scripts, id, 0]],
+    registerDataModel: (hub, [id]) => [[hub.dataModels, id, 0]],
+    registerMessages: (hub, [locale]) => [[hub.messageCatalogs, locale, 0]],
+    configureLocales: hub => [[hub, 'localeConfig', 0]],
+    configInheritance: hub => [[hub, 'inheritanceConfig', 0]]
+  },
+  templateEngine: {
+    saveTemplate: (engine, [id]) => [[engine.templates, id, 0], [engine.templateVersions, id, 1]],
+    rollbackTemplate: () => [],
+    unadaptTemplate: () => [],
+    importTemplates: () => []
+  },
+  templateMarket: {
+    publishTemplate: (market, [, metadata = {}]) => [
+      [market, 'templates', 1],
+      [market, 'tags', 1],
+      [market, 'authors', 1],
+      [market.categories, metadata.category || 'uncategorized']
+    ],
+    rateTemplate: (market, [templateId]) => [[market.templates, templateId]],
+    addComment: (market, [templateId]) => [[market.templates, templateId]],
+    approveTemplate: (market, [templateId]) => [[market.templates, templateId]],
+    rejectTemplate: (market, [templateId]) => [[market.templates, templateId]]
+  }
+};
+
+// 依赖关系图的修改操作，值根据参数返回 [出边改变的节点, 入边改变的节点]，节点为 { type, id }
+const GRAPH_OPERATIONS = {
+  addNode: ([type, id]) => [[{ type, id }], []],
+  removeNode: ([type, id]) => [[{ type, id }], []],
+  addDependency: ([from, to]) => [[from], [to]],
+  removeDependency: ([from, to]) => [[from], [to]],
+  setDependencies: ([type, id]) => [[{ type, id }], []]
+};
 
 class UniCanvas extends EventEmitter {
   constructor(options = {}) {
@@ -30,6 +132,34 @@ class UniCanvas extends EventEmitter {
     this.templateEngine = new SmartTemplateEngine(options.templateEngine);
     this.conflictDetector = new ConflictDetector(options.conflictDetector);
     this.templateMarket = new TemplateMarket(options.templateMarket);
+    this.contentSecurityPolicy = new ContentSecurityPolicy(options.contentSecurityPolicy);
+    this.layouts = new LayoutRegistry(options.layouts);
+    this.positioner = new ComponentPositioner();
+    this.serializer = new StateSerializer();
+    this.router = new PageRouter();
+    
+    // 默认的状态存储适配器，saveState / loadState 未指定适配器时使用
+    this.storage = options.storage || null;
+    
+    // 编辑历史，options.history 为 { enabled, maxDepth }
+    const historyOptions = options.history || {};
+    this.history = historyOptions.enabled === false ? null : new CommandHistory(historyOptions);
+    this._recordingDepth = 0;
+    
+    // 记录修改前的状态，用于撤销和事务回滚
+    this.recorder = new StateRecorder();
+    
+    // 进行中的事务（嵌套时为多层保存点）及等待提交时触发的事件
+    this._transactions = [];
+    this._pendingEvents = [];
+    
+    // 子系统之间的联动 [{ emitter, event, listener }]，事务中立即执行，不随事件延迟
+    this._subsystemLinks = [];
+    this._linkedEvents = new WeakSet();
+    
+    this._instrumentOperations();
+    this._deferSubsystemEvents(this.templateEngine);
+    this._deferSubsystemEvents(this.templateMarket);
     
     // 版本信息
     this.version = '1.0.0';
@@ -85,6 +215,11 @@ class UniCanvas extends EventEmitter {
       throw new UniCanvasError('SITE_EXISTS', `Site with ID ${siteId} already exists`);
     }
     
+    // 站点布局是其页面的默认布局
+    if (siteConfig.layout) {
+      this.layouts.require(siteConfig.layout);
+    }
+    
     // 创建站点对象
     this.sites[siteId] = {
       id: siteId,
@@ -94,14 +229,19 @@ class UniCanvas extends EventEmitter {
       createdAt: new Date(),
       updatedAt: new Date(),
       pages: [],
+      // 站点内的重定向 [{ from, to, status }]
+      redirects: [],
       config: {
         theme: siteConfig.theme || 'default',
         layout: siteConfig.layout || 'standard',
         security: siteConfig.security || this.options.securityLevel,
+        locale: siteConfig.locale || null,
         ...siteConfig.config
       }
     };
     
+    this.resourceHub.dependencyGraph.addNode('site', siteId, { name: siteConfig.name });
+    
     // 触发站点创建事件
     this.emit('site.created', {
       siteId,
@@ -124,6 +264,115 @@ class UniCanvas extends EventEmitter {
     return this.sites[siteId] || null;
   }
   
+  /**
+   * 更新站点
+   * @param {string} siteId - 站点ID
+   * @param {Object} updates - 更新内容：name、domain、description，theme、layout、security、locale 或 config 写入站点配置
+   * @returns {Object} 更新后的站点
+   */
+  updateSite(siteId, updates = {}) {
+    const site = this._requireSite(siteId);
+    
+    if (updates.name !== undefined && !updates.name) {
+      throw new UniCanvasError('INVALID_SITE_CONFIG', 'Site name is required');
+    }
+    
+    const config = { ...updates.config };
+    SITE_CONFIG_FIELDS.forEach(field => {
+      if (updates[field] !== undefined) {
+        config[field] = updates[field];
+      }
+    });
+    
+    if (config.layout) {
+      this.layouts.require(config.layout);
+    }
+    
+    const changes = SITE_FIELDS.filter(field => updates[field] !== undefined);
+    changes.forEach(field => {
+      site[field] = updates[field];
+    });
+    
+    if (Object.keys(config).length > 0) {
+      site.config = { ...site.config, ...config };
+      changes.push('config');
+    }
+    
+    site.updatedAt = new Date();
+    
+    if (updates.name !== undefined) {
+      this.resourceHub.dependencyGraph.addNode('site', siteId, { name: site.name });
+    }
+    
+    this.emit('site.updated', {
+      siteId,
+      site,
+      changes
+    });
+    
+    return site;
+  }
+  
+  /**
+   * 删除站点及其全部页面，并撤销站点的通信权限
+   * @param {string} siteId - 站点ID
+   * @returns {Object} 被删除的站点
+   */
+  removeSite(siteId) {
+    const site = this._requireSite(siteId);
+    
+    [...site.pages].forEach(pageId => this.removePage(pageId));
+    
+    this.sandboxBridge.revokeOrigins([`site_${siteId}`]);
+    this.resourceHub.dependencyGraph.removeNode('site', siteId);
+    delete this.sites[siteId];
+    
+    this.emit('site.removed', {
+      siteId,
+      site
+    });
+    
+    if (this.options.debug) {
+      console.log(`Site removed: ${siteId}`);
+    }
+    
+    return site;
+  }
+  
+  /**
+   * 复制站点及其全部页面和组件
+   * @param {string} siteId - 源站点ID
+   * @param {Object} overrides - 新站点的配置，如 { id, name, domain }，默认名称为源站点名称加 " copy"
+   * @returns {string} 新站点ID
+   */
+  cloneSite(siteId, overrides = {}) {
+    const source = this._requireSite(siteId);
+    
+    const newSiteId = this.createSite({
+      name: `${source.name} copy`,
+      description: source.description,
+      config: JSON.parse(JSON.stringify(source.config)),
+      ...overrides,
+      // 域名唯一标识站点，不随复制继承
+      domain: overrides.domain || null
+    });
+    
+    const pages = {};
+    source.pages.forEach(pageId => {
+      pages[pageId] = this.clonePage(pageId, { siteId: newSiteId, name: this.pages[pageId].name });
+    });
+    
+    this.sites[newSiteId].redirects = (source.redirects || []).map(redirect => ({ ...redirect }));
+    
+    this.emit('site.cloned', {
+      sourceSiteId: siteId,
+      siteId: newSiteId,
+      pages
+    });
+    
+    return newSiteId;
+  }
+  
   /**
    * 创建页面
    * @param {string} siteId - 站点ID
@@ -148,24 +397,42 @@ class UniCanvas extends EventEmitter {
       throw new UniCanvasError('PAGE_EXISTS', `Page with ID ${pageId} already exists`);
     }
     
+    if (pageConfig.layout) {
+      this.layouts.require(pageConfig.layout);
+    }
+    
+    // 同一站点内的页面路径必须唯一
+    const path = this._assertPathAvailable(site, pageConfig.path || '/');
+    const { positioning, grid } = this.positioner.normalizeConfig(pageConfig.positioning, pageConfig.grid);
+    
     // 创建页面对象
     this.pages[pageId] = {
       id: pageId,
       siteId,
       name: pageConfig.name,
-      path: pageConfig.path || '/',
+      // 路径可以包含动态段（/products/:id）和通配符（/docs/*）
+      path,
       title: pageConfig.title || pageConfig.name,
       description: pageConfig.description || '',
       createdAt: new Date(),
       updatedAt: new Date(),
       components: [],
-      layout: pageConfig.layout || site.config.layout,
+      // 未指定布局时为null，渲染时继承站点布局
+      layout: pageConfig.layout || null,
+      // 组件定位模式：flow、absolute 或 grid
+      positioning,
+      grid,
       meta: pageConfig.meta || {},
       content: pageConfig.content || ''
     };
     
     // 更新站点页面列表
     site.pages.push(pageId);
+    site.updatedAt = new Date();
+    
+    // 站点依赖其页面
+    this.resourceHub.dependencyGraph.addNode('page', pageId, { siteId, name: pageConfig.name });
+    this.resourceHub.dependencyGraph.addDependency({ type: 'site', id: siteId }, { type: 'page', id: pageId });
     
     // 触发页面创建事件
     this.emit('page.created', {
@@ -190,11 +457,179 @@ class UniCanvas extends EventEmitter {
     return this.pages[pageId] || null;
   }
   
+  /**
+   * 更新页面
+   * @param {string} pageId - 页面ID
+   * @param {Object} updates - 更新内容：name、path、title、description、meta、content、layout（null 表示继承站点布局）、positioning、grid
+   * @returns {Object} 更新后的页面
+   */
+  updatePage(pageId, updates = {}) {
+    const page = this._requirePage(pageId);
+    
+    if (updates.name !== undefined && !updates.name) {
+      throw new UniCanvasError('INVALID_PAGE_CONFIG', 'Page name is required');
+    }
+    
+    if (updates.layout) {
+      this.layouts.require(updates.layout);
+    }
+    
+    if (updates.path !== undefined) {
+      updates = { ...updates, path: this._assertPathAvailable(this.getSite(page.siteId), updates.path, pageId) };
+    }
+    
+    const changes = PAGE_FIELDS.filter(field => updates[field] !== undefined);
+    
+    // 定位配置整体校验后再写入
+    if (updates.positioning !== undefined || updates.grid !== undefined) {
+      const { positioning, grid } = this.positioner.normalizeConfig(
+        updates.positioning !== undefined ? updates.positioning : page.positioning,
+        { ...page.grid, ...updates.grid }
+      );
+      
+      // 已有组件必须仍在网格内
+      page.components.forEach(component => this.positioner.validate(component.position, component.size, { positioning, grid }));
+      
+      page.positioning = positioning;
+      page.grid = grid;
+      changes.push('positioning');
+    }
+    
+    changes.filter(field => field !== 'positioning').forEach(field => {
+      page[field] = field === 'layout' ? (updates.layout || null) : updates[field];
+    });
+    
+    page.updatedAt = new Date();
+    
+    if (updates.name !== undefined) {
+      this.resourceHub.dependencyGraph.addNode('page', pageId, { name: page.name });
+    }
+    
+    this.emit('page.updated', {
+      pageId,
+      siteId: page.siteId,
+      page,
+      changes
+    });
+    
+    return page;
+  }
+  
+  /**
+   * 删除页面，同时从站点页面列表和依赖关系图中移除
+   * @param {string} pageId - 页面ID
+   * @returns {Object} 被删除的页面
+   */
+  removePage(pageId) {
+    const page = this._requirePage(pageId);
+    const site = this.getSite(page.siteId);
+    
+    if (site) {
+      site.pages = site.pages.filter(id => id !== pageId);
+      site.updatedAt = new Date();
+    }
+    
+    const graph = this.resourceHub.dependencyGraph;
+    graph.removeDependency({ type: 'site', id: page.siteId }, { type: 'page', id: pageId });
+    graph.removeNode('page', pageId);
+    delete this.pages[pageId];
+    
+    this.emit('page.removed', {
+      pageId,
+      siteId: page.siteId,
+      page
+    });
+    
+    return page;
+  }
+  
+  /**
+   * 复制页面及其组件，组件ID在新页面中保持不变
+   * @param {string} pageId - 源页面ID
+   * @param {Object} overrides - 新页面的配置，如 { id, name, path }，siteId 指定目标站点，默认为源页面所在站点；
+   *   未指定 path 且源路径在目标站点中已被使用时，生成不冲突的路径（如 /about-copy）
+   * @returns {string} 新页面ID
+   */
+  clonePage(pageId, overrides = {}) {
+    const source = this._requirePage(pageId);
+    const { siteId = source.siteId, ...pageConfig } = overrides;
+    
+    const newPageId = this.createPage(siteId, {
+      name: `${source.name} copy`,
+      path: this._getAvailablePath(this._requireSite(siteId), source.path),
+      title: source.title,
+      description: source.description,
+      layout: source.layout,
+      positioning: source.positioning,
+      grid: { ...source.grid },
+      meta: JSON.parse(JSON.stringify(source.meta)),
+      content: source.content,
+      ...pageConfig
+    });
+    
+    source.components.forEach(component => this._copyComponent(component, newPageId));
+    
+    this.emit('page.cloned', {
+      sourcePageId: pageId,
+      pageId: newPageId,
+      siteId
+    });
+    
+    return newPageId;
+  }
+  
+  /**
+   * 将页面移动到另一个站点
+   * @param {string} pageId - 页面ID
+   * @param {string} targetSiteId - 目标站点ID
+   * @returns {Object} 移动后的页面
+   */
+  movePage(pageId, targetSiteId) {
+    const page = this._requirePage(pageId);
+    const targetSite = this._requireSite(targetSiteId);
+    const fromSiteId = page.siteId;
+    
+    if (fromSiteId === targetSiteId) {
+      return page;
+    }
+    
+    this._assertPathAvailable(targetSite, page.path);
+    
+    const fromSite = this.getSite(fromSiteId);
+    if (fromSite) {
+      fromSite.pages = fromSite.pages.filter(id => id !== pageId);
+      fromSite.updatedAt = new Date();
+    }
+    
+    targetSite.pages.push(pageId);
+    targetSite.updatedAt = new Date();
+    page.siteId = targetSiteId;
+    page.updatedAt = new Date();
+    
+    const graph = this.resourceHub.dependencyGraph;
+    graph.removeDependency({ type: 'site', id: fromSiteId }, { type: 'page', id: pageId });
+    graph.addDependency({ type: 'site', id: targetSiteId }, { type: 'page', id: pageId });
+    graph.addNode('page', pageId, { siteId: targetSiteId });
+    
+    this.emit('page.moved', {
+      pageId,
+      fromSiteId,
+      toSiteId: targetSiteId,
+      page
+    });
+    
+    return page;
+  }
+  
   /**
    * 添加组件到页面
    * @param {string} pageId - 页面ID
    * @param {Object} component - 组件定义
    * @param {Object} options - 添加选项
+   * @param {string} [options.region] - 放置的布局区域，默认为布局的默认区域
+   * @param {number} [options.order] - 区域内的顺序，数值小的在前，默认排在区域末尾
+   * @param {Object} [options.position] - 位置 { x, y }，在 absolute 和 grid 定位模式下生效
+   * @param {Object} [options.size] - 尺寸 { width, height }，值可以为 auto
    * @returns {string} 组件ID
    */
   addComponentToPage(pageId, component, options = {}) {
@@ -215,23 +650,47 @@ class UniCanvas extends EventEmitter {
       throw new UniCanvasError('COMPONENT_EXISTS', `Component with ID ${componentId} already exists in page ${pageId}`);
     }
     
+    // 区域必须属于页面当前的布局
+    const region = this.layouts.resolveRegion(this._getPageLayout(page), options.region);
+    
+    if (options.order !== undefined && !Number.isFinite(options.order)) {
+      throw new UniCanvasError('INVALID_COMPONENT', 'Component order must be a finite number', { order: options.order });
+    }
+    
+    const position = options.position || { x: 0, y: 0 };
+    const size = options.size || { width: 'auto', height: 'auto' };
+    
+    this.positioner.validate(position, size, page);
+    
+    const regionComponents = page.components.filter(comp => comp.region === region);
+    const order = options.order !== undefined
+      ? options.order
+      : regionComponents.reduce((max, comp) => Math.max(max, comp.order + 1), 0);
+    
     // 创建组件对象
     const componentObj = {
       id: componentId,
       type: component.type || 'custom',
       name: component.name || 'Unnamed Component',
       content: component.content || '',
+      templateId: component.templateId || null,
       style: component.style || '',
       script: component.script || '',
       data: component.data || {},
-      position: options.position || { x: 0, y: 0 },
-      size: options.size || { width: 'auto', height: 'auto' },
+      region,
+      order,
+      position,
+      size,
       createdAt: new Date(),
       updatedAt: new Date()
     };
     
     // 添加到页面
     page.components.push(componentObj);
+    page.updatedAt = new Date();
+    
+    // 页面依赖组件引用的模板
+    this._syncPageDependencies(page);
     
     // 触发组件添加事件
     this.emit('component.added', {
@@ -265,144 +724,967 @@ class UniCanvas extends EventEmitter {
   }
   
   /**
-   * 配置站点间通信
-   * @param {string} sourceSiteId - 源站点ID
-   * @param {string} targetSiteId - 目标站点ID
-   * @param {Object} options - 通信选项
+   * 更新组件
+   * @param {string} pageId - 页面ID
+   * @param {string} componentId - 组件ID
+   * @param {Object} updates - 更新内容：type、name、content、templateId、style、script、data、region、order、position、size
+   * @returns {Object} 更新后的组件
    */
-  configureSiteCommunication(sourceSiteId, targetSiteId, options = {}) {
-    const sourceSite = this.getSite(sourceSiteId);
-    const targetSite = this.getSite(targetSiteId);
+  updateComponent(pageId, componentId, updates = {}) {
+    const page = this._requirePage(pageId);
+    const component = this._requireComponent(page, componentId);
     
-    if (!sourceSite) {
-      throw new UniCanvasError('SITE_NOT_FOUND', `Source site ${sourceSiteId} not found`);
-    }
+    const region = updates.region !== undefined
+      ? this.layouts.resolveRegion(this._getPageLayout(page), updates.region)
+      : component.region;
     
-    if (!targetSite) {
-      throw new UniCanvasError('SITE_NOT_FOUND', `Target site ${targetSiteId} not found`);
+    if (updates.order !== undefined && !Number.isFinite(updates.order)) {
+      throw new UniCanvasError('INVALID_COMPONENT', 'Component order must be a finite number', { order: updates.order });
     }
     
-    // 允许站点间通信
-    this.sandboxBridge.allowOrigins([`site_${sourceSiteId}`, `site_${targetSiteId}`]);
+    const position = { ...component.position, ...updates.position };
+    const size = { ...component.size, ...updates.size };
+    this.positioner.validate(position, size, page);
     
-    // 触发通信配置事件
-    this.emit('communication.configured', {
-      sourceSiteId,
-      targetSiteId,
-      options
+    const changes = COMPONENT_FIELDS.filter(field => updates[field] !== undefined);
+    changes.forEach(field => {
+      component[field] = updates[field];
     });
     
-    if (this.options.debug) {
-      console.log(`Communication configured between ${sourceSiteId} and ${targetSiteId}`);
+    ['region', 'order', 'position', 'size'].forEach(field => {
+      if (updates[field] !== undefined) {
+        changes.push(field);
+      }
+    });
+    
+    component.region = region;
+    component.order = updates.order !== undefined ? updates.order : component.order;
+    component.position = position;
+    component.size = size;
+    component.updatedAt = new Date();
+    page.updatedAt = component.updatedAt;
+    
+    if (updates.templateId !== undefined) {
+      this._syncPageDependencies(page);
     }
     
-    return { sourceSiteId, targetSiteId };
+    this.emit('component.updated', {
+      componentId,
+      pageId,
+      siteId: page.siteId,
+      component,
+      changes
+    });
+    
+    return component;
   }
   
   /**
-   * 渲染页面
+   * 从页面中删除组件
    * @param {string} pageId - 页面ID
-   * @param {Object} options - 渲染选项
-   * @returns {string} 渲染后的HTML
+   * @param {string} componentId - 组件ID
+   * @returns {Object} 被删除的组件
    */
-  renderPage(pageId, options = {}) {
-    const page = this.getPage(pageId);
-    
-    if (!page) {
-      throw new UniCanvasError('PAGE_NOT_FOUND', `Page ${pageId} not found`);
-    }
-    
-    const site = this.getSite(page.siteId);
-    
-    if (!site) {
-      throw new UniCanvasError('SITE_NOT_FOUND', `Site ${page.siteId} not found`);
-    }
+  removeComponent(pageId, componentId) {
+    const page = this._requirePage(pageId);
+    const component = this._requireComponent(page, componentId);
     
-    // 构建页面基础结构
-    let html = `<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>${page.title}</title>
-  <meta name="description" content="${page.description}">
-  ${this._generatePageMeta(page)}
-  ${this._generatePageStyles(page, site)}
-</head>
-<body data-site="${site.id}" data-page="${page.id}">
-  <div class="unicanvas-page-container">
-    ${this._renderPageContent(page, site, options)}
-  </div>
-  ${this._generatePageScripts(page, site)}
-</body>
-</html>`;
+    page.components = page.components.filter(comp => comp !== component);
+    page.updatedAt = new Date();
+    this._syncPageDependencies(page);
     
-    // 触发页面渲染事件
-    this.emit('page.rendered', {
+    this.emit('component.removed', {
+      componentId,
       pageId,
-      siteId: page.siteId
+      siteId: page.siteId,
+      component
     });
     
-    return html;
+    return component;
   }
   
   /**
-   * 注册内部事件处理器
-   * @private
+   * 复制组件
+   * @param {string} pageId - 页面ID
+   * @param {string} componentId - 源组件ID
+   * @param {Object} options - 复制选项
+   * @param {string} [options.targetPageId] - 目标页面，默认为源页面
+   * @param {string} [options.id] - 新组件ID，默认自动生成
+   * @param {string} [options.region] - 目标区域，默认与源组件相同
+   * @param {number} [options.order] - 区域内的顺序，默认排在区域末尾
+   * @param {Object} [options.position] - 位置，默认与源组件相同
+   * @param {Object} [options.size] - 尺寸，默认与源组件相同
+   * @returns {string} 新组件ID
    */
-  _registerInternalEventHandlers() {
-    // 监听模板应用事件
-    this.on('template.applied', (data) => {
-      if (this.options.debug) {
-        console.log(`Template ${data.templateId} applied to ${data.targetEnvironment.id}`);
-      }
-      
-      // 检查冲突
-      this.conflictDetector.checkConflicts({
-        type: 'template',
-        source: data.templateId,
-        target: data.targetEnvironment.id
-      });
+  cloneComponent(pageId, componentId, options = {}) {
+    const page = this._requirePage(pageId);
+    const component = this._requireComponent(page, componentId);
+    const { targetPageId = pageId, id, ...placement } = options;
+    
+    const newComponentId = this._copyComponent(component, targetPageId, {
+      id: id || null,
+      order: undefined,
+      ...placement
     });
     
-    // 监听资源访问事件
-    this.on('resource.accessed', (data) => {
-      if (this.options.debug) {
-        console.log(`Resource ${data.resourceId} accessed by ${data.accessorId}`);
-      }
+    this.emit('component.cloned', {
+      sourceComponentId: componentId,
+      sourcePageId: pageId,
+      componentId: newComponentId,
+      pageId: targetPageId
     });
+    
+    return newComponentId;
   }
   
   /**
-   * 连接子系统
-   * @private
+   * 移动组件到另一个页面或区域
+   * @param {string} pageId - 当前页面ID
+   * @param {string} componentId - 组件ID
+   * @param {string} targetPageId - 目标页面ID，可以与当前页面相同
+   * @param {Object} options - 放置选项 { region, order, position, size }
+   *   未指定区域时保留原区域，目标布局中没有该区域时放入默认区域
+   * @returns {Object} 移动后的组件
    */
-  _connectSubsystems() {
-    // 连接模板引擎和资源中心
-    this.templateEngine.on('template.saved', (data) => {
-      // 注册模板资源
-      this.resourceHub.registerComponent(data.templateId, {
-        type: 'template',
-        content: data.template
-      }, {
-        scope: 'template',
-        metadata: data.template.metadata
-      });
-    });
+  moveComponent(pageId, componentId, targetPageId, options = {}) {
+    const page = this._requirePage(pageId);
+    const component = this._requireComponent(page, componentId);
+    const targetPage = this._requirePage(targetPageId);
     
-    // 连接冲突检测器和模板引擎
-    this.conflictDetector.on('conflict.detected', (data) => {
-      if (this.options.debug) {
-        console.warn('Conflict detected:', data);
-      }
-      
-      // 使用模板引擎的冲突处理器
-      if (data.type === 'css') {
-        this.templateEngine.conflictHandlers.style(data.selector, data.target);
-      } else if (data.type === 'name') {
-        this.templateEngine.conflictHandlers.name(data.name, data.target);
-      }
-    });
+    if (targetPage !== page && targetPage.components.some(comp => comp.id === componentId)) {
+      throw new UniCanvasError('COMPONENT_EXISTS', `Component with ID ${componentId} already exists in page ${targetPageId}`);
+    }
+    
+    const targetLayout = this.layouts.require(this._getPageLayout(targetPage));
+    const requestedRegion = options.region ||
+      (targetLayout.regions.some(region => region.name === component.region) ? component.region : null);
+    const region = this.layouts.resolveRegion(targetLayout.name, requestedRegion);
+    
+    if (options.order !== undefined && !Number.isFinite(options.order)) {
+      throw new UniCanvasError('INVALID_COMPONENT', 'Component order must be a finite number', { order: options.order });
+    }
+    
+    const position = { ...component.position, ...options.position };
+    const size = { ...component.size, ...options.size };
+    this.positioner.validate(position, size, targetPage);
+    
+    const from = { pageId, region: component.region, order: component.order };
+    
+    page.components = page.components.filter(comp => comp !== component);
+    
+    component.region = region;
+    component.order = options.order !== undefined
+      ? options.order
+      : targetPage.components
+        .filter(comp => comp.region === region)
+        .reduce((max, comp) => Math.max(max, comp.order + 1), 0);
+    component.position = position;
+    component.size = size;
+    component.updatedAt = new Date();
+    
+    targetPage.components.push(component);
+    page.updatedAt = component.updatedAt;
+    targetPage.updatedAt = component.updatedAt;
+    
+    this._syncPageDependencies(page);
+    this._syncPageDependencies(targetPage);
+    
+    this.emit('component.moved', {
+      componentId,
+      from,
+      to: { pageId: targetPageId, region, order: component.order },
+      siteId: targetPage.siteId,
+      component
+    });
+    
+    return component;
+  }
+  
+  /**
+   * 查找页面中相互重叠的组件
+   * @param {string} pageId - 页面ID
+   * @returns {Array<Object>} 重叠列表 [{ region, components: [id, id], area }]，flow 模式下总是为空
+   */
+  findOverlaps(pageId) {
+    const page = this.getPage(pageId);
+    
+    if (!page) {
+      throw new UniCanvasError('PAGE_NOT_FOUND', `Page ${pageId} not found`);
+    }
+    
+    return this.positioner.findOverlaps(page);
+  }
+  
+  /**
+   * 注册页面布局
+   * @param {string} name - 布局名称
+   * @param {Object} definition - 布局定义，见 LayoutRegistry.register
+   * @returns {Object} 规范化后的布局
+   */
+  registerLayout(name, definition) {
+    const layout = this.layouts.register(name, definition);
+    
+    this.emit('layout.registered', {
+      name,
+      layout
+    });
+    
+    return layout;
+  }
+  
+  /**
+   * 获取页面布局
+   * @param {string} name - 布局名称
+   * @returns {Object|null} 布局或null
+   */
+  getLayout(name) {
+    return this.layouts.get(name);
+  }
+  
+  /**
+   * 添加站点内的重定向
+   * @param {string} siteId - 站点ID
+   * @param {string} from - 源路径，可以包含动态段和通配符，不能与页面或其他重定向的路径冲突
+   * @param {string} to - 目标路径或完整URL，目标路径中可以使用源路径的参数，如 /old/:id 到 /products/:id
+   * @param {Object} options - 重定向选项
+   * @param {number} [options.status] - 状态码：301（默认）、302、307 或 308
+   * @returns {Object} 重定向 { from, to, status }
+   */
+  addRedirect(siteId, from, to, options = {}) {
+    const site = this._requireSite(siteId);
+    const status = options.status || 301;
+    
+    if (!REDIRECT_STATUSES.includes(status)) {
+      throw new UniCanvasError('INVALID_REDIRECT', `Unsupported redirect status ${status}`, { status, supported: REDIRECT_STATUSES });
+    }
+    
+    if (typeof to !== 'string' || !(to.startsWith('/') || this.router.isAbsoluteUrl(to))) {
+      throw new UniCanvasError('INVALID_REDIRECT', 'Redirect target must be a path starting with / or an absolute URL', { to });
+    }
+    
+    const path = this._assertPathAvailable(site, from);
+    let target = to;
+    
+    if (!this.router.isAbsoluteUrl(to)) {
+      target = this.router.compile(to).path;
+      
+      // 目标路径中的参数必须由源路径提供
+      const available = this.router.getParamNames(path);
+      const missing = this.router.getParamNames(target).filter(name => !available.includes(name));
+      
+      if (missing.length > 0) {
+        throw new UniCanvasError('INVALID_REDIRECT', `Redirect target ${to} uses parameters missing from ${path}`, { from: path, to, missing });
+      }
+    }
+    
+    const redirect = { from: path, to: target, status };
+    
+    site.redirects = [...(site.redirects || []), redirect];
+    site.updatedAt = new Date();
+    
+    this.emit('redirect.added', {
+      siteId,
+      redirect
+    });
+    
+    return redirect;
+  }
+  
+  /**
+   * 删除站点内的重定向
+   * @param {string} siteId - 站点ID
+   * @param {string} from - 源路径
+   * @returns {Object} 被删除的重定向
+   */
+  removeRedirect(siteId, from) {
+    const site = this._requireSite(siteId);
+    const path = this.router.normalize(from);
+    const redirect = (site.redirects || []).find(item => item.from === path);
+    
+    if (!redirect) {
+      throw new UniCanvasError('REDIRECT_NOT_FOUND', `Redirect from ${path} not found in site ${siteId}`, { siteId, from: path });
+    }
+    
+    site.redirects = site.redirects.filter(item => item !== redirect);
+    site.updatedAt = new Date();
+    
+    this.emit('redirect.removed', {
+      siteId,
+      redirect
+    });
+    
+    return redirect;
+  }
+  
+  /**
+   * 获取站点的路由表，按匹配优先级排序：静态段优先于动态段，动态段优先于通配符
+   * @param {string} siteId - 站点ID
+   * @returns {Array<Object>} 路由 [{ type: 'page', path, pageId } | { type: 'redirect', path, to, status }]
+   */
+  getRoutes(siteId) {
+    const site = this._requireSite(siteId);
+    
+    const routes = [
+      ...site.pages.map(pageId => ({ type: 'page', path: this.pages[pageId].path, pageId })),
+      ...(site.redirects || []).map(redirect => ({ type: 'redirect', path: redirect.from, to: redirect.to, status: redirect.status }))
+    ];
+    
+    return routes.sort((a, b) => this.router.compare(a.path, b.path));
+  }
+  
+  /**
+   * 将URL解析为页面或重定向
+   * 完整URL按主机名匹配 site.domain；相对路径未指定站点或域名时依次查找全部站点
+   * @param {string} url - 完整URL或路径，可以带查询字符串
+   * @param {Object} options - 解析选项
+   * @param {string} [options.siteId] - 只在该站点中查找
+   * @param {string} [options.domain] - 按域名选择站点，优先于URL中的主机名
+   * @returns {Object|null} 未找到时为null，否则为
+   *   { type: 'page', siteId, pageId, page, route, path, params, query } 或
+   *   { type: 'redirect', siteId, route, path, params, query, location, status }
+   */
+  resolveUrl(url, options = {}) {
+    const { host, path, query, search } = this.router.parseUrl(url);
+    const domain = options.domain ? String(options.domain).toLowerCase().replace(/:\d*$/, '') : host;
+    let sites;
+    
+    if (options.siteId) {
+      sites = [this._requireSite(options.siteId)];
+    } else if (domain) {
+      sites = Object.values(this.sites).filter(site => site.domain && site.domain.toLowerCase().replace(/:\d*$/, '') === domain);
+    } else {
+      sites = Object.values(this.sites);
+    }
+    
+    for (const site of sites) {
+      for (const route of this.getRoutes(site.id)) {
+        const params = this.router.match(route.path, path);
+        
+        if (!params) {
+          continue;
+        }
+        
+        if (route.type === 'page') {
+          return {
+            type: 'page',
+            siteId: site.id,
+            pageId: route.pageId,
+            page: this.pages[route.pageId],
+            route: route.path,
+            path,
+            params,
+            query
+          };
+        }
+        
+        // 站内重定向保留原查询字符串
+        return {
+          type: 'redirect',
+          siteId: site.id,
+          route: route.path,
+          path,
+          params,
+          query,
+          location: this.router.isAbsoluteUrl(route.to) ? route.to : `${this.router.buildPath(route.to, params)}${search}`,
+          status: route.status
+        };
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * 配置站点间通信
+   * @param {string} sourceSiteId - 源站点ID
+   * @param {string} targetSiteId - 目标站点ID
+   * @param {Object} options - 通信选项
+   */
+  configureSiteCommunication(sourceSiteId, targetSiteId, options = {}) {
+    const sourceSite = this.getSite(sourceSiteId);
+    const targetSite = this.getSite(targetSiteId);
+    
+    if (!sourceSite) {
+      throw new UniCanvasError('SITE_NOT_FOUND', `Source site ${sourceSiteId} not found`);
+    }
+    
+    if (!targetSite) {
+      throw new UniCanvasError('SITE_NOT_FOUND', `Target site ${targetSiteId} not found`);
+    }
+    
+    // 允许站点间通信
+    this.sandboxBridge.allowOrigins([`site_${sourceSiteId}`, `site_${targetSiteId}`]);
+    
+    // 触发通信配置事件
+    this.emit('communication.configured', {
+      sourceSiteId,
+      targetSiteId,
+      options
+    });
+    
+    if (this.options.debug) {
+      console.log(`Communication configured between ${sourceSiteId} and ${targetSiteId}`);
+    }
+    
+    return { sourceSiteId, targetSiteId };
+  }
+  
+  /**
+   * 分析变更的影响范围
+   * @param {Object} change - 变更对象 { type, id }，type 为 template、styleVariable、dataModel、script、component 等
+   * @returns {Object} 影响范围 { change, templates, components, pages, sites, dependents }
+   */
+  analyzeImpact(change = {}) {
+    if (!change.type || !change.id) {
+      throw new UniCanvasError('INVALID_CHANGE', 'Change must have a type and an ID');
+    }
+    
+    const dependents = this.resourceHub.getDependents(change.type, change.id, { transitive: true });
+    const idsOf = type => dependents.filter(node => node.type === type).map(node => node.id);
+    
+    // 受影响的页面所在的站点，包括依赖图中未直接记录的站点
+    const pages = idsOf('page')
+      .map(pageId => this.getPage(pageId))
+      .filter(Boolean);
+    const siteIds = new Set([...idsOf('site'), ...pages.map(page => page.siteId)]);
+    
+    const impact = {
+      change: { type: change.type, id: change.id },
+      templates: idsOf('template'),
+      components: idsOf('component'),
+      pages: pages.map(page => ({ id: page.id, siteId: page.siteId, name: page.name, path: page.path })),
+      sites: [...siteIds]
+        .map(siteId => this.getSite(siteId))
+        .filter(Boolean)
+        .map(site => ({ id: site.id, name: site.name })),
+      dependents
+    };
+    
+    if (this.options.debug) {
+      console.log(`Impact of ${change.type} ${change.id}: ${impact.pages.length} page(s), ${impact.sites.length} site(s)`);
+    }
+    
+    return impact;
+  }
+  
+  /**
+   * 撤销最近的修改
+   * @returns {boolean} 是否撤销
+   */
+  undo() {
+    const command = this.history ? this.history.undo() : null;
+    
+    if (command) {
+      this.emit('history.undone', {
+        label: command.label,
+        canUndo: this.canUndo(),
+        canRedo: this.canRedo()
+      });
+    }
+    
+    return !!command;
+  }
+  
+  /**
+   * 重做最近撤销的修改
+   * @returns {boolean} 是否重做
+   */
+  redo() {
+    const command = this.history ? this.history.redo() : null;
+    
+    if (command) {
+      this.emit('history.redone', {
+        label: command.label,
+        canUndo: this.canUndo(),
+        canRedo: this.canRedo()
+      });
+    }
+    
+    return !!command;
+  }
+  
+  /**
+   * 是否有可撤销的修改
+   * @returns {boolean}
+   */
+  canUndo() {
+    return !!this.history && this.history.canUndo();
+  }
+  
+  /**
+   * 是否有可重做的修改
+   * @returns {boolean}
+   */
+  canRedo() {
+    return !!this.history && this.history.canRedo();
+  }
+  
+  /**
+   * 获取编辑历史概要
+   * @returns {Object} { undo: [label], redo: [label] }，最近的修改在最后
+   */
+  getHistory() {
+    return this.history ? this.history.getState() : { undo: [], redo: [] };
+  }
+  
+  /**
+   * 清空编辑历史
+   */
+  clearHistory() {
+    if (this.history) {
+      this.history.clear();
+      this.emit('history.cleared', {});
+    }
+  }
+  
+  /**
+   * 将多个修改记录为一条历史，撤销时一起撤销
+   * @param {string} label - 历史名称
+   * @param {Function} fn - 执行修改的函数
+   * @returns {*} fn 的返回值
+   */
+  batch(label, fn) {
+    return this._record(label, () => fn(this));
+  }
+  
+  /**
+   * 在事务中执行修改：出错时站点、页面、资源中心、模板引擎等全部状态回滚到事务开始前，
+   * UniCanvas、模板引擎和模板市场的事件暂存到提交后再触发，回滚时丢弃；整个事务记录为一条历史
+   * 嵌套的事务作为外层事务的保存点，内层出错只回滚内层的修改，事件在最外层提交后统一触发；
+   * 子系统之间的联动（如发布到模板市场的模板保存到模板引擎）在事务中立即执行，随事务一起回滚，联动出错时事务同样回滚
+   * @param {Function} fn - 执行修改的函数，接收当前实例，必须同步执行
+   * @param {Object} options - 事务选项
+   * @param {string} [options.label] - 历史名称，默认为 transaction
+   * @returns {*} fn 的返回值
+   * @throws {UniCanvasError} fn 返回 Promise 时回滚并抛出 ASYNC_TRANSACTION
+   */
+  transaction(fn, options = {}) {
+    if (typeof fn !== 'function') {
+      throw new UniCanvasError('INVALID_TRANSACTION', 'Transaction requires a function');
+    }
+    
+    const label = options.label || 'transaction';
+    
+    return this._record(label, () => {
+      // 保存点记录事务中被修改部分的原有状态
+      const savepoint = {
+        label,
+        frame: this.recorder.begin(),
+        eventIndex: this._pendingEvents.length
+      };
+      let result;
+      
+      this._transactions.push(savepoint);
+      try {
+        result = fn(this);
+        
+        // 异步函数在 await 之后的修改无法纳入事务
+        if (result && typeof result.then === 'function') {
+          result.catch(() => {});
+          throw new UniCanvasError(
+            'ASYNC_TRANSACTION',
+            'Transaction functions must be synchronous; changes made before the first await were rolled back',
+            { label }
+          );
+        }
+      } catch (error) {
+        this._transactions.pop();
+        this._restoreRecorded(this.recorder.end(savepoint.frame));
+        this._pendingEvents.length = savepoint.eventIndex;
+        
+        this.emit('transaction.rolledBack', { label, error });
+        
+        throw error;
+      }
+      this._transactions.pop();
+      this.recorder.end(savepoint.frame);
+      
+      // 内层事务的事件交给外层事务，在最外层提交后触发
+      if (this._transactions.length === 0) {
+        const events = this._pendingEvents;
+        this._pendingEvents = [];
+        
+        events.forEach(({ emit, event, data }) => emit(event, data));
+        
+        this.emit('transaction.committed', {
+          label,
+          events: events.length
+        });
+      }
+      
+      return result;
+    });
+  }
+  
+  /**
+   * 是否处于事务中
+   * @returns {boolean}
+   */
+  inTransaction() {
+    return this._transactions.length > 0;
+  }
+  
+  /**
+   * 触发事件，事务进行中时暂存到提交后触发
+   * @param {string} event - 事件名称
+   * @param {*} data - 事件数据
+   * @returns {boolean} 是否有监听器，暂存时总是返回true
+   */
+  emit(event, data) {
+    if (this._transactions && this._transactions.length > 0) {
+      this._pendingEvents.push({ emit: (name, payload) => super.emit(name, payload), event, data });
+      return true;
+    }
+    
+    return super.emit(event, data);
+  }
+  
+  /**
+   * 导出完整状态快照
+   * 包含站点、页面、组件、布局、站点通信来源、资源中心、模板及其版本、模板市场和依赖关系图；
+   * 注册的自定义模板语法、冲突处理器等函数不属于状态，需要在恢复前重新注册；
+   * 以函数注册的脚本同样不写入快照，其ID列在 omitted.scripts 中，需要在恢复后重新注册
+   * @returns {Object} 可直接 JSON 序列化的快照
+   * @throws {UniCanvasError} 其他状态中包含函数（如组件的 script）时抛出 UNSERIALIZABLE_STATE
+   */
+  serialize() {
+    const hub = this.resourceHub;
+    const resourceHub = {};
+    RESOURCE_HUB_STATE.forEach(field => {
+      resourceHub[field] = hub[field];
+    });
+    
+    // 函数转换为源码后无法还原，跳过以函数注册的脚本
+    const omittedScripts = Object.keys(hub.scripts).filter(id => typeof hub.scripts[id].content === 'function');
+    if (omittedScripts.length > 0) {
+      resourceHub.scripts = { ...hub.scripts };
+      omittedScripts.forEach(id => delete resourceHub.scripts[id]);
+      
+      if (this.options.debug) {
+        console.warn(`Scripts registered as functions are not included in the snapshot: ${omittedScripts.join(', ')}`);
+      }
+    }
+    
+    return this.serializer.encode({
+      format: SNAPSHOT_FORMAT,
+      version: SNAPSHOT_VERSION,
+      savedAt: new Date(),
+      sites: this.sites,
+      pages: this.pages,
+      layouts: this.layouts.layouts,
+      communication: {
+        allowedOrigins: this.sandboxBridge.options.allowedOrigins
+      },
+      resourceHub,
+      templateEngine: {
+        templates: this.templateEngine.templates,
+        templateVersions: this.templateEngine.templateVersions
+      },
+      templateMarket: {
+        templates: this.templateMarket.templates,
+        categories: this.templateMarket.categories,
+        tags: this.templateMarket.tags,
+        authors: this.templateMarket.authors
+      },
+      dependencyGraph: hub.dependencyGraph.toJSON(),
+      omitted: {
+        scripts: omittedScripts
+      }
+    });
+  }
+  
+  /**
+   * 从快照恢复状态，替换当前实例中的全部状态
+   * @param {Object} snapshot - serialize 导出的快照
+   * @returns {UniCanvas} 当前实例
+   */
+  restore(snapshot) {
+    const state = this._applySnapshot(snapshot);
+    
+    // 恢复状态后原有历史不再适用
+    if (this.history) {
+      this.history.clear();
+    }
+    
+    this.emit('state.restored', {
+      savedAt: state.savedAt,
+      sites: Object.keys(this.sites).length,
+      pages: Object.keys(this.pages).length
+    });
+    
+    return this;
+  }
+  
+  /**
+   * 将状态保存到存储适配器
+   * @param {string} key - 存储键
+   * @param {StorageAdapter} [adapter] - 存储适配器，默认使用构造选项中的 storage
+   * @returns {Promise<Object>} 保存的快照
+   */
+  async saveState(key = 'default', adapter = this.storage) {
+    if (!adapter) {
+      throw new UniCanvasError('STORAGE_NOT_CONFIGURED', 'No storage adapter was given or configured');
+    }
+    
+    const snapshot = this.serialize();
+    await adapter.save(key, snapshot);
+    
+    this.emit('state.saved', {
+      key,
+      savedAt: snapshot.savedAt,
+      omitted: snapshot.omitted
+    });
+    
+    return snapshot;
+  }
+  
+  /**
+   * 从存储适配器读取状态并恢复
+   * @param {string} key - 存储键
+   * @param {StorageAdapter} [adapter] - 存储适配器，默认使用构造选项中的 storage
+   * @returns {Promise<UniCanvas>} 当前实例
+   */
+  async loadState(key = 'default', adapter = this.storage) {
+    if (!adapter) {
+      throw new UniCanvasError('STORAGE_NOT_CONFIGURED', 'No storage adapter was given or configured');
+    }
+    
+    const snapshot = await adapter.load(key);
+    
+    if (!snapshot) {
+      throw new UniCanvasError('STATE_NOT_FOUND', `No saved state found for key ${key}`, { key });
+    }
+    
+    return this.restore(snapshot);
+  }
+  
+  /**
+   * 从快照创建新的实例
+   * @param {Object} snapshot - serialize 导出的快照
+   * @param {Object} options - 构造选项
+   * @returns {UniCanvas} 新实例
+   */
+  static fromSnapshot(snapshot, options = {}) {
+    return new UniCanvas(options).restore(snapshot);
+  }
+  
+  /**
+   * 渲染页面
+   * @param {string} pageId - 页面ID
+   * @param {Object} options - 渲染选项，见 buildPage
+   * @returns {string} 渲染后的HTML
+   */
+  renderPage(pageId, options = {}) {
+    return this.buildPage(pageId, options).html;
+  }
+  
+  /**
+   * 渲染页面并返回页面依赖的资源文件和响应头
+   * @param {string} pageId - 页面ID
+   * @param {Object} options - 渲染选项
+   * @param {string} [options.locale] - 语言，默认使用站点语言
+   * @param {boolean} [options.ssr] - 服务端渲染模式：输出水合标记和 JSON 状态块，浏览器端只关联组件不重新渲染
+   * @param {boolean|Object} [options.csp] - 启用内容安全策略，每次渲染生成新的 nonce 并添加到样式和脚本标签
+   * @param {Object} [options.csp.directives] - 覆盖的策略指令，值为 null 时移除该指令
+   * @param {string} [options.csp.delivery] - 策略输出方式：meta（默认，输出 <meta> 标签）或 header（只通过返回的 headers 下发）
+   * @param {string} [options.nonce] - 使用指定的 nonce，而不是随机生成
+   * @param {string} [options.assets] - 样式和脚本的输出方式：inline（默认）或 external（输出为按内容哈希命名的资源文件）
+   * @param {string} [options.assetBaseUrl] - 外部资源文件的URL前缀，默认为 /assets/
+   * @param {Object} [options.params] - 路由参数（见 resolveUrl），作为 params 传给组件模板
+   * @param {Object} [options.query] - 查询参数，作为 query 传给组件模板
+   * @returns {Object} { html, nonce, policy, headers, assets }
+   *   assets 为外部资源文件列表 [{ type: 'style' | 'script', path, url, hash, content }]，需要由调用方写入或托管
+   */
+  buildPage(pageId, options = {}) {
+    const page = this.getPage(pageId);
+    
+    if (!page) {
+      throw new UniCanvasError('PAGE_NOT_FOUND', `Page ${pageId} not found`);
+    }
+    
+    const site = this.getSite(page.siteId);
+    
+    if (!site) {
+      throw new UniCanvasError('SITE_NOT_FOUND', `Site ${page.siteId} not found`);
+    }
+    
+    // 未指定语言时使用站点语言，再回退到默认语言
+    const locale = this.templateEngine.resolveLocale(options.locale || site.config.locale);
+    const renderOptions = {
+      ...options,
+      locale
+    };
+    
+    // 内容安全策略：nonce 每次渲染重新生成，不能缓存渲染结果
+    const csp = options.csp ? (options.csp === true ? {} : options.csp) : null;
+    const nonce = options.nonce
+      ? this.contentSecurityPolicy.assertNonce(options.nonce)
+      : (csp ? this.contentSecurityPolicy.createNonce() : null);
+    const policy = csp
+      ? this.contentSecurityPolicy.build({ nonce, directives: csp.directives })
+      : null;
+    
+    const { tags, assets } = this._generatePageAssets(page, site, renderOptions, nonce);
+    
+    // 构建页面基础结构
+    let html = `<!DOCTYPE html>
+<html lang="${this._escapeHtml(locale)}">
+<head>
+  <meta charset="UTF-8">
+  ${policy && csp.delivery !== 'header' ? `<meta http-equiv="Content-Security-Policy" content="${this._escapeHtml(policy)}">` : ''}
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${this._escapeHtml(page.title)}</title>
+  <meta name="description" content="${this._escapeHtml(page.description)}">
+  ${this._generatePageMeta(page)}
+  ${tags.styles}
+</head>
+<body data-site="${this._escapeHtml(site.id)}" data-page="${this._escapeHtml(page.id)}">
+  <div class="unicanvas-page-container" data-positioning="${page.positioning}"${renderOptions.ssr ? ' data-ssr="true"' : ''}>
+    ${this._renderPageContent(page, site, renderOptions)}
+  </div>
+  ${tags.scripts}
+</body>
+</html>`;
+    
+    // 触发页面渲染事件
+    this.emit('page.rendered', {
+      pageId,
+      siteId: page.siteId,
+      locale,
+      ssr: !!renderOptions.ssr,
+      csp: !!policy,
+      assets: assets.map(asset => asset.path)
+    });
+    
+    return {
+      html,
+      nonce,
+      policy,
+      headers: policy ? { 'Content-Security-Policy': policy } : {},
+      assets
+    };
+  }
+  
+  /**
+   * 将站点导出为静态文件（仅 Node 环境）
+   * 每个页面按 page.path 输出为 HTML 文件，样式和脚本输出到 assets/ 下按内容哈希命名的文件，
+   * 同时生成 sitemap.xml 和 unicanvas-manifest.json，并报告失效的站内链接
+   * @param {string} siteId - 站点ID
+   * @param {string} outputDir - 输出目录
+   * @param {Object} options - 导出选项，见 StaticExporter
+   * @returns {Promise<Object>} 导出报告
+   */
+  async exportSite(siteId, outputDir, options = {}) {
+    const report = await new StaticExporter(this, options).exportSite(siteId, outputDir);
+    
+    if (report.brokenLinks.length > 0 && this.options.debug) {
+      console.warn(`Site ${siteId} has broken links:`, report.brokenLinks);
+    }
+    
+    this.emit('site.exported', {
+      siteId,
+      outputDir,
+      files: report.files,
+      brokenLinks: report.brokenLinks
+    });
+    
+    return report;
+  }
+  
+  /**
+   * 导出全部站点，每个站点输出到以域名（没有域名时为站点ID）命名的子目录
+   * @param {string} outputDir - 输出目录
+   * @param {Object} options - 导出选项，见 StaticExporter
+   * @param {Array<string>} [options.siteIds] - 只导出指定的站点
+   * @returns {Promise<Object>} 各站点的导出报告，键为站点ID
+   */
+  async exportSites(outputDir, options = {}) {
+    const { siteIds, ...exportOptions } = options;
+    const { join } = await import('node:path');
+    const reports = {};
+    const directories = new Set();
+    
+    for (const siteId of siteIds || Object.keys(this.sites)) {
+      const site = this.getSite(siteId);
+      
+      if (!site) {
+        throw new UniCanvasError('SITE_NOT_FOUND', `Site ${siteId} not found`);
+      }
+      
+      // 目录名只保留安全字符，重名时退回到站点ID
+      let directory = String(site.domain || site.id).replace(/[^\w.-]/g, '_').replace(/^\.+/, '_');
+      if (directories.has(directory)) {
+        directory = String(site.id).replace(/[^\w.-]/g, '_').replace(/^\.+/, '_');
+      }
+      directories.add(directory);
+      
+      reports[siteId] = await this.exportSite(siteId, join(outputDir, directory), exportOptions);
+    }
+    
+    return reports;
+  }
+  
+  /**
+   * 注册内部事件处理器
+   * @private
+   */
+  _registerInternalEventHandlers() {
+    // 监听模板应用事件
+    this.on('template.applied', (data) => {
+      if (this.options.debug) {
+        console.log(`Template ${data.templateId} applied to ${data.targetEnvironment.id}`);
+      }
+      
+      // 检查冲突
+      this.conflictDetector.checkConflicts({
+        type: 'template',
+        source: data.templateId,
+        target: data.targetEnvironment.id
+      });
+    });
+    
+    // 监听资源访问事件
+    this.on('resource.accessed', (data) => {
+      if (this.options.debug) {
+        console.log(`Resource ${data.resourceId} accessed by ${data.accessorId}`);
+      }
+    });
+  }
+  
+  /**
+   * 连接子系统
+   * @private
+   */
+  _connectSubsystems() {
+    // 模板引擎从资源中心解析样式变量
+    this.templateEngine.setResourceHub(this.resourceHub);
+    
+    // 连接模板引擎和资源中心
+    this._linkSubsystem(this.templateEngine, 'template.saved', (data) => {
+      // 注册模板资源
+      this.resourceHub.registerComponent(data.templateId, {
+        type: 'template',
+        content: data.template
+      }, {
+        scope: 'template',
+        metadata: data.template.metadata,
+        dependencies: [{ type: 'template', id: data.templateId }]
+      });
+    });
+    
+    // 连接冲突检测器和模板引擎
+    this.conflictDetector.on('conflict.detected', (data) => {
+      if (this.options.debug) {
+        console.warn('Conflict detected:', data);
+      }
+      
+      // 使用模板引擎的冲突处理器
+      if (data.type === 'css') {
+        this.templateEngine.conflictHandlers.style(data.selector, data.target);
+      } else if (data.type === 'name') {
+        this.templateEngine.conflictHandlers.name(data.name, data.target);
+      }
+    });
     
     // 连接沙箱桥接器和事件系统
     this.sandboxBridge.on('message.received', (data) => {
@@ -434,8 +1716,11 @@ class UniCanvas extends EventEmitter {
       }
     });
     
+    // 发布到模板市场前使用模板引擎检查模板
+    this.templateMarket.setLinter(template => this.templateEngine.lintTemplate(template));
+    
     // 连接模板市场和模板引擎
-    this.templateMarket.on('template.published', (data) => {
+    this._linkSubsystem(this.templateMarket, 'template.published', (data) => {
       // 将发布的模板添加到模板引擎
       this.templateEngine.saveTemplate(data.templateId, data.template, {
         sourceEnvironment: data.environment,
@@ -444,6 +1729,49 @@ class UniCanvas extends EventEmitter {
     });
   }
   
+  /**
+   * 注册子系统之间的联动，事务中的事件延迟触发时联动仍立即执行
+   * @param {EventEmitter} emitter - 触发事件的子系统
+   * @param {string} event - 事件名称
+   * @param {Function} listener - 联动处理函数
+   * @private
+   */
+  _linkSubsystem(emitter, event, listener) {
+    this._subsystemLinks.push({ emitter, event, listener });
+    
+    // 事务提交后补发的事件已在事务中执行过联动
+    emitter.on(event, data => {
+      if (!this._linkedEvents.has(data)) {
+        listener(data);
+      }
+    });
+  }
+  
+  /**
+   * 事务进行中时暂存子系统的事件，立即执行子系统之间的联动，提交后再通知其他监听器
+   * 联动出错时异常传给触发事件的调用方，使事务回滚
+   * @param {EventEmitter} emitter - 子系统
+   * @private
+   */
+  _deferSubsystemEvents(emitter) {
+    const emit = emitter.emit.bind(emitter);
+    
+    emitter.emit = (event, data) => {
+      if (this._transactions.length === 0 || !data || typeof data !== 'object') {
+        return emit(event, data);
+      }
+      
+      this._subsystemLinks
+        .filter(link => link.emitter === emitter && link.event === event)
+        .forEach(link => link.listener(data));
+      
+      this._linkedEvents.add(data);
+      this._pendingEvents.push({ emit, event, data });
+      
+      return true;
+    };
+  }
+  
   /**
    * 生成页面元数据
    * @param {Object} page - 页面对象
@@ -455,7 +1783,7 @@ class UniCanvas extends EventEmitter {
     
     if (page.meta) {
       for (const [key, value] of Object.entries(page.meta)) {
-        metaHtml += `  <meta name="${key}" content="${value}">\n`;
+        metaHtml += `  <meta name="${this._escapeHtml(key)}" content="${this._escapeHtml(value)}">\n`;
       }
     }
     
@@ -466,25 +1794,34 @@ class UniCanvas extends EventEmitter {
    * 生成页面样式
    * @param {Object} page - 页面对象
    * @param {Object} site - 站点对象
-   * @returns {string} 样式HTML
+   * @returns {string} 样式内容
+   * @private
+   */
+  _generatePageStyles(page, site) {
+    return this._generateBaseStyles(site) + this._generateComponentStyles(page);
+  }
+  
+  /**
+   * 生成站点内所有页面共用的样式
+   * @param {Object} site - 站点对象
+   * @returns {string} 样式内容
    * @private
    */
-  _generatePageStyles(page, site) {
-    let stylesHtml = `  <style>
-    :root {
+  _generateBaseStyles(site) {
+    let styles = `    :root {
 `;
     
-    // 添加全局样式变量
+    // 添加全局样式变量，跳过不是合法自定义属性名的变量，值中去掉可能闭合规则或样式元素的字符
     for (const [key, variable] of Object.entries(this.resourceHub.styleVariables)) {
-      if (variable.access === 'public' || variable.scope === 'system') {
-        stylesHtml += `      ${key}: ${variable.value};\n`;
+      if ((variable.access === 'public' || variable.scope === 'system') && /^--[\w-]+$/.test(key)) {
+        styles += `      ${key}: ${String(variable.value).replace(/[{}<>]/g, '')};\n`;
       }
     }
     
-    stylesHtml += `    }
+    styles += `    }
     
     /* 站点样式 */
-    [data-site="${site.id}"] {
+    [data-site="${this._escapeCssString(site.id)}"] {
       font-family: sans-serif;
     }
     
@@ -494,99 +1831,257 @@ class UniCanvas extends EventEmitter {
       margin: 0 auto;
       position: relative;
     }
-    
-    /* 组件样式 */
 `;
     
-    // 添加组件样式
+    // 站点内页面用到的布局，基础样式在站点页面之间共用
+    const layoutNames = new Set(site.pages
+      .map(pageId => this.getPage(pageId))
+      .filter(Boolean)
+      .map(page => this._getPageLayout(page, site)));
+    
+    [...layoutNames].filter(name => this.layouts.has(name)).forEach(name => {
+      const layoutStyles = this.layouts.generateStyles(name);
+      
+      if (layoutStyles) {
+        styles += `    \n    /* 布局 ${name} */\n    ${this._escapeRawText(layoutStyles, 'style')}`;
+      }
+    });
+    
+    return styles;
+  }
+  
+  /**
+   * 生成页面组件的样式
+   * @param {Object} page - 页面对象
+   * @returns {string} 样式内容，没有组件样式时为空字符串
+   * @private
+   */
+  _generateComponentStyles(page) {
+    let styles = '';
+    
     page.components.forEach(component => {
       if (component.style) {
-        stylesHtml += `    /* ${component.name} */\n`;
-        stylesHtml += `    ${component.style}\n\n`;
+        styles += `    /* ${this._escapeComment(component.name)} */\n`;
+        styles += `    ${this._escapeRawText(component.style, 'style')}\n\n`;
       }
     });
     
-    stylesHtml += `  </style>`;
+    // 定位模式下的组件位置
+    const positioning = this.positioner.generateStyles(
+      page,
+      component => `[data-component-id="${this._escapeCssString(component.id)}"]`
+    );
+    
+    if (positioning) {
+      styles += `    /* 组件定位（${page.positioning}） */\n    ${positioning.trim().split('\n').join('\n    ')}\n`;
+    }
     
-    return stylesHtml;
+    return styles ? `    \n    /* 组件样式 */\n${styles}` : '';
   }
   
   /**
    * 生成页面脚本
    * @param {Object} page - 页面对象
-   * @param {Object} site - 站点对象
-   * @returns {string} 脚本HTML
-   * @private
-   */
-  _generatePageScripts(page, site) {
-    let scriptsHtml = `  <script>
-    // UniCanvas 运行时
-    window.UniCanvas = {
-      siteId: "${site.id}",
-      pageId: "${page.id}",
-      components: {},
-      data: {},
-      events: new EventEmitter(),
-      
-      // 初始化函数
-      init() {
-        console.log("UniCanvas initialized for page ${page.id}");
-        this.setupComponents();
-        this.setupCommunication();
-      },
-      
-      // 设置组件
-      setupComponents() {
+   * @param {Object|null} state - 页面状态，为null时由运行时从 JSON 块读取
+   * @returns {string} 脚本内容
+   * @private
+   */
+  _generatePageScripts(page, state = null) {
+    return this._generateRuntimeScript(state) + this._generateComponentScripts(page);
+  }
+  
+  /**
+   * 生成启动浏览器运行时的脚本
+   * @param {Object|null} state - 页面状态，为null时由运行时从 JSON 块读取
+   * @returns {string} 脚本内容
+   * @private
+   */
+  _generateRuntimeScript(state = null) {
+    return `    // UniCanvas 运行时
+    (${uniCanvasRuntime.toString()})(window, document, ${state ? this._serializeForScript(state) : 'null'});
 `;
+  }
+  
+  /**
+   * 生成页面组件的脚本，组件关联到DOM节点后执行
+   * @param {Object} page - 页面对象
+   * @returns {string} 脚本内容，没有组件脚本时为空字符串
+   * @private
+   */
+  _generateComponentScripts(page) {
+    let scripts = '';
     
-    // 添加组件初始化代码
     page.components.forEach(component => {
-      scriptsHtml += `        // 初始化组件: ${component.name}\n`;
-      scriptsHtml += `        this.components["${component.id}"] = {\n`;
-      scriptsHtml += `          id: "${component.id}",\n`;
-      scriptsHtml += `          type: "${component.type}",\n`;
-      scriptsHtml += `          data: ${JSON.stringify(component.data)}\n`;
-      scriptsHtml += `        };\n\n`;
+      if (component.script) {
+        scripts += `    // ${this._escapeComment(component.name)} 脚本\n`;
+        scripts += `    UniCanvas.define(${this._serializeForScript(component.id)}, function (component, UniCanvas) {\n`;
+        scripts += `      ${this._escapeRawText(component.script, 'script')}\n`;
+        scripts += `    });\n\n`;
+      }
     });
     
-    scriptsHtml += `      },
-      
-      // 设置通信
-      setupCommunication() {
-        window.addEventListener("message", (event) => {
-          // 消息处理逻辑
-          if (event.data && event.data.target === "site_${site.id}") {
-            this.events.emit("message", event.data);
-          }
-        });
-      }
+    return scripts ? `    \n    // 组件脚本\n${scripts}` : '';
+  }
+  
+  /**
+   * 生成页面样式和脚本的标签，外部资源模式下同时生成资源文件
+   * 外部资源分为站点共用的基础样式、运行时和页面自身的组件样式、脚本，共用部分在页面之间只生成一份
+   * @param {Object} page - 页面对象
+   * @param {Object} site - 站点对象
+   * @param {Object} options - 渲染选项
+   * @param {string|null} nonce - 添加到标签上的 nonce
+   * @returns {Object} { tags: { styles, scripts }, assets }
+   * @private
+   */
+  _generatePageAssets(page, site, options, nonce) {
+    const nonceAttr = nonce ? ` nonce="${nonce}"` : '';
+    const external = options.assets === 'external';
+    const state = {
+      siteId: site.id,
+      pageId: page.id,
+      locale: options.locale || null,
+      ssr: !!options.ssr,
+      components: page.components.map(component => ({
+        id: component.id,
+        type: component.type,
+        templateId: component.templateId || null,
+        region: component.region,
+        data: component.data
+      }))
     };
     
-    // 组件脚本
-`;
+    // 服务端渲染或外部脚本时状态以 JSON 块输出，运行时启动时读取；数据块不会执行，不需要 nonce
+    const stateTag = options.ssr || external
+      ? `<script type="application/json" id="unicanvas-state">${this._serializeForScript(state)}</script>\n  `
+      : '';
+    
+    if (!external) {
+      return {
+        tags: {
+          styles: `<style${nonceAttr}>\n${this._generatePageStyles(page, site)}  </style>`,
+          scripts: `${stateTag}<script${nonceAttr}>\n${this._generatePageScripts(page, options.ssr ? null : state)}  </script>`
+        },
+        assets: []
+      };
+    }
     
-    // 添加组件脚本
-    page.components.forEach(component => {
-      if (component.script) {
-        scriptsHtml += `    // ${component.name} 脚本\n`;
-        scriptsHtml += `    (function() {\n`;
-        scriptsHtml += `      ${component.script}\n`;
-        scriptsHtml += `    })();\n\n`;
-      }
-    });
+    // 外部资源按内容哈希命名，内容不变时URL不变，可以长期缓存
+    const baseUrl = (options.assetBaseUrl || '/assets/').replace(/\/?$/, '/');
+    const assets = [
+      { type: 'style', name: 'base', extension: 'css', content: this._generateBaseStyles(site) },
+      { type: 'style', name: 'page', extension: 'css', content: this._generateComponentStyles(page) },
+      { type: 'script', name: 'runtime', extension: 'js', content: this._generateRuntimeScript() },
+      { type: 'script', name: 'page', extension: 'js', content: this._generateComponentScripts(page) }
+    ]
+      .filter(asset => asset.content)
+      .map(({ type, name, extension, content }) => {
+        const hash = this._hashContent(content);
+        const path = `${name}.${hash}.${extension}`;
+        
+        return { type, path, url: `${baseUrl}${path}`, hash, content };
+      });
     
-    scriptsHtml += `    
-    // 初始化
-    document.addEventListener("DOMContentLoaded", () => {
-      UniCanvas.init();
-    });
-  </script>`;
+    // 脚本按顺序延迟执行，运行时先于组件脚本启动
+    const tagsFor = type => assets
+      .filter(asset => asset.type === type)
+      .map(asset => (type === 'style'
+        ? `<link rel="stylesheet" href="${this._escapeHtml(asset.url)}"${nonceAttr}>`
+        : `<script src="${this._escapeHtml(asset.url)}"${nonceAttr} defer></script>`))
+      .join('\n  ');
+    
+    return {
+      tags: {
+        styles: tagsFor('style'),
+        scripts: `${stateTag}${tagsFor('script')}`
+      },
+      assets
+    };
+  }
+  
+  /**
+   * 计算内容哈希（两路 32 位 FNV-1a 组合），用于资源文件命名
+   * @param {string} content - 内容
+   * @returns {string} 16位十六进制哈希
+   * @private
+   */
+  _hashContent(content) {
+    let low = 0x811c9dc5;
+    let high = 0x050c5d1f;
+    
+    for (let i = 0; i < content.length; i++) {
+      const code = content.charCodeAt(i);
+      low = Math.imul(low ^ code, 0x01000193) >>> 0;
+      high = Math.imul(high ^ code ^ (low >>> 16), 0x01000193) >>> 0;
+    }
+    
+    return high.toString(16).padStart(8, '0') + low.toString(16).padStart(8, '0');
+  }
+  
+  /**
+   * 转义HTML文本和属性值
+   * @param {*} value - 待转义的值
+   * @returns {string} 转义后的字符串
+   * @private
+   */
+  _escapeHtml(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
     
-    return scriptsHtml;
+    return String(value).replace(/[&<>"'`]/g, char => `&#${char.charCodeAt(0)};`);
+  }
+  
+  /**
+   * 转义 CSS 字符串中的内容
+   * @param {*} value - 待转义的值
+   * @returns {string} 转义后的字符串（不含引号）
+   * @private
+   */
+  _escapeCssString(value) {
+    return String(value ?? '').replace(/["\\<>\r\n]/g, char => `\\${char.charCodeAt(0).toString(16)} `);
+  }
+  
+  /**
+   * 处理写入注释的文本，避免换行或注释结束符提前结束注释
+   * @param {*} value - 注释文本
+   * @returns {string} 处理后的文本
+   * @private
+   */
+  _escapeComment(value) {
+    return String(value ?? '')
+      .replace(/[\r\n\u2028\u2029]+/g, ' ')
+      .replace(/\*\//g, '* /')
+      .replace(/</g, '\\u003c');
+  }
+  
+  /**
+   * 处理 <script>、<style> 中的原始内容，避免提前闭合元素或进入注释转义状态
+   * @param {string} text - 原始内容
+   * @param {string} tagName - 所在元素名称
+   * @returns {string} 处理后的内容
+   * @private
+   */
+  _escapeRawText(text, tagName) {
+    return String(text ?? '')
+      .replace(new RegExp(`</(${tagName})`, 'gi'), '<\\/$1')
+      .replace(/<!--/g, '<\\!--');
+  }
+  
+  /**
+   * 将数据序列化为可安全嵌入 <script> 的 JSON
+   * @param {*} value - 数据
+   * @returns {string} JSON 文本
+   * @private
+   */
+  _serializeForScript(value) {
+    return JSON.stringify(value === undefined ? null : value)
+      .replace(/</g, '\\u003c')
+      .replace(/\u2028/g, '\\u2028')
+      .replace(/\u2029/g, '\\u2029');
   }
   
   /**
-   * 渲染页面内容
+   * 渲染页面内容，组件按所在区域和顺序放入页面布局
    * @param {Object} page - 页面对象
    * @param {Object} site - 站点对象
    * @param {Object} options - 渲染选项
@@ -594,21 +2089,424 @@ class UniCanvas extends EventEmitter {
    * @private
    */
   _renderPageContent(page, site, options) {
-    let contentHtml = '';
+    const layoutName = this._getPageLayout(page, site);
+    const layout = this.layouts.require(layoutName);
+    const regions = {};
     
-    // 如果有页面内容，直接使用
+    // 如果有页面内容，直接放入默认区域
     if (page.content) {
-      contentHtml = page.content;
+      regions[layout.defaultRegion] = page.content;
     } else {
-      // 否则渲染组件
-      page.components.forEach(component => {
-        contentHtml += `<div class="unicanvas-component" data-component-id="${component.id}" data-component-type="${component.type}">
-      ${component.content}
+      const regionNames = layout.regions.map(region => region.name);
+      
+      page.components
+        .map((component, index) => ({ component, index }))
+        .sort((a, b) => a.component.order - b.component.order || a.index - b.index)
+        .forEach(({ component }) => {
+          // 切换布局后不存在的区域中的组件放入默认区域
+          const region = regionNames.includes(component.region) ? component.region : layout.defaultRegion;
+          regions[region] = (regions[region] || '') + this._renderComponent(component, options);
+        });
+    }
+    
+    return this.layouts.render(layoutName, regions);
+  }
+  
+  /**
+   * 渲染单个组件
+   * @param {Object} component - 组件对象
+   * @param {Object} options - 渲染选项
+   * @returns {string} 组件HTML
+   * @private
+   */
+  _renderComponent(component, options) {
+    // 路由参数和查询参数作为 params、query 传给模板
+    const data = options.params || options.query
+      ? { ...component.data, params: options.params || {}, query: options.query || {} }
+      : component.data;
+    
+    // 引用模板的组件按页面语言渲染
+    const content = component.templateId
+      ? this.templateEngine.renderTemplate(component.templateId, data, { locale: options.locale })
+      : component.content;
+    
+    // 服务端渲染时添加水合标记，浏览器端据此复用已有DOM
+    const hydrationMarker = options.ssr
+      ? ` data-hydrate="true"${component.templateId ? ` data-template-id="${this._escapeHtml(component.templateId)}"` : ''}`
+      : '';
+    
+    return `<div class="unicanvas-component" data-component-id="${this._escapeHtml(component.id)}" data-component-type="${this._escapeHtml(component.type)}"${hydrationMarker}>
+      ${content}
     </div>\n`;
+  }
+  
+  /**
+   * 包装修改操作，记录帧进行中时在修改前记录将被修改的状态，并将操作记录到编辑历史
+   * @private
+   */
+  _instrumentOperations() {
+    Object.keys(RECORDED_OPERATIONS).forEach(target => {
+      const object = target === 'uniCanvas' ? this : this[target];
+      
+      Object.keys(RECORDED_OPERATIONS[target]).forEach(method => {
+        const original = object[method];
+        const scope = RECORDED_OPERATIONS[target][method];
+        const label = target === 'uniCanvas' ? method : `${target}.${method}`;
+        
+        object[method] = (...args) => this._record(label, () => {
+          if (this.recorder.isRecording()) {
+            scope(object, args).forEach(([owner, key, depth]) => this.recorder.capture(owner, key, depth));
+          }
+          
+          return original.apply(object, args);
+        });
+      });
+    });
+    
+    // 模板引擎未连接资源中心时使用自己的依赖关系图
+    const graphs = new Set([this.resourceHub.dependencyGraph, this.templateEngine.dependencyGraph]);
+    
+    graphs.forEach(graph => {
+      Object.keys(GRAPH_OPERATIONS).forEach(method => {
+        const original = graph[method];
+        
+        graph[method] = (...args) => {
+          if (this.recorder.isRecording()) {
+            const [sources, targets] = GRAPH_OPERATIONS[method](args);
+            this._captureGraph(graph, sources, targets);
+          }
+          
+          return original.apply(graph, args);
+        };
+      });
+    });
+  }
+  
+  /**
+   * 记录依赖关系图中节点的状态
+   * @param {DependencyGraph} graph - 依赖关系图
+   * @param {Array<Object>} sources - 节点信息或出边可能改变的节点 [{ type, id }]
+   * @param {Array<Object>} targets - 入边可能改变的节点 [{ type, id }]
+   * @private
+   */
+  _captureGraph(graph, sources, targets) {
+    const keyOf = node => (node && typeof node.type === 'string' && node.type && node.id !== undefined && node.id !== null
+      ? graph._key(node.type, node.id)
+      : null);
+    
+    sources.map(keyOf).filter(Boolean).forEach(key => {
+      this.recorder.capture(graph.nodes, key);
+      this.recorder.capture(graph.dependencies, key);
+      
+      // 清除出边时同时修改被依赖节点的入边
+      (graph.dependencies.get(key) || new Set()).forEach(target => this.recorder.capture(graph.dependents, target));
+    });
+    
+    targets.map(keyOf).filter(Boolean).forEach(key => this.recorder.capture(graph.dependents, key));
+  }
+  
+  /**
+   * 执行修改并记录为一条可撤销的命令
+   * 命令保存修改前被修改部分的状态，撤销时原地还原；嵌套的修改（如 removeSite 删除页面）合并到最外层的命令中
+   * @param {string} label - 命令名称
+   * @param {Function} fn - 执行修改的函数
+   * @returns {*} fn 的返回值
+   * @private
+   */
+  _record(label, fn) {
+    if (!this.history || this.history.replaying || this._recordingDepth > 0) {
+      return fn();
+    }
+    
+    const frame = this.recorder.begin();
+    let result;
+    
+    this._recordingDepth++;
+    try {
+      result = fn();
+    } finally {
+      this._recordingDepth--;
+      this.recorder.end(frame);
+    }
+    
+    // 重做时的状态在撤销前读取
+    const before = frame.slots;
+    let after = before;
+    
+    this.history.push({
+      label,
+      undo: () => {
+        after = this.recorder.read(before);
+        this._restoreRecorded(before);
+      },
+      redo: () => this._restoreRecorded(after)
+    });
+    
+    this.emit('history.recorded', {
+      label,
+      canUndo: true,
+      canRedo: false
+    });
+    
+    return result;
+  }
+  
+  /**
+   * 还原记录的状态，并清除可能过期的模板编译结果
+   * @param {Array<Object>} slots - StateRecorder 记录的状态
+   * @private
+   */
+  _restoreRecorded(slots) {
+    this.recorder.restore(slots);
+    this.templateEngine.compiledCache.clear();
+  }
+  
+  /**
+   * 将快照中的状态应用到当前实例，不清空历史、不触发事件
+   * @param {Object} snapshot - serialize 导出的快照
+   * @returns {Object} 还原后的状态
+   * @private
+   */
+  _applySnapshot(snapshot) {
+    if (!snapshot || snapshot.format !== SNAPSHOT_FORMAT) {
+      throw new UniCanvasError('INVALID_SNAPSHOT', 'Snapshot is not a UniCanvas state snapshot');
+    }
+    
+    if (!(snapshot.version <= SNAPSHOT_VERSION)) {
+      throw new UniCanvasError(
+        'UNSUPPORTED_SNAPSHOT_VERSION',
+        `Snapshot version ${snapshot.version} is not supported`,
+        { version: snapshot.version, supported: SNAPSHOT_VERSION }
+      );
+    }
+    
+    const state = this.serializer.decode(snapshot);
+    
+    // 在事务中恢复时，回滚需要还原被替换的全部状态
+    if (this.recorder.isRecording()) {
+      const graph = this.resourceHub.dependencyGraph;
+      
+      [
+        [this, 'sites'], [this, 'pages'], [this.layouts, 'layouts'], [this.sandboxBridge.options, 'allowedOrigins'],
+        ...RESOURCE_HUB_STATE.map(field => [this.resourceHub, field]),
+        [this.templateEngine, 'templates'], [this.templateEngine, 'templateVersions'],
+        ...['templates', 'categories', 'tags', 'authors'].map(field => [this.templateMarket, field])
+      ].forEach(([owner, key]) => this.recorder.capture(owner, key, 0));
+      
+      ['nodes', 'dependencies', 'dependents'].forEach(field => this.recorder.capture(graph, field));
+    }
+    
+    // 先注册布局，页面引用的未注册布局在渲染时使用 standard 布局；快照中包含内置布局，直接替换全部布局
+    if (state.layouts) {
+      this.layouts.layouts = {};
+      Object.keys(state.layouts).forEach(name => this.layouts.register(name, state.layouts[name]));
+    }
+    
+    this.sites = state.sites || {};
+    this.pages = state.pages || {};
+    this.sandboxBridge.options.allowedOrigins = (state.communication && state.communication.allowedOrigins) || [];
+    
+    RESOURCE_HUB_STATE.forEach(field => {
+      if (state.resourceHub && state.resourceHub[field] !== undefined) {
+        this.resourceHub[field] = state.resourceHub[field];
+      }
+    });
+    
+    const engineState = state.templateEngine || {};
+    this.templateEngine.templates = engineState.templates || {};
+    this.templateEngine.templateVersions = engineState.templateVersions || {};
+    this.templateEngine.compiledCache.clear();
+    
+    const marketState = state.templateMarket || {};
+    this.templateMarket.templates = marketState.templates || {};
+    this.templateMarket.categories = marketState.categories || this.templateMarket.categories;
+    this.templateMarket.tags = marketState.tags || new Set();
+    this.templateMarket.authors = marketState.authors || new Set();
+    
+    // 模板引擎可能共享该图，原地替换内容
+    this.resourceHub.dependencyGraph.load(state.dependencyGraph);
+    
+    return state;
+  }
+  
+  /**
+   * 获取站点，不存在时抛出错误
+   * @param {string} siteId - 站点ID
+   * @returns {Object} 站点对象
+   * @private
+   */
+  _requireSite(siteId) {
+    const site = this.getSite(siteId);
+    
+    if (!site) {
+      throw new UniCanvasError('SITE_NOT_FOUND', `Site ${siteId} not found`);
+    }
+    
+    return site;
+  }
+  
+  /**
+   * 获取页面，不存在时抛出错误
+   * @param {string} pageId - 页面ID
+   * @returns {Object} 页面对象
+   * @private
+   */
+  _requirePage(pageId) {
+    const page = this.getPage(pageId);
+    
+    if (!page) {
+      throw new UniCanvasError('PAGE_NOT_FOUND', `Page ${pageId} not found`);
+    }
+    
+    return page;
+  }
+  
+  /**
+   * 获取页面中的组件，不存在时抛出错误
+   * @param {Object} page - 页面对象
+   * @param {string} componentId - 组件ID
+   * @returns {Object} 组件对象
+   * @private
+   */
+  _requireComponent(page, componentId) {
+    const component = page.components.find(comp => comp.id === componentId);
+    
+    if (!component) {
+      throw new UniCanvasError('COMPONENT_NOT_FOUND', `Component ${componentId} not found in page ${page.id}`);
+    }
+    
+    return component;
+  }
+  
+  /**
+   * 将组件的副本添加到页面
+   * @param {Object} component - 源组件
+   * @param {string} pageId - 目标页面ID
+   * @param {Object} options - 覆盖的ID和放置选项 { id, region, order, position, size }
+   * @returns {string} 新组件ID
+   * @private
+   */
+  _copyComponent(component, pageId, options = {}) {
+    const targetLayout = this.layouts.require(this._getPageLayout(this._requirePage(pageId)));
+    const region = targetLayout.regions.some(item => item.name === component.region) ? component.region : null;
+    
+    return this.addComponentToPage(pageId, {
+      ...JSON.parse(JSON.stringify({ ...component, createdAt: undefined, updatedAt: undefined })),
+      id: options.id === undefined ? component.id : options.id
+    }, {
+      region: options.region || region,
+      order: 'order' in options ? options.order : component.order,
+      position: { ...component.position, ...options.position },
+      size: { ...component.size, ...options.size }
+    });
+  }
+  
+  /**
+   * 根据页面组件引用的模板重建页面的依赖
+   * @param {Object} page - 页面对象
+   * @private
+   */
+  _syncPageDependencies(page) {
+    const templateIds = [...new Set(page.components.map(comp => comp.templateId).filter(Boolean))];
+    
+    this.resourceHub.dependencyGraph.setDependencies(
+      'page',
+      page.id,
+      templateIds.map(id => ({ type: 'template', id }))
+    );
+  }
+  
+  /**
+   * 检查路径在站点中是否可用，动态段名称不同但形状相同的路径（如 /p/:id 和 /p/:slug）视为冲突
+   * @param {Object} site - 站点对象
+   * @param {string} path - 路径
+   * @param {string} [pageId] - 正在修改路径的页面，不与自身比较
+   * @returns {string} 规范化后的路径
+   * @throws {UniCanvasError} 路径已被页面或重定向使用时抛出 PAGE_PATH_CONFLICT
+   * @private
+   */
+  _assertPathAvailable(site, path, pageId = null) {
+    const route = this.router.compile(path);
+    const conflict = this._findPathConflict(site, route.key, pageId);
+    
+    if (conflict) {
+      throw new UniCanvasError(
+        'PAGE_PATH_CONFLICT',
+        `Path ${route.path} conflicts with ${conflict.type === 'page' ? `page ${conflict.pageId}` : 'a redirect'} at ${conflict.path} in site ${site.id}`,
+        { siteId: site.id, path: route.path, conflict }
+      );
+    }
+    
+    return route.path;
+  }
+  
+  /**
+   * 查找站点中形状相同的路由
+   * @param {Object} site - 站点对象
+   * @param {string} key - 路径形状
+   * @param {string} [pageId] - 忽略的页面
+   * @returns {Object|null} 冲突的路由 { type, path, pageId }
+   * @private
+   */
+  _findPathConflict(site, key, pageId = null) {
+    const routes = [
+      ...site.pages.filter(id => id !== pageId).map(id => ({ type: 'page', path: this.pages[id].path, pageId: id })),
+      ...(site.redirects || []).map(redirect => ({ type: 'redirect', path: redirect.from }))
+    ];
+    
+    return routes.find(route => this.router.compile(route.path).key === key) || null;
+  }
+  
+  /**
+   * 获取站点中可用的路径，已被使用时在最后一个静态段后追加 -copy、-copy-2 等，没有静态段时添加 /copy 前缀
+   * @param {Object} site - 站点对象
+   * @param {string} path - 期望的路径
+   * @returns {string} 可用的路径
+   * @private
+   */
+  _getAvailablePath(site, path) {
+    const { segments } = this.router.compile(path);
+    const lastStatic = segments.map(segment => segment.type).lastIndexOf('static');
+    
+    for (let attempt = 0; ; attempt++) {
+      const suffix = attempt === 0 ? '' : (attempt === 1 ? 'copy' : `copy-${attempt}`);
+      const parts = segments.map((segment, index) => {
+        const value = segment.type === 'static' ? segment.value : `${segment.type === 'param' ? ':' : '*'}${segment.name}`;
+        return suffix && index === lastStatic ? `${value}-${suffix}` : value;
       });
+      
+      if (suffix && lastStatic === -1) {
+        parts.unshift(suffix);
+      }
+      
+      const candidate = `/${parts.join('/')}`;
+      
+      if (!this._findPathConflict(site, this.router.compile(candidate).key)) {
+        return candidate;
+      }
+    }
+  }
+  
+  /**
+   * 获取页面使用的布局，页面未指定时继承站点布局
+   * 快照恢复后引用的布局可能未注册，此时使用 standard 布局
+   * @param {Object} page - 页面对象
+   * @param {Object} [site] - 站点对象
+   * @returns {string} 布局名称
+   * @private
+   */
+  _getPageLayout(page, site = this.getSite(page.siteId)) {
+    const name = page.layout || (site && site.config.layout) || FALLBACK_LAYOUT;
+    
+    if (this.layouts.has(name)) {
+      return name;
+    }
+    
+    if (this.options.debug) {
+      console.warn(`Layout ${name} of page ${page.id} is not registered, using the ${FALLBACK_LAYOUT} layout`);
     }
     
-    return contentHtml;
+    return FALLBACK_LAYOUT;
   }
   
   /**
@@ -3,13 +3,23 @@ import UniCanvas from './core/UniCanvas';
 import SmartTemplateEngine from './core/SmartTemplateEngine';
 import TemplateMarket from './core/TemplateMarket';
 import GlobalResourceHub from './utils/GlobalResourceHub';
+import StorageAdapter from './utils/StorageAdapter';
+import MemoryStorageAdapter from './utils/MemoryStorageAdapter';
+import JsonFileStorageAdapter from './utils/JsonFileStorageAdapter';
+import LocalStorageAdapter from './utils/LocalStorageAdapter';
+import IndexedDBStorageAdapter from './utils/IndexedDBStorageAdapter';
 
 // 导出主要类和功能
 export {
   UniCanvas,
   SmartTemplateEngine,
   TemplateMarket,
-  GlobalResourceHub
+  GlobalResourceHub,
+  StorageAdapter,
+  MemoryStorageAdapter,
+  JsonFileStorageAdapter,
+  LocalStorageAdapter,
+  IndexedDBStorageAdapter
 };
 
 // 默认导出主类
@@ -0,0 +1,207 @@
+/**
+ * BrowserRuntime.js
+ * 页面在浏览器中使用的运行时，由 UniCanvas.renderPage 以源码形式内联到页面
+ * 运行时按 data-component-id 将服务端渲染的组件重新关联到 DOM 节点，不会重新渲染组件内容
+ *
+ * 注意：该函数会通过 toString() 序列化后在浏览器中执行，不能引用模块内的其他变量或导入
+ */
+
+/**
+ * 创建并挂载浏览器运行时
+ * @param {Window} window - 浏览器 window 对象
+ * @param {Document} document - 浏览器 document 对象
+ * @param {Object|null} initialState - 页面状态，为null时从 #unicanvas-state 读取
+ * @returns {Object} 运行时对象，同时挂载到 window.UniCanvas
+ */
+export default function uniCanvasRuntime(window, document, initialState) {
+  const listeners = {};
+  const definitions = {};
+
+  const runtime = {
+    siteId: null,
+    pageId: null,
+    locale: null,
+    ssr: false,
+    components: {},
+    data: {},
+    started: false,
+
+    /**
+     * 订阅事件
+     * @param {string} event - 事件名称
+     * @param {Function} listener - 监听函数
+     * @returns {Function} 取消订阅函数
+     */
+    on(event, listener) {
+      (listeners[event] = listeners[event] || []).push(listener);
+      return () => runtime.off(event, listener);
+    },
+
+    /**
+     * 取消订阅
+     * @param {string} event - 事件名称
+     * @param {Function} listener - 监听函数
+     */
+    off(event, listener) {
+      listeners[event] = (listeners[event] || []).filter(item => item !== listener);
+    },
+
+    /**
+     * 触发事件
+     * @param {string} event - 事件名称
+     * @param {*} payload - 事件数据
+     */
+    emit(event, payload) {
+      (listeners[event] || []).slice().forEach(listener => {
+        try {
+          listener(payload);
+        } catch (error) {
+          console.error(`UniCanvas listener for "${event}" failed:`, error);
+        }
+      });
+    },
+
+    /**
+     * 注册组件脚本，组件关联到DOM节点后以 (component, runtime) 调用
+     * @param {string} id - 组件ID
+     * @param {Function} setup - 组件脚本
+     */
+    define(id, setup) {
+      definitions[id] = setup;
+
+      // 运行时已启动时立即执行
+      if (runtime.started && runtime.components[id]) {
+        runtime._setup(runtime.components[id]);
+      }
+    },
+
+    /**
+     * 获取组件实例
+     * @param {string} id - 组件ID
+     * @returns {Object|null} 组件实例 { id, type, templateId, data, element, hydrated }
+     */
+    getComponent(id) {
+      return runtime.components[id] || null;
+    },
+
+    /**
+     * 读取状态并关联组件
+     * @returns {Object} 运行时对象
+     */
+    start() {
+      if (runtime.started) {
+        return runtime;
+      }
+
+      const state = initialState || runtime._readState();
+
+      runtime.siteId = state.siteId || null;
+      runtime.pageId = state.pageId || null;
+      runtime.locale = state.locale || null;
+      runtime.ssr = !!state.ssr;
+      runtime.data = state.data || {};
+
+      (state.components || []).forEach(component => {
+        const element = document.querySelector(`[data-component-id="${runtime._escapeSelector(component.id)}"]`);
+
+        runtime.components[component.id] = {
+          id: component.id,
+          type: component.type,
+          templateId: component.templateId || null,
+          data: component.data || {},
+          element,
+          // 服务端渲染并带有标记的组件直接复用现有DOM
+          hydrated: !!element && element.hasAttribute('data-hydrate')
+        };
+
+        if (element) {
+          element.setAttribute('data-hydrated', 'true');
+        }
+      });
+
+      runtime.started = true;
+
+      Object.keys(runtime.components).forEach(id => runtime._setup(runtime.components[id]));
+      runtime._setupCommunication();
+      runtime.emit('ready', runtime);
+
+      return runtime;
+    },
+
+    /**
+     * 执行组件脚本
+     * @param {Object} component - 组件实例
+     * @private
+     */
+    _setup(component) {
+      const setup = definitions[component.id];
+
+      if (!setup || component.initialized) {
+        return;
+      }
+
+      component.initialized = true;
+
+      try {
+        setup.call(component.element, component, runtime);
+        runtime.emit('component.hydrated', component);
+      } catch (error) {
+        console.error(`UniCanvas component ${component.id} failed to initialize:`, error);
+      }
+    },
+
+    /**
+     * 从页面中的 JSON 状态块读取状态
+     * @returns {Object} 页面状态
+     * @private
+     */
+    _readState() {
+      const node = document.getElementById('unicanvas-state');
+
+      if (!node) {
+        return {};
+      }
+
+      try {
+        return JSON.parse(node.textContent || '{}');
+      } catch (error) {
+        console.error('UniCanvas state is not valid JSON:', error);
+        return {};
+      }
+    },
+
+    /**
+     * 监听发给当前站点的跨窗口消息
+     * @private
+     */
+    _setupCommunication() {
+      window.addEventListener('message', event => {
+        if (event.data && event.data.target === `site_${runtime.siteId}`) {
+          runtime.emit('message', event.data);
+        }
+      });
+    },
+
+    /**
+     * 转义属性选择器中的值
+     * @param {string} value - 属性值
+     * @returns {string} 转义后的值
+     * @private
+     */
+    _escapeSelector(value) {
+      return window.CSS && window.CSS.escape
+        ? window.CSS.escape(String(value))
+        : String(value).replace(/["\\]/g, '\\$&');
+    }
+  };
+
+  window.UniCanvas = runtime;
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => runtime.start());
+  } else {
+    runtime.start();
+  }
+
+  return runtime;
+}
@@ -0,0 +1,144 @@
+/**
+ * CommandHistory.js
+ * 命令历史，保存可撤销的命令 { label, undo, redo }，支持分组和撤销/重做
+ */
+import { UniCanvasError } from './UniCanvasError.js';
+
+class CommandHistory {
+  /**
+   * @param {Object} options - 选项
+   * @param {number} [options.maxDepth] - 保留的最大命令数，默认为 100
+   */
+  constructor(options = {}) {
+    this.options = {
+      maxDepth: options.maxDepth || 100,
+      debug: options.debug || false
+    };
+
+    if (!Number.isInteger(this.options.maxDepth) || this.options.maxDepth < 1) {
+      throw new UniCanvasError('INVALID_HISTORY_CONFIG', 'History depth must be a positive integer', { maxDepth: this.options.maxDepth });
+    }
+
+    this.undoStack = [];
+    this.redoStack = [];
+
+    // 正在执行撤销或重做，期间的修改不再记录
+    this.replaying = false;
+  }
+
+  /**
+   * 记录已执行的命令，同时清空重做栈
+   * @param {Object} command - 命令 { label, undo(), redo() }
+   * @returns {Object} 记录的命令
+   */
+  push(command) {
+    if (!command || typeof command.undo !== 'function' || typeof command.redo !== 'function') {
+      throw new UniCanvasError('INVALID_COMMAND', 'Command must provide undo and redo functions');
+    }
+
+    const entry = {
+      label: command.label || 'command',
+      undo: command.undo,
+      redo: command.redo,
+      timestamp: Date.now()
+    };
+
+    this.undoStack.push(entry);
+    this.redoStack = [];
+
+    // 超出深度时丢弃最早的命令
+    if (this.undoStack.length > this.options.maxDepth) {
+      this.undoStack.splice(0, this.undoStack.length - this.options.maxDepth);
+    }
+
+    return entry;
+  }
+
+  /**
+   * 撤销最近的命令
+   * @returns {Object|null} 撤销的命令，没有可撤销的命令时为null
+   */
+  undo() {
+    const command = this.undoStack.pop();
+
+    if (!command) {
+      return null;
+    }
+
+    this._replay(command, 'undo');
+    this.redoStack.push(command);
+
+    return command;
+  }
+
+  /**
+   * 重做最近撤销的命令
+   * @returns {Object|null} 重做的命令，没有可重做的命令时为null
+   */
+  redo() {
+    const command = this.redoStack.pop();
+
+    if (!command) {
+      return null;
+    }
+
+    this._replay(command, 'redo');
+    this.undoStack.push(command);
+
+    return command;
+  }
+
+  /**
+   * 是否有可撤销的命令
+   * @returns {boolean}
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * 是否有可重做的命令
+   * @returns {boolean}
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * 清空历史
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  /**
+   * 获取历史概要
+   * @returns {Object} { undo: [label], redo: [label] }，最近的命令在最后
+   */
+  getState() {
+    return {
+      undo: this.undoStack.map(command => command.label),
+      redo: this.redoStack.map(command => command.label)
+    };
+  }
+
+  /**
+   * 执行撤销或重做
+   * @param {Object} command - 命令
+   * @param {string} direction - undo 或 redo
+   * @private
+   */
+  _replay(command, direction) {
+    this.replaying = true;
+
+    try {
+      command[direction]();
+    } finally {
+      this.replaying = false;
+    }
+  }
+}
+
+// 导出模块
+export default CommandHistory;
@@ -0,0 +1,290 @@
+/**
+ * ComponentPositioner.js
+ * 组件定位，按页面的定位模式将组件的 position 和 size 转换为样式，并检测组件之间的重叠
+ *   flow     - 按区域和顺序依次排列（默认），忽略位置和尺寸
+ *   absolute - 自由画布，x / y 为相对所在区域的偏移，宽高为尺寸
+ *   grid     - 网格，x / y 为从0开始的列和行，宽高为跨越的列数和行数
+ */
+import { UniCanvasError } from './UniCanvasError.js';
+
+const MODES = ['flow', 'absolute', 'grid'];
+
+// 允许的长度值，数字按 px 处理
+const LENGTH_REGEX = /^-?\d+(?:\.\d+)?(?:px|%|em|rem|vw|vh)$/;
+
+const DEFAULT_GRID = {
+  columns: 12,
+  rowHeight: 40,
+  gap: 8
+};
+
+class ComponentPositioner {
+  constructor(options = {}) {
+    this.options = {
+      debug: options.debug || false
+    };
+  }
+
+  /**
+   * 规范化页面的定位配置
+   * @param {string} [mode] - 定位模式
+   * @param {Object} [grid] - 网格配置 { columns, rowHeight, gap }
+   * @returns {Object} { positioning, grid }
+   * @throws {UniCanvasError} 配置无效时抛出 INVALID_PAGE_CONFIG
+   */
+  normalizeConfig(mode, grid = {}) {
+    const positioning = mode || 'flow';
+
+    if (!MODES.includes(positioning)) {
+      throw new UniCanvasError(
+        'INVALID_PAGE_CONFIG',
+        `Unknown positioning mode ${positioning}`,
+        { positioning, supported: MODES }
+      );
+    }
+
+    const normalized = { ...DEFAULT_GRID, ...grid };
+
+    if (!Number.isInteger(normalized.columns) || normalized.columns < 1) {
+      throw new UniCanvasError('INVALID_PAGE_CONFIG', 'Grid columns must be a positive integer', { grid });
+    }
+
+    ['rowHeight', 'gap'].forEach(key => {
+      if (this._toLength(normalized[key]) === null) {
+        throw new UniCanvasError('INVALID_PAGE_CONFIG', `Grid ${key} must be a length`, { grid });
+      }
+    });
+
+    return { positioning, grid: normalized };
+  }
+
+  /**
+   * 检查组件的位置和尺寸
+   * @param {Object} position - 位置 { x, y }
+   * @param {Object} size - 尺寸 { width, height }，值可以为 auto
+   * @param {Object} [page] - 组件所在的页面 { positioning, grid }，grid 模式下组件不能超出网格的列数
+   * @throws {UniCanvasError} 值无效或超出网格时抛出 INVALID_COMPONENT
+   */
+  validate(position, size, page = null) {
+    ['x', 'y'].forEach(key => {
+      if (this._toLength(position[key]) === null) {
+        throw new UniCanvasError('INVALID_COMPONENT', `Component position ${key} must be a number or a length`, { position });
+      }
+    });
+
+    ['width', 'height'].forEach(key => {
+      if (size[key] !== 'auto' && this._toLength(size[key]) === null) {
+        throw new UniCanvasError('INVALID_COMPONENT', `Component size ${key} must be a number, a length or auto`, { size });
+      }
+    });
+
+    if (page && page.positioning === 'grid') {
+      const { columns } = page.grid;
+      const column = typeof position.x === 'number' ? Math.floor(position.x) : 0;
+      const columnSpan = typeof size.width === 'number' ? Math.max(Math.floor(size.width), 1) : 1;
+
+      if (column < 0 || column + columnSpan > columns) {
+        throw new UniCanvasError(
+          'INVALID_COMPONENT',
+          `Component spans columns ${column} to ${column + columnSpan} but the grid has ${columns} columns`,
+          { position, size, columns }
+        );
+      }
+    }
+  }
+
+  /**
+   * 生成定位样式
+   * @param {Object} page - 页面对象 { positioning, grid, components }
+   * @param {Function} selectorFor - 根据组件返回其选择器
+   * @returns {string} 样式内容，flow 模式为空字符串
+   */
+  generateStyles(page, selectorFor) {
+    if (page.positioning === 'absolute') {
+      return this._generateAbsoluteStyles(page, selectorFor);
+    }
+
+    if (page.positioning === 'grid') {
+      return this._generateGridStyles(page, selectorFor);
+    }
+
+    return '';
+  }
+
+  /**
+   * 查找同一区域中相互重叠的组件
+   * absolute 模式下只比较以数字（px）表示位置和尺寸的组件，尺寸为 auto 或百分比等无法静态确定的组件会被跳过
+   * @param {Object} page - 页面对象
+   * @returns {Array<Object>} 重叠列表 [{ region, components: [id, id], area }]，area 为重叠面积（px 或网格单元数）
+   */
+  findOverlaps(page) {
+    if (page.positioning === 'flow') {
+      return [];
+    }
+
+    const boxes = page.components
+      .map(component => ({ component, box: this._getBox(component, page) }))
+      .filter(item => item.box);
+
+    const overlaps = [];
+
+    boxes.forEach((a, i) => {
+      boxes.slice(i + 1).forEach(b => {
+        if (a.component.region !== b.component.region) {
+          return;
+        }
+
+        const width = Math.min(a.box.right, b.box.right) - Math.max(a.box.left, b.box.left);
+        const height = Math.min(a.box.bottom, b.box.bottom) - Math.max(a.box.top, b.box.top);
+
+        if (width > 0 && height > 0) {
+          overlaps.push({
+            region: a.component.region,
+            components: [a.component.id, b.component.id],
+            area: width * height
+          });
+        }
+      });
+    });
+
+    return overlaps;
+  }
+
+  /**
+   * 生成自由画布样式，区域的最小高度容纳其中所有组件
+   * @param {Object} page - 页面对象
+   * @param {Function} selectorFor - 根据组件返回其选择器
+   * @returns {string} 样式内容
+   * @private
+   */
+  _generateAbsoluteStyles(page, selectorFor) {
+    const heights = {};
+    let css = '';
+
+    page.components.forEach(component => {
+      const { position, size } = component;
+      const rules = [
+        'position: absolute',
+        `left: ${this._toLength(position.x)}`,
+        `top: ${this._toLength(position.y)}`
+      ];
+
+      if (size.width !== 'auto') {
+        rules.push(`width: ${this._toLength(size.width)}`);
+      }
+      if (size.height !== 'auto') {
+        rules.push(`height: ${this._toLength(size.height)}`);
+      }
+
+      css += `${selectorFor(component)} { ${rules.join('; ')}; }\n`;
+
+      if (typeof position.y === 'number' && typeof size.height === 'number') {
+        heights[component.region] = Math.max(heights[component.region] || 0, position.y + size.height);
+      }
+    });
+
+    const regions = [...new Set(page.components.map(component => component.region))];
+
+    regions.forEach(region => {
+      const minHeight = heights[region] ? ` min-height: ${heights[region]}px;` : '';
+      css += `.unicanvas-layout > [data-region="${region}"] { position: relative;${minHeight} }\n`;
+    });
+
+    return css;
+  }
+
+  /**
+   * 生成网格样式
+   * @param {Object} page - 页面对象
+   * @param {Function} selectorFor - 根据组件返回其选择器
+   * @returns {string} 样式内容
+   * @private
+   */
+  _generateGridStyles(page, selectorFor) {
+    const { columns, rowHeight, gap } = page.grid;
+    const regions = [...new Set(page.components.map(component => component.region))];
+    let css = '';
+
+    regions.forEach(region => {
+      css += `.unicanvas-layout > [data-region="${region}"] { display: grid; grid-template-columns: repeat(${columns}, 1fr); grid-auto-rows: ${this._toLength(rowHeight)}; gap: ${this._toLength(gap)}; }\n`;
+    });
+
+    page.components.forEach(component => {
+      const cell = this._getGridCell(component, page.grid);
+      css += `${selectorFor(component)} { grid-column: ${cell.column + 1} / span ${cell.columnSpan}; grid-row: ${cell.row + 1} / span ${cell.rowSpan}; }\n`;
+    });
+
+    return css;
+  }
+
+  /**
+   * 获取组件占据的矩形
+   * @param {Object} component - 组件对象
+   * @param {Object} page - 页面对象
+   * @returns {Object|null} { left, top, right, bottom }，无法确定时为null
+   * @private
+   */
+  _getBox(component, page) {
+    if (page.positioning === 'grid') {
+      const cell = this._getGridCell(component, page.grid);
+
+      return {
+        left: cell.column,
+        top: cell.row,
+        right: cell.column + cell.columnSpan,
+        bottom: cell.row + cell.rowSpan
+      };
+    }
+
+    const { position, size } = component;
+    const values = [position.x, position.y, size.width, size.height];
+
+    if (!values.every(value => typeof value === 'number')) {
+      return null;
+    }
+
+    return {
+      left: position.x,
+      top: position.y,
+      right: position.x + size.width,
+      bottom: position.y + size.height
+    };
+  }
+
+  /**
+   * 将组件的位置和尺寸换算为网格单元，超出列数的部分被截断
+   * @param {Object} component - 组件对象
+   * @param {Object} grid - 网格配置
+   * @returns {Object} { column, row, columnSpan, rowSpan }
+   * @private
+   */
+  _getGridCell(component, grid) {
+    const toCell = (value, fallback) => (typeof value === 'number' && value >= 0 ? Math.floor(value) : fallback);
+    const column = Math.min(toCell(component.position.x, 0), grid.columns - 1);
+    const row = toCell(component.position.y, 0);
+
+    return {
+      column,
+      row,
+      columnSpan: Math.min(Math.max(toCell(component.size.width, 1), 1), grid.columns - column),
+      rowSpan: Math.max(toCell(component.size.height, 1), 1)
+    };
+  }
+
+  /**
+   * 转换为 CSS 长度
+   * @param {number|string} value - 数字（px）或带单位的长度
+   * @returns {string|null} CSS 长度，无效时为null
+   * @private
+   */
+  _toLength(value) {
+    if (typeof value === 'number') {
+      return Number.isFinite(value) ? `${value}px` : null;
+    }
+
+    return typeof value === 'string' && LENGTH_REGEX.test(value) ? value : null;
+  }
+}
+
+// 导出模块
+export default ComponentPositioner;
@@ -0,0 +1,146 @@
+/**
+ * ContentSecurityPolicy.js
+ * 内容安全策略生成器，为页面渲染生成一次性 nonce 并拼装 CSP 策略字符串
+ */
+import { UniCanvasError } from './UniCanvasError.js';
+
+// 默认策略：只允许同源资源和带 nonce 的内联脚本、样式
+const DEFAULT_DIRECTIVES = {
+  'default-src': ["'self'"],
+  'script-src': ["'self'"],
+  'style-src': ["'self'"],
+  'object-src': ["'none'"],
+  'base-uri': ["'self'"]
+};
+
+// 需要附加 nonce 的指令
+const NONCE_DIRECTIVES = ['script-src', 'style-src'];
+
+// nonce 只允许 base64 / base64url 字符，保证可以直接写入属性和策略
+const NONCE_REGEX = /^[A-Za-z0-9+/_-]+={0,2}$/;
+
+// 指令名称和来源表达式中不能出现分隔符
+const DIRECTIVE_NAME_REGEX = /^[a-z][a-z-]*$/;
+const SOURCE_REGEX = /^[^\s;,]+$/;
+
+class ContentSecurityPolicy {
+  constructor(options = {}) {
+    this.options = {
+      directives: options.directives || {},
+      debug: options.debug || false
+    };
+  }
+
+  /**
+   * 生成随机 nonce
+   * @param {number} size - 随机字节数
+   * @returns {string} base64 编码的 nonce
+   * @throws {UniCanvasError} 运行环境没有安全随机数时抛出 CSP_NONCE_UNAVAILABLE
+   */
+  createNonce(size = 16) {
+    const crypto = globalThis.crypto;
+
+    if (!crypto || typeof crypto.getRandomValues !== 'function') {
+      throw new UniCanvasError(
+        'CSP_NONCE_UNAVAILABLE',
+        'A secure random number generator is required to create CSP nonces'
+      );
+    }
+
+    const bytes = crypto.getRandomValues(new Uint8Array(size));
+
+    return btoa(String.fromCharCode(...bytes));
+  }
+
+  /**
+   * 检查 nonce 是否可以安全使用
+   * @param {string} nonce - nonce
+   * @returns {string} nonce
+   * @throws {UniCanvasError} 格式无效时抛出 INVALID_CSP_NONCE
+   */
+  assertNonce(nonce) {
+    if (typeof nonce !== 'string' || !NONCE_REGEX.test(nonce)) {
+      throw new UniCanvasError('INVALID_CSP_NONCE', 'CSP nonce must be a base64 string');
+    }
+
+    return nonce;
+  }
+
+  /**
+   * 拼装策略字符串
+   * 指令按 默认策略 -> 构造选项 -> 调用选项 的顺序合并，值为 null 时移除该指令
+   * @param {Object} options - 选项
+   * @param {string} [options.nonce] - 添加到 script-src 和 style-src 的 nonce
+   * @param {Object} [options.directives] - 指令，值为来源数组或空格分隔的字符串，true 表示无来源的指令
+   * @returns {string} 策略字符串
+   */
+  build(options = {}) {
+    const directives = this._mergeDirectives(
+      DEFAULT_DIRECTIVES,
+      this.options.directives,
+      options.directives || {}
+    );
+
+    if (options.nonce) {
+      const nonceSource = `'nonce-${this.assertNonce(options.nonce)}'`;
+
+      // 显式禁止的指令（'none'）不添加 nonce
+      NONCE_DIRECTIVES.forEach(name => {
+        if (directives[name] && !directives[name].includes("'none'") && !directives[name].includes(nonceSource)) {
+          directives[name].push(nonceSource);
+        }
+      });
+    }
+
+    return Object.keys(directives)
+      .map(name => [name, ...directives[name]].join(' '))
+      .join('; ');
+  }
+
+  /**
+   * 合并指令
+   * @param {...Object} sources - 指令集合
+   * @returns {Object} 合并后的指令，值为来源数组
+   * @private
+   */
+  _mergeDirectives(...sources) {
+    const result = {};
+
+    sources.forEach(directives => {
+      Object.keys(directives).forEach(name => {
+        if (!DIRECTIVE_NAME_REGEX.test(name)) {
+          throw new UniCanvasError('INVALID_CSP_DIRECTIVE', `Invalid CSP directive: ${name}`, { name });
+        }
+
+        const value = directives[name];
+
+        if (value === null || value === false) {
+          delete result[name];
+          return;
+        }
+
+        // 值为 true 表示没有来源的指令，如 upgrade-insecure-requests
+        const list = value === true
+          ? []
+          : (Array.isArray(value) ? value : String(value).split(/\s+/).filter(Boolean));
+
+        list.forEach(source => {
+          if (!SOURCE_REGEX.test(source)) {
+            throw new UniCanvasError(
+              'INVALID_CSP_DIRECTIVE',
+              `Invalid source "${source}" in CSP directive ${name}`,
+              { name, source }
+            );
+          }
+        });
+
+        result[name] = [...list];
+      });
+    });
+
+    return result;
+  }
+}
+
+// 导出模块
+export default ContentSecurityPolicy;
@@ -0,0 +1,709 @@
+/**
+ * CssScoper.js
+ * CSS作用域处理器，基于词法扫描改写选择器中的类名或添加作用域前缀
+ */
+
+// 内部仍是规则列表、需要递归改写的 at 规则
+const NESTED_AT_RULES = ['media', 'supports', 'container', 'layer', 'document', '-moz-document', 'scope'];
+
+// var(--name) 或 var(--name, fallback)
+const VAR_REFERENCE_REGEX = /var\(\s*(--[\w-]+)\s*(?:,([^()]*(?:\([^()]*\)[^()]*)*))?\)/g;
+
+// --name: value
+const VAR_DECLARATION_REGEX = /(--[\w-]+)\s*:/g;
+
+class CssScoper {
+  constructor(options = {}) {
+    this.options = {
+      debug: options.debug || false
+    };
+  }
+
+  /**
+   * 改写CSS中的选择器
+   * @param {string} css - CSS文本
+   * @param {Object} options - 改写选项
+   * @param {Function} [options.renameClass] - 类名改写函数 (className) => string|null
+   * @param {Function} [options.renameId] - ID改写函数 (id) => string|null
+   * @param {Function} [options.prefixSelector] - 选择器改写函数 (selector) => string
+   * @returns {string} 改写后的CSS
+   */
+  scope(css, options = {}) {
+    if (!css) {
+      return css || '';
+    }
+
+    const state = { css, pos: 0 };
+    return this._scopeRuleList(state, options, false);
+  }
+
+  /**
+   * 提取CSS选择器中使用的所有类名
+   * @param {string} css - CSS文本
+   * @returns {Array<string>} 类名列表（已反转义）
+   */
+  extractClassNames(css) {
+    const classNames = new Set();
+
+    this.scope(css, {
+      renameClass: className => {
+        classNames.add(className);
+        return null;
+      }
+    });
+
+    return [...classNames];
+  }
+
+  /**
+   * 检查CSS的基本语法（括号配对、未闭合的注释和字符串）
+   * @param {string} css - CSS文本
+   * @returns {Array} 问题列表 { message, position }
+   */
+  checkSyntax(css) {
+    const problems = [];
+    const stack = [];
+    const source = css || '';
+    let i = 0;
+
+    while (i < source.length) {
+      const char = source[i];
+
+      if (char === '\\') {
+        i += 2;
+        continue;
+      }
+
+      if (char === '/' && source[i + 1] === '*') {
+        if (source.indexOf('*/', i + 2) === -1) {
+          problems.push({ message: 'Unclosed comment', position: i });
+        }
+        i = this._skipComment(source, i);
+        continue;
+      }
+
+      if (char === '"' || char === "'") {
+        const end = this._skipString(source, i);
+        if (source[end - 1] !== char || end - 1 === i) {
+          problems.push({ message: 'Unclosed string', position: i });
+        }
+        i = end;
+        continue;
+      }
+
+      if (char === '{' || char === '(' || char === '[') {
+        stack.push({ char, position: i });
+      } else if (char === '}' || char === ')' || char === ']') {
+        const expected = { '}': '{', ')': '(', ']': '[' }[char];
+        const open = stack[stack.length - 1];
+
+        if (open && open.char === expected) {
+          stack.pop();
+        } else {
+          problems.push({ message: `Unexpected "${char}"`, position: i });
+        }
+      }
+
+      i++;
+    }
+
+    stack.forEach(open => {
+      problems.push({ message: `Unclosed "${open.char}"`, position: open.position });
+    });
+
+    return problems;
+  }
+
+  /**
+   * 提取CSS自定义属性（变量）的引用和声明
+   * @param {string} css - CSS文本
+   * @returns {Object} { references: [{ name, fallback }], declarations: [name] }
+   */
+  extractVariables(css) {
+    const references = [];
+    const declarations = new Set();
+
+    this._eachCodeSegment(css || '', segment => {
+      let match;
+
+      VAR_REFERENCE_REGEX.lastIndex = 0;
+      while ((match = VAR_REFERENCE_REGEX.exec(segment)) !== null) {
+        references.push({
+          name: match[1],
+          fallback: match[2] !== undefined ? match[2].trim() : null
+        });
+      }
+
+      VAR_DECLARATION_REGEX.lastIndex = 0;
+      while ((match = VAR_DECLARATION_REGEX.exec(segment)) !== null) {
+        declarations.add(match[1]);
+      }
+
+      return segment;
+    });
+
+    return {
+      references,
+      declarations: [...declarations]
+    };
+  }
+
+  /**
+   * 为没有回退值的 var() 引用补充回退值
+   * @param {string} css - CSS文本
+   * @param {Function} resolve - 变量取值函数 (name) => string|null
+   * @returns {string} 处理后的CSS
+   */
+  inlineVariableFallbacks(css, resolve) {
+    return this._eachCodeSegment(css || '', segment => segment.replace(VAR_REFERENCE_REGEX, (match, name, fallback) => {
+      if (fallback !== undefined) {
+        return match;
+      }
+
+      const value = resolve(name);
+      return value === null || value === undefined ? match : `var(${name}, ${value})`;
+    }));
+  }
+
+  /**
+   * 按顶层逗号拆分选择器列表
+   * @param {string} selector - 选择器列表
+   * @returns {Array<string>} 选择器数组
+   */
+  splitSelectors(selector) {
+    const parts = [];
+    let depth = 0;
+    let start = 0;
+    let i = 0;
+
+    while (i < selector.length) {
+      const char = selector[i];
+
+      if (char === '\\') {
+        i += 2;
+        continue;
+      }
+
+      if (char === '"' || char === "'") {
+        i = this._skipString(selector, i);
+        continue;
+      }
+
+      if (char === '/' && selector[i + 1] === '*') {
+        i = this._skipComment(selector, i);
+        continue;
+      }
+
+      if (char === '(' || char === '[') {
+        depth++;
+      } else if (char === ')' || char === ']') {
+        depth--;
+      } else if (char === ',' && depth === 0) {
+        parts.push(selector.slice(start, i));
+        start = i + 1;
+      }
+
+      i++;
+    }
+
+    parts.push(selector.slice(start));
+    return parts;
+  }
+
+  /**
+   * 处理规则列表
+   * @param {Object} state - 扫描状态
+   * @param {Object} options - 改写选项
+   * @param {boolean} nested - 是否位于块内部
+   * @returns {string} 改写结果
+   * @private
+   */
+  _scopeRuleList(state, options, nested) {
+    const { css } = state;
+    let output = '';
+
+    while (state.pos < css.length) {
+      const char = css[state.pos];
+
+      // 空白
+      if (/\s/.test(char)) {
+        output += char;
+        state.pos++;
+        continue;
+      }
+
+      // 注释
+      if (char === '/' && css[state.pos + 1] === '*') {
+        const end = this._skipComment(css, state.pos);
+        output += css.slice(state.pos, end);
+        state.pos = end;
+        continue;
+      }
+
+      // 块结束
+      if (char === '}') {
+        if (nested) {
+          return output;
+        }
+        // 多余的右花括号，原样保留
+        output += char;
+        state.pos++;
+        continue;
+      }
+
+      if (char === '@') {
+        output += this._scopeAtRule(state, options);
+        continue;
+      }
+
+      output += this._scopeQualifiedRule(state, options);
+    }
+
+    return output;
+  }
+
+  /**
+   * 处理 at 规则
+   * @param {Object} state - 扫描状态
+   * @param {Object} options - 改写选项
+   * @returns {string} 改写结果
+   * @private
+   */
+  _scopeAtRule(state, options) {
+    const { css } = state;
+    const start = state.pos;
+    const name = /^@([-\w]+)/.exec(css.slice(start, start + 64));
+    const atName = name ? name[1].toLowerCase() : '';
+    const preludeEnd = this._findPreludeEnd(css, start);
+
+    // @import、@charset 等没有块的规则
+    if (preludeEnd >= css.length || css[preludeEnd] === ';') {
+      state.pos = Math.min(preludeEnd + 1, css.length);
+      return css.slice(start, state.pos);
+    }
+
+    const prelude = css.slice(start, preludeEnd + 1);
+    state.pos = preludeEnd + 1;
+
+    if (NESTED_AT_RULES.includes(atName)) {
+      const body = this._scopeRuleList(state, options, true);
+      const close = css[state.pos] === '}' ? '}' : '';
+      state.pos += close.length;
+      return prelude + body + close;
+    }
+
+    // @keyframes、@font-face 等：内容原样保留
+    const end = this._findBlockEnd(css, state.pos);
+    const body = css.slice(state.pos, end);
+    state.pos = end;
+    return prelude + body;
+  }
+
+  /**
+   * 处理普通规则（选择器 + 声明块）
+   * @param {Object} state - 扫描状态
+   * @param {Object} options - 改写选项
+   * @returns {string} 改写结果
+   * @private
+   */
+  _scopeQualifiedRule(state, options) {
+    const { css } = state;
+    const start = state.pos;
+    const preludeEnd = this._findPreludeEnd(css, start);
+
+    // 没有声明块的残缺规则，原样保留
+    if (preludeEnd >= css.length || css[preludeEnd] !== '{') {
+      state.pos = Math.min(preludeEnd + 1, css.length);
+      return css.slice(start, state.pos);
+    }
+
+    const selector = css.slice(start, preludeEnd);
+    const blockEnd = this._findBlockEnd(css, preludeEnd + 1);
+
+    state.pos = blockEnd;
+
+    // 声明块中的 url()、字符串等保持不变
+    return this._rewriteSelector(selector, options) + css.slice(preludeEnd, blockEnd);
+  }
+
+  /**
+   * 改写选择器列表
+   * @param {string} selector - 选择器列表
+   * @param {Object} options - 改写选项
+   * @returns {string} 改写后的选择器
+   * @private
+   */
+  _rewriteSelector(selector, options) {
+    let result = selector;
+
+    if (options.renameClass || options.renameId) {
+      result = this._renameIdentifiers(result, options);
+    }
+
+    if (options.prefixSelector) {
+      result = this.splitSelectors(result).map(part => {
+        const leading = /^\s*/.exec(part)[0];
+        const trailing = /\s*$/.exec(part)[0];
+        const trimmed = part.trim();
+
+        return trimmed ? `${leading}${options.prefixSelector(trimmed)}${trailing}` : part;
+      }).join(',');
+    }
+
+    return result;
+  }
+
+  /**
+   * 改写选择器中的类名和ID
+   * @param {string} selector - 选择器
+   * @param {Object} options - 改写选项（renameClass、renameId）
+   * @returns {string} 改写后的选择器
+   * @private
+   */
+  _renameIdentifiers(selector, options) {
+    let output = '';
+    let i = 0;
+
+    while (i < selector.length) {
+      const char = selector[i];
+
+      // 属性选择器和字符串原样保留
+      if (char === '[') {
+        const end = this._skipBracket(selector, i);
+        output += selector.slice(i, end);
+        i = end;
+        continue;
+      }
+
+      if (char === '"' || char === "'") {
+        const end = this._skipString(selector, i);
+        output += selector.slice(i, end);
+        i = end;
+        continue;
+      }
+
+      if (char === '/' && selector[i + 1] === '*') {
+        const end = this._skipComment(selector, i);
+        output += selector.slice(i, end);
+        i = end;
+        continue;
+      }
+
+      if (char === '\\') {
+        output += selector.slice(i, i + 2);
+        i += 2;
+        continue;
+      }
+
+      const rename = char === '.' ? options.renameClass : char === '#' ? options.renameId : null;
+
+      if (rename) {
+        const ident = this._readIdent(selector, i + 1);
+
+        if (ident) {
+          const renamed = rename(ident.value);
+          output += char + (renamed ? this._escapeIdent(renamed) : selector.slice(i + 1, ident.end));
+          i = ident.end;
+          continue;
+        }
+      }
+
+      output += char;
+      i++;
+    }
+
+    return output;
+  }
+
+  /**
+   * 读取CSS标识符
+   * @param {string} text - 文本
+   * @param {number} start - 起始位置
+   * @returns {Object|null} { value, end }
+   * @private
+   */
+  _readIdent(text, start) {
+    let value = '';
+    let i = start;
+
+    while (i < text.length) {
+      const char = text[i];
+
+      if (char === '\\') {
+        const hex = /^[0-9a-fA-F]{1,6}\s?/.exec(text.slice(i + 1, i + 8));
+
+        if (hex) {
+          value += String.fromCodePoint(parseInt(hex[0].trim(), 16));
+          i += 1 + hex[0].length;
+        } else if (i + 1 < text.length) {
+          value += text[i + 1];
+          i += 2;
+        } else {
+          break;
+        }
+        continue;
+      }
+
+      if (/[\w-]/.test(char) || char.charCodeAt(0) > 0x7f) {
+        value += char;
+        i++;
+        continue;
+      }
+
+      break;
+    }
+
+    // 标识符不能以数字开头（如 .5em 并非类名）
+    if (!value || (/^-?\d/.test(value) && text[start] !== '\\')) {
+      return null;
+    }
+
+    return { value, end: i };
+  }
+
+  /**
+   * 转义CSS标识符
+   * @param {string} ident - 标识符
+   * @returns {string} 转义后的标识符
+   * @private
+   */
+  _escapeIdent(ident) {
+    let result = '';
+
+    [...ident].forEach((char, index) => {
+      const leadingDigit = /\d/.test(char) && (index === 0 || (index === 1 && ident[0] === '-'));
+
+      if (leadingDigit) {
+        result += `\\${char.charCodeAt(0).toString(16)} `;
+      } else if (/[\w-]/.test(char) || char.charCodeAt(0) > 0x7f) {
+        result += char;
+      } else {
+        result += `\\${char}`;
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * 查找选择器或 at 规则前导部分的结束位置（'{' 或 ';'）
+   * @param {string} css - CSS文本
+   * @param {number} start - 起始位置
+   * @returns {number} 结束位置
+   * @private
+   */
+  _findPreludeEnd(css, start) {
+    let i = start;
+    let depth = 0;
+
+    while (i < css.length) {
+      const char = css[i];
+
+      if (char === '\\') {
+        i += 2;
+        continue;
+      }
+
+      if (char === '"' || char === "'") {
+        i = this._skipString(css, i);
+        continue;
+      }
+
+      if (char === '/' && css[i + 1] === '*') {
+        i = this._skipComment(css, i);
+        continue;
+      }
+
+      if (char === '(' || char === '[') {
+        depth++;
+      } else if (char === ')' || char === ']') {
+        depth--;
+      } else if (depth <= 0 && (char === '{' || char === ';' || char === '}')) {
+        return i;
+      }
+
+      i++;
+    }
+
+    return css.length;
+  }
+
+  /**
+   * 查找块的结束位置（匹配的 '}' 之后）
+   * @param {string} css - CSS文本
+   * @param {number} start - 块内起始位置（'{' 之后）
+   * @returns {number} 结束位置
+   * @private
+   */
+  _findBlockEnd(css, start) {
+    let i = start;
+    let depth = 1;
+
+    while (i < css.length) {
+      const char = css[i];
+
+      if (char === '\\') {
+        i += 2;
+        continue;
+      }
+
+      if (char === '"' || char === "'") {
+        i = this._skipString(css, i);
+        continue;
+      }
+
+      if (char === '/' && css[i + 1] === '*') {
+        i = this._skipComment(css, i);
+        continue;
+      }
+
+      // url() 中可能包含未加引号的特殊字符
+      if ((char === 'u' || char === 'U') && /^url\(/i.test(css.slice(i, i + 4))) {
+        i = this._skipUrl(css, i + 4);
+        continue;
+      }
+
+      if (char === '{') {
+        depth++;
+      } else if (char === '}') {
+        depth--;
+        if (depth === 0) {
+          return i + 1;
+        }
+      }
+
+      i++;
+    }
+
+    return css.length;
+  }
+
+  /**
+   * 对注释以外的CSS片段逐段处理
+   * @param {string} css - CSS文本
+   * @param {Function} callback - 处理函数 (segment) => string
+   * @returns {string} 处理后的CSS
+   * @private
+   */
+  _eachCodeSegment(css, callback) {
+    let output = '';
+    let pos = 0;
+
+    while (pos < css.length) {
+      const commentStart = css.indexOf('/*', pos);
+      const end = commentStart === -1 ? css.length : commentStart;
+
+      output += callback(css.slice(pos, end));
+
+      if (commentStart === -1) {
+        break;
+      }
+
+      const commentEnd = this._skipComment(css, commentStart);
+      output += css.slice(commentStart, commentEnd);
+      pos = commentEnd;
+    }
+
+    return output;
+  }
+
+  /**
+   * 跳过字符串
+   * @param {string} text - 文本
+   * @param {number} start - 引号位置
+   * @returns {number} 字符串结束后的位置
+   * @private
+   */
+  _skipString(text, start) {
+    const quote = text[start];
+    let i = start + 1;
+
+    while (i < text.length) {
+      if (text[i] === '\\') {
+        i += 2;
+        continue;
+      }
+      if (text[i] === quote || text[i] === '\n') {
+        return i + 1;
+      }
+      i++;
+    }
+
+    return text.length;
+  }
+
+  /**
+   * 跳过注释
+   * @param {string} text - 文本
+   * @param {number} start - 注释起始位置
+   * @returns {number} 注释结束后的位置
+   * @private
+   */
+  _skipComment(text, start) {
+    const end = text.indexOf('*/', start + 2);
+    return end === -1 ? text.length : end + 2;
+  }
+
+  /**
+   * 跳过属性选择器
+   * @param {string} text - 文本
+   * @param {number} start - '[' 位置
+   * @returns {number} ']' 之后的位置
+   * @private
+   */
+  _skipBracket(text, start) {
+    let i = start + 1;
+
+    while (i < text.length) {
+      const char = text[i];
+
+      if (char === '\\') {
+        i += 2;
+        continue;
+      }
+      if (char === '"' || char === "'") {
+        i = this._skipString(text, i);
+        continue;
+      }
+      if (char === ']') {
+        return i + 1;
+      }
+      i++;
+    }
+
+    return text.length;
+  }
+
+  /**
+   * 跳过 url() 内容
+   * @param {string} text - 文本
+   * @param {number} start - '(' 之后的位置
+   * @returns {number} ')' 之后的位置
+   * @private
+   */
+  _skipUrl(text, start) {
+    let i = start;
+
+    while (i < text.length) {
+      const char = text[i];
+
+      if (char === '\\') {
+        i += 2;
+        continue;
+      }
+      if (char === '"' || char === "'") {
+        i = this._skipString(text, i);
+        continue;
+      }
+      if (char === ')') {
+        return i + 1;
+      }
+      i++;
+    }
+
+    return text.length;
+  }
+}
+
+// 导出模块
+export default CssScoper;
@@ -0,0 +1,302 @@
+/**
+ * DependencyGraph.js
+ * 依赖关系图，记录模板、组件、资源、页面和站点之间的依赖，用于查询依赖项和受影响的依赖方
+ */
+import { UniCanvasError } from './UniCanvasError.js';
+
+class DependencyGraph {
+  constructor(options = {}) {
+    this.options = {
+      debug: options.debug || false
+    };
+
+    // 节点信息，键为 `${type}:${id}`
+    this.nodes = new Map();
+    // 节点 -> 它依赖的节点
+    this.dependencies = new Map();
+    // 节点 -> 依赖它的节点
+    this.dependents = new Map();
+  }
+
+  /**
+   * 添加或更新节点
+   * @param {string} type - 节点类型，如 template、styleVariable、page
+   * @param {string} id - 节点ID
+   * @param {Object} metadata - 节点附加信息
+   * @returns {string} 节点键
+   */
+  addNode(type, id, metadata = {}) {
+    const key = this._key(type, id);
+
+    this.nodes.set(key, {
+      type,
+      id,
+      metadata: {
+        ...(this.nodes.has(key) ? this.nodes.get(key).metadata : {}),
+        ...metadata
+      }
+    });
+
+    return key;
+  }
+
+  /**
+   * 检查节点是否存在
+   * @param {string} type - 节点类型
+   * @param {string} id - 节点ID
+   * @returns {boolean} 是否存在
+   */
+  hasNode(type, id) {
+    return this.nodes.has(this._key(type, id));
+  }
+
+  /**
+   * 移除节点及其依赖关系，依赖它的节点保留指向它的边，以便发现缺失的依赖
+   * @param {string} type - 节点类型
+   * @param {string} id - 节点ID
+   * @returns {boolean} 是否移除
+   */
+  removeNode(type, id) {
+    const key = this._key(type, id);
+    const existed = this.nodes.delete(key);
+
+    this._clearDependencies(key);
+
+    return existed;
+  }
+
+  /**
+   * 添加依赖关系
+   * @param {Object} from - 依赖方 { type, id }
+   * @param {Object} to - 被依赖方 { type, id }
+   * @returns {DependencyGraph} 当前实例
+   */
+  addDependency(from, to) {
+    const fromKey = this._key(from.type, from.id);
+    const toKey = this._key(to.type, to.id);
+
+    if (!this.nodes.has(fromKey)) {
+      this.addNode(from.type, from.id);
+    }
+
+    this._link(this.dependencies, fromKey, toKey);
+    this._link(this.dependents, toKey, fromKey);
+
+    return this;
+  }
+
+  /**
+   * 移除依赖关系
+   * @param {Object} from - 依赖方 { type, id }
+   * @param {Object} to - 被依赖方 { type, id }
+   * @returns {DependencyGraph} 当前实例
+   */
+  removeDependency(from, to) {
+    const fromKey = this._key(from.type, from.id);
+    const toKey = this._key(to.type, to.id);
+
+    this._unlink(this.dependencies, fromKey, toKey);
+    this._unlink(this.dependents, toKey, fromKey);
+
+    return this;
+  }
+
+  /**
+   * 替换节点的全部依赖
+   * @param {string} type - 节点类型
+   * @param {string} id - 节点ID
+   * @param {Array<Object>} dependencies - 依赖列表 [{ type, id }]
+   * @returns {DependencyGraph} 当前实例
+   */
+  setDependencies(type, id, dependencies = []) {
+    const key = this._key(type, id);
+
+    if (!this.nodes.has(key)) {
+      this.addNode(type, id);
+    }
+
+    this._clearDependencies(key);
+    dependencies.forEach(dependency => this.addDependency({ type, id }, dependency));
+
+    return this;
+  }
+
+  /**
+   * 查询节点依赖的节点
+   * @param {string} type - 节点类型
+   * @param {string} id - 节点ID
+   * @param {Object} options - 查询选项
+   * @param {boolean} [options.transitive] - 是否包含间接依赖
+   * @param {Array<string>} [options.types] - 只返回指定类型的节点
+   * @returns {Array<Object>} 节点列表 [{ type, id, exists, depth }]
+   */
+  getDependencies(type, id, options = {}) {
+    return this._walk(this.dependencies, this._key(type, id), options);
+  }
+
+  /**
+   * 查询依赖该节点的节点
+   * @param {string} type - 节点类型
+   * @param {string} id - 节点ID
+   * @param {Object} options - 查询选项
+   * @param {boolean} [options.transitive] - 是否包含间接依赖方
+   * @param {Array<string>} [options.types] - 只返回指定类型的节点
+   * @returns {Array<Object>} 节点列表 [{ type, id, exists, depth }]
+   */
+  getDependents(type, id, options = {}) {
+    return this._walk(this.dependents, this._key(type, id), options);
+  }
+
+  /**
+   * 导出为可序列化的结构
+   * @returns {Object} { nodes, edges }
+   */
+  toJSON() {
+    const edges = [];
+
+    this.dependencies.forEach((targets, from) => {
+      targets.forEach(to => edges.push({ from, to }));
+    });
+
+    return {
+      nodes: [...this.nodes.entries()].map(([key, node]) => ({ key, ...node })),
+      edges
+    };
+  }
+
+  /**
+   * 用 toJSON 导出的结构替换当前图的内容，保留实例以便共享该图的子系统继续使用
+   * @param {Object} data - { nodes, edges }
+   * @returns {DependencyGraph} 当前实例
+   */
+  load(data = {}) {
+    this.nodes.clear();
+    this.dependencies.clear();
+    this.dependents.clear();
+
+    (data.nodes || []).forEach(node => this.addNode(node.type, node.id, node.metadata));
+    (data.edges || []).forEach(({ from, to }) => {
+      this._link(this.dependencies, from, to);
+      this._link(this.dependents, to, from);
+    });
+
+    return this;
+  }
+
+  /**
+   * 遍历依赖关系
+   * @param {Map} map - 遍历方向
+   * @param {string} start - 起始节点键
+   * @param {Object} options - 查询选项
+   * @returns {Array<Object>} 节点列表
+   * @private
+   */
+  _walk(map, start, options) {
+    const result = [];
+    const visited = new Set([start]);
+    let frontier = [start];
+    let depth = 0;
+
+    // 广度优先，循环依赖只访问一次
+    while (frontier.length > 0) {
+      depth++;
+      const next = [];
+
+      frontier.forEach(key => {
+        (map.get(key) || new Set()).forEach(target => {
+          if (visited.has(target)) {
+            return;
+          }
+          visited.add(target);
+          next.push(target);
+
+          const node = this._parseKey(target);
+          if (!options.types || options.types.includes(node.type)) {
+            result.push({ ...node, exists: this.nodes.has(target), depth });
+          }
+        });
+      });
+
+      frontier = options.transitive ? next : [];
+    }
+
+    return result;
+  }
+
+  /**
+   * 清除节点的出边
+   * @param {string} key - 节点键
+   * @private
+   */
+  _clearDependencies(key) {
+    (this.dependencies.get(key) || new Set()).forEach(target => {
+      this._unlink(this.dependents, target, key);
+    });
+    this.dependencies.delete(key);
+  }
+
+  /**
+   * 添加边
+   * @param {Map} map - 边集合
+   * @param {string} from - 起点
+   * @param {string} to - 终点
+   * @private
+   */
+  _link(map, from, to) {
+    if (!map.has(from)) {
+      map.set(from, new Set());
+    }
+    map.get(from).add(to);
+  }
+
+  /**
+   * 移除边
+   * @param {Map} map - 边集合
+   * @param {string} from - 起点
+   * @param {string} to - 终点
+   * @private
+   */
+  _unlink(map, from, to) {
+    const targets = map.get(from);
+
+    if (targets) {
+      targets.delete(to);
+      if (targets.size === 0) {
+        map.delete(from);
+      }
+    }
+  }
+
+  /**
+   * 生成节点键
+   * @param {string} type - 节点类型
+   * @param {string} id - 节点ID
+   * @returns {string} 节点键
+   * @private
+   */
+  _key(type, id) {
+    if (!type || typeof type !== 'string' || id === undefined || id === null) {
+      throw new UniCanvasError('INVALID_NODE', 'Dependency node requires a type and an ID', { type, id });
+    }
+
+    return `${type}:${id}`;
+  }
+
+  /**
+   * 解析节点键
+   * @param {string} key - 节点键
+   * @returns {Object} { type, id }
+   * @private
+   */
+  _parseKey(key) {
+    const index = key.indexOf(':');
+
+    return {
+      type: key.slice(0, index),
+      id: key.slice(index + 1)
+    };
+  }
+}
+
+// 导出模块
+export default DependencyGraph;
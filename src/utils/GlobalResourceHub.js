@@ -2,12 +2,16 @@
  * GlobalResourceHub.js
  * 全局资源中心，负责管理和协调跨页面/站点的共享资源
  */
+import DependencyGraph from './DependencyGraph.js';
+import { UniCanvasError } from './UniCanvasError.js';
+
 class GlobalResourceHub {
   constructor(options = {}) {
     this.styleVariables = {};
     this.components = {};
     this.scripts = {};
     this.dataModels = {};
+    this.messageCatalogs = {};
     this.permissions = options.permissions || { 
       allowGlobalAccess: false,
       restrictedVars: []
@@ -16,6 +20,13 @@ class GlobalResourceHub {
       enabled: options.enableInheritance || false,
       strategy: options.inheritanceStrategy || 'shallow'
     };
+    this.localeConfig = {
+      defaultLocale: options.defaultLocale || 'en',
+      fallbacks: options.localeFallbacks || {}
+    };
+    
+    // 资源、模板、页面之间的依赖关系
+    this.dependencyGraph = new DependencyGraph();
     
     // 初始化内置变量
     this._initBuiltInVariables();
@@ -50,6 +61,12 @@ class GlobalResourceHub {
       updatedAt: new Date()
     };
     
+    // 变量值中通过 var() 引用的其他变量
+    const references = typeof value === 'string'
+      ? [...value.matchAll(/var\(\s*(--[\w-]+)/g)].map(match => ({ type: 'styleVariable', id: match[1] }))
+      : [];
+    this.dependencyGraph.setDependencies('styleVariable', id, references);
+    
     return id;
   }
   
@@ -79,6 +96,40 @@ class GlobalResourceHub {
     return variable.value;
   }
   
+  /**
+   * 查找在指定环境中可用的样式变量
+   * @param {string} id - 变量ID
+   * @param {Object} options - 查找选项
+   * @param {string} [options.environment] - 环境ID，作用域为该环境的变量也视为可用
+   * @returns {Object|null} 变量信息 { id, value, scope, access, restricted } 或null
+   */
+  lookupStyleVariable(id, options = {}) {
+    const variable = this.styleVariables[id];
+    
+    if (!variable) {
+      return null;
+    }
+    
+    // global、system 作用域对所有环境可见，其他作用域只对同名环境可见
+    const visible = variable.scope === 'global' ||
+      variable.scope === 'system' ||
+      (options.environment && variable.scope === options.environment);
+    
+    if (!visible) {
+      return null;
+    }
+    
+    const restricted = variable.access === 'restricted' && this.permissions.restrictedVars.includes(id);
+    
+    return {
+      id,
+      value: restricted && !options.bypassRestriction ? null : variable.value,
+      scope: variable.scope,
+      access: variable.access,
+      restricted
+    };
+  }
+  
   /**
    * 注册组件
    * @param {string} id - 组件ID
@@ -107,6 +158,9 @@ class GlobalResourceHub {
       updatedAt: new Date()
     };
     
+    // options.dependencies 声明组件依赖的模板或资源 [{ type, id }]
+    this.dependencyGraph.setDependencies('component', id, options.dependencies || []);
+    
     return id;
   }
   
@@ -164,6 +218,8 @@ class GlobalResourceHub {
       updatedAt: new Date()
     };
     
+    this.dependencyGraph.addNode('script', id);
+    
     return id;
   }
   
@@ -219,6 +275,8 @@ class GlobalResourceHub {
       updatedAt: new Date()
     };
     
+    this.dependencyGraph.addNode('dataModel', id);
+    
     return id;
   }
   
@@ -246,6 +304,149 @@ class GlobalResourceHub {
     return dataModel.schema;
   }
   
+  /**
+   * 注册消息目录，同一语言多次注册时合并
+   * @param {string} locale - 语言标签，如 zh-CN、en
+   * @param {Object} messages - 消息，可嵌套；{ one, other } 形式的对象作为复数消息
+   * @param {Object} options - 配置选项
+   * @returns {string} 注册的语言标签
+   */
+  registerMessages(locale, messages, options = {}) {
+    if (!locale || typeof locale !== 'string') {
+      throw new UniCanvasError('INVALID_LOCALE', 'Locale must be a string');
+    }
+    
+    if (!messages || typeof messages !== 'object') {
+      throw new UniCanvasError('INVALID_MESSAGES', 'Messages must be an object');
+    }
+    
+    const catalog = this.messageCatalogs[locale];
+    
+    this.messageCatalogs[locale] = {
+      messages: {
+        ...(catalog && !options.replace ? catalog.messages : {}),
+        ...this._flattenMessages(messages)
+      },
+      metadata: {
+        ...(catalog ? catalog.metadata : {}),
+        ...options.metadata
+      },
+      createdAt: catalog ? catalog.createdAt : new Date(),
+      updatedAt: new Date()
+    };
+    
+    return locale;
+  }
+  
+  /**
+   * 获取语言的消息目录
+   * @param {string} locale - 语言标签
+   * @returns {Object|null} 扁平化的消息（键为 cart.total 形式）或null
+   */
+  getMessages(locale) {
+    const catalog = this.messageCatalogs[locale];
+    
+    return catalog ? { ...catalog.messages } : null;
+  }
+  
+  /**
+   * 沿语言回退链查找消息
+   * @param {string} key - 消息键
+   * @param {Object} options - 查找选项
+   * @param {string} [options.locale] - 语言标签，默认使用默认语言
+   * @returns {Object|null} 消息信息 { key, locale, message } 或null
+   */
+  lookupMessage(key, options = {}) {
+    for (const locale of this.getLocaleChain(options.locale)) {
+      const catalog = this.messageCatalogs[locale];
+      
+      if (catalog && Object.prototype.hasOwnProperty.call(catalog.messages, key)) {
+        return {
+          key,
+          locale,
+          message: catalog.messages[key]
+        };
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * 获取语言回退链
+   * 顺序为：请求的语言及其配置的回退语言，逐级去掉子标签（zh-Hant-TW → zh-Hant → zh），最后是默认语言
+   * @param {string} [locale] - 语言标签
+   * @returns {Array<string>} 语言回退链
+   */
+  getLocaleChain(locale) {
+    const chain = [];
+    const add = value => {
+      if (value && !chain.includes(value)) {
+        chain.push(value);
+      }
+    };
+    const expand = value => {
+      const parts = value.split('-');
+      
+      for (let i = parts.length; i > 0; i--) {
+        const tag = parts.slice(0, i).join('-');
+        const fallbacks = this.localeConfig.fallbacks[tag] || [];
+        
+        add(tag);
+        (Array.isArray(fallbacks) ? fallbacks : [fallbacks]).forEach(add);
+      }
+    };
+    
+    expand(locale || this.localeConfig.defaultLocale);
+    expand(this.localeConfig.defaultLocale);
+    
+    return chain;
+  }
+  
+  /**
+   * 配置默认语言和语言回退
+   * @param {Object} config - 语言配置 { defaultLocale, fallbacks: { 'zh-TW': ['zh-Hant', 'zh-CN'] } }
+   * @returns {Object} 合并后的语言配置
+   */
+  configureLocales(config) {
+    if (!config || typeof config !== 'object') {
+      throw new UniCanvasError('INVALID_CONFIG', 'Locale config must be an object');
+    }
+    
+    this.localeConfig = {
+      ...this.localeConfig,
+      ...config,
+      fallbacks: {
+        ...this.localeConfig.fallbacks,
+        ...config.fallbacks
+      }
+    };
+    
+    return this.localeConfig;
+  }
+  
+  /**
+   * 查询资源依赖的其他资源
+   * @param {string} type - 资源类型，如 template、component、styleVariable
+   * @param {string} id - 资源ID
+   * @param {Object} options - 查询选项 { transitive, types }
+   * @returns {Array<Object>} 依赖列表 [{ type, id, exists, depth }]
+   */
+  getDependencies(type, id, options = {}) {
+    return this.dependencyGraph.getDependencies(type, id, options);
+  }
+  
+  /**
+   * 查询依赖该资源的模板、组件和页面
+   * @param {string} type - 资源类型
+   * @param {string} id - 资源ID
+   * @param {Object} options - 查询选项 { transitive, types }
+   * @returns {Array<Object>} 依赖方列表 [{ type, id, exists, depth }]
+   */
+  getDependents(type, id, options = {}) {
+    return this.dependencyGraph.getDependents(type, id, options);
+  }
+  
   /**
    * 配置资源继承策略
    * @param {Object} config - 继承配置
@@ -273,10 +474,38 @@ class GlobalResourceHub {
       components: Object.keys(this.components).length,
       scripts: Object.keys(this.scripts).length,
       dataModels: Object.keys(this.dataModels).length,
+      locales: Object.keys(this.messageCatalogs).length,
       restrictedCount: this.permissions.restrictedVars.length
     };
   }
   
+  /**
+   * 将嵌套的消息对象展开为以点分隔的键
+   * @param {Object} messages - 消息对象
+   * @param {string} prefix - 键前缀
+   * @param {Object} result - 结果对象
+   * @returns {Object} 扁平化的消息
+   * @private
+   */
+  _flattenMessages(messages, prefix = '', result = {}) {
+    Object.keys(messages).forEach(key => {
+      const value = messages[key];
+      const fullKey = prefix ? `${prefix}.${key}` : key;
+      
+      // 复数消息作为整体保存
+      const isPlural = value && typeof value === 'object' && 'other' in value &&
+        Object.keys(value).every(form => /^(zero|one|two|few|many|other|=\d+)$/.test(form));
+      
+      if (value && typeof value === 'object' && !isPlural) {
+        this._flattenMessages(value, fullKey, result);
+      } else {
+        result[fullKey] = isPlural ? { ...value } : value;
+      }
+    });
+    
+    return result;
+  }
+  
   /**
    * 初始化内置变量
    * @private
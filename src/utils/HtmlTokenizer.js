@@ -0,0 +1,306 @@
+/**
+ * HtmlTokenizer.js
+ * HTML词法分析器，不依赖DOM，可在 Node 环境中对元素属性进行安全改写
+ */
+
+// 内容按原始文本处理的元素
+const RAW_TEXT_ELEMENTS = ['script', 'style', 'textarea', 'title'];
+
+class HtmlTokenizer {
+  constructor(options = {}) {
+    this.options = {
+      debug: options.debug || false
+    };
+  }
+
+  /**
+   * 将HTML拆分为标记
+   * @param {string} html - HTML文本
+   * @returns {Array} 标记列表，类型为 text、comment、doctype、startTag、endTag、rawText
+   */
+  tokenize(html) {
+    const tokens = [];
+    const source = html || '';
+    let pos = 0;
+
+    while (pos < source.length) {
+      // 注释
+      if (source.startsWith('<!--', pos)) {
+        const end = source.indexOf('-->', pos + 4);
+        const next = end === -1 ? source.length : end + 3;
+        tokens.push({ type: 'comment', raw: source.slice(pos, next), start: pos });
+        pos = next;
+        continue;
+      }
+
+      // <!DOCTYPE>、<?xml?> 等
+      if (source.startsWith('<!', pos) || source.startsWith('<?', pos)) {
+        const end = source.indexOf('>', pos);
+        const next = end === -1 ? source.length : end + 1;
+        tokens.push({ type: 'doctype', raw: source.slice(pos, next), start: pos });
+        pos = next;
+        continue;
+      }
+
+      // 结束标签
+      if (source.startsWith('</', pos) && /[a-zA-Z]/.test(source[pos + 2] || '')) {
+        const end = source.indexOf('>', pos);
+        const next = end === -1 ? source.length : end + 1;
+        const raw = source.slice(pos, next);
+        tokens.push({
+          type: 'endTag',
+          name: /^<\/([^\s/>]+)/.exec(raw)[1].toLowerCase(),
+          raw,
+          start: pos
+        });
+        pos = next;
+        continue;
+      }
+
+      // 开始标签
+      if (source[pos] === '<' && /[a-zA-Z]/.test(source[pos + 1] || '')) {
+        const token = this._readStartTag(source, pos);
+        tokens.push(token);
+        pos = token.end;
+
+        // script、style 等元素的内容不作为HTML解析
+        if (RAW_TEXT_ELEMENTS.includes(token.name) && !token.selfClosing) {
+          const closeRegex = new RegExp(`</${token.name}[\\s/>]`, 'ig');
+          closeRegex.lastIndex = pos;
+          const close = closeRegex.exec(source);
+          const end = close ? close.index : source.length;
+
+          if (end > pos) {
+            tokens.push({ type: 'rawText', raw: source.slice(pos, end), start: pos, element: token.name });
+          }
+          pos = end;
+        }
+        continue;
+      }
+
+      // 文本
+      let next = source.indexOf('<', pos + 1);
+      if (next === -1) {
+        next = source.length;
+      }
+      tokens.push({ type: 'text', raw: source.slice(pos, next), start: pos });
+      pos = next;
+    }
+
+    return tokens;
+  }
+
+  /**
+   * 将标记重新序列化为HTML，未修改的标记保持原样
+   * @param {Array} tokens - 标记列表
+   * @returns {string} HTML文本
+   */
+  serialize(tokens) {
+    return tokens.map(token => (token.type === 'startTag' && token.modified
+      ? this._serializeStartTag(token)
+      : token.raw)).join('');
+  }
+
+  /**
+   * 改写元素属性
+   * @param {string} html - HTML文本
+   * @param {Function} visitor - 访问函数 (tagName, attributes) => void，可直接修改属性的 value
+   * @returns {string} 改写后的HTML
+   */
+  transformAttributes(html, visitor) {
+    const tokens = this.tokenize(html);
+
+    tokens.forEach(token => {
+      if (token.type !== 'startTag') {
+        return;
+      }
+
+      const before = token.attributes.map(attr => attr.value);
+      visitor(token.name, token.attributes);
+
+      token.modified = token.attributes.some((attr, index) => attr.value !== before[index]);
+    });
+
+    return this.serialize(tokens);
+  }
+
+  /**
+   * 提取所有元素上的类名
+   * @param {string} html - HTML文本
+   * @returns {Array<string>} 类名列表（不含模板占位符）
+   */
+  extractClassNames(html) {
+    const classNames = new Set();
+
+    this.tokenize(html).forEach(token => {
+      if (token.type !== 'startTag') {
+        return;
+      }
+
+      token.attributes
+        .filter(attr => attr.name.toLowerCase() === 'class' && attr.value)
+        .forEach(attr => {
+          attr.value.split(/\s+/).forEach(className => {
+            if (className && !className.includes('{{')) {
+              classNames.add(className);
+            }
+          });
+        });
+    });
+
+    return [...classNames];
+  }
+
+  /**
+   * 读取开始标签
+   * @param {string} source - HTML文本
+   * @param {number} start - '<' 的位置
+   * @returns {Object} 开始标签标记
+   * @private
+   */
+  _readStartTag(source, start) {
+    const name = /^<([^\s/>]+)/.exec(source.slice(start))[1];
+    const attributes = [];
+    let pos = start + 1 + name.length;
+    let selfClosing = false;
+    let trailing = '';
+
+    while (pos < source.length) {
+      const whitespace = /^\s*/.exec(source.slice(pos, pos + 256))[0];
+      const before = whitespace;
+      pos += whitespace.length;
+
+      if (pos >= source.length) {
+        trailing = before;
+        break;
+      }
+
+      if (source[pos] === '>') {
+        trailing = before;
+        pos++;
+        break;
+      }
+
+      if (source.startsWith('/>', pos)) {
+        trailing = before;
+        selfClosing = true;
+        pos += 2;
+        break;
+      }
+
+      // 标签内的模板占位符（如 {{#if x}}）作为不可改写的片段保留
+      if (source.startsWith('{{', pos)) {
+        const end = this._skipPlaceholder(source, pos);
+        attributes.push({ name: source.slice(pos, end), value: null, opaque: true, before, raw: source.slice(pos, end) });
+        pos = end;
+        continue;
+      }
+
+      // 属性名
+      const attrStart = pos;
+      while (pos < source.length && !/[\s=>]/.test(source[pos]) && !source.startsWith('/>', pos) &&
+        !source.startsWith('{{', pos)) {
+        pos++;
+      }
+
+      // 孤立的 '/' 等字符
+      if (pos === attrStart) {
+        attributes.push({ name: source[pos], value: null, opaque: true, before, raw: source[pos] });
+        pos++;
+        continue;
+      }
+
+      const attrName = source.slice(attrStart, pos);
+      const afterName = /^\s*=\s*/.exec(source.slice(pos, pos + 256));
+
+      if (!afterName) {
+        attributes.push({ name: attrName, value: null, quote: null, before, raw: attrName });
+        continue;
+      }
+
+      pos += afterName[0].length;
+
+      const quote = source[pos] === '"' || source[pos] === "'" ? source[pos] : '';
+      const valueStart = quote ? pos + 1 : pos;
+      let valueEnd = valueStart;
+
+      while (valueEnd < source.length) {
+        if (source.startsWith('{{', valueEnd)) {
+          valueEnd = this._skipPlaceholder(source, valueEnd);
+          continue;
+        }
+        if (quote ? source[valueEnd] === quote : /[\s>]/.test(source[valueEnd])) {
+          break;
+        }
+        valueEnd++;
+      }
+
+      const value = source.slice(valueStart, valueEnd);
+      pos = quote ? Math.min(valueEnd + 1, source.length) : valueEnd;
+
+      attributes.push({
+        name: attrName,
+        value,
+        quote,
+        before,
+        separator: afterName[0],
+        raw: source.slice(attrStart, pos)
+      });
+    }
+
+    return {
+      type: 'startTag',
+      name: name.toLowerCase(),
+      tagName: name,
+      attributes,
+      selfClosing,
+      trailing,
+      raw: source.slice(start, pos),
+      start,
+      end: pos
+    };
+  }
+
+  /**
+   * 序列化开始标签
+   * @param {Object} token - 开始标签标记
+   * @returns {string} HTML文本
+   * @private
+   */
+  _serializeStartTag(token) {
+    const attributes = token.attributes.map(attr => {
+      if (attr.opaque || attr.value === null || attr.value === undefined) {
+        return attr.before + (attr.opaque ? attr.raw : attr.name);
+      }
+
+      // 无引号的值中出现特殊字符时改用双引号
+      let quote = attr.quote;
+      if (!quote && /[\s"'=<>`]/.test(attr.value)) {
+        quote = '"';
+      }
+
+      return `${attr.before}${attr.name}${attr.separator || '='}${quote}${attr.value}${quote}`;
+    }).join('');
+
+    return `<${token.tagName}${attributes}${token.trailing}${token.selfClosing ? '/>' : '>'}`;
+  }
+
+  /**
+   * 跳过模板占位符
+   * @param {string} source - 文本
+   * @param {number} start - '{{' 的位置
+   * @returns {number} '}}' 之后的位置
+   * @private
+   */
+  _skipPlaceholder(source, start) {
+    const end = source.indexOf('}}', start + 2);
+    if (end === -1) {
+      return source.length;
+    }
+    // {{{raw}}}
+    return source[end + 2] === '}' ? end + 3 : end + 2;
+  }
+}
+
+// 导出模块
+export default HtmlTokenizer;
@@ -0,0 +1,127 @@
+/**
+ * IndexedDBStorageAdapter.js
+ * 浏览器 IndexedDB 存储适配器，适合超出 localStorage 配额的大型快照
+ */
+import StorageAdapter from './StorageAdapter.js';
+import { UniCanvasError } from './UniCanvasError.js';
+
+class IndexedDBStorageAdapter extends StorageAdapter {
+  /**
+   * @param {Object} options - 选项
+   * @param {string} [options.databaseName] - 数据库名称，默认为 unicanvas
+   * @param {string} [options.storeName] - 对象仓库名称，默认为 snapshots
+   * @param {IDBFactory} [options.indexedDB] - IndexedDB 实现，默认为全局 indexedDB
+   */
+  constructor(options = {}) {
+    super(options);
+
+    this.options.databaseName = options.databaseName || 'unicanvas';
+    this.options.storeName = options.storeName || 'snapshots';
+    this.indexedDB = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+
+    this.database = null;
+  }
+
+  async save(key, snapshot) {
+    this._assertKey(key);
+    // 存储 JSON 字符串，保证读取的结果与其他适配器一致
+    await this._request('readwrite', store => store.put(JSON.stringify(snapshot), key));
+  }
+
+  async load(key) {
+    this._assertKey(key);
+    const json = await this._request('readonly', store => store.get(key));
+
+    return json === undefined ? null : JSON.parse(json);
+  }
+
+  async remove(key) {
+    this._assertKey(key);
+    const count = await this._request('readonly', store => store.count(key));
+
+    if (count === 0) {
+      return false;
+    }
+
+    await this._request('readwrite', store => store.delete(key));
+    return true;
+  }
+
+  async list() {
+    const keys = await this._request('readonly', store => store.getAllKeys());
+    return keys.map(String);
+  }
+
+  /**
+   * 关闭数据库连接
+   */
+  close() {
+    if (this.database) {
+      this.database.close();
+      this.database = null;
+    }
+  }
+
+  /**
+   * 在事务中执行请求
+   * @param {string} mode - 事务模式
+   * @param {Function} operation - (store) => IDBRequest
+   * @returns {Promise<*>} 请求结果
+   * @private
+   */
+  async _request(mode, operation) {
+    const database = await this._open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(this.options.storeName, mode);
+      const request = operation(transaction.objectStore(this.options.storeName));
+      let result;
+
+      request.onsuccess = () => {
+        result = request.result;
+      };
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(new UniCanvasError(
+        'STORAGE_WRITE_FAILED',
+        `IndexedDB request failed: ${transaction.error && transaction.error.message}`
+      ));
+      transaction.onabort = transaction.onerror;
+    });
+  }
+
+  /**
+   * 打开数据库，首次打开时创建对象仓库
+   * @returns {Promise<IDBDatabase>} 数据库
+   * @private
+   */
+  _open() {
+    if (this.database) {
+      return Promise.resolve(this.database);
+    }
+
+    if (!this.indexedDB) {
+      return Promise.reject(new UniCanvasError('STORAGE_UNAVAILABLE', 'IndexedDB is not available in this environment'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = this.indexedDB.open(this.options.databaseName, 1);
+
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(this.options.storeName)) {
+          request.result.createObjectStore(this.options.storeName);
+        }
+      };
+      request.onsuccess = () => {
+        this.database = request.result;
+        resolve(this.database);
+      };
+      request.onerror = () => reject(new UniCanvasError(
+        'STORAGE_UNAVAILABLE',
+        `Cannot open IndexedDB database ${this.options.databaseName}: ${request.error && request.error.message}`
+      ));
+    });
+  }
+}
+
+// 导出模块
+export default IndexedDBStorageAdapter;
@@ -0,0 +1,113 @@
+/**
+ * JsonFileStorageAdapter.js
+ * JSON 文件存储适配器（仅 Node 环境），每个快照保存为目录下的 `${key}.json`
+ */
+import StorageAdapter from './StorageAdapter.js';
+import { UniCanvasError } from './UniCanvasError.js';
+
+class JsonFileStorageAdapter extends StorageAdapter {
+  /**
+   * @param {Object} options - 选项
+   * @param {string} options.directory - 快照目录
+   * @param {number} [options.indent] - JSON 缩进，默认为 2
+   */
+  constructor(options = {}) {
+    super(options);
+
+    if (!options.directory) {
+      throw new UniCanvasError('INVALID_STORAGE_CONFIG', 'JsonFileStorageAdapter requires a directory');
+    }
+
+    this.options.directory = options.directory;
+    this.options.indent = options.indent === undefined ? 2 : options.indent;
+  }
+
+  async save(key, snapshot) {
+    const { fs, file } = await this._resolve(key);
+    const temp = `${file}.${Date.now()}.tmp`;
+
+    // 先写入临时文件再重命名，避免写入中断留下不完整的快照
+    await fs.mkdir(this.options.directory, { recursive: true });
+    await fs.writeFile(temp, JSON.stringify(snapshot, null, this.options.indent), 'utf8');
+    await fs.rename(temp, file);
+  }
+
+  async load(key) {
+    const { fs, file } = await this._resolve(key);
+    let json;
+
+    try {
+      json = await fs.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    try {
+      return JSON.parse(json);
+    } catch (error) {
+      throw new UniCanvasError('INVALID_SNAPSHOT', `Snapshot file ${file} is not valid JSON`, { key });
+    }
+  }
+
+  async remove(key) {
+    const { fs, file } = await this._resolve(key);
+
+    try {
+      await fs.unlink(file);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async list() {
+    const fs = await this._getFileSystem();
+
+    try {
+      const files = await fs.readdir(this.options.directory);
+      return files.filter(name => name.endsWith('.json')).map(name => name.slice(0, -5));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 获取快照文件路径
+   * @param {string} key - 存储键
+   * @returns {Promise<Object>} { fs, file }
+   * @private
+   */
+  async _resolve(key) {
+    this._assertKey(key);
+
+    const fs = await this._getFileSystem();
+    const { join } = await import('node:path');
+
+    return { fs, file: join(this.options.directory, `${key}.json`) };
+  }
+
+  /**
+   * 加载文件系统模块
+   * @returns {Promise<Object>} node:fs/promises
+   * @private
+   */
+  async _getFileSystem() {
+    try {
+      return await import('node:fs/promises');
+    } catch (error) {
+      throw new UniCanvasError('STORAGE_UNAVAILABLE', 'JsonFileStorageAdapter requires Node.js file system access');
+    }
+  }
+}
+
+// 导出模块
+export default JsonFileStorageAdapter;
@@ -0,0 +1,235 @@
+/**
+ * LayoutRegistry.js
+ * 页面布局注册表，布局由命名区域（header、sidebar、main、footer 等）组成，组件按区域放置
+ */
+import { UniCanvasError } from './UniCanvasError.js';
+
+// 区域名称同时用作属性值和 grid-area 名称
+const REGION_NAME_REGEX = /^[a-zA-Z][\w-]*$/;
+
+// 常用区域对应的语义化元素，其他区域使用 div
+const REGION_TAGS = {
+  header: 'header',
+  footer: 'footer',
+  main: 'main',
+  sidebar: 'aside',
+  nav: 'nav'
+};
+
+// 内置布局
+const BUILTIN_LAYOUTS = {
+  standard: {
+    regions: ['header', 'main', 'footer']
+  },
+  sidebar: {
+    regions: ['header', 'sidebar', 'main', 'footer'],
+    areas: ['header header', 'sidebar main', 'footer footer'],
+    columns: 'minmax(200px, 1fr) 3fr'
+  },
+  blank: {
+    regions: ['main']
+  }
+};
+
+class LayoutRegistry {
+  constructor(options = {}) {
+    this.options = {
+      debug: options.debug || false
+    };
+
+    this.layouts = {};
+
+    Object.keys(BUILTIN_LAYOUTS).forEach(name => this.register(name, BUILTIN_LAYOUTS[name]));
+  }
+
+  /**
+   * 注册布局，同名布局会被替换
+   * @param {string} name - 布局名称
+   * @param {Object} definition - 布局定义
+   * @param {Array<string|Object>} definition.regions - 区域列表，元素为区域名称或 { name, tag }
+   * @param {string} [definition.defaultRegion] - 未指定区域的组件放置的区域，默认为 main 或第一个区域
+   * @param {Array<string>} [definition.areas] - CSS grid-template-areas 的各行，如 ['header header', 'sidebar main']
+   * @param {string} [definition.columns] - CSS grid-template-columns
+   * @param {string} [definition.css] - 附加样式
+   * @returns {Object} 规范化后的布局
+   */
+  register(name, definition = {}) {
+    if (!name || typeof name !== 'string' || !REGION_NAME_REGEX.test(name)) {
+      throw new UniCanvasError('INVALID_LAYOUT', 'Layout name must start with a letter and contain only letters, digits, _ or -', { name });
+    }
+
+    if (!Array.isArray(definition.regions) || definition.regions.length === 0) {
+      throw new UniCanvasError('INVALID_LAYOUT', `Layout ${name} must declare at least one region`, { layout: name });
+    }
+
+    const regions = definition.regions.map(region => {
+      const normalized = typeof region === 'string' ? { name: region } : { ...region };
+
+      if (!normalized.name || !REGION_NAME_REGEX.test(normalized.name)) {
+        throw new UniCanvasError('INVALID_LAYOUT', `Layout ${name} has an invalid region name`, { layout: name, region: normalized.name });
+      }
+
+      normalized.tag = normalized.tag || REGION_TAGS[normalized.name] || 'div';
+
+      if (!/^[a-z][a-z\d-]*$/.test(normalized.tag)) {
+        throw new UniCanvasError('INVALID_LAYOUT', `Region ${normalized.name} has an invalid tag`, { layout: name, tag: normalized.tag });
+      }
+
+      return normalized;
+    });
+
+    const names = regions.map(region => region.name);
+    const duplicate = names.find((regionName, index) => names.indexOf(regionName) !== index);
+
+    if (duplicate) {
+      throw new UniCanvasError('INVALID_LAYOUT', `Layout ${name} declares region ${duplicate} twice`, { layout: name, region: duplicate });
+    }
+
+    const defaultRegion = definition.defaultRegion || (names.includes('main') ? 'main' : names[0]);
+
+    if (!names.includes(defaultRegion)) {
+      throw new UniCanvasError('INVALID_LAYOUT', `Default region ${defaultRegion} is not a region of layout ${name}`, { layout: name, region: defaultRegion });
+    }
+
+    // grid 区域中只能出现已声明的区域或 .
+    (definition.areas || []).forEach(row => {
+      String(row).trim().split(/\s+/).forEach(cell => {
+        if (cell !== '.' && !names.includes(cell)) {
+          throw new UniCanvasError('INVALID_LAYOUT', `Grid area ${cell} is not a region of layout ${name}`, { layout: name, region: cell });
+        }
+      });
+    });
+
+    this.layouts[name] = {
+      name,
+      regions,
+      defaultRegion,
+      areas: definition.areas ? definition.areas.map(row => String(row).trim()) : null,
+      columns: definition.columns || null,
+      css: definition.css || ''
+    };
+
+    if (this.options.debug) {
+      console.log(`Layout registered: ${name}`, this.layouts[name]);
+    }
+
+    return this.layouts[name];
+  }
+
+  /**
+   * 获取布局
+   * @param {string} name - 布局名称
+   * @returns {Object|null} 布局或null
+   */
+  get(name) {
+    return this.has(name) ? this.layouts[name] : null;
+  }
+
+  /**
+   * 检查布局是否已注册
+   * @param {string} name - 布局名称
+   * @returns {boolean} 是否已注册
+   */
+  has(name) {
+    return Object.prototype.hasOwnProperty.call(this.layouts, name);
+  }
+
+  /**
+   * 获取已注册的布局名称
+   * @returns {Array<string>} 布局名称列表
+   */
+  list() {
+    return Object.keys(this.layouts);
+  }
+
+  /**
+   * 获取布局，不存在时抛出错误
+   * @param {string} name - 布局名称
+   * @returns {Object} 布局
+   * @throws {UniCanvasError} 布局不存在时抛出 LAYOUT_NOT_FOUND
+   */
+  require(name) {
+    const layout = this.get(name);
+
+    if (!layout) {
+      throw new UniCanvasError('LAYOUT_NOT_FOUND', `Layout ${name} is not registered`, { layout: name });
+    }
+
+    return layout;
+  }
+
+  /**
+   * 确定组件所在的区域
+   * @param {string} name - 布局名称
+   * @param {string} [region] - 请求的区域，不传时为布局的默认区域
+   * @returns {string} 区域名称
+   * @throws {UniCanvasError} 区域不存在时抛出 REGION_NOT_FOUND
+   */
+  resolveRegion(name, region) {
+    const layout = this.require(name);
+
+    if (!region) {
+      return layout.defaultRegion;
+    }
+
+    if (!layout.regions.some(item => item.name === region)) {
+      throw new UniCanvasError(
+        'REGION_NOT_FOUND',
+        `Region ${region} does not exist in layout ${name}`,
+        { layout: name, region, regions: layout.regions.map(item => item.name) }
+      );
+    }
+
+    return region;
+  }
+
+  /**
+   * 渲染布局
+   * @param {string} name - 布局名称
+   * @param {Object} regions - 各区域的HTML，键为区域名称
+   * @returns {string} 布局HTML
+   */
+  render(name, regions = {}) {
+    const layout = this.require(name);
+
+    const html = layout.regions.map(region => `<${region.tag} class="unicanvas-region" data-region="${region.name}">
+      ${regions[region.name] || ''}
+    </${region.tag}>`);
+
+    return `<div class="unicanvas-layout" data-layout="${layout.name}">
+    ${html.join('\n    ')}
+    </div>`;
+  }
+
+  /**
+   * 生成布局样式
+   * @param {string} name - 布局名称
+   * @returns {string} 样式内容
+   */
+  generateStyles(name) {
+    const layout = this.require(name);
+    const scope = `.unicanvas-layout[data-layout="${layout.name}"]`;
+    let css = '';
+
+    if (layout.areas) {
+      css += `${scope} {\n  display: grid;\n  grid-template-areas: ${layout.areas.map(row => `"${row}"`).join(' ')};\n`;
+      if (layout.columns) {
+        css += `  grid-template-columns: ${String(layout.columns).replace(/[{};<>]/g, '')};\n`;
+      }
+      css += '}\n';
+
+      layout.regions.forEach(region => {
+        css += `${scope} > [data-region="${region.name}"] { grid-area: ${region.name}; }\n`;
+      });
+    }
+
+    if (layout.css) {
+      css += `${layout.css}\n`;
+    }
+
+    return css;
+  }
+}
+
+// 导出模块
+export default LayoutRegistry;
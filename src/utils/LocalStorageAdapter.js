@@ -0,0 +1,87 @@
+/**
+ * LocalStorageAdapter.js
+ * 浏览器 localStorage 存储适配器，快照以 `${prefix}${key}` 为键保存
+ */
+import StorageAdapter from './StorageAdapter.js';
+import { UniCanvasError } from './UniCanvasError.js';
+
+class LocalStorageAdapter extends StorageAdapter {
+  /**
+   * @param {Object} options - 选项
+   * @param {string} [options.prefix] - 键前缀，默认为 unicanvas:
+   * @param {Storage} [options.storage] - Storage 实现，默认为 window.localStorage
+   */
+  constructor(options = {}) {
+    super(options);
+
+    this.options.prefix = options.prefix || 'unicanvas:';
+    this.storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+  }
+
+  async save(key, snapshot) {
+    try {
+      this._getStorage().setItem(this.options.prefix + this._assertKey(key), JSON.stringify(snapshot));
+    } catch (error) {
+      if (error instanceof UniCanvasError) {
+        throw error;
+      }
+
+      // 超出配额等写入错误
+      throw new UniCanvasError('STORAGE_WRITE_FAILED', `Cannot save snapshot ${key}: ${error.message}`, { key });
+    }
+  }
+
+  async load(key) {
+    const json = this._getStorage().getItem(this.options.prefix + this._assertKey(key));
+
+    if (json === null) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(json);
+    } catch (error) {
+      throw new UniCanvasError('INVALID_SNAPSHOT', `Snapshot ${key} is not valid JSON`, { key });
+    }
+  }
+
+  async remove(key) {
+    const storage = this._getStorage();
+    const storageKey = this.options.prefix + this._assertKey(key);
+    const existed = storage.getItem(storageKey) !== null;
+
+    storage.removeItem(storageKey);
+
+    return existed;
+  }
+
+  async list() {
+    const storage = this._getStorage();
+    const keys = [];
+
+    for (let i = 0; i < storage.length; i++) {
+      const name = storage.key(i);
+      if (name && name.startsWith(this.options.prefix)) {
+        keys.push(name.slice(this.options.prefix.length));
+      }
+    }
+
+    return keys;
+  }
+
+  /**
+   * 获取 Storage 实现
+   * @returns {Storage} Storage
+   * @private
+   */
+  _getStorage() {
+    if (!this.storage) {
+      throw new UniCanvasError('STORAGE_UNAVAILABLE', 'localStorage is not available in this environment');
+    }
+
+    return this.storage;
+  }
+}
+
+// 导出模块
+export default LocalStorageAdapter;
@@ -0,0 +1,258 @@
+/**
+ * LocaleFormatter.js
+ * 本地化格式化器，负责从资源中心的消息目录中解析文案，并基于 Intl 格式化数字、货币、日期和复数
+ */
+import { UniCanvasError } from './UniCanvasError.js';
+
+// 消息中的 {name} 参数
+const PARAM_REGEX = /\{\s*(\w+)\s*\}/g;
+
+class LocaleFormatter {
+  constructor(options = {}) {
+    this.options = {
+      locale: options.locale || null,
+      currency: options.currency || null,
+      debug: options.debug || false
+    };
+
+    this.resourceHub = options.resourceHub || null;
+
+    // Intl 格式化器创建开销较大，按语言和参数缓存
+    this.formatters = new Map();
+  }
+
+  /**
+   * 设置提供消息目录的全局资源中心
+   * @param {GlobalResourceHub} resourceHub - 全局资源中心
+   * @returns {LocaleFormatter} 当前实例
+   */
+  setResourceHub(resourceHub) {
+    this.resourceHub = resourceHub || null;
+    return this;
+  }
+
+  /**
+   * 确定实际使用的语言
+   * @param {string} [locale] - 请求的语言
+   * @returns {string} 语言标签
+   */
+  resolveLocale(locale) {
+    return locale ||
+      this.options.locale ||
+      (this.resourceHub ? this.resourceHub.localeConfig.defaultLocale : null) ||
+      'en';
+  }
+
+  /**
+   * 获取语言回退链
+   * @param {string} [locale] - 请求的语言
+   * @returns {Array<string>} 语言回退链
+   */
+  getLocaleChain(locale) {
+    const resolved = this.resolveLocale(locale);
+
+    return this.resourceHub ? this.resourceHub.getLocaleChain(resolved) : [resolved];
+  }
+
+  /**
+   * 翻译消息
+   * @param {string} key - 消息键，如 cart.total
+   * @param {Object} params - 消息参数，count 同时用于选择复数形式
+   * @param {Object} options - 翻译选项
+   * @param {string} [options.locale] - 语言
+   * @param {boolean} [options.strict] - 严格模式，消息不存在时抛出错误
+   * @returns {string} 翻译后的文本，消息不存在时返回消息键
+   */
+  translate(key, params = {}, options = {}) {
+    const locale = this.resolveLocale(options.locale);
+    const found = this.resourceHub ? this.resourceHub.lookupMessage(key, { locale }) : null;
+
+    if (!found) {
+      if (options.strict) {
+        throw new UniCanvasError(
+          'TEMPLATE_RENDER_ERROR',
+          `Missing message "${key}" for locale ${locale}`,
+          { key, locale }
+        );
+      }
+
+      if (this.options.debug) {
+        console.warn(`Missing message "${key}" for locale ${locale}`);
+      }
+
+      return key;
+    }
+
+    // 回退到其他语言的消息按该语言的复数规则和数字格式处理
+    const messageLocale = found.locale || locale;
+    const message = typeof found.message === 'object'
+      ? this.selectPlural(params.count, found.message, { locale: messageLocale })
+      : found.message;
+
+    return this._interpolate(message, params, messageLocale);
+  }
+
+  /**
+   * 格式化数字
+   * @param {number} value - 数值
+   * @param {Object} options - 语言（locale）及 Intl.NumberFormat 选项
+   * @returns {string} 格式化结果
+   */
+  formatNumber(value, options = {}) {
+    const { locale, ...formatOptions } = options;
+    const number = Number(value);
+
+    if (value === null || value === undefined || value === '' || !Number.isFinite(number)) {
+      return '';
+    }
+
+    return this._getFormatter('NumberFormat', this.resolveLocale(locale), formatOptions).format(number);
+  }
+
+  /**
+   * 格式化货币
+   * @param {number} value - 金额
+   * @param {string} [currency] - ISO 4217 货币代码，默认使用构造时的 currency 选项
+   * @param {Object} options - 语言（locale）及 Intl.NumberFormat 选项
+   * @returns {string} 格式化结果
+   */
+  formatCurrency(value, currency, options = {}) {
+    const code = currency || this.options.currency;
+
+    if (!code) {
+      throw new UniCanvasError('INVALID_CURRENCY', 'Currency code is required', { value });
+    }
+
+    return this.formatNumber(value, {
+      ...options,
+      style: 'currency',
+      currency: code
+    });
+  }
+
+  /**
+   * 格式化日期
+   * @param {Date|string|number} value - 日期
+   * @param {Object} options - 语言（locale）及 Intl.DateTimeFormat 选项
+   * @returns {string} 格式化结果，无效日期返回空字符串
+   */
+  formatDate(value, options = {}) {
+    const { locale, ...formatOptions } = options;
+
+    if (value === null || value === undefined || value === '') {
+      return '';
+    }
+
+    const date = value instanceof Date ? value : new Date(value);
+
+    if (isNaN(date.getTime())) {
+      return '';
+    }
+
+    return this._getFormatter('DateTimeFormat', this.resolveLocale(locale), formatOptions).format(date);
+  }
+
+  /**
+   * 按数量选择复数形式
+   * @param {number} count - 数量
+   * @param {Object} forms - 复数形式，如 { '=0': '空', one: '# item', other: '# items' }
+   * @param {Object} options - 语言（locale）及 Intl.PluralRules 选项
+   * @returns {string} 选中的文本，其中的 # 替换为格式化后的数量
+   */
+  selectPlural(count, forms = {}, options = {}) {
+    const { locale, ...ruleOptions } = options;
+    const resolved = this.resolveLocale(locale);
+    const number = Number(count);
+
+    let form = forms[`=${number}`];
+
+    if (form === undefined) {
+      const category = Number.isFinite(number)
+        ? this._getFormatter('PluralRules', resolved, ruleOptions).select(number)
+        : 'other';
+      form = forms[category] !== undefined ? forms[category] : forms.other;
+    }
+
+    if (form === undefined || form === null) {
+      return '';
+    }
+
+    return String(form).replace(/#/g, () => this.formatNumber(number, { locale: resolved }));
+  }
+
+  /**
+   * 创建模板中使用的本地化辅助函数
+   * @param {string} [locale] - 语言
+   * @param {Object} options - 选项
+   * @param {boolean} [options.strict] - 严格模式
+   * @param {string} [options.currency] - 默认货币代码
+   * @returns {Object} 辅助函数 { t, number, currency, date, plural }
+   */
+  createHelpers(locale, options = {}) {
+    const resolved = this.resolveLocale(locale);
+
+    return {
+      // {{t "cart.total" amount=total}}
+      t: ([key], params) => this.translate(key, params, { locale: resolved, strict: options.strict }),
+      // {{number price maximumFractionDigits=2}}
+      number: ([value], formatOptions) => this.formatNumber(value, { ...formatOptions, locale: resolved }),
+      // {{currency price "CNY"}}
+      currency: ([value, code], formatOptions) => {
+        const { currency, ...rest } = formatOptions;
+        return this.formatCurrency(value, code || currency || options.currency, { ...rest, locale: resolved });
+      },
+      // {{date createdAt dateStyle="long"}}
+      date: ([value], formatOptions) => this.formatDate(value, { ...formatOptions, locale: resolved }),
+      // {{plural count one="# item" other="# items"}}
+      plural: ([count], forms) => this.selectPlural(count, forms, { locale: resolved })
+    };
+  }
+
+  /**
+   * 替换消息参数
+   * @param {string} message - 消息文本
+   * @param {Object} params - 消息参数
+   * @param {string} locale - 语言
+   * @returns {string} 替换后的文本
+   * @private
+   */
+  _interpolate(message, params, locale) {
+    return String(message).replace(PARAM_REGEX, (match, name) => {
+      if (!params || !(name in params)) {
+        return match;
+      }
+
+      const value = params[name];
+      return typeof value === 'number' ? this.formatNumber(value, { locale }) : String(value ?? '');
+    });
+  }
+
+  /**
+   * 获取缓存的 Intl 格式化器
+   * @param {string} type - Intl 构造函数名称
+   * @param {string} locale - 语言
+   * @param {Object} options - 格式化选项
+   * @returns {Object} Intl 格式化器
+   * @private
+   */
+  _getFormatter(type, locale, options) {
+    const cacheKey = `${type}|${locale}|${JSON.stringify(options)}`;
+
+    if (!this.formatters.has(cacheKey)) {
+      try {
+        this.formatters.set(cacheKey, new Intl[type](locale, options));
+      } catch (error) {
+        throw new UniCanvasError(
+          'INVALID_FORMAT_OPTIONS',
+          `Cannot create ${type} for ${locale}: ${error.message}`,
+          { locale, options }
+        );
+      }
+    }
+
+    return this.formatters.get(cacheKey);
+  }
+}
+
+// 导出模块
+export default LocaleFormatter;
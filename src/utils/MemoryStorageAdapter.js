@@ -0,0 +1,33 @@
+/**
+ * MemoryStorageAdapter.js
+ * 内存存储适配器，快照以 JSON 字符串保存，读取时得到独立的副本
+ */
+import StorageAdapter from './StorageAdapter.js';
+
+class MemoryStorageAdapter extends StorageAdapter {
+  constructor(options = {}) {
+    super(options);
+
+    this.entries = new Map();
+  }
+
+  async save(key, snapshot) {
+    this.entries.set(this._assertKey(key), JSON.stringify(snapshot));
+  }
+
+  async load(key) {
+    const json = this.entries.get(this._assertKey(key));
+    return json === undefined ? null : JSON.parse(json);
+  }
+
+  async remove(key) {
+    return this.entries.delete(this._assertKey(key));
+  }
+
+  async list() {
+    return [...this.entries.keys()];
+  }
+}
+
+// 导出模块
+export default MemoryStorageAdapter;
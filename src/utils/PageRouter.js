@@ -0,0 +1,278 @@
+/**
+ * PageRouter.js
+ * 页面路由，解析页面路径模式并将URL路径匹配到路由
+ *   /about          - 静态路径
+ *   /products/:id   - 动态段，匹配一个路径段，值保存在 params.id
+ *   /docs/*         - 通配符，只能作为最后一段，匹配剩余的零个或多个路径段，值保存在 params.wildcard；
+ *                     命名通配符 *path 的值保存在 params.path
+ * 路径比较时忽略结尾的斜杠，静态段优先于动态段，动态段优先于通配符
+ */
+import { UniCanvasError } from './UniCanvasError.js';
+
+const PARAM_NAME_REGEX = /^[a-zA-Z_]\w*$/;
+
+// 静态段中不允许出现的字符
+const INVALID_SEGMENT_REGEX = /[\s?#\\:*]/;
+
+// 各类路径段的优先级
+const SEGMENT_RANKS = {
+  static: 3,
+  param: 2,
+  wildcard: 1
+};
+
+// 带协议的URL
+const ABSOLUTE_URL_REGEX = /^[a-z][a-z\d+.-]*:\/\//i;
+
+class PageRouter {
+  constructor(options = {}) {
+    this.options = {
+      debug: options.debug || false
+    };
+
+    // 已解析的路径模式
+    this.compiled = new Map();
+  }
+
+  /**
+   * 规范化路径：以 / 开头，合并重复的斜杠，去掉结尾的斜杠
+   * @param {string} path - 路径
+   * @returns {string} 规范化后的路径
+   */
+  normalize(path) {
+    if (typeof path !== 'string' || !path.trim()) {
+      throw new UniCanvasError('INVALID_PAGE_PATH', 'Page path must be a non-empty string', { path });
+    }
+
+    const segments = path.trim().split('/').filter(Boolean);
+    return `/${segments.join('/')}`;
+  }
+
+  /**
+   * 解析路径模式
+   * @param {string} path - 路径模式
+   * @returns {Object} { path, segments: [{ type, value, name }], key }
+   *   key 为忽略参数名称的路径形状，形状相同的路径匹配相同的URL
+   * @throws {UniCanvasError} 路径无效时抛出 INVALID_PAGE_PATH
+   */
+  compile(path) {
+    const normalized = this.normalize(path);
+
+    if (this.compiled.has(normalized)) {
+      return this.compiled.get(normalized);
+    }
+
+    const names = new Set();
+    const parts = normalized.split('/').filter(Boolean);
+
+    const segments = parts.map((part, index) => {
+      let segment;
+
+      if (part.startsWith(':')) {
+        segment = { type: 'param', name: part.slice(1) };
+      } else if (part.startsWith('*')) {
+        segment = { type: 'wildcard', name: part.slice(1) || 'wildcard' };
+
+        if (index !== parts.length - 1) {
+          throw new UniCanvasError('INVALID_PAGE_PATH', `Wildcard must be the last segment of ${normalized}`, { path: normalized });
+        }
+      } else {
+        if (INVALID_SEGMENT_REGEX.test(part) || part === '.' || part === '..') {
+          throw new UniCanvasError('INVALID_PAGE_PATH', `Invalid segment ${part} in ${normalized}`, { path: normalized, segment: part });
+        }
+
+        return { type: 'static', value: part };
+      }
+
+      if (!PARAM_NAME_REGEX.test(segment.name)) {
+        throw new UniCanvasError('INVALID_PAGE_PATH', `Invalid parameter name ${segment.name} in ${normalized}`, { path: normalized });
+      }
+
+      if (names.has(segment.name)) {
+        throw new UniCanvasError('INVALID_PAGE_PATH', `Parameter ${segment.name} appears twice in ${normalized}`, { path: normalized });
+      }
+      names.add(segment.name);
+
+      return segment;
+    });
+
+    const route = {
+      path: normalized,
+      segments,
+      key: `/${segments.map(segment => (segment.type === 'static' ? segment.value : segment.type === 'param' ? ':' : '*')).join('/')}`
+    };
+
+    this.compiled.set(normalized, route);
+
+    return route;
+  }
+
+  /**
+   * 是否为包含动态段或通配符的路径
+   * @param {string} path - 路径模式
+   * @returns {boolean}
+   */
+  isDynamic(path) {
+    return this.compile(path).segments.some(segment => segment.type !== 'static');
+  }
+
+  /**
+   * 匹配URL路径
+   * @param {string} path - 路径模式
+   * @param {string} urlPath - URL路径，不含查询和锚点
+   * @returns {Object|null} 匹配时返回参数，否则为null
+   */
+  match(path, urlPath) {
+    const { segments } = this.compile(path);
+    const parts = String(urlPath).split('/').filter(Boolean);
+    const params = {};
+
+    for (let i = 0; i < segments.length; i++) {
+      const segment = segments[i];
+
+      if (segment.type === 'wildcard') {
+        params[segment.name] = parts.slice(i).map(part => this._decode(part)).join('/');
+        return params;
+      }
+
+      if (i >= parts.length) {
+        return null;
+      }
+
+      const part = this._decode(parts[i]);
+
+      if (segment.type === 'static') {
+        if (part !== segment.value) {
+          return null;
+        }
+      } else {
+        params[segment.name] = part;
+      }
+    }
+
+    return parts.length === segments.length ? params : null;
+  }
+
+  /**
+   * 比较两个路径模式的优先级，用于排序
+   * @param {string} a - 路径模式
+   * @param {string} b - 路径模式
+   * @returns {number} a 优先时为负数
+   */
+  compare(a, b) {
+    const segmentsA = this.compile(a).segments;
+    const segmentsB = this.compile(b).segments;
+    const length = Math.max(segmentsA.length, segmentsB.length);
+
+    for (let i = 0; i < length; i++) {
+      const rankA = segmentsA[i] ? SEGMENT_RANKS[segmentsA[i].type] : 0;
+      const rankB = segmentsB[i] ? SEGMENT_RANKS[segmentsB[i].type] : 0;
+
+      if (rankA !== rankB) {
+        return rankB - rankA;
+      }
+    }
+
+    return 0;
+  }
+
+  /**
+   * 用参数填充路径模式
+   * @param {string} path - 路径模式
+   * @param {Object} params - 参数
+   * @returns {string} 路径
+   * @throws {UniCanvasError} 缺少参数时抛出 MISSING_ROUTE_PARAM
+   */
+  buildPath(path, params = {}) {
+    const { segments } = this.compile(path);
+
+    const parts = segments.map(segment => {
+      if (segment.type === 'static') {
+        return segment.value;
+      }
+
+      const value = params[segment.name];
+
+      if (value === undefined || value === null || (segment.type === 'param' && value === '')) {
+        throw new UniCanvasError('MISSING_ROUTE_PARAM', `Parameter ${segment.name} is required by ${path}`, { path, param: segment.name });
+      }
+
+      // 通配符的值可以包含多个路径段
+      return segment.type === 'wildcard'
+        ? String(value).split('/').map(encodeURIComponent).join('/')
+        : encodeURIComponent(value);
+    });
+
+    return this.normalize(`/${parts.join('/')}`);
+  }
+
+  /**
+   * 获取路径模式中的参数名称
+   * @param {string} path - 路径模式
+   * @returns {Array<string>} 参数名称
+   */
+  getParamNames(path) {
+    return this.compile(path).segments
+      .filter(segment => segment.type !== 'static')
+      .map(segment => segment.name);
+  }
+
+  /**
+   * 拆分URL
+   * @param {string} url - 完整URL或以 / 开头的路径，可以带查询和锚点
+   * @returns {Object} { host, path, query, search }，host 为小写且不含端口，相对路径的 host 为null；search 为原始查询字符串（含 ?）
+   */
+  parseUrl(url) {
+    const value = String(url || '/').trim();
+    let host = null;
+    let rest = value;
+
+    if (ABSOLUTE_URL_REGEX.test(value) || value.startsWith('//')) {
+      const match = value.match(/^(?:[a-z][a-z\d+.-]*:)?\/\/([^/?#]*)(.*)$/i);
+      host = match[1].replace(/^[^@]*@/, '').replace(/:\d*$/, '').toLowerCase() || null;
+      rest = match[2];
+    }
+
+    const [path, ...searchParts] = rest.replace(/#.*$/, '').split('?');
+    const search = searchParts.join('?');
+    const query = {};
+
+    search.split('&').filter(Boolean).forEach(pair => {
+      const [key, ...value] = pair.split('=');
+      query[this._decode(key.replace(/\+/g, ' '))] = this._decode(value.join('=').replace(/\+/g, ' '));
+    });
+
+    return {
+      host,
+      path: this.normalize(path || '/'),
+      query,
+      search: search ? `?${search}` : ''
+    };
+  }
+
+  /**
+   * 是否为带协议的完整URL
+   * @param {string} url - URL
+   * @returns {boolean}
+   */
+  isAbsoluteUrl(url) {
+    return ABSOLUTE_URL_REGEX.test(String(url));
+  }
+
+  /**
+   * 解码路径段，无效的编码保留原样
+   * @param {string} value - 编码的值
+   * @returns {string} 解码后的值
+   * @private
+   */
+  _decode(value) {
+    try {
+      return decodeURIComponent(value);
+    } catch (error) {
+      return value;
+    }
+  }
+}
+
+// 导出模块
+export default PageRouter;
@@ -2,8 +2,13 @@
  * SandboxBridge.js
  * 沙箱通信网关，负责安全地处理跨页面/站点通信
  */
-class SandboxBridge {
+import EventEmitter from './EventEmitter.js';
+import { UniCanvasError } from './UniCanvasError.js';
+
+class SandboxBridge extends EventEmitter {
   constructor(options = {}) {
+    super();
+    
     this.options = {
       allowedOrigins: options.allowedOrigins || [],
       messageTimeout: options.messageTimeout || 5000,
@@ -45,6 +50,24 @@ class SandboxBridge {
     return this.options.allowedOrigins;
   }
   
+  /**
+   * 撤销特定来源的通信权限
+   * @param {Array<string>} origins - 撤销的来源列表
+   */
+  revokeOrigins(origins) {
+    if (!Array.isArray(origins)) {
+      throw new UniCanvasError('INVALID_ORIGINS', 'Origins must be an array');
+    }
+    
+    this.options.allowedOrigins = this.options.allowedOrigins.filter(origin => !origins.includes(origin));
+    
+    if (this.options.debug) {
+      console.log('Updated allowed origins:', this.options.allowedOrigins);
+    }
+    
+    return this.options.allowedOrigins;
+  }
+  
   /**
    * 发送消息到指定目标
    * @param {Object} message - 消息内容
@@ -195,6 +218,14 @@ class SandboxBridge {
    * @private
    */
   _initMessageListener() {
+    // 非浏览器环境（如 Node 中的服务端渲染和静态导出）没有消息事件
+    if (typeof window === 'undefined' || typeof window.addEventListener !== 'function') {
+      if (this.options.debug) {
+        console.log('Message listener skipped: window is not available');
+      }
+      return;
+    }
+    
     window.addEventListener('message', (event) => {
       // 验证消息来源
       if (!this._isOriginAllowed(event.origin)) {
@@ -239,6 +270,9 @@ class SandboxBridge {
         return;
       }
       
+      // 通知订阅者收到消息
+      this.emit('message.received', message);
+      
       // 处理普通消息
       try {
         // 检查是否有特定类型的处理器
@@ -0,0 +1,196 @@
+/**
+ * SchemaValidator.js
+ * 数据结构校验器，负责按模板 schema 校验数据并填充默认值
+ */
+
+// 支持的数据类型
+const TYPE_CHECKS = {
+  any: () => true,
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value),
+  date: value => (value instanceof Date && !isNaN(value.getTime())) ||
+    (typeof value === 'string' && !isNaN(Date.parse(value)))
+};
+
+class SchemaValidator {
+  constructor(options = {}) {
+    this.options = {
+      applyDefaults: options.applyDefaults !== false,
+      debug: options.debug || false
+    };
+  }
+
+  /**
+   * 校验数据
+   * @param {Object} schema - 字段描述对象，如 { product: { type: 'object', required: true } }
+   * @param {*} data - 待校验的数据
+   * @returns {Object} 校验结果 { valid, errors, data }
+   */
+  validate(schema, data) {
+    const errors = [];
+    const value = this._validateValue(this._normalizeRoot(schema), data, '', errors);
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      data: value
+    };
+  }
+
+  /**
+   * 检查类型名称是否受支持
+   * @param {string} type - 类型名称
+   * @returns {boolean} 是否支持
+   */
+  isSupportedType(type) {
+    return Object.prototype.hasOwnProperty.call(TYPE_CHECKS, type);
+  }
+
+  /**
+   * 将根 schema 统一为对象描述
+   * @param {Object} schema - 模板 schema
+   * @returns {Object} 对象类型描述
+   * @private
+   */
+  _normalizeRoot(schema) {
+    // 已经是完整的描述（{ type: 'object', properties: {...} }）
+    if (schema && typeof schema.type === 'string' && schema.properties) {
+      return schema;
+    }
+
+    return { type: 'object', properties: schema || {} };
+  }
+
+  /**
+   * 标准化字段描述，支持 'string' 这样的简写
+   * @param {string|Object} descriptor - 字段描述
+   * @returns {Object} 标准化后的描述
+   * @private
+   */
+  _normalizeDescriptor(descriptor) {
+    if (typeof descriptor === 'string') {
+      return { type: descriptor };
+    }
+
+    return descriptor || { type: 'any' };
+  }
+
+  /**
+   * 校验单个值
+   * @param {Object} descriptor - 字段描述
+   * @param {*} value - 字段值
+   * @param {string} path - 字段路径
+   * @param {Array} errors - 错误收集数组
+   * @returns {*} 处理后的值（已填充默认值）
+   * @private
+   */
+  _validateValue(descriptor, value, path, errors) {
+    const field = this._normalizeDescriptor(descriptor);
+
+    if (value === undefined || value === null) {
+      if (this.options.applyDefaults && field.default !== undefined) {
+        return this._cloneDefault(field.default);
+      }
+
+      if (field.required === true) {
+        errors.push({
+          path,
+          rule: 'required',
+          message: `${path || 'value'} is required`
+        });
+      }
+
+      return value;
+    }
+
+    // 类型检查
+    const types = Array.isArray(field.type) ? field.type : [field.type || 'any'];
+    const matched = types.find(type => TYPE_CHECKS[type] && TYPE_CHECKS[type](value));
+
+    if (!matched) {
+      errors.push({
+        path,
+        rule: 'type',
+        message: `${path || 'value'} must be of type ${types.join(' | ')}`,
+        expected: types,
+        actual: Array.isArray(value) ? 'array' : typeof value
+      });
+      return value;
+    }
+
+    // 枚举检查
+    if (Array.isArray(field.enum) && !field.enum.includes(value)) {
+      errors.push({
+        path,
+        rule: 'enum',
+        message: `${path || 'value'} must be one of: ${field.enum.join(', ')}`,
+        expected: field.enum,
+        actual: value
+      });
+      return value;
+    }
+
+    if (matched === 'object' && field.properties) {
+      return this._validateObject(field, value, path, errors);
+    }
+
+    if (matched === 'array' && field.items) {
+      return value.map((item, index) => this._validateValue(field.items, item, `${path}[${index}]`, errors));
+    }
+
+    return value;
+  }
+
+  /**
+   * 校验对象属性
+   * @param {Object} field - 对象类型描述
+   * @param {Object} value - 对象值
+   * @param {string} path - 字段路径
+   * @param {Array} errors - 错误收集数组
+   * @returns {Object} 处理后的对象
+   * @private
+   */
+  _validateObject(field, value, path, errors) {
+    const result = { ...value };
+    const requiredKeys = Array.isArray(field.required) ? field.required : [];
+
+    for (const key of Object.keys(field.properties)) {
+      let descriptor = this._normalizeDescriptor(field.properties[key]);
+
+      // 兼容 JSON Schema 风格的 required 数组
+      if (requiredKeys.includes(key) && descriptor.required !== true) {
+        descriptor = { ...descriptor, required: true };
+      }
+
+      const childPath = path ? `${path}.${key}` : key;
+      const childValue = this._validateValue(descriptor, value[key], childPath, errors);
+
+      if (childValue !== undefined) {
+        result[key] = childValue;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * 复制默认值，避免多次渲染共享同一对象
+   * @param {*} value - 默认值
+   * @returns {*} 副本
+   * @private
+   */
+  _cloneDefault(value) {
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+
+    return JSON.parse(JSON.stringify(value));
+  }
+}
+
+// 导出模块
+export default SchemaValidator;
@@ -0,0 +1,257 @@
+/**
+ * StateRecorder.js
+ * 状态记录器，在修改前记录将被修改的状态，撤销或回滚时原地还原，已有对象的引用在还原后仍然有效
+ * 记录位置为 (对象, 键)，对象可以是普通对象或 Map；记录深度：
+ *   0        - 只记录引用，适用于整体替换的值
+ *   1        - 记录容器的条目，条目的值按引用保存
+ *   Infinity - 记录完整结构（默认），还原时复用原有的对象、数组、Set 和 Map
+ * 函数、Date 和类实例总是按引用保存
+ */
+
+// 记录时键不存在，还原时删除该键
+const ABSENT = Symbol('absent');
+
+/**
+ * 对象结构的副本，保存原对象以便原地还原
+ * @private
+ */
+class Copy {
+  constructor(origin, type) {
+    this.origin = origin;
+    this.type = type;
+    this.entries = [];
+  }
+}
+
+class StateRecorder {
+  constructor(options = {}) {
+    this.options = {
+      debug: options.debug || false
+    };
+
+    // 进行中的记录帧，嵌套时每一帧分别记录
+    this.frames = [];
+  }
+
+  /**
+   * 开始记录
+   * @returns {Object} 记录帧 { slots }
+   */
+  begin() {
+    const frame = { slots: [], seen: new Map() };
+    this.frames.push(frame);
+
+    return frame;
+  }
+
+  /**
+   * 结束记录
+   * @param {Object} frame - begin 返回的记录帧
+   * @returns {Array<Object>} 帧中记录的状态，按记录顺序排列
+   */
+  end(frame) {
+    const index = this.frames.lastIndexOf(frame);
+
+    if (index !== -1) {
+      this.frames.splice(index, 1);
+    }
+
+    return frame.slots;
+  }
+
+  /**
+   * 是否正在记录
+   * @returns {boolean}
+   */
+  isRecording() {
+    return this.frames.length > 0;
+  }
+
+  /**
+   * 记录位置当前的状态；每一帧只保留同一位置第一次记录的状态
+   * @param {Object|Map} target - 对象或 Map
+   * @param {string} key - 键
+   * @param {number} [depth] - 记录深度，默认记录完整结构
+   */
+  capture(target, key, depth = Infinity) {
+    if (this.frames.length === 0 || !target || key === undefined || key === null) {
+      return;
+    }
+
+    const id = `${depth}:${key}`;
+    let slot = null;
+
+    this.frames.forEach(frame => {
+      if (!frame.seen.has(target)) {
+        frame.seen.set(target, new Set());
+      }
+
+      const ids = frame.seen.get(target);
+
+      if (!ids.has(id)) {
+        ids.add(id);
+        slot = slot || this._read(target, key, depth);
+        frame.slots.push(slot);
+      }
+    });
+  }
+
+  /**
+   * 重新读取已记录位置的当前状态，用于重做
+   * @param {Array<Object>} slots - 记录的状态
+   * @returns {Array<Object>} 当前状态
+   */
+  read(slots) {
+    return slots.map(slot => this._read(slot.target, slot.key, slot.depth));
+  }
+
+  /**
+   * 还原记录的状态，后记录的先还原，同一位置最终为最早记录的状态
+   * @param {Array<Object>} slots - 记录的状态
+   */
+  restore(slots) {
+    [...slots].reverse().forEach(({ target, key, value }) => {
+      const isMap = target instanceof Map;
+
+      if (value === ABSENT) {
+        if (isMap) {
+          target.delete(key);
+        } else {
+          delete target[key];
+        }
+        return;
+      }
+
+      const restored = this._revive(value, new Map());
+
+      if (isMap) {
+        target.set(key, restored);
+      } else {
+        target[key] = restored;
+      }
+    });
+  }
+
+  /**
+   * 读取位置的状态
+   * @param {Object|Map} target - 对象或 Map
+   * @param {string} key - 键
+   * @param {number} depth - 记录深度
+   * @returns {Object} { target, key, depth, value }
+   * @private
+   */
+  _read(target, key, depth) {
+    const isMap = target instanceof Map;
+    const exists = isMap ? target.has(key) : Object.prototype.hasOwnProperty.call(target, key);
+
+    return {
+      target,
+      key,
+      depth,
+      value: exists ? this._copy(isMap ? target.get(key) : target[key], depth, new Map()) : ABSENT
+    };
+  }
+
+  /**
+   * 复制对象结构，超出深度的值、函数和类实例按引用保存
+   * @param {*} value - 值
+   * @param {number} depth - 剩余深度
+   * @param {Map} copies - 已复制的对象，处理共享引用和循环引用
+   * @returns {*} 副本
+   * @private
+   */
+  _copy(value, depth, copies) {
+    if (depth <= 0 || !value || typeof value !== 'object') {
+      return value;
+    }
+
+    if (copies.has(value)) {
+      return copies.get(value);
+    }
+
+    const type = this._typeOf(value);
+
+    if (!type) {
+      return value;
+    }
+
+    const copy = new Copy(value, type);
+    copies.set(value, copy);
+
+    if (type === 'map') {
+      value.forEach((item, key) => copy.entries.push([key, this._copy(item, depth - 1, copies)]));
+    } else if (type === 'object') {
+      Object.keys(value).forEach(key => copy.entries.push([key, this._copy(value[key], depth - 1, copies)]));
+    } else {
+      [...value].forEach(item => copy.entries.push(this._copy(item, depth - 1, copies)));
+    }
+
+    return copy;
+  }
+
+  /**
+   * 将副本的内容写回原对象
+   * @param {*} value - 副本或按引用保存的值
+   * @param {Map} restored - 已还原的副本
+   * @returns {*} 还原后的原对象
+   * @private
+   */
+  _revive(value, restored) {
+    if (!(value instanceof Copy)) {
+      return value;
+    }
+
+    const { origin, type, entries } = value;
+
+    if (restored.has(value)) {
+      return origin;
+    }
+    restored.set(value, origin);
+
+    if (type === 'array') {
+      origin.length = 0;
+      entries.forEach(item => origin.push(this._revive(item, restored)));
+    } else if (type === 'set') {
+      origin.clear();
+      entries.forEach(item => origin.add(this._revive(item, restored)));
+    } else if (type === 'map') {
+      origin.clear();
+      entries.forEach(([key, item]) => origin.set(key, this._revive(item, restored)));
+    } else {
+      // 重新写入全部键以保持原有的键顺序
+      Object.keys(origin).forEach(key => delete origin[key]);
+      entries.forEach(([key, item]) => {
+        origin[key] = this._revive(item, restored);
+      });
+    }
+
+    return origin;
+  }
+
+  /**
+   * 获取可复制的结构类型
+   * @param {Object} value - 对象
+   * @returns {string|null} array、set、map、object，其他对象为null
+   * @private
+   */
+  _typeOf(value) {
+    if (Array.isArray(value)) {
+      return 'array';
+    }
+
+    if (value instanceof Set) {
+      return 'set';
+    }
+
+    if (value instanceof Map) {
+      return 'map';
+    }
+
+    const prototype = Object.getPrototypeOf(value);
+
+    return prototype === Object.prototype || prototype === null ? 'object' : null;
+  }
+}
+
+// 导出模块
+export default StateRecorder;
@@ -0,0 +1,154 @@
+/**
+ * StateSerializer.js
+ * 状态序列化器，将包含 Date、Set、Map 的状态转换为可写入 JSON 的结构，并在读取时还原
+ */
+import { UniCanvasError } from './UniCanvasError.js';
+
+// 特殊类型的标记键
+const DATE_KEY = '$date';
+const SET_KEY = '$set';
+const MAP_KEY = '$map';
+
+class StateSerializer {
+  constructor(options = {}) {
+    this.options = {
+      debug: options.debug || false
+    };
+  }
+
+  /**
+   * 编码为可序列化的结构
+   * @param {*} value - 待编码的值
+   * @param {string} [path] - 值在状态中的路径，用于错误信息
+   * @returns {*} 编码后的值
+   * @throws {UniCanvasError} 值中包含函数（如组件的 script）时抛出 UNSERIALIZABLE_STATE
+   */
+  encode(value, path = '') {
+    if (value instanceof Date) {
+      return { [DATE_KEY]: value.toISOString() };
+    }
+
+    if (value instanceof Set) {
+      return { [SET_KEY]: [...value].map((item, index) => this.encode(item, `${path}[${index}]`)) };
+    }
+
+    if (value instanceof Map) {
+      return {
+        [MAP_KEY]: [...value.entries()].map(([key, item]) => [
+          this.encode(key, path),
+          this.encode(item, this._join(path, key))
+        ])
+      };
+    }
+
+    // 函数转换为源码后无法还原为可执行的函数，不能静默写入快照
+    if (typeof value === 'function') {
+      throw new UniCanvasError(
+        'UNSERIALIZABLE_STATE',
+        `Cannot serialize the function at ${path || 'the root'}; register it as a source string instead`,
+        { path }
+      );
+    }
+
+    if (Array.isArray(value)) {
+      return value.map((item, index) => this.encode(item, `${path}[${index}]`));
+    }
+
+    if (value && typeof value === 'object') {
+      const result = {};
+
+      Object.keys(value).forEach(key => {
+        if (value[key] !== undefined) {
+          result[key] = this.encode(value[key], this._join(path, key));
+        }
+      });
+
+      return result;
+    }
+
+    return value;
+  }
+
+  /**
+   * 还原编码后的结构
+   * @param {*} value - 编码后的值
+   * @returns {*} 还原后的值
+   */
+  decode(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.decode(item));
+    }
+
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+
+    const keys = Object.keys(value);
+
+    if (keys.length === 1 && keys[0] === DATE_KEY) {
+      const date = new Date(value[DATE_KEY]);
+
+      if (isNaN(date.getTime())) {
+        throw new UniCanvasError('INVALID_SNAPSHOT', `Invalid date in snapshot: ${value[DATE_KEY]}`);
+      }
+
+      return date;
+    }
+
+    if (keys.length === 1 && keys[0] === SET_KEY) {
+      return new Set(value[SET_KEY].map(item => this.decode(item)));
+    }
+
+    if (keys.length === 1 && keys[0] === MAP_KEY) {
+      return new Map(value[MAP_KEY].map(([key, item]) => [this.decode(key), this.decode(item)]));
+    }
+
+    const result = {};
+
+    keys.forEach(key => {
+      result[key] = this.decode(value[key]);
+    });
+
+    return result;
+  }
+
+  /**
+   * 序列化为 JSON 字符串
+   * @param {*} value - 待序列化的值
+   * @returns {string} JSON 字符串
+   */
+  stringify(value) {
+    return JSON.stringify(this.encode(value));
+  }
+
+  /**
+   * 解析 JSON 字符串并还原
+   * @param {string} json - JSON 字符串
+   * @returns {*} 还原后的值
+   */
+  parse(json) {
+    try {
+      return this.decode(JSON.parse(json));
+    } catch (error) {
+      if (error instanceof UniCanvasError) {
+        throw error;
+      }
+
+      throw new UniCanvasError('INVALID_SNAPSHOT', `Snapshot is not valid JSON: ${error.message}`);
+    }
+  }
+
+  /**
+   * 拼接状态路径
+   * @param {string} path - 上级路径
+   * @param {*} key - 键
+   * @returns {string} 路径
+   * @private
+   */
+  _join(path, key) {
+    return path ? `${path}.${key}` : String(key);
+  }
+}
+
+// 导出模块
+export default StateSerializer;
@@ -0,0 +1,392 @@
+/**
+ * StaticExporter.js
+ * 静态站点导出器，将 UniCanvas 中的站点和页面渲染为目录结构，只依赖 Node 的文件系统
+ */
+import { UniCanvasError } from './UniCanvasError.js';
+import HtmlTokenizer from './HtmlTokenizer.js';
+
+// 导出时检查的链接属性
+const LINK_ATTRIBUTES = {
+  a: 'href',
+  area: 'href',
+  link: 'href',
+  img: 'src',
+  script: 'src',
+  iframe: 'src'
+};
+
+// 带协议或协议相对的URL视为外部链接
+const EXTERNAL_URL_REGEX = /^(?:[a-z][a-z\d+.-]*:|\/\/)/i;
+
+class StaticExporter {
+  /**
+   * @param {UniCanvas} uniCanvas - UniCanvas 实例
+   * @param {Object} options - 导出选项
+   * @param {string} [options.baseUrl] - 站点部署的路径前缀，默认为 /
+   * @param {string} [options.origin] - 站点源（如 https://example.com），用于 sitemap，默认使用站点的 domain
+   * @param {Object} [options.renderOptions] - 传给 buildPage 的渲染选项
+   * @param {Object} [options.fs] - 文件系统实现，需提供 mkdir 和 writeFile，默认使用 node:fs/promises
+   */
+  constructor(uniCanvas, options = {}) {
+    this.uniCanvas = uniCanvas;
+    this.options = {
+      baseUrl: this._normalizeBaseUrl(options.baseUrl || '/'),
+      origin: options.origin || null,
+      renderOptions: options.renderOptions || {},
+      fs: options.fs || null,
+      debug: options.debug || false
+    };
+
+    this.tokenizer = new HtmlTokenizer();
+  }
+
+  /**
+   * 导出站点
+   * @param {string} siteId - 站点ID
+   * @param {string} outputDir - 输出目录
+   * @returns {Promise<Object>} 导出报告 { siteId, outputDir, files, pages, assets, sitemap, manifest, brokenLinks, warnings }
+   */
+  async exportSite(siteId, outputDir) {
+    const site = this.uniCanvas.getSite(siteId);
+
+    if (!site) {
+      throw new UniCanvasError('SITE_NOT_FOUND', `Site ${siteId} not found`);
+    }
+
+    const build = this.buildSite(siteId);
+    const fs = await this._getFileSystem();
+    const { join, dirname } = await import('node:path');
+
+    for (const file of build.files) {
+      const target = join(outputDir, ...file.path.split('/'));
+      await fs.mkdir(dirname(target), { recursive: true });
+      await fs.writeFile(target, file.content, 'utf8');
+    }
+
+    const report = {
+      siteId,
+      outputDir,
+      files: build.files.map(file => file.path),
+      pages: build.manifest.pages,
+      assets: build.manifest.assets,
+      sitemap: build.sitemap ? 'sitemap.xml' : null,
+      manifest: 'unicanvas-manifest.json',
+      brokenLinks: build.brokenLinks,
+      warnings: build.warnings
+    };
+
+    if (this.options.debug) {
+      console.log(`Site ${siteId} exported to ${outputDir}`, report);
+    }
+
+    return report;
+  }
+
+  /**
+   * 在内存中构建站点的全部文件，不写入文件系统
+   * @param {string} siteId - 站点ID
+   * @returns {Object} { files: [{ path, content }], manifest, sitemap, brokenLinks, warnings }
+   */
+  buildSite(siteId) {
+    const site = this.uniCanvas.getSite(siteId);
+
+    if (!site) {
+      throw new UniCanvasError('SITE_NOT_FOUND', `Site ${siteId} not found`);
+    }
+
+    const { baseUrl } = this.options;
+    const warnings = [];
+    const pages = [];
+    const assets = new Map();
+    const files = [];
+    const filesByPath = new Map();
+
+    site.pages.forEach(pageId => {
+      const page = this.uniCanvas.getPage(pageId);
+
+      // 动态路径对应的URL无法预先确定，不导出
+      if (this.uniCanvas.router.isDynamic(page.path)) {
+        warnings.push({
+          code: 'DYNAMIC_PAGE_SKIPPED',
+          message: `Page ${pageId} has the dynamic path ${page.path} and was not exported`,
+          pageId
+        });
+        return;
+      }
+
+      const file = this._getPageFile(page.path);
+
+      if (filesByPath.has(file)) {
+        throw new UniCanvasError(
+          'PAGE_PATH_CONFLICT',
+          `Pages ${filesByPath.get(file)} and ${pageId} both export to ${file}`,
+          { siteId, file, pages: [filesByPath.get(file), pageId] }
+        );
+      }
+      filesByPath.set(file, pageId);
+
+      const result = this.uniCanvas.buildPage(pageId, {
+        ...this.options.renderOptions,
+        assets: 'external',
+        assetBaseUrl: `${baseUrl}assets/`
+      });
+
+      // 共用资源在页面之间按路径去重
+      result.assets.forEach(asset => {
+        if (!assets.has(asset.path)) {
+          assets.set(asset.path, asset);
+        }
+      });
+
+      pages.push({
+        pageId,
+        path: page.path,
+        url: `${baseUrl}${this._getPageUrl(file)}`,
+        file,
+        html: result.html,
+        lastModified: page.updatedAt,
+        assets: result.assets.map(asset => `assets/${asset.path}`)
+      });
+    });
+
+    if (site.redirects && site.redirects.length > 0) {
+      warnings.push({
+        code: 'REDIRECTS_SKIPPED',
+        message: `Site ${siteId} has ${site.redirects.length} redirect(s), which must be configured on the web server`
+      });
+    }
+
+    const brokenLinks = this._findBrokenLinks(pages, assets);
+
+    pages.forEach(page => files.push({ path: page.file, content: page.html }));
+    assets.forEach(asset => files.push({ path: `assets/${asset.path}`, content: asset.content }));
+
+    // sitemap 需要绝对地址，没有可用的源时跳过
+    const origin = this.options.origin || (site.domain ? `https://${site.domain}` : null);
+    let sitemap = null;
+
+    if (origin) {
+      sitemap = this._generateSitemap(origin.replace(/\/+$/, ''), pages);
+      files.push({ path: 'sitemap.xml', content: sitemap });
+    } else {
+      warnings.push({
+        code: 'SITEMAP_SKIPPED',
+        message: `Site ${siteId} has no domain and no origin was given, sitemap.xml was not generated`
+      });
+    }
+
+    const manifest = {
+      siteId,
+      name: site.name,
+      baseUrl,
+      generatedAt: new Date().toISOString(),
+      pages: pages.map(({ pageId, path, url, file, assets: pageAssets }) => ({
+        pageId, path, url, file, assets: pageAssets
+      })),
+      assets: [...assets.values()].map(asset => ({
+        path: `assets/${asset.path}`,
+        type: asset.type,
+        hash: asset.hash,
+        size: asset.content.length
+      }))
+    };
+
+    files.push({ path: 'unicanvas-manifest.json', content: JSON.stringify(manifest, null, 2) });
+
+    return { files, manifest, sitemap, brokenLinks, warnings };
+  }
+
+  /**
+   * 将页面路径转换为相对输出目录的文件路径
+   * /about 输出为 about/index.html，以 .html 结尾的路径按原样输出
+   * @param {string} pagePath - 页面路径
+   * @returns {string} 文件路径
+   * @private
+   */
+  _getPageFile(pagePath) {
+    const segments = String(pagePath || '/').split('/').filter(Boolean);
+
+    segments.forEach(segment => {
+      if (segment === '.' || segment === '..' || /[\\:*?"<>|\0]/.test(segment)) {
+        throw new UniCanvasError('INVALID_PAGE_PATH', `Page path ${pagePath} cannot be exported`, { path: pagePath });
+      }
+    });
+
+    if (segments.length > 0 && /\.html?$/i.test(segments[segments.length - 1])) {
+      return segments.join('/');
+    }
+
+    return [...segments, 'index.html'].join('/');
+  }
+
+  /**
+   * 获取文件对应的URL路径（不含前缀）
+   * @param {string} file - 文件路径
+   * @returns {string} URL路径，index.html 省略文件名
+   * @private
+   */
+  _getPageUrl(file) {
+    return file.replace(/(^|\/)index\.html$/, '$1');
+  }
+
+  /**
+   * 查找指向不存在的页面或资源的站内链接
+   * @param {Array} pages - 导出的页面
+   * @param {Map} assets - 导出的资源
+   * @returns {Array} 失效链接 [{ pageId, path, tag, attribute, href }]
+   * @private
+   */
+  _findBrokenLinks(pages, assets) {
+    const { baseUrl } = this.options;
+    const targets = new Set();
+
+    pages.forEach(page => {
+      targets.add(page.url);
+      targets.add(`${baseUrl}${page.file}`);
+      // 目录形式的页面同时允许不带结尾斜杠的访问
+      if (page.url.length > 1 && page.url.endsWith('/')) {
+        targets.add(page.url.slice(0, -1));
+      }
+    });
+    assets.forEach(asset => targets.add(`${baseUrl}assets/${asset.path}`));
+    targets.add(`${baseUrl}sitemap.xml`);
+
+    const brokenLinks = [];
+
+    pages.forEach(page => {
+      this.tokenizer.tokenize(page.html).forEach(token => {
+        const attribute = token.type === 'startTag' ? LINK_ATTRIBUTES[token.name] : null;
+        const attr = attribute && token.attributes.find(item => item.name.toLowerCase() === attribute);
+
+        if (!attr || typeof attr.value !== 'string') {
+          return;
+        }
+
+        const href = this._decodeEntities(attr.value.trim());
+        const target = this._resolveLink(href, page.url);
+
+        if (target !== null && !targets.has(target)) {
+          brokenLinks.push({ pageId: page.pageId, path: page.path, tag: token.name, attribute, href });
+        }
+      });
+    });
+
+    return brokenLinks;
+  }
+
+  /**
+   * 将链接解析为站内绝对路径
+   * @param {string} href - 链接
+   * @param {string} pageUrl - 链接所在页面的URL
+   * @returns {string|null} 站内路径，外部链接、纯锚点和空链接返回null
+   * @private
+   */
+  _resolveLink(href, pageUrl) {
+    if (!href || href.startsWith('#') || EXTERNAL_URL_REGEX.test(href)) {
+      return null;
+    }
+
+    const path = href.replace(/[?#].*$/, '');
+
+    if (!path) {
+      return null;
+    }
+
+    // 相对链接基于页面所在目录解析
+    const base = path.startsWith('/') ? [] : pageUrl.split('/').slice(0, -1);
+    const segments = [];
+
+    [...base, ...path.split('/')].forEach((segment, index, list) => {
+      if (segment === '..') {
+        segments.pop();
+      } else if (segment !== '.' && (segment !== '' || index === list.length - 1)) {
+        segments.push(segment);
+      }
+    });
+
+    return `/${segments.join('/')}`;
+  }
+
+  /**
+   * 生成 sitemap.xml
+   * @param {string} origin - 站点源
+   * @param {Array} pages - 导出的页面
+   * @returns {string} sitemap 内容
+   * @private
+   */
+  _generateSitemap(origin, pages) {
+    const entries = pages.map(page => {
+      const lastModified = page.lastModified instanceof Date
+        ? `\n    <lastmod>${page.lastModified.toISOString()}</lastmod>`
+        : '';
+
+      return `  <url>\n    <loc>${this._escapeXml(`${origin}${encodeURI(page.url)}`)}</loc>${lastModified}\n  </url>`;
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries.join('\n')}
+</urlset>
+`;
+  }
+
+  /**
+   * 获取文件系统实现
+   * @returns {Promise<Object>} 文件系统
+   * @private
+   */
+  async _getFileSystem() {
+    if (this.options.fs) {
+      return this.options.fs;
+    }
+
+    try {
+      return await import('node:fs/promises');
+    } catch (error) {
+      throw new UniCanvasError('EXPORT_UNSUPPORTED', 'Static export requires Node.js file system access');
+    }
+  }
+
+  /**
+   * 规范化路径前缀，保证以 / 开头和结尾
+   * @param {string} baseUrl - 路径前缀
+   * @returns {string} 规范化后的前缀
+   * @private
+   */
+  _normalizeBaseUrl(baseUrl) {
+    const trimmed = String(baseUrl).replace(/^\/+|\/+$/g, '');
+    return trimmed ? `/${trimmed}/` : '/';
+  }
+
+  /**
+   * 解码属性值中的字符引用
+   * @param {string} value - 属性值
+   * @returns {string} 解码后的值
+   * @private
+   */
+  _decodeEntities(value) {
+    return value
+      .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+      .replace(/&#x([\da-f]+);/gi, (match, code) => String.fromCharCode(parseInt(code, 16)))
+      .replace(/&quot;/g, '"')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&');
+  }
+
+  /**
+   * 转义XML文本
+   * @param {string} value - 文本
+   * @returns {string} 转义后的文本
+   * @private
+   */
+  _escapeXml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+}
+
+// 导出模块
+export default StaticExporter;
@@ -0,0 +1,70 @@
+/**
+ * StorageAdapter.js
+ * 存储适配器基类，定义 UniCanvas 状态快照的存取接口
+ * 快照为已编码的普通 JSON 结构，适配器只负责按键读写，不关心其内容
+ */
+import { UniCanvasError } from './UniCanvasError.js';
+
+// 存储键同时用作文件名等标识，只允许安全字符
+const KEY_REGEX = /^[\w.-]+$/;
+
+class StorageAdapter {
+  constructor(options = {}) {
+    this.options = {
+      debug: options.debug || false
+    };
+  }
+
+  /**
+   * 保存快照
+   * @param {string} key - 存储键
+   * @param {Object} snapshot - 快照
+   * @returns {Promise<void>}
+   */
+  async save(key, snapshot) {
+    throw new UniCanvasError('NOT_IMPLEMENTED', `${this.constructor.name} does not implement save`, { key });
+  }
+
+  /**
+   * 读取快照
+   * @param {string} key - 存储键
+   * @returns {Promise<Object|null>} 快照，不存在时为null
+   */
+  async load(key) {
+    throw new UniCanvasError('NOT_IMPLEMENTED', `${this.constructor.name} does not implement load`, { key });
+  }
+
+  /**
+   * 删除快照
+   * @param {string} key - 存储键
+   * @returns {Promise<boolean>} 是否删除
+   */
+  async remove(key) {
+    throw new UniCanvasError('NOT_IMPLEMENTED', `${this.constructor.name} does not implement remove`, { key });
+  }
+
+  /**
+   * 列出已保存的快照
+   * @returns {Promise<Array<string>>} 存储键列表
+   */
+  async list() {
+    throw new UniCanvasError('NOT_IMPLEMENTED', `${this.constructor.name} does not implement list`);
+  }
+
+  /**
+   * 检查存储键
+   * @param {string} key - 存储键
+   * @returns {string} 存储键
+   * @protected
+   */
+  _assertKey(key) {
+    if (typeof key !== 'string' || !KEY_REGEX.test(key)) {
+      throw new UniCanvasError('INVALID_STORAGE_KEY', 'Storage key may only contain letters, digits, _, . and -', { key });
+    }
+
+    return key;
+  }
+}
+
+// 导出模块
+export default StorageAdapter;
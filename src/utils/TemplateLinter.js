@@ -0,0 +1,337 @@
+/**
+ * TemplateLinter.js
+ * 模板检查器，在保存或发布前报告HTML结构、CSS语法、不安全写法和占位符问题
+ */
+import TemplateRenderer from './TemplateRenderer.js';
+import HtmlTokenizer from './HtmlTokenizer.js';
+import CssScoper from './CssScoper.js';
+
+// 无需结束标签的元素
+const VOID_ELEMENTS = [
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'param', 'source', 'track', 'wbr'
+];
+
+// 结束标签可以省略的元素
+const OPTIONAL_END_ELEMENTS = [
+  'li', 'p', 'td', 'th', 'tr', 'option', 'optgroup', 'dt', 'dd',
+  'thead', 'tbody', 'tfoot', 'colgroup', 'rp', 'rt'
+];
+
+// 可能包含 URL 的属性
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'xlink:href'];
+
+// 规则及默认严重级别
+const DEFAULT_RULES = {
+  'template/syntax': 'error',
+  'template/unknown-partial': 'warning',
+  'html/unbalanced-tag': 'error',
+  'css/syntax': 'error',
+  'security/no-script-tag': 'error',
+  'security/no-inline-handler': 'error',
+  'security/no-javascript-url': 'error',
+  'schema/unknown-placeholder': 'warning',
+  'schema/unused-field': 'warning'
+};
+
+class TemplateLinter {
+  constructor(options = {}) {
+    this.options = {
+      rules: {
+        ...DEFAULT_RULES,
+        ...options.rules
+      },
+      debug: options.debug || false
+    };
+
+    this.renderer = options.renderer || new TemplateRenderer();
+    this.htmlTokenizer = options.htmlTokenizer || new HtmlTokenizer();
+    this.cssScoper = options.cssScoper || new CssScoper();
+  }
+
+  /**
+   * 检查模板
+   * @param {Object} template - 模板对象 { html, css, schema }
+   * @param {Object} options - 检查选项
+   * @param {Object} [options.rules] - 规则严重级别覆盖，值为 'error'、'warning' 或 'off'
+   * @param {Function} [options.partialExists] - 判断局部模板是否存在 (name) => boolean
+   * @param {Function} [options.parse] - 模板解析函数，默认按内置语法解析
+   * @returns {Object} 检查结果 { valid, errorCount, warningCount, diagnostics }
+   */
+  lint(template, options = {}) {
+    const rules = {
+      ...this.options.rules,
+      ...options.rules
+    };
+    const diagnostics = [];
+    const report = (ruleId, message, field, source, position) => {
+      const severity = rules[ruleId];
+
+      if (!severity || severity === 'off') {
+        return;
+      }
+
+      diagnostics.push({
+        ruleId,
+        severity,
+        message,
+        location: {
+          field,
+          ...this._getLocation(source, position)
+        }
+      });
+    };
+
+    const html = template.html || '';
+    const ast = this._lintTemplateSyntax(html, report, options.parse);
+
+    this._lintHtml(html, report);
+    this._lintCss(template.css || '', report);
+
+    if (ast) {
+      this._lintPlaceholders(ast, template.schema, html, report, options);
+    }
+
+    const errorCount = diagnostics.filter(item => item.severity === 'error').length;
+
+    return {
+      valid: errorCount === 0,
+      errorCount,
+      warningCount: diagnostics.length - errorCount,
+      diagnostics
+    };
+  }
+
+  /**
+   * 检查模板占位符语法
+   * @param {string} html - 模板HTML
+   * @param {Function} report - 报告函数
+   * @param {Function} [parse] - 模板解析函数
+   * @returns {Array|null} 语法树，语法错误时为null
+   * @private
+   */
+  _lintTemplateSyntax(html, report, parse) {
+    try {
+      return parse ? parse(html) : this.renderer.parse(html);
+    } catch (error) {
+      report('template/syntax', error.message, 'html', html, error.details?.position || 0);
+      return null;
+    }
+  }
+
+  /**
+   * 检查HTML结构和不安全写法
+   * @param {string} html - 模板HTML
+   * @param {Function} report - 报告函数
+   * @private
+   */
+  _lintHtml(html, report) {
+    const stack = [];
+
+    this.htmlTokenizer.tokenize(html).forEach(token => {
+      if (token.type === 'startTag') {
+        if (token.name === 'script') {
+          report('security/no-script-tag', 'Templates must not contain <script> tags', 'html', html, token.start);
+        }
+
+        token.attributes.forEach(attr => {
+          const name = attr.name.toLowerCase();
+
+          if (attr.opaque) {
+            return;
+          }
+
+          if (/^on[a-z]/.test(name)) {
+            report('security/no-inline-handler', `Inline event handler "${attr.name}" is not allowed`, 'html', html, token.start);
+          }
+
+          if (URL_ATTRIBUTES.includes(name) && attr.value && /^\s*javascript:/i.test(attr.value)) {
+            report('security/no-javascript-url', `javascript: URL in "${attr.name}" is not allowed`, 'html', html, token.start);
+          }
+        });
+
+        if (!token.selfClosing && !VOID_ELEMENTS.includes(token.name)) {
+          stack.push(token);
+        }
+        return;
+      }
+
+      if (token.type !== 'endTag' || VOID_ELEMENTS.includes(token.name)) {
+        return;
+      }
+
+      const index = this._findOpenIndex(stack, token.name);
+
+      if (index === -1) {
+        report('html/unbalanced-tag', `Unexpected closing tag </${token.name}>`, 'html', html, token.start);
+        return;
+      }
+
+      // 被隐式关闭的元素
+      stack.splice(index).slice(1).forEach(open => {
+        if (!OPTIONAL_END_ELEMENTS.includes(open.name)) {
+          report('html/unbalanced-tag', `Unclosed tag <${open.name}>`, 'html', html, open.start);
+        }
+      });
+    });
+
+    stack
+      .filter(open => !OPTIONAL_END_ELEMENTS.includes(open.name))
+      .forEach(open => {
+        report('html/unbalanced-tag', `Unclosed tag <${open.name}>`, 'html', html, open.start);
+      });
+  }
+
+  /**
+   * 检查CSS语法
+   * @param {string} css - 模板CSS
+   * @param {Function} report - 报告函数
+   * @private
+   */
+  _lintCss(css, report) {
+    this.cssScoper.checkSyntax(css).forEach(problem => {
+      report('css/syntax', problem.message, 'css', css, problem.position);
+    });
+  }
+
+  /**
+   * 检查占位符与 schema 是否一致，以及局部模板是否存在
+   * @param {Array} ast - 模板语法树
+   * @param {Object} schema - 模板 schema
+   * @param {string} html - 模板HTML
+   * @param {Function} report - 报告函数
+   * @param {Object} options - 检查选项
+   * @private
+   */
+  _lintPlaceholders(ast, schema, html, report, options) {
+    const fields = schema ? Object.keys(schema.properties && typeof schema.type === 'string' ? schema.properties : schema) : null;
+    const used = new Set();
+
+    const checkPath = (path, position) => {
+      const root = this._getRootField(path);
+
+      if (!root) {
+        return;
+      }
+
+      used.add(root);
+
+      if (fields && !fields.includes(root)) {
+        report('schema/unknown-placeholder', `Placeholder "${path}" is not declared in the schema`, 'html', html, position);
+      }
+    };
+
+    // 循环或切换上下文后，只有 @root 开头的路径指向顶层数据
+    const checkScopedPath = (path, position, depth) => {
+      if (depth === 0) {
+        checkPath(path, position);
+      } else if (path.startsWith('@root.')) {
+        checkPath(path.slice(6), position);
+      }
+    };
+
+    // depth 表示所处的 each/with/section 嵌套层数，内部路径相对于当前元素
+    const walk = (nodes, depth) => {
+      nodes.forEach(node => {
+        if (node.type === 'helper') {
+          [...node.args, ...Object.values(node.hash)]
+            .filter(arg => arg.type === 'path')
+            .forEach(arg => checkScopedPath(arg.value, node.position, depth));
+          return;
+        }
+
+        if (node.type === 'partial') {
+          if (options.partialExists && !options.partialExists(node.name)) {
+            report('template/unknown-partial', `Partial "${node.name}" not found`, 'html', html, node.position);
+          }
+          if (node.path && depth === 0) {
+            checkPath(node.path, node.position);
+          }
+          return;
+        }
+
+        if (node.type === 'variable' || node.type === 'block') {
+          const isNamed = node.type === 'block' && ['block', 'extend', 'content'].includes(node.name);
+
+          if (node.type === 'block' && node.name === 'extend' &&
+              options.partialExists && !options.partialExists(node.path)) {
+            report('template/unknown-partial', `Layout "${node.path}" not found`, 'html', html, node.position);
+          }
+
+          if (!isNamed) {
+            checkScopedPath(node.path, node.position, depth);
+          }
+        }
+
+        if (node.type === 'block') {
+          const nested = ['each', 'with', 'section'].includes(node.name) ? depth + 1 : depth;
+          walk(node.children, nested);
+          walk(node.inverse, depth);
+        }
+      });
+    };
+
+    walk(ast, 0);
+
+    if (fields) {
+      fields
+        .filter(field => !used.has(field))
+        .forEach(field => {
+          report('schema/unused-field', `Schema field "${field}" is not used by any placeholder`, 'schema', '', 0);
+        });
+    }
+  }
+
+  /**
+   * 查找最近一个同名的未闭合元素
+   * @param {Array} stack - 未闭合元素栈
+   * @param {string} name - 元素名称
+   * @returns {number} 在栈中的位置，未找到返回 -1
+   * @private
+   */
+  _findOpenIndex(stack, name) {
+    for (let i = stack.length - 1; i >= 0; i--) {
+      if (stack[i].name === name) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * 获取占位符路径引用的顶层字段
+   * @param {string} path - 占位符路径
+   * @returns {string|null} 顶层字段名，this、@index 等返回null
+   * @private
+   */
+  _getRootField(path) {
+    const expression = path.replace(/^this\./, '');
+
+    if (!expression || expression === 'this' || expression === '.' ||
+        expression.startsWith('@') || expression.startsWith('../')) {
+      return null;
+    }
+
+    return expression.split('.')[0];
+  }
+
+  /**
+   * 将偏移量转换为行列号
+   * @param {string} source - 源文本
+   * @param {number} position - 偏移量
+   * @returns {Object} { line, column }
+   * @private
+   */
+  _getLocation(source, position) {
+    const before = (source || '').slice(0, position);
+    const lines = before.split('\n');
+
+    return {
+      line: lines.length,
+      column: lines[lines.length - 1].length + 1
+    };
+  }
+}
+
+// 导出模块
+export default TemplateLinter;
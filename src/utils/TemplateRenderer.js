@@ -0,0 +1,679 @@
+/**
+ * TemplateRenderer.js
+ * 模板渲染器，负责解析模板占位符并结合数据生成HTML
+ */
+import { UniCanvasError } from './UniCanvasError.js';
+
+// {{{raw}}} 不转义输出，{{expr}} 为普通标签
+const TAG_REGEX = /\{\{\{\s*([\s\S]+?)\s*\}\}\}|\{\{\s*([\s\S]+?)\s*\}\}/g;
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+  '`': '&#96;',
+  '=': '&#61;'
+};
+
+// 辅助函数调用，如 {{t "cart.total" amount=total}}
+const HELPER_REGEX = /^([A-Za-z_$][\w$-]*)\s+(\S[\s\S]*)$/;
+
+// 辅助函数参数：可选的 name=，后接字符串、数字或路径
+const ARGUMENT_REGEX = /\s*(?:([A-Za-z_$][\w$-]*)=)?("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|[^\s"'=]+)/y;
+
+// 内置块标签
+const BLOCK_TYPES = ['if', 'unless', 'each', 'with', 'block', 'extend', 'content'];
+
+// 局部模板的最大嵌套深度，递归局部模板（如树形结构）在数据有限时可以自引用
+const MAX_PARTIAL_DEPTH = 64;
+
+class TemplateRenderer {
+  constructor(options = {}) {
+    this.options = {
+      escape: options.escape !== false,
+      strict: options.strict || false,
+      maxPartialDepth: options.maxPartialDepth || MAX_PARTIAL_DEPTH,
+      debug: options.debug || false
+    };
+  }
+
+  /**
+   * 解析模板字符串为语法树
+   * @param {string} source - 模板字符串
+   * @returns {Array} 语法树节点列表
+   */
+  parse(source) {
+    if (typeof source !== 'string') {
+      throw new UniCanvasError('INVALID_TEMPLATE', 'Template source must be a string');
+    }
+
+    const root = { children: [] };
+    const stack = [root];
+    let current = root;
+    let target = root.children;
+    let lastIndex = 0;
+    let match;
+
+    TAG_REGEX.lastIndex = 0;
+
+    while ((match = TAG_REGEX.exec(source)) !== null) {
+      if (match.index > lastIndex) {
+        target.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+      }
+      lastIndex = TAG_REGEX.lastIndex;
+
+      // 三重花括号：不转义的变量
+      if (match[1] !== undefined) {
+        target.push(this._parseExpression(match[1], false, source, match.index));
+        continue;
+      }
+
+      const tag = match[2];
+
+      // 注释
+      if (tag.startsWith('!')) {
+        continue;
+      }
+
+      // 局部模板 {{> name [contextPath]}}
+      if (tag.startsWith('>')) {
+        const [name, path] = tag.slice(1).trim().split(/\s+/);
+
+        if (!name) {
+          throw this._syntaxError('Partial requires a name', source, match.index);
+        }
+
+        target.push({ type: 'partial', name, path: path || null, position: match.index });
+        continue;
+      }
+
+      // 块开始
+      if (tag.startsWith('#')) {
+        const [name, ...args] = tag.slice(1).trim().split(/\s+/);
+
+        if (!BLOCK_TYPES.includes(name)) {
+          throw this._syntaxError(`Unknown block "${name}"`, source, match.index);
+        }
+
+        if (args.length === 0) {
+          throw this._syntaxError(`Block "${name}" requires a path`, source, match.index);
+        }
+
+        if (name === 'content' && current.name !== 'extend') {
+          throw this._syntaxError('{{#content}} must be placed directly inside {{#extend}}', source, match.index);
+        }
+
+        const node = {
+          type: 'block',
+          name,
+          path: args.join(' '),
+          children: [],
+          inverse: [],
+          position: match.index
+        };
+
+        target.push(node);
+        stack.push(node);
+        current = node;
+        target = node.children;
+        continue;
+      }
+
+      // 块结束
+      if (tag.startsWith('/')) {
+        const name = tag.slice(1).trim();
+
+        if (current === root || current.name !== name) {
+          const expected = current === root ? 'no open block' : `{{/${current.name}}}`;
+          throw this._syntaxError(`Unexpected {{/${name}}}, expected ${expected}`, source, match.index);
+        }
+
+        stack.pop();
+        current = stack[stack.length - 1];
+        target = current === root ? root.children : current.children;
+        continue;
+      }
+
+      // else 分支
+      if (tag === 'else') {
+        if (current === root || target === current.inverse) {
+          throw this._syntaxError('Unexpected {{else}}', source, match.index);
+        }
+
+        target = current.inverse;
+        continue;
+      }
+
+      target.push(this._parseExpression(tag, true, source, match.index));
+    }
+
+    if (lastIndex < source.length) {
+      target.push({ type: 'text', value: source.slice(lastIndex) });
+    }
+
+    if (current !== root) {
+      throw this._syntaxError(`Unclosed block "${current.name}"`, source, current.position);
+    }
+
+    return root.children;
+  }
+
+  /**
+   * 编译模板为可复用的渲染函数
+   * @param {string|Array} source - 模板字符串或已解析的语法树
+   * @returns {Function} 渲染函数 (data, options) => string
+   */
+  compile(source) {
+    const nodes = Array.isArray(source) ? source : this.parse(source);
+    const renderNodes = this._compileNodes(nodes);
+
+    const render = (data = {}, options = {}) => renderNodes(this._createScope(data), {
+      ...this.options,
+      ...options
+    });
+
+    // 供局部模板在调用方作用域内渲染
+    render.scoped = renderNodes;
+
+    return render;
+  }
+
+  /**
+   * 渲染模板
+   * @param {string|Array} source - 模板字符串或已解析的语法树
+   * @param {Object} data - 渲染数据
+   * @param {Object} options - 渲染选项
+   * @returns {string} 渲染后的HTML
+   */
+  render(source, data = {}, options = {}) {
+    return this.compile(source)(data, options);
+  }
+
+  /**
+   * 转义HTML特殊字符
+   * @param {*} value - 待转义的值
+   * @returns {string} 转义后的字符串
+   */
+  escape(value) {
+    return this._stringify(value).replace(/[&<>"'`=]/g, char => HTML_ESCAPES[char]);
+  }
+
+  /**
+   * 解析输出标签，区分变量和辅助函数调用
+   * @param {string} expression - 标签内容
+   * @param {boolean} escape - 是否转义输出
+   * @param {string} source - 模板字符串
+   * @param {number} position - 标签位置
+   * @returns {Object} variable 或 helper 节点
+   * @private
+   */
+  _parseExpression(expression, escape, source, position) {
+    const call = HELPER_REGEX.exec(expression);
+
+    if (!call) {
+      return { type: 'variable', path: expression, escape, position };
+    }
+
+    const args = [];
+    const hash = {};
+    let index = 0;
+
+    while (index < call[2].length) {
+      ARGUMENT_REGEX.lastIndex = index;
+      const match = ARGUMENT_REGEX.exec(call[2]);
+
+      if (!match) {
+        if (!call[2].slice(index).trim()) {
+          break;
+        }
+        throw this._syntaxError(`Invalid argument in {{${expression}}}`, source, position);
+      }
+
+      const value = this._parseArgument(match[2]);
+
+      if (match[1]) {
+        hash[match[1]] = value;
+      } else {
+        args.push(value);
+      }
+
+      index = ARGUMENT_REGEX.lastIndex;
+    }
+
+    return { type: 'helper', name: call[1], args, hash, escape, position };
+  }
+
+  /**
+   * 解析辅助函数参数
+   * @param {string} token - 参数文本
+   * @returns {Object} 参数 { type: 'literal' | 'path', value }
+   * @private
+   */
+  _parseArgument(token) {
+    if (token[0] === '"' || token[0] === "'") {
+      return { type: 'literal', value: token.slice(1, -1).replace(/\\(.)/g, '$1') };
+    }
+
+    if (/^-?\d+(\.\d+)?$/.test(token)) {
+      return { type: 'literal', value: Number(token) };
+    }
+
+    if (token === 'true' || token === 'false' || token === 'null') {
+      return { type: 'literal', value: JSON.parse(token) };
+    }
+
+    return { type: 'path', value: token };
+  }
+
+  /**
+   * 编译节点列表
+   * @param {Array} nodes - 节点列表
+   * @returns {Function} 渲染函数 (scope, options) => string
+   * @private
+   */
+  _compileNodes(nodes) {
+    const parts = nodes.map(node => this._compileNode(node)).filter(Boolean);
+
+    if (parts.length === 1) {
+      return parts[0];
+    }
+
+    return (scope, options) => {
+      let output = '';
+      for (const part of parts) {
+        output += part(scope, options);
+      }
+      return output;
+    };
+  }
+
+  /**
+   * 编译单个节点
+   * @param {Object} node - 节点
+   * @returns {Function|null} 渲染函数
+   * @private
+   */
+  _compileNode(node) {
+    switch (node.type) {
+      case 'text': {
+        const value = node.value;
+        return () => value;
+      }
+      case 'variable':
+        return (scope, options) => {
+          const value = this._lookup(node.path, scope, options);
+          return node.escape && options.escape ? this.escape(value) : this._stringify(value);
+        };
+      case 'helper':
+        return (scope, options) => {
+          const value = this._callHelper(node, scope, options);
+          return node.escape && options.escape ? this.escape(value) : this._stringify(value);
+        };
+      case 'block':
+        return this._compileBlock(node);
+      case 'partial':
+        return (scope, options) => {
+          const partialScope = node.path
+            ? this._createScope(this._lookup(node.path, scope, options), scope)
+            : scope;
+          return this._renderPartial(node.name, partialScope, options);
+        };
+      default:
+        if (this.options.debug) {
+          console.warn(`Unknown template node type: ${node.type}`);
+        }
+        return null;
+    }
+  }
+
+  /**
+   * 编译块节点
+   * @param {Object} node - 块节点
+   * @returns {Function} 渲染函数
+   * @private
+   */
+  _compileBlock(node) {
+    const renderChildren = this._compileNodes(node.children);
+    const renderInverse = this._compileNodes(node.inverse);
+
+    switch (node.name) {
+      case 'if':
+        return (scope, options) => (this._isTruthy(this._lookup(node.path, scope, options))
+          ? renderChildren(scope, options)
+          : renderInverse(scope, options));
+      case 'unless':
+        return (scope, options) => (this._isTruthy(this._lookup(node.path, scope, options))
+          ? renderInverse(scope, options)
+          : renderChildren(scope, options));
+      case 'with':
+        return (scope, options) => {
+          const value = this._lookup(node.path, scope, options);
+          return this._isTruthy(value)
+            ? renderChildren(this._createScope(value, scope), options)
+            : renderInverse(scope, options);
+        };
+      case 'section':
+        // Mustache 区块：数组循环，对象切换上下文，其他真值原样输出
+        return (scope, options) => {
+          const value = this._lookup(node.path, scope, options);
+
+          if (Array.isArray(value)) {
+            return this._renderEach(value, renderChildren, renderInverse, scope, options);
+          }
+
+          if (!this._isTruthy(value)) {
+            return renderInverse(scope, options);
+          }
+
+          return typeof value === 'object'
+            ? renderChildren(this._createScope(value, scope), options)
+            : renderChildren(scope, options);
+        };
+      case 'block':
+        // 具名区块，可被继承它的模板通过 {{#content}} 覆盖
+        return (scope, options) => (options.blocks && options.blocks[node.path]
+          ? options.blocks[node.path](options)
+          : renderChildren(scope, options));
+      case 'extend':
+        return this._compileExtend(node);
+      case 'each':
+        return (scope, options) => this._renderEach(
+          this._lookup(node.path, scope, options),
+          renderChildren,
+          renderInverse,
+          scope,
+          options
+        );
+      default:
+        return () => '';
+    }
+  }
+
+  /**
+   * 编译布局继承块
+   * @param {Object} node - extend 块节点
+   * @returns {Function} 渲染函数
+   * @private
+   */
+  _compileExtend(node) {
+    const contents = node.children
+      .filter(child => child.type === 'block' && child.name === 'content')
+      .map(child => ({ name: child.path, render: this._compileNodes(child.children) }));
+
+    return (scope, options) => {
+      const blocks = {};
+
+      contents.forEach(content => {
+        blocks[content.name] = blockOptions => content.render(scope, blockOptions);
+      });
+
+      // 离最终页面越近的覆盖优先级越高
+      return this._renderPartial(node.path, scope, {
+        ...options,
+        blocks: {
+          ...blocks,
+          ...options.blocks
+        }
+      });
+    };
+  }
+
+  /**
+   * 调用辅助函数
+   * @param {Object} node - helper 节点
+   * @param {Object} scope - 作用域
+   * @param {Object} options - 渲染选项，辅助函数来自 options.helpers
+   * @returns {*} 辅助函数返回值
+   * @private
+   */
+  _callHelper(node, scope, options) {
+    const helper = options.helpers && options.helpers[node.name];
+
+    if (typeof helper !== 'function') {
+      throw new UniCanvasError(
+        'TEMPLATE_HELPER_NOT_FOUND',
+        `Helper ${node.name} not found`,
+        { helper: node.name }
+      );
+    }
+
+    const evaluate = arg => (arg.type === 'path' ? this._lookup(arg.value, scope, options) : arg.value);
+    const hash = {};
+
+    Object.keys(node.hash).forEach(key => {
+      hash[key] = evaluate(node.hash[key]);
+    });
+
+    return helper(node.args.map(evaluate), hash, options);
+  }
+
+  /**
+   * 渲染局部模板
+   * @param {string} name - 局部模板名称
+   * @param {Object} scope - 作用域
+   * @param {Object} options - 渲染选项
+   * @returns {string} 渲染结果
+   * @private
+   */
+  _renderPartial(name, scope, options) {
+    const stack = options.partialStack || [];
+
+    // 局部模板可以递归引用自身，只有嵌套过深（通常是没有终止条件的循环引用）时才报错
+    if (stack.length >= this.options.maxPartialDepth) {
+      // 报告第一次出现重复的引用链，如 a -> b -> a
+      const repeated = stack.findIndex((item, index) => stack.indexOf(item) !== index);
+      const cycle = repeated === -1 ? [...stack, name] : stack.slice(stack.indexOf(stack[repeated]), repeated + 1);
+
+      throw new UniCanvasError(
+        'TEMPLATE_PARTIAL_DEPTH_EXCEEDED',
+        `Partials are nested more than ${this.options.maxPartialDepth} levels deep, check for a circular reference: ${cycle.join(' -> ')}`,
+        { partial: name, depth: stack.length, cycle }
+      );
+    }
+
+    const partial = options.resolvePartial ? options.resolvePartial(name) : null;
+
+    if (!partial) {
+      throw new UniCanvasError(
+        'TEMPLATE_PARTIAL_NOT_FOUND',
+        `Partial ${name} not found`,
+        { partial: name }
+      );
+    }
+
+    return partial.scoped(scope, {
+      ...options,
+      partialStack: [...stack, name]
+    });
+  }
+
+  /**
+   * 渲染循环块
+   * @param {Array|Object} collection - 循环对象
+   * @param {Function} renderChildren - 循环体渲染函数
+   * @param {Function} renderInverse - else 分支渲染函数
+   * @param {Object} scope - 作用域
+   * @param {Object} options - 渲染选项
+   * @returns {string} 渲染结果
+   * @private
+   */
+  _renderEach(collection, renderChildren, renderInverse, scope, options) {
+    if (!collection || typeof collection !== 'object') {
+      return renderInverse(scope, options);
+    }
+
+    const keys = Array.isArray(collection)
+      ? collection.map((item, index) => index)
+      : Object.keys(collection);
+
+    if (keys.length === 0) {
+      return renderInverse(scope, options);
+    }
+
+    let output = '';
+    keys.forEach((key, index) => {
+      output += renderChildren(this._createScope(collection[key], scope, {
+        index,
+        key,
+        first: index === 0,
+        last: index === keys.length - 1
+      }), options);
+    });
+
+    return output;
+  }
+
+  /**
+   * 创建作用域
+   * @param {*} data - 作用域数据
+   * @param {Object} [parent] - 父作用域
+   * @param {Object} [locals] - 局部变量（@index、@key 等）
+   * @returns {Object} 作用域
+   * @private
+   */
+  _createScope(data, parent = null, locals = {}) {
+    return {
+      data,
+      parent,
+      locals,
+      root: parent ? parent.root : data
+    };
+  }
+
+  /**
+   * 按路径查找值
+   * @param {string} path - 数据路径，如 product.name、../title、@index
+   * @param {Object} scope - 作用域
+   * @param {Object} options - 渲染选项
+   * @returns {*} 查找到的值
+   * @private
+   */
+  _lookup(path, scope, options) {
+    let target = scope;
+    let expression = path;
+
+    // 访问父作用域
+    while (expression.startsWith('../')) {
+      target = target.parent || target;
+      expression = expression.slice(3);
+    }
+
+    if (expression === 'this' || expression === '.') {
+      return target.data;
+    }
+
+    // 局部变量
+    if (expression.startsWith('@')) {
+      const [name, ...rest] = expression.slice(1).split('.');
+
+      if (name === 'root') {
+        return this._getPath(target.root, rest);
+      }
+
+      return target.locals[name];
+    }
+
+    const explicit = expression.startsWith('this.') || path !== expression;
+    const segments = expression.replace(/^this\./, '').split('.');
+
+    // 未显式指定作用域时沿作用域链向上查找
+    let current = target;
+    while (current) {
+      if (this._hasKey(current.data, segments[0])) {
+        return this._getPath(current.data, segments);
+      }
+
+      if (explicit) {
+        break;
+      }
+
+      current = current.parent;
+    }
+
+    if (options.strict) {
+      throw new UniCanvasError(
+        'TEMPLATE_RENDER_ERROR',
+        `Missing value for placeholder "${path}"`,
+        { path }
+      );
+    }
+
+    return undefined;
+  }
+
+  /**
+   * 获取嵌套属性，只读取自身属性，模板无法通过原型链访问 constructor 等内部对象
+   * @param {*} obj - 对象
+   * @param {Array<string>} segments - 路径片段
+   * @returns {*} 属性值
+   * @private
+   */
+  _getPath(obj, segments) {
+    return segments.reduce((value, key) => {
+      if (value === null || value === undefined || !Object.prototype.hasOwnProperty.call(Object(value), key)) {
+        return undefined;
+      }
+      return value[key];
+    }, obj);
+  }
+
+  /**
+   * 检查对象是否包含指定键
+   * @param {*} obj - 对象
+   * @param {string} key - 键名
+   * @returns {boolean} 是否包含
+   * @private
+   */
+  _hasKey(obj, key) {
+    return obj !== null && typeof obj === 'object' && Object.prototype.hasOwnProperty.call(obj, key);
+  }
+
+  /**
+   * 判断值是否为真（空数组视为假）
+   * @param {*} value - 值
+   * @returns {boolean} 是否为真
+   * @private
+   */
+  _isTruthy(value) {
+    if (Array.isArray(value)) {
+      return value.length > 0;
+    }
+    return !!value;
+  }
+
+  /**
+   * 将值转换为字符串
+   * @param {*} value - 值
+   * @returns {string} 字符串
+   * @private
+   */
+  _stringify(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    return String(value);
+  }
+
+  /**
+   * 创建语法错误
+   * @param {string} message - 错误消息
+   * @param {string} source - 模板字符串
+   * @param {number} position - 出错位置
+   * @returns {UniCanvasError} 错误对象
+   * @private
+   */
+  _syntaxError(message, source, position) {
+    const line = source.slice(0, position).split('\n').length;
+
+    return new UniCanvasError(
+      'TEMPLATE_SYNTAX_ERROR',
+      `${message} at line ${line}`,
+      { position, line }
+    );
+  }
+}
+
+// 导出模块
+export default TemplateRenderer;
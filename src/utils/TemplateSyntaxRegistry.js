@@ -0,0 +1,462 @@
+/**
+ * TemplateSyntaxRegistry.js
+ * 模板语法注册表，将不同占位符语法的模板解析为 TemplateRenderer 可编译的语法树
+ */
+import TemplateRenderer from './TemplateRenderer.js';
+import { UniCanvasError } from './UniCanvasError.js';
+
+// Mustache 标签，与内置语法相同的花括号形式
+const MUSTACHE_TAG_REGEX = /\{\{\{\s*([\s\S]+?)\s*\}\}\}|\{\{\s*([\s\S]+?)\s*\}\}/g;
+
+// EJS 标签：<%= 转义输出 %>、<%- 原样输出 %>、<%# 注释 %>、<% 语句 %>
+const EJS_TAG_REGEX = /<%([=\-#_]?)([\s\S]*?)[-_]?%>/g;
+
+// 模板字面量占位符 ${path}，\${ 表示字面量
+const LITERAL_TAG_REGEX = /\\\$\{|\$\{\s*([^}]*?)\s*\}/g;
+
+// 简单数据路径，如 user.name、items[0].title
+const JS_PATH = '[A-Za-z_$][\\w$]*(?:\\.[A-Za-z_$][\\w$]*|\\[\\d+\\])*';
+const JS_IDENT = '[A-Za-z_$][\\w$]*';
+
+// EJS 中支持的语句
+const EJS_STATEMENTS = {
+  if: new RegExp(`^if\\s*\\(\\s*(!?)\\s*(${JS_PATH})\\s*\\)\\s*\\{$`),
+  else: /^\}\s*else\s*\{$/,
+  close: /^\}\s*\)?\s*;?$/,
+  forOf: new RegExp(`^for\\s*\\(\\s*(?:const|let|var)\\s+(${JS_IDENT})\\s+of\\s+(${JS_PATH})\\s*\\)\\s*\\{$`),
+  forEach: new RegExp(
+    `^(${JS_PATH})\\.forEach\\(\\s*(?:function\\s*)?\\(?\\s*(${JS_IDENT})\\s*(?:,\\s*(${JS_IDENT})\\s*)?\\)?\\s*(?:=>)?\\s*\\{$`
+  ),
+  include: new RegExp(`^include\\(\\s*(['"])([^'"]+)\\1\\s*(?:,\\s*(${JS_PATH})\\s*)?\\)\\s*;?$`)
+};
+
+// 内置语法块名称，用于区分 Mustache 的区块
+const HANDLEBARS_BLOCKS = ['if', 'unless', 'each', 'with', 'block', 'extend', 'content'];
+
+class TemplateSyntaxRegistry {
+  constructor(options = {}) {
+    this.options = {
+      defaultSyntax: options.defaultSyntax || 'handlebars',
+      debug: options.debug || false
+    };
+
+    this.renderer = options.renderer || new TemplateRenderer();
+    this.adapters = {};
+
+    // 注册内置语法
+    this.register('handlebars', {
+      parse: source => this.renderer.parse(source),
+      detect: source => (/\{\{\s*(?:#(?:if|unless|each|with|block|extend)\b|else\s*\}\}|[\w.]*@(?:index|key|first|last|root)\b|\.\.\/)/.test(source) ? 0.8 : 0)
+    });
+
+    this.register('mustache', {
+      parse: source => this._parseMustache(source),
+      detect: source => this._detectMustache(source)
+    });
+
+    this.register('ejs', {
+      parse: source => this._parseEjs(source),
+      detect: source => (/<%[=\-#_]?[\s\S]*?%>/.test(source) ? 1 : 0)
+    });
+
+    this.register('literal', {
+      parse: source => this._parseLiteral(source),
+      detect: source => (!source.includes('{{') && new RegExp(`\\$\\{\\s*${JS_PATH}\\s*\\}`).test(source) ? 0.5 : 0)
+    });
+  }
+
+  /**
+   * 注册语法适配器
+   * @param {string} name - 语法名称
+   * @param {Object} adapter - 适配器 { parse(source) => 语法树, detect?(source) => 0~1 的匹配度 }
+   * @returns {TemplateSyntaxRegistry} 当前实例
+   */
+  register(name, adapter) {
+    if (!name || typeof name !== 'string') {
+      throw new UniCanvasError('INVALID_SYNTAX_ADAPTER', 'Syntax name must be a string');
+    }
+
+    if (!adapter || typeof adapter.parse !== 'function') {
+      throw new UniCanvasError(
+        'INVALID_SYNTAX_ADAPTER',
+        `Syntax adapter ${name} must provide a parse function`,
+        { syntax: name }
+      );
+    }
+
+    if (adapter.detect !== undefined && typeof adapter.detect !== 'function') {
+      throw new UniCanvasError(
+        'INVALID_SYNTAX_ADAPTER',
+        `Syntax adapter ${name} detect must be a function`,
+        { syntax: name }
+      );
+    }
+
+    this.adapters[name] = { ...adapter, name };
+
+    if (this.options.debug) {
+      console.log(`Template syntax registered: ${name}`);
+    }
+
+    return this;
+  }
+
+  /**
+   * 获取语法适配器
+   * @param {string} [name] - 语法名称，不传时返回默认语法
+   * @returns {Object|null} 适配器或null
+   */
+  get(name) {
+    return this.adapters[name || this.options.defaultSyntax] || null;
+  }
+
+  /**
+   * 检查语法是否已注册
+   * @param {string} name - 语法名称
+   * @returns {boolean} 是否已注册
+   */
+  has(name) {
+    return Object.prototype.hasOwnProperty.call(this.adapters, name);
+  }
+
+  /**
+   * 获取已注册的语法名称
+   * @returns {Array<string>} 语法名称列表
+   */
+  list() {
+    return Object.keys(this.adapters);
+  }
+
+  /**
+   * 推断模板源码使用的语法
+   * @param {string} source - 模板源码
+   * @returns {string} 匹配度最高的语法名称，无法判断时为默认语法
+   */
+  detect(source) {
+    let best = this.options.defaultSyntax;
+    let bestScore = 0;
+
+    Object.values(this.adapters).forEach(adapter => {
+      const score = adapter.detect ? Number(adapter.detect(source || '')) || 0 : 0;
+
+      if (score > bestScore) {
+        best = adapter.name;
+        bestScore = score;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * 判断模板是否使用 Mustache 特有的写法
+   * @param {string} source - 模板源码
+   * @returns {number} 匹配度
+   * @private
+   */
+  _detectMustache(source) {
+    if (/\{\{\s*[\^&=]/.test(source)) {
+      return 0.9;
+    }
+
+    const sections = source.match(/\{\{\s*#\s*([^\s}]+)/g) || [];
+    const custom = sections.some(tag => !HANDLEBARS_BLOCKS.includes(tag.replace(/^\{\{\s*#\s*/, '')));
+
+    return custom ? 0.9 : 0;
+  }
+
+  /**
+   * 解析 Mustache 模板
+   * @param {string} source - 模板源码
+   * @returns {Array} 语法树节点列表
+   * @private
+   */
+  _parseMustache(source) {
+    const root = { children: [] };
+    const stack = [root];
+    let lastIndex = 0;
+    let match;
+
+    MUSTACHE_TAG_REGEX.lastIndex = 0;
+
+    while ((match = MUSTACHE_TAG_REGEX.exec(source)) !== null) {
+      const current = stack[stack.length - 1];
+
+      if (match.index > lastIndex) {
+        current.children.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+      }
+      lastIndex = MUSTACHE_TAG_REGEX.lastIndex;
+
+      if (match[1] !== undefined) {
+        current.children.push({ type: 'variable', path: match[1], escape: false, position: match.index });
+        continue;
+      }
+
+      const tag = match[2];
+      const sigil = tag[0];
+      const name = tag.slice(1).trim();
+
+      switch (sigil) {
+        case '!':
+          break;
+        case '&':
+          current.children.push({ type: 'variable', path: name, escape: false, position: match.index });
+          break;
+        case '>':
+          current.children.push({ type: 'partial', name, path: null, position: match.index });
+          break;
+        case '=':
+          throw this._syntaxError('Set delimiter tags are not supported', source, match.index);
+        case '#':
+        case '^': {
+          // 反向区块与 unless 语义一致；普通区块按值类型决定循环、切换上下文或条件输出
+          const node = {
+            type: 'block',
+            name: sigil === '#' ? 'section' : 'unless',
+            path: name,
+            children: [],
+            inverse: [],
+            position: match.index
+          };
+          current.children.push(node);
+          stack.push(node);
+          break;
+        }
+        case '/':
+          if (current === root || current.path !== name) {
+            const expected = current === root ? 'no open section' : `{{/${current.path}}}`;
+            throw this._syntaxError(`Unexpected {{/${name}}}, expected ${expected}`, source, match.index);
+          }
+          stack.pop();
+          break;
+        default:
+          current.children.push({ type: 'variable', path: tag, escape: true, position: match.index });
+      }
+    }
+
+    if (lastIndex < source.length) {
+      stack[stack.length - 1].children.push({ type: 'text', value: source.slice(lastIndex) });
+    }
+
+    if (stack.length > 1) {
+      const open = stack[stack.length - 1];
+      throw this._syntaxError(`Unclosed section "${open.path}"`, source, open.position);
+    }
+
+    return root.children;
+  }
+
+  /**
+   * 解析 EJS 风格模板，仅支持简单路径输出、if/else、循环和 include，不执行任意脚本
+   * @param {string} source - 模板源码
+   * @returns {Array} 语法树节点列表
+   * @private
+   */
+  _parseEjs(source) {
+    const root = { children: [] };
+    // 每层记录输出目标以及循环变量，用于将 item.name 改写为相对作用域的路径
+    const stack = [{ node: root, target: root.children, loop: null }];
+    let lastIndex = 0;
+    let match;
+
+    const resolvePath = expression => {
+      const path = expression.replace(/\[(\d+)\]/g, '.$1');
+      const [first, ...rest] = path.split('.');
+      const loops = stack.filter(frame => frame.loop).reverse();
+
+      for (let depth = 0; depth < loops.length; depth++) {
+        const up = '../'.repeat(depth);
+
+        if (first === loops[depth].loop.item) {
+          return rest.length > 0 ? `${up}this.${rest.join('.')}` : `${up}this`;
+        }
+
+        if (first === loops[depth].loop.index && rest.length === 0) {
+          return `${up}@index`;
+        }
+      }
+
+      return loops.length > 0 ? `@root.${path}` : path;
+    };
+
+    const open = (node, loop, position) => {
+      stack[stack.length - 1].target.push(node);
+      stack.push({ node, target: node.children, loop, position });
+    };
+
+    EJS_TAG_REGEX.lastIndex = 0;
+
+    while ((match = EJS_TAG_REGEX.exec(source)) !== null) {
+      const frame = stack[stack.length - 1];
+      const [, mode, body] = match;
+      const code = body.trim();
+
+      if (match.index > lastIndex) {
+        frame.target.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+      }
+      lastIndex = EJS_TAG_REGEX.lastIndex;
+
+      if (mode === '#') {
+        continue;
+      }
+
+      let statement;
+
+      if ((mode === '-' || mode === '' || mode === '_') && (statement = EJS_STATEMENTS.include.exec(code))) {
+        frame.target.push({
+          type: 'partial',
+          name: statement[2],
+          path: statement[3] ? resolvePath(statement[3]) : null,
+          position: match.index
+        });
+        continue;
+      }
+
+      if (mode === '=' || mode === '-') {
+        const expression = code.replace(/;$/, '').trim();
+
+        if (!new RegExp(`^${JS_PATH}$`).test(expression)) {
+          throw this._syntaxError(`Unsupported EJS expression "${expression}"`, source, match.index);
+        }
+
+        frame.target.push({
+          type: 'variable',
+          path: resolvePath(expression),
+          escape: mode === '=',
+          position: match.index
+        });
+        continue;
+      }
+
+      if ((statement = EJS_STATEMENTS.if.exec(code))) {
+        open({
+          type: 'block',
+          name: statement[1] ? 'unless' : 'if',
+          path: resolvePath(statement[2]),
+          children: [],
+          inverse: [],
+          position: match.index
+        }, null, match.index);
+        continue;
+      }
+
+      if ((statement = EJS_STATEMENTS.forOf.exec(code)) || (statement = EJS_STATEMENTS.forEach.exec(code))) {
+        const isForOf = statement[0].startsWith('for');
+        const collection = isForOf ? statement[2] : statement[1];
+        const loop = isForOf
+          ? { item: statement[1], index: null }
+          : { item: statement[2], index: statement[3] || null };
+
+        open({
+          type: 'block',
+          name: 'each',
+          path: resolvePath(collection),
+          children: [],
+          inverse: [],
+          position: match.index
+        }, loop, match.index);
+        continue;
+      }
+
+      if (EJS_STATEMENTS.else.test(code)) {
+        if (stack.length === 1 || frame.node.name === 'each' || frame.target === frame.node.inverse) {
+          throw this._syntaxError('Unexpected else', source, match.index);
+        }
+
+        frame.target = frame.node.inverse;
+        continue;
+      }
+
+      if (EJS_STATEMENTS.close.test(code)) {
+        if (stack.length === 1) {
+          throw this._syntaxError('Unexpected closing brace', source, match.index);
+        }
+
+        stack.pop();
+        continue;
+      }
+
+      throw this._syntaxError(`Unsupported EJS statement "${code}"`, source, match.index);
+    }
+
+    if (lastIndex < source.length) {
+      stack[stack.length - 1].target.push({ type: 'text', value: source.slice(lastIndex) });
+    }
+
+    if (stack.length > 1) {
+      throw this._syntaxError('Unclosed block', source, stack[stack.length - 1].position);
+    }
+
+    return root.children;
+  }
+
+  /**
+   * 解析模板字面量风格的模板，仅支持 ${path} 转义输出
+   * @param {string} source - 模板源码
+   * @returns {Array} 语法树节点列表
+   * @private
+   */
+  _parseLiteral(source) {
+    const nodes = [];
+    let text = '';
+    let lastIndex = 0;
+    let match;
+
+    LITERAL_TAG_REGEX.lastIndex = 0;
+
+    while ((match = LITERAL_TAG_REGEX.exec(source)) !== null) {
+      text += source.slice(lastIndex, match.index);
+      lastIndex = LITERAL_TAG_REGEX.lastIndex;
+
+      if (match[1] === undefined) {
+        text += '${';
+        continue;
+      }
+
+      if (!new RegExp(`^${JS_PATH}$`).test(match[1])) {
+        throw this._syntaxError(`Unsupported expression "${match[1]}"`, source, match.index);
+      }
+
+      if (text) {
+        nodes.push({ type: 'text', value: text });
+        text = '';
+      }
+
+      nodes.push({
+        type: 'variable',
+        path: match[1].replace(/\[(\d+)\]/g, '.$1'),
+        escape: true,
+        position: match.index
+      });
+    }
+
+    text += source.slice(lastIndex);
+
+    if (text) {
+      nodes.push({ type: 'text', value: text });
+    }
+
+    return nodes;
+  }
+
+  /**
+   * 创建语法错误
+   * @param {string} message - 错误消息
+   * @param {string} source - 模板源码
+   * @param {number} position - 出错位置
+   * @returns {UniCanvasError} 错误对象
+   * @private
+   */
+  _syntaxError(message, source, position) {
+    const line = source.slice(0, position).split('\n').length;
+
+    return new UniCanvasError(
+      'TEMPLATE_SYNTAX_ERROR',
+      `${message} at line ${line}`,
+      { position, line }
+    );
+  }
+}
+
+// 导出模块
+export default TemplateSyntaxRegistry;
@@ -0,0 +1,239 @@
+/**
+ * VariantResolver.js
+ * 响应式变体解析器，根据目标环境的能力选择模板变体，无法静态确定的条件生成对应的媒体查询
+ */
+import { UniCanvasError } from './UniCanvasError.js';
+
+// 支持的条件：媒体查询生成方式以及对目标环境属性的静态判断
+const CONDITIONS = {
+  minWidth: {
+    media: value => `(min-width: ${value}px)`,
+    evaluate: (value, env) => (typeof env.width === 'number' ? env.width >= value : undefined)
+  },
+  maxWidth: {
+    media: value => `(max-width: ${value}px)`,
+    evaluate: (value, env) => (typeof env.width === 'number' ? env.width <= value : undefined)
+  },
+  colorScheme: {
+    media: value => `(prefers-color-scheme: ${value})`,
+    evaluate: (value, env) => (['light', 'dark'].includes(env.colorScheme) ? env.colorScheme === value : undefined)
+  },
+  reducedMotion: {
+    media: value => `(prefers-reduced-motion: ${value ? 'reduce' : 'no-preference'})`,
+    evaluate: (value, env) => (typeof env.reducedMotion === 'boolean' ? env.reducedMotion === value : undefined)
+  },
+  orientation: {
+    media: value => `(orientation: ${value})`,
+    evaluate: (value, env) => (['portrait', 'landscape'].includes(env.orientation) ? env.orientation === value : undefined)
+  },
+  hover: {
+    media: value => `(hover: ${value ? 'hover' : 'none'})`,
+    evaluate: (value, env) => (typeof env.hover === 'boolean' ? env.hover === value : undefined)
+  },
+  // 运行时能力（如 touch、webgl）无法用媒体查询表达，环境未声明时视为不满足
+  capabilities: {
+    media: null,
+    evaluate: (value, env) => (Array.isArray(env.capabilities)
+      ? [].concat(value).every(capability => env.capabilities.includes(capability))
+      : false)
+  },
+  // 自定义媒体查询，只能在运行时判断
+  media: {
+    media: value => value,
+    evaluate: () => undefined
+  }
+};
+
+class VariantResolver {
+  constructor(options = {}) {
+    this.options = {
+      debug: options.debug || false
+    };
+  }
+
+  /**
+   * 检查变体和环境要求的定义
+   * @param {Object} template - 模板对象 { variants, requirements }
+   * @throws {UniCanvasError} 定义无效时抛出 INVALID_TEMPLATE
+   */
+  validate(template) {
+    const { variants, requirements } = template;
+
+    if (variants !== undefined && !Array.isArray(variants)) {
+      throw new UniCanvasError('INVALID_TEMPLATE', 'Template variants must be an array');
+    }
+
+    (variants || []).forEach((variant, index) => {
+      if (!variant || typeof variant.name !== 'string' || !variant.name) {
+        throw new UniCanvasError('INVALID_TEMPLATE', `Variant at index ${index} must have a name`, { index });
+      }
+
+      this._assertConditions(variant.when, `Variant ${variant.name}`);
+    });
+
+    if (requirements !== undefined) {
+      this._assertConditions(requirements, 'Template requirements');
+    }
+  }
+
+  /**
+   * 判断条件在目标环境中是否成立
+   * @param {Object} conditions - 条件，如 { maxWidth: 767, colorScheme: 'dark' }
+   * @param {Object} environment - 目标环境
+   * @returns {Object} { status: 'match' | 'mismatch' | 'dynamic', media, failed }
+   *   dynamic 表示需要在运行时通过 media 中的媒体查询判断
+   */
+  evaluate(conditions = {}, environment = {}) {
+    const dynamic = [];
+    const failed = [];
+
+    Object.keys(conditions).forEach(name => {
+      const condition = CONDITIONS[name];
+      const value = conditions[name];
+      const result = condition.evaluate(value, environment);
+
+      if (result === false) {
+        failed.push(name);
+      } else if (result === undefined) {
+        // 环境声明不支持响应式时，未知条件按不满足处理
+        if (environment.responsive === false) {
+          failed.push(name);
+        } else {
+          dynamic.push(condition.media(value));
+        }
+      }
+    });
+
+    if (failed.length > 0) {
+      return { status: 'mismatch', media: null, failed };
+    }
+
+    return dynamic.length > 0
+      ? { status: 'dynamic', media: dynamic.join(' and '), failed }
+      : { status: 'match', media: null, failed };
+  }
+
+  /**
+   * 按目标环境解析模板变体
+   * 静态满足的变体直接合并，需要运行时判断的变体生成媒体查询；HTML 变体通过 data-variant 包裹元素切换
+   * @param {Object} template - 模板对象 { html, css, variants }
+   * @param {Object} environment - 目标环境
+   * @param {string} key - 生成的包裹元素标识，通常为模板ID
+   * @returns {Object} { html, css, selected, responsive, skipped }
+   */
+  resolve(template, environment = {}, key = 'template') {
+    let html = template.html || '';
+    const cssParts = template.css ? [template.css] : [];
+    const result = { selected: [], responsive: [], skipped: [] };
+    const switches = [];
+
+    (template.variants || []).forEach(variant => {
+      const { status, media } = this.evaluate(variant.when, environment);
+
+      if (status === 'mismatch') {
+        result.skipped.push(variant.name);
+        return;
+      }
+
+      if (status === 'match') {
+        result.selected.push(variant.name);
+
+        if (variant.html !== undefined) {
+          html = variant.html;
+        }
+        if (variant.css) {
+          cssParts.push(variant.css);
+        }
+        return;
+      }
+
+      result.responsive.push({ name: variant.name, media });
+
+      if (variant.css) {
+        cssParts.push(`@media ${media} {\n${variant.css}\n}`);
+      }
+      if (variant.html !== undefined) {
+        switches.push({ name: variant.name, media, html: variant.html });
+      }
+    });
+
+    if (switches.length > 0) {
+      const { html: switchedHtml, css } = this._buildSwitch(key, html, switches);
+      html = switchedHtml;
+      cssParts.push(css);
+    }
+
+    return {
+      html,
+      css: cssParts.join('\n'),
+      ...result
+    };
+  }
+
+  /**
+   * 检查环境要求
+   * @param {Object} requirements - 环境要求
+   * @param {Object} environment - 目标环境
+   * @returns {Array} 未满足的条件名称
+   */
+  checkRequirements(requirements, environment = {}) {
+    if (!requirements) {
+      return [];
+    }
+
+    return this.evaluate(requirements, { ...environment, responsive: true }).failed;
+  }
+
+  /**
+   * 生成在运行时切换HTML变体的结构和样式
+   * 后出现的媒体查询覆盖前面的，因此多个变体同时满足时以最后一个为准
+   * @param {string} key - 包裹元素标识
+   * @param {string} baseHtml - 默认HTML
+   * @param {Array} switches - HTML变体 [{ name, media, html }]
+   * @returns {Object} { html, css }
+   * @private
+   */
+  _buildSwitch(key, baseHtml, switches) {
+    const scope = `[data-variants="${key}"]`;
+    const item = name => `${scope} > [data-variant="${name}"]`;
+
+    const html = [
+      `<div data-variants="${key}">`,
+      `<div data-variant="default">${baseHtml}</div>`,
+      ...switches.map(variant => `<div data-variant="${variant.name}">${variant.html}</div>`),
+      '</div>'
+    ].join('');
+
+    const css = [
+      `${switches.map(variant => item(variant.name)).join(', ')} { display: none; }`,
+      ...switches.map(variant => `@media ${variant.media} {\n${scope} > [data-variant] { display: none; }\n${item(variant.name)} { display: contents; }\n}`)
+    ].join('\n');
+
+    return { html, css };
+  }
+
+  /**
+   * 检查条件定义
+   * @param {Object} conditions - 条件
+   * @param {string} label - 错误消息中的名称
+   * @private
+   */
+  _assertConditions(conditions, label) {
+    if (!conditions || typeof conditions !== 'object' || Array.isArray(conditions)) {
+      throw new UniCanvasError('INVALID_TEMPLATE', `${label} must declare conditions as an object`);
+    }
+
+    const unknown = Object.keys(conditions).filter(name => !CONDITIONS[name]);
+
+    if (unknown.length > 0) {
+      throw new UniCanvasError(
+        'INVALID_TEMPLATE',
+        `${label} uses unsupported conditions: ${unknown.join(', ')}`,
+        { conditions: unknown, supported: Object.keys(CONDITIONS) }
+      );
+    }
+  }
+}
+
+// 导出模块
+export default VariantResolver;
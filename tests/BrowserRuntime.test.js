@@ -0,0 +1,142 @@
+import UniCanvas from '../src/core/UniCanvas.js';
+import HtmlTokenizer from '../src/utils/HtmlTokenizer.js';
+import uniCanvasRuntime from '../src/utils/BrowserRuntime.js';
+
+describe('server-side rendering', () => {
+  const tokenizer = new HtmlTokenizer();
+
+  function createPage() {
+    const uniCanvas = new UniCanvas();
+    const siteId = uniCanvas.createSite({ name: 'site' });
+    const pageId = uniCanvas.createPage(siteId, { name: 'home', path: '/' });
+
+    uniCanvas.templateEngine.saveTemplate('greeting', { html: '<p class="greeting">Hello {{name}}</p>' });
+    uniCanvas.addComponentToPage(pageId, { id: 'hero', type: 'greeting', templateId: 'greeting', data: { name: 'Ada' } });
+    uniCanvas.addComponentToPage(pageId, { id: 'note', type: 'text', content: '<p>note</p>', script: 'component.element.clicked = true;' });
+
+    return { uniCanvas, siteId, pageId };
+  }
+
+  function startTag(tokens, name, value) {
+    return tokens.find(token => token.type === 'startTag'
+      && token.attributes.some(attr => attr.name === name && attr.value === value));
+  }
+
+  function attributesOf(token) {
+    return Object.fromEntries(token.attributes.map(attr => [attr.name, attr.value]));
+  }
+
+  // 以服务端渲染的HTML构造运行时使用的最小 DOM
+  function createDocument(html) {
+    const tokens = tokenizer.tokenize(html);
+    const stateIndex = tokens.indexOf(startTag(tokens, 'id', 'unicanvas-state'));
+    const elements = tokens
+      .filter(token => token.type === 'startTag' && token.attributes.some(attr => attr.name === 'data-component-id'))
+      .map(token => {
+        const attributes = attributesOf(token);
+
+        return {
+          attributes,
+          hasAttribute: name => name in attributes,
+          getAttribute: name => (name in attributes ? attributes[name] : null),
+          setAttribute: (name, value) => { attributes[name] = String(value); }
+        };
+      });
+
+    return {
+      readyState: 'complete',
+      getElementById: id => (id === 'unicanvas-state' && stateIndex !== -1 ? { textContent: tokens[stateIndex + 1].raw } : null),
+      querySelector: selector => {
+        const [, id] = selector.match(/^\[data-component-id="(.*)"\]$/);
+        return elements.find(element => element.attributes['data-component-id'] === id) || null;
+      }
+    };
+  }
+
+  test('marks the page and its components for hydration', () => {
+    const { uniCanvas, siteId, pageId } = createPage();
+    const tokens = tokenizer.tokenize(uniCanvas.renderPage(pageId, { ssr: true }));
+
+    expect(attributesOf(startTag(tokens, 'class', 'unicanvas-page-container'))['data-ssr']).toBe('true');
+    expect(attributesOf(startTag(tokens, 'data-component-id', 'hero'))).toEqual(expect.objectContaining({
+      'data-hydrate': 'true',
+      'data-template-id': 'greeting'
+    }));
+    expect(attributesOf(startTag(tokens, 'data-component-id', 'note'))).not.toHaveProperty('data-template-id');
+
+    const stateIndex = tokens.indexOf(startTag(tokens, 'id', 'unicanvas-state'));
+    expect(JSON.parse(tokens[stateIndex + 1].raw)).toEqual(expect.objectContaining({
+      siteId,
+      pageId,
+      ssr: true,
+      components: [
+        expect.objectContaining({ id: 'hero', templateId: 'greeting', data: { name: 'Ada' } }),
+        expect.objectContaining({ id: 'note', templateId: null })
+      ]
+    }));
+
+    // 运行时从 JSON 块读取状态，不再内联一份
+    const inlineScript = tokens.filter(token => token.type === 'rawText' && token.element === 'script').pop().raw;
+    expect(inlineScript).toContain('(window, document, null)');
+  });
+
+  test('renders without hydration markers or a state block by default', () => {
+    const { uniCanvas, pageId } = createPage();
+    const tokens = tokenizer.tokenize(uniCanvas.renderPage(pageId));
+
+    expect(attributesOf(startTag(tokens, 'class', 'unicanvas-page-container'))).not.toHaveProperty('data-ssr');
+    expect(attributesOf(startTag(tokens, 'data-component-id', 'hero'))).not.toHaveProperty('data-hydrate');
+    expect(startTag(tokens, 'id', 'unicanvas-state')).toBeUndefined();
+  });
+
+  describe('browser runtime', () => {
+    test('attaches components to the server-rendered elements', () => {
+      const { uniCanvas, siteId, pageId } = createPage();
+      const document = createDocument(uniCanvas.renderPage(pageId, { ssr: true }));
+      const window = { addEventListener: jest.fn() };
+
+      const runtime = uniCanvasRuntime(window, document, null);
+
+      expect(window.UniCanvas).toBe(runtime);
+      expect(runtime).toEqual(expect.objectContaining({ siteId, pageId, ssr: true, started: true }));
+      expect(runtime.getComponent('hero')).toEqual(expect.objectContaining({
+        templateId: 'greeting',
+        data: { name: 'Ada' },
+        element: document.querySelector('[data-component-id="hero"]'),
+        hydrated: true
+      }));
+      expect(runtime.getComponent('hero').element.getAttribute('data-hydrated')).toBe('true');
+      expect(window.addEventListener).toHaveBeenCalledWith('message', expect.any(Function));
+    });
+
+    test('runs component scripts once their element is attached', () => {
+      const { uniCanvas, pageId } = createPage();
+      const document = createDocument(uniCanvas.renderPage(pageId, { ssr: true }));
+      const runtime = uniCanvasRuntime({ addEventListener() {} }, document, null);
+      const hydrated = jest.fn();
+      const setup = jest.fn(function (component) { component.element.clicked = true; });
+
+      runtime.on('component.hydrated', hydrated);
+      runtime.define('note', setup);
+      runtime.define('note', setup);
+
+      const note = runtime.getComponent('note');
+      expect(setup).toHaveBeenCalledTimes(1);
+      expect(setup.mock.contexts[0]).toBe(note.element);
+      expect(note.element.clicked).toBe(true);
+      expect(hydrated).toHaveBeenCalledWith(note);
+    });
+
+    test('does not mark client-rendered components as hydrated', () => {
+      const { uniCanvas, pageId } = createPage();
+      const document = createDocument(uniCanvas.renderPage(pageId));
+      const state = { siteId: 's', pageId: 'p', components: [{ id: 'hero' }, { id: 'missing' }] };
+
+      const runtime = uniCanvasRuntime({ addEventListener() {} }, document, state);
+
+      expect(runtime.ssr).toBe(false);
+      expect(runtime.getComponent('hero').hydrated).toBe(false);
+      expect(runtime.getComponent('missing')).toEqual(expect.objectContaining({ element: null, hydrated: false }));
+    });
+  });
+});
@@ -0,0 +1,43 @@
+import UniCanvas from '../src/core/UniCanvas.js';
+import ComponentPositioner from '../src/utils/ComponentPositioner.js';
+
+describe('ComponentPositioner', () => {
+  const positioner = new ComponentPositioner();
+  const gridPage = { positioning: 'grid', grid: { columns: 12, rowHeight: 40, gap: 8 } };
+
+  test('accepts grid cells inside the grid', () => {
+    expect(() => positioner.validate({ x: 0, y: 0 }, { width: 12, height: 2 }, gridPage)).not.toThrow();
+    expect(() => positioner.validate({ x: 11, y: 5 }, { width: 'auto', height: 'auto' }, gridPage)).not.toThrow();
+  });
+
+  test('rejects grid cells past the last column', () => {
+    expect(() => positioner.validate({ x: 10, y: 0 }, { width: 4, height: 1 }, gridPage))
+      .toThrow(expect.objectContaining({ code: 'INVALID_COMPONENT', details: expect.objectContaining({ columns: 12 }) }));
+    expect(() => positioner.validate({ x: 12, y: 0 }, { width: 'auto', height: 'auto' }, gridPage))
+      .toThrow(expect.objectContaining({ code: 'INVALID_COMPONENT' }));
+    expect(() => positioner.validate({ x: -1, y: 0 }, { width: 2, height: 1 }, gridPage))
+      .toThrow(expect.objectContaining({ code: 'INVALID_COMPONENT' }));
+  });
+
+  test('does not limit absolute positions to the grid', () => {
+    expect(() => positioner.validate({ x: 600, y: 0 }, { width: 400, height: 100 }, { ...gridPage, positioning: 'absolute' })).not.toThrow();
+  });
+
+  test('rejects components placed or moved past the grid of a page', () => {
+    const uniCanvas = new UniCanvas();
+    const siteId = uniCanvas.createSite({ name: 'site' });
+    const pageId = uniCanvas.createPage(siteId, { name: 'poster', path: '/', positioning: 'grid', grid: { columns: 4 } });
+
+    expect(() => uniCanvas.addComponentToPage(pageId, { type: 'image' }, { position: { x: 2, y: 0 }, size: { width: 3, height: 1 } }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_COMPONENT' }));
+    expect(uniCanvas.getPage(pageId).components).toHaveLength(0);
+
+    const componentId = uniCanvas.addComponentToPage(pageId, { type: 'image' }, { position: { x: 2, y: 0 }, size: { width: 2, height: 1 } });
+
+    expect(() => uniCanvas.updateComponent(pageId, componentId, { position: { x: 3 } }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_COMPONENT' }));
+    expect(() => uniCanvas.updatePage(pageId, { grid: { columns: 3 } }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_COMPONENT' }));
+    expect(uniCanvas.getPage(pageId).grid.columns).toBe(4);
+  });
+});
@@ -0,0 +1,130 @@
+import UniCanvas from '../src/core/UniCanvas.js';
+import ContentSecurityPolicy from '../src/utils/ContentSecurityPolicy.js';
+import HtmlTokenizer from '../src/utils/HtmlTokenizer.js';
+
+describe('content security policy', () => {
+  const tokenizer = new HtmlTokenizer();
+
+  function createPages() {
+    const uniCanvas = new UniCanvas();
+    const siteId = uniCanvas.createSite({ name: 'site' });
+    const homeId = uniCanvas.createPage(siteId, { name: 'home', path: '/' });
+    const aboutId = uniCanvas.createPage(siteId, { name: 'about', path: '/about' });
+    const componentId = uniCanvas.addComponentToPage(homeId, {
+      type: 'text',
+      content: '<p>hi</p>',
+      style: '.hi { color: red; }',
+      script: 'console.log(component.id);'
+    });
+
+    return { uniCanvas, homeId, aboutId, componentId };
+  }
+
+  // 除 JSON 数据块外的 style、script、link 标签
+  function resourceTags(html) {
+    return tokenizer.tokenize(html)
+      .filter(token => token.type === 'startTag' && ['style', 'script', 'link'].includes(token.name))
+      .map(token => Object.fromEntries(token.attributes.map(attr => [attr.name, attr.value])))
+      .filter(attributes => attributes.type !== 'application/json');
+  }
+
+  test('builds the policy with the nonce on script-src and style-src', () => {
+    const csp = new ContentSecurityPolicy({ directives: { 'img-src': "'self' data:" } });
+
+    expect(csp.build({ nonce: 'abc=', directives: { 'object-src': null, 'upgrade-insecure-requests': true } })).toBe(
+      "default-src 'self'; script-src 'self' 'nonce-abc='; style-src 'self' 'nonce-abc='; base-uri 'self'; img-src 'self' data:; upgrade-insecure-requests"
+    );
+    expect(csp.build({ nonce: 'abc', directives: { 'script-src': "'none'" } })).toContain("script-src 'none';");
+  });
+
+  test('rejects unsafe nonces and directives', () => {
+    const csp = new ContentSecurityPolicy();
+
+    expect(() => csp.assertNonce('a" onload="x')).toThrow(expect.objectContaining({ code: 'INVALID_CSP_NONCE' }));
+    expect(() => csp.build({ directives: { 'script-src': "'self'; object-src *" } }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_CSP_DIRECTIVE' }));
+    expect(() => csp.build({ directives: { 'Script Src': "'self'" } }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_CSP_DIRECTIVE' }));
+  });
+
+  describe('buildPage', () => {
+    test('adds a fresh nonce to every inline style and script', () => {
+      const { uniCanvas, homeId } = createPages();
+      const first = uniCanvas.buildPage(homeId, { csp: true });
+      const second = uniCanvas.buildPage(homeId, { csp: true });
+
+      expect(first.nonce).toMatch(/^[A-Za-z0-9+/]+={0,2}$/);
+      expect(second.nonce).not.toBe(first.nonce);
+      expect(resourceTags(first.html).map(attributes => attributes.nonce)).toEqual([first.nonce, first.nonce]);
+      expect(first.policy).toContain(`script-src 'self' 'nonce-${first.nonce}'`);
+      expect(first.headers).toEqual({ 'Content-Security-Policy': first.policy });
+      expect(first.html).toContain('<meta http-equiv="Content-Security-Policy"');
+    });
+
+    test('delivers the policy only through headers when asked', () => {
+      const { uniCanvas, homeId } = createPages();
+      const { html, headers } = uniCanvas.buildPage(homeId, { csp: { delivery: 'header' }, nonce: 'fixed' });
+
+      expect(html).not.toContain('http-equiv="Content-Security-Policy"');
+      expect(headers['Content-Security-Policy']).toContain("'nonce-fixed'");
+    });
+
+    test('renders without a nonce or policy when CSP is off', () => {
+      const { uniCanvas, homeId } = createPages();
+      const { html, nonce, policy, headers } = uniCanvas.buildPage(homeId);
+
+      expect(nonce).toBeNull();
+      expect(policy).toBeNull();
+      expect(headers).toEqual({});
+      expect(resourceTags(html).every(attributes => !('nonce' in attributes))).toBe(true);
+    });
+
+    test('rejects an invalid nonce', () => {
+      const { uniCanvas, homeId } = createPages();
+
+      expect(() => uniCanvas.buildPage(homeId, { csp: true, nonce: '"><script>' }))
+        .toThrow(expect.objectContaining({ code: 'INVALID_CSP_NONCE' }));
+    });
+
+    test('names external assets by content hash and links them with the nonce', () => {
+      const { uniCanvas, homeId } = createPages();
+      const { html, assets } = uniCanvas.buildPage(homeId, { csp: true, nonce: 'fixed', assets: 'external', assetBaseUrl: '/static' });
+
+      expect(assets.map(asset => asset.path)).toEqual([
+        expect.stringMatching(/^base\.[0-9a-f]{16}\.css$/),
+        expect.stringMatching(/^page\.[0-9a-f]{16}\.css$/),
+        expect.stringMatching(/^runtime\.[0-9a-f]{16}\.js$/),
+        expect.stringMatching(/^page\.[0-9a-f]{16}\.js$/)
+      ]);
+      assets.forEach(asset => {
+        expect(asset.path).toContain(`.${asset.hash}.`);
+        expect(asset.url).toBe(`/static/${asset.path}`);
+      });
+      expect(resourceTags(html)).toEqual([
+        ...assets.filter(asset => asset.type === 'style').map(asset => ({ rel: 'stylesheet', href: asset.url, nonce: 'fixed' })),
+        ...assets.filter(asset => asset.type === 'script').map(asset => ({ src: asset.url, nonce: 'fixed', defer: null }))
+      ]);
+    });
+
+    test('keeps asset hashes stable until their content changes', () => {
+      const { uniCanvas, homeId, aboutId, componentId } = createPages();
+      const hashes = pageId => Object.fromEntries(
+        uniCanvas.buildPage(pageId, { assets: 'external' }).assets.map(asset => [asset.path.replace(/\.[0-9a-f]+\./, '.'), asset.hash])
+      );
+      const before = hashes(homeId);
+
+      expect(hashes(homeId)).toEqual(before);
+
+      // 站点共用的基础样式和运行时在页面之间相同，没有组件样式和脚本的页面不生成页面资源
+      const about = hashes(aboutId);
+      expect(about).toEqual({ 'base.css': before['base.css'], 'runtime.js': before['runtime.js'] });
+
+      uniCanvas.updateComponent(homeId, componentId, { style: '.hi { color: blue; }' });
+      const after = hashes(homeId);
+
+      expect(after['page.css']).not.toBe(before['page.css']);
+      expect(after['page.js']).toBe(before['page.js']);
+      expect(after['base.css']).toBe(before['base.css']);
+    });
+  });
+});
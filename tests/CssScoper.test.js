@@ -0,0 +1,83 @@
+import CssScoper from '../src/utils/CssScoper.js';
+
+describe('CssScoper', () => {
+  const scoper = new CssScoper();
+  const prefixClasses = { renameClass: className => `x-${className}` };
+
+  describe('scope with renameClass', () => {
+    test('rewrites rules nested in @media and @supports', () => {
+      const css = '@media (max-width: 600px) { .a { color: red } @supports (display: grid) { .b { display: grid } } }';
+
+      expect(scoper.scope(css, prefixClasses)).toBe(
+        '@media (max-width: 600px) { .x-a { color: red } @supports (display: grid) { .x-b { display: grid } } }'
+      );
+    });
+
+    test('rewrites class names inside :not() and :is()', () => {
+      expect(scoper.scope('.a:not(.b) > .c {}', prefixClasses)).toBe('.x-a:not(.x-b) > .x-c {}');
+      expect(scoper.scope('.a:is(.b, .c) {}', prefixClasses)).toBe('.x-a:is(.x-b, .x-c) {}');
+    });
+
+    test('leaves attribute selector values untouched', () => {
+      expect(scoper.scope('.a[data-x=".b"] [class~="c"] {}', prefixClasses)).toBe('.x-a[data-x=".b"] [class~="c"] {}');
+    });
+
+    test('rewrites every selector of a comma list', () => {
+      expect(scoper.scope('.a, .b .c,\n.d {}', prefixClasses)).toBe('.x-a, .x-b .x-c,\n.x-d {}');
+    });
+
+    test('passes escaped class names unescaped and escapes the result again', () => {
+      const received = [];
+      const css = scoper.scope('.sm\\:p-2 { } .w-1\\/2 {}', {
+        renameClass: className => {
+          received.push(className);
+          return `x-${className}`;
+        }
+      });
+
+      expect(received).toEqual(['sm:p-2', 'w-1/2']);
+      expect(css).toBe('.x-sm\\:p-2 { } .x-w-1\\/2 {}');
+    });
+
+    test('does not treat keyframe selectors as class selectors', () => {
+      const css = '@keyframes spin { from { opacity: 0 } to { opacity: 1 } } .a { animation: spin 1s }';
+
+      expect(scoper.scope(css, prefixClasses)).toBe(
+        '@keyframes spin { from { opacity: 0 } to { opacity: 1 } } .x-a { animation: spin 1s }'
+      );
+    });
+
+    test('does not rewrite dots inside url() and declaration strings', () => {
+      expect(scoper.scope('.a { background: url(".b.png") } .c { background: url(img/.d.png) }', prefixClasses))
+        .toBe('.x-a { background: url(".b.png") } .x-c { background: url(img/.d.png) }');
+      expect(scoper.scope('.a::before { content: ".b" }', prefixClasses)).toBe('.x-a::before { content: ".b" }');
+    });
+
+    test('keeps class names for which renameClass returns null', () => {
+      expect(scoper.scope('.a .b {}', { renameClass: className => (className === 'a' ? 'x-a' : null) })).toBe('.x-a .b {}');
+    });
+  });
+
+  describe('scope with prefixSelector', () => {
+    test('prefixes each selector, including those in @media, but not keyframes', () => {
+      const css = scoper.scope('.a, .b {} @media print { .c {} } @keyframes k { from {} }', {
+        prefixSelector: selector => `#root ${selector}`
+      });
+
+      expect(css).toBe('#root .a, #root .b {} @media print { #root .c {} } @keyframes k { from {} }');
+    });
+  });
+
+  describe('extractClassNames', () => {
+    test('returns unescaped class names from all selectors', () => {
+      expect(scoper.extractClassNames('.sm\\:p-2 .a:not(.b) {} .a {}')).toEqual(['sm:p-2', 'a', 'b']);
+    });
+  });
+
+  describe('splitSelectors', () => {
+    test('splits only at top-level commas', () => {
+      expect(scoper.splitSelectors('.a, .b:is(.c, .d), [x=","]').map(selector => selector.trim()))
+        .toEqual(['.a', '.b:is(.c, .d)', '[x=","]']);
+    });
+  });
+});
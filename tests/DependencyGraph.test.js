@@ -0,0 +1,99 @@
+import UniCanvas from '../src/core/UniCanvas.js';
+import DependencyGraph from '../src/utils/DependencyGraph.js';
+
+describe('DependencyGraph', () => {
+  let graph;
+
+  beforeEach(() => {
+    graph = new DependencyGraph();
+    graph.addDependency({ type: 'page', id: 'home' }, { type: 'template', id: 'card' });
+    graph.addDependency({ type: 'template', id: 'card' }, { type: 'template', id: 'badge' });
+    graph.addDependency({ type: 'template', id: 'badge' }, { type: 'styleVariable', id: 'brand' });
+  });
+
+  test('returns direct and transitive dependents with their depth', () => {
+    expect(graph.getDependents('styleVariable', 'brand')).toEqual([
+      { type: 'template', id: 'badge', exists: true, depth: 1 }
+    ]);
+    expect(graph.getDependents('styleVariable', 'brand', { transitive: true })).toEqual([
+      { type: 'template', id: 'badge', exists: true, depth: 1 },
+      { type: 'template', id: 'card', exists: true, depth: 2 },
+      { type: 'page', id: 'home', exists: true, depth: 3 }
+    ]);
+    expect(graph.getDependencies('page', 'home', { transitive: true, types: ['styleVariable'] })).toEqual([
+      { type: 'styleVariable', id: 'brand', exists: false, depth: 3 }
+    ]);
+  });
+
+  test('visits each node of a dependency cycle once', () => {
+    graph.addDependency({ type: 'template', id: 'badge' }, { type: 'template', id: 'card' });
+
+    expect(graph.getDependencies('template', 'card', { transitive: true }).map(node => node.id)).toEqual(['badge', 'brand']);
+  });
+
+  test('keeps edges to removed nodes so missing dependencies can be found', () => {
+    graph.removeNode('template', 'badge');
+
+    expect(graph.getDependencies('template', 'card')).toEqual([
+      { type: 'template', id: 'badge', exists: false, depth: 1 }
+    ]);
+    expect(graph.getDependents('styleVariable', 'brand')).toEqual([]);
+  });
+
+  test('replaces all dependencies of a node', () => {
+    graph.setDependencies('template', 'card', [{ type: 'dataModel', id: 'product' }]);
+
+    expect(graph.getDependencies('template', 'card').map(node => node.id)).toEqual(['product']);
+    expect(graph.getDependents('template', 'badge')).toEqual([]);
+  });
+
+  test('round-trips through toJSON and load', () => {
+    const copy = new DependencyGraph().load(graph.toJSON());
+
+    expect(copy.toJSON()).toEqual(graph.toJSON());
+    expect(copy.getDependents('styleVariable', 'brand', { transitive: true })).toHaveLength(3);
+  });
+
+  test('rejects nodes without a type or an ID', () => {
+    expect(() => graph.addNode('', 'x')).toThrow(expect.objectContaining({ code: 'INVALID_NODE' }));
+    expect(() => graph.hasNode('template', null)).toThrow(expect.objectContaining({ code: 'INVALID_NODE' }));
+  });
+
+  describe('impact analysis', () => {
+    let uniCanvas;
+    let siteId;
+    let pageId;
+
+    beforeEach(() => {
+      uniCanvas = new UniCanvas();
+      uniCanvas.templateEngine.saveTemplate('badge', { html: '<span class="badge"></span>', css: '.badge { color: var(--brand); }' });
+      uniCanvas.templateEngine.saveTemplate('card', { html: '<div class="card">{{> badge}}</div>' });
+      siteId = uniCanvas.createSite({ name: 'shop' });
+      pageId = uniCanvas.createPage(siteId, { name: 'home', path: '/' });
+      uniCanvas.addComponentToPage(pageId, { type: 'card', templateId: 'card' });
+    });
+
+    test('lists the templates, pages and sites affected by a change', () => {
+      const impact = uniCanvas.analyzeImpact({ type: 'styleVariable', id: '--brand' });
+
+      expect(impact.templates).toEqual(['badge', 'card']);
+      expect(impact.components).toEqual(['badge', 'card']);
+      expect(impact.pages).toEqual([{ id: pageId, siteId, name: 'home', path: '/' }]);
+      expect(impact.sites).toEqual([{ id: siteId, name: 'shop' }]);
+    });
+
+    test('stops tracking a page once its components no longer use the template', () => {
+      const componentId = uniCanvas.getPage(pageId).components[0].id;
+      uniCanvas.removeComponent(pageId, componentId);
+
+      const impact = uniCanvas.analyzeImpact({ type: 'template', id: 'card' });
+
+      expect(impact.pages).toEqual([]);
+      expect(impact.sites).toEqual([]);
+    });
+
+    test('rejects changes without a type or an ID', () => {
+      expect(() => uniCanvas.analyzeImpact({ type: 'template' })).toThrow(expect.objectContaining({ code: 'INVALID_CHANGE' }));
+    });
+  });
+});
@@ -0,0 +1,92 @@
+import UniCanvas from '../src/core/UniCanvas.js';
+
+describe('edit history', () => {
+  function createPage(uniCanvas) {
+    const siteId = uniCanvas.createSite({ name: 'site' });
+    const pageId = uniCanvas.createPage(siteId, { name: 'home', path: '/' });
+
+    return { siteId, pageId };
+  }
+
+  test('keeps references held by callers valid after undo and redo', () => {
+    const uniCanvas = new UniCanvas();
+    const { siteId, pageId } = createPage(uniCanvas);
+    const site = uniCanvas.getSite(siteId);
+    const page = uniCanvas.getPage(pageId);
+    const componentId = uniCanvas.addComponentToPage(pageId, { type: 'text', data: { text: 'before' } });
+    const component = uniCanvas.getPageComponent(pageId, componentId);
+
+    uniCanvas.updateComponent(pageId, componentId, { data: { text: 'after' } });
+    uniCanvas.removePage(pageId);
+
+    uniCanvas.undo();
+    uniCanvas.undo();
+
+    expect(uniCanvas.getSite(siteId)).toBe(site);
+    expect(uniCanvas.getPage(pageId)).toBe(page);
+    expect(uniCanvas.getPageComponent(pageId, componentId)).toBe(component);
+    expect(component.data).toEqual({ text: 'before' });
+    expect(site.pages).toEqual([pageId]);
+
+    uniCanvas.redo();
+
+    expect(component.data).toEqual({ text: 'after' });
+    expect(uniCanvas.getPage(pageId)).toBe(page);
+  });
+
+  test('keeps function scripts when undoing unrelated changes', () => {
+    const uniCanvas = new UniCanvas();
+    const { pageId } = createPage(uniCanvas);
+    const script = function (component) { return component.id; };
+
+    uniCanvas.resourceHub.registerScript('tracker', script);
+    const componentId = uniCanvas.addComponentToPage(pageId, { type: 'widget', script });
+
+    uniCanvas.updatePage(pageId, { title: 'Changed' });
+    uniCanvas.undo();
+
+    expect(uniCanvas.getPage(pageId).title).toBe('home');
+    expect(uniCanvas.resourceHub.getScript('tracker')).toBe(script);
+    expect(uniCanvas.getPageComponent(pageId, componentId).script).toBe(script);
+
+    uniCanvas.undo();
+    uniCanvas.redo();
+
+    expect(uniCanvas.getPageComponent(pageId, componentId).script).toBe(script);
+  });
+
+  test('restores the dependency graph and templates', () => {
+    const uniCanvas = new UniCanvas();
+    const { pageId } = createPage(uniCanvas);
+
+    uniCanvas.templateEngine.saveTemplate('card', { html: '<div>{{title}}</div>' });
+    uniCanvas.templateEngine.saveTemplate('card', { html: '<section>{{title}}</section>' });
+    uniCanvas.addComponentToPage(pageId, { type: 'card', templateId: 'card', data: { title: 'Hi' } });
+
+    expect(uniCanvas.analyzeImpact({ type: 'template', id: 'card' }).pages.map(page => page.id)).toEqual([pageId]);
+
+    uniCanvas.undo();
+
+    expect(uniCanvas.analyzeImpact({ type: 'template', id: 'card' }).pages).toEqual([]);
+
+    uniCanvas.undo();
+
+    expect(uniCanvas.templateEngine.getTemplate('card').html).toBe('<div>{{title}}</div>');
+    expect(uniCanvas.templateEngine.listTemplateVersions('card')).toHaveLength(1);
+  });
+
+  test('records only the state an operation changes', () => {
+    const uniCanvas = new UniCanvas();
+    const { siteId } = createPage(uniCanvas);
+    const pageIds = Array.from({ length: 50 }, (value, index) => uniCanvas.createPage(siteId, { name: `page${index}`, path: `/page${index}` }));
+    const serialize = jest.spyOn(uniCanvas, 'serialize');
+    const capture = jest.spyOn(uniCanvas.recorder, 'capture');
+
+    uniCanvas.addComponentToPage(pageIds[0], { type: 'text' });
+    uniCanvas.undo();
+    uniCanvas.redo();
+
+    expect(serialize).not.toHaveBeenCalled();
+    expect(capture.mock.calls.filter(([target]) => target === uniCanvas.pages).map(([, key]) => key)).toEqual([pageIds[0]]);
+  });
+});
@@ -0,0 +1,44 @@
+import HtmlTokenizer from '../src/utils/HtmlTokenizer.js';
+
+describe('HtmlTokenizer', () => {
+  const tokenizer = new HtmlTokenizer();
+  const append = suffix => (tagName, attributes) => attributes.forEach(attr => {
+    if (attr.value) {
+      attr.value += suffix;
+    }
+  });
+
+  test('keeps the original quoting of rewritten attributes', () => {
+    const html = `<a title='say "hi"' data-a="x" data-b = "y">link</a>`;
+
+    expect(tokenizer.transformAttributes(html, append('-1'))).toBe(`<a title='say "hi"-1' data-a="x-1" data-b = "y-1">link</a>`);
+  });
+
+  test('quotes unquoted values that need quotes after rewriting', () => {
+    expect(tokenizer.transformAttributes('<p class=a id=b hidden>', append(' c'))).toBe('<p class="a c" id="b c" hidden>');
+  });
+
+  test('returns unmodified tags byte for byte', () => {
+    const html = `<DIV  Class = 'x'\n  data-x=1 >text</DIV><br/><img src=a.png />`;
+
+    expect(tokenizer.transformAttributes(html, () => {})).toBe(html);
+  });
+
+  test('reads template placeholders in attributes and tags as single tokens', () => {
+    const [tag] = tokenizer.tokenize(`<input value="{{a > b ? "x" : "y"}}" {{#if on}}checked{{/if}}>`);
+
+    expect(tag.attributes.map(attr => [attr.name, attr.value, !!attr.opaque])).toEqual([
+      ['value', '{{a > b ? "x" : "y"}}', false],
+      ['{{#if on}}', null, true],
+      ['checked', null, false],
+      ['{{/if}}', null, true]
+    ]);
+  });
+
+  test('does not read markup inside comments or raw text elements as tags', () => {
+    const tokens = tokenizer.tokenize('<!-- <b class="x"> --><script>if (a < b) { s = "<i>"; }</script><textarea><u></textarea>');
+
+    expect(tokens.filter(token => token.type === 'startTag').map(token => token.name)).toEqual(['script', 'textarea']);
+    expect(tokenizer.extractClassNames('<!-- <b class="x"> --><i class="y {{z}} y w">')).toEqual(['y', 'w']);
+  });
+});
@@ -0,0 +1,37 @@
+import GlobalResourceHub from '../src/utils/GlobalResourceHub.js';
+import SmartTemplateEngine from '../src/core/SmartTemplateEngine.js';
+
+describe('LocaleFormatter', () => {
+  let hub;
+  let engine;
+
+  beforeEach(() => {
+    hub = new GlobalResourceHub();
+    hub.configureLocales({ defaultLocale: 'en', fallbacks: { 'zh-CN': ['en'], fr: ['en'] } });
+    hub.registerMessages('en', {
+      cart: { items: { one: '# item', other: '# items' } }
+    });
+    hub.registerMessages('zh-CN', {
+      cart: { total: '共 {count} 件' }
+    });
+
+    engine = new SmartTemplateEngine();
+    engine.setResourceHub(hub);
+  });
+
+  test('selects plural forms with the rules of the locale the message came from', () => {
+    engine.saveTemplate('cart', { html: '{{t "cart.items" count=1}} / {{t "cart.items" count=3}}' });
+
+    expect(engine.renderTemplate('cart', {}, { locale: 'zh-CN' })).toBe('1 item / 3 items');
+    expect(engine.renderTemplate('cart', {}, { locale: 'en' })).toBe('1 item / 3 items');
+  });
+
+  test('formats numbers in fallback messages with the fallback locale', () => {
+    // fr 使用空格分组，回退到 en 的消息应按 en 格式化
+    expect(engine.translate('cart.items', { count: 1234 }, { locale: 'fr' })).toBe('1,234 items');
+  });
+
+  test('keeps the requested locale for messages found in that locale', () => {
+    expect(engine.translate('cart.total', { count: 2 }, { locale: 'zh-CN' })).toBe('共 2 件');
+  });
+});
@@ -0,0 +1,61 @@
+import UniCanvas from '../src/core/UniCanvas.js';
+
+describe('page layouts', () => {
+  let warn;
+
+  beforeEach(() => {
+    warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    warn.mockRestore();
+  });
+
+  test('rejects unregistered layout names', () => {
+    const uniCanvas = new UniCanvas();
+    const siteId = uniCanvas.createSite({ name: 'site' });
+    const pageId = uniCanvas.createPage(siteId, { name: 'home', path: '/' });
+    const notFound = expect.objectContaining({ code: 'LAYOUT_NOT_FOUND', details: { layout: 'marketing' } });
+
+    expect(() => uniCanvas.createSite({ name: 'other', layout: 'marketing' })).toThrow(notFound);
+    expect(() => uniCanvas.updateSite(siteId, { config: { layout: 'marketing' } })).toThrow(notFound);
+    expect(() => uniCanvas.createPage(siteId, { name: 'landing', path: '/landing', layout: 'marketing' })).toThrow(notFound);
+    expect(() => uniCanvas.updatePage(pageId, { layout: 'marketing' })).toThrow(notFound);
+
+    expect(Object.keys(uniCanvas.sites)).toEqual([siteId]);
+    expect(uniCanvas.getSite(siteId).pages).toEqual([pageId]);
+    expect(uniCanvas.getPage(pageId).layout).toBeNull();
+    expect(warn).not.toHaveBeenCalled();
+  });
+
+  test('places components in the regions of a registered layout', () => {
+    const uniCanvas = new UniCanvas();
+    uniCanvas.registerLayout('dashboard', { regions: ['toolbar', 'main'] });
+    const siteId = uniCanvas.createSite({ name: 'site', layout: 'dashboard' });
+    const pageId = uniCanvas.createPage(siteId, { name: 'home', path: '/' });
+
+    const componentId = uniCanvas.addComponentToPage(pageId, { type: 'text', content: 'tools' }, { region: 'toolbar' });
+
+    expect(uniCanvas.getPageComponent(pageId, componentId).region).toBe('toolbar');
+    expect(uniCanvas.renderPage(pageId)).toContain('data-layout="dashboard"');
+  });
+
+  test('renders pages of a restored snapshot without their layout with the standard layout', () => {
+    const source = new UniCanvas();
+    source.registerLayout('dashboard', { regions: ['toolbar', 'main'] });
+    const siteId = source.createSite({ name: 'site' });
+    const pageId = source.createPage(siteId, { name: 'home', path: '/', layout: 'dashboard' });
+    const snapshot = JSON.parse(JSON.stringify(source.serialize()));
+    delete snapshot.layouts.dashboard;
+
+    const quiet = new UniCanvas().restore(snapshot);
+    expect(quiet.renderPage(pageId)).toContain('data-layout="standard"');
+    expect(warn).not.toHaveBeenCalled();
+
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const debug = new UniCanvas({ debug: true }).restore(snapshot);
+    debug.renderPage(pageId);
+    log.mockRestore();
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('Layout dashboard of page'));
+  });
+});
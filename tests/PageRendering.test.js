@@ -0,0 +1,119 @@
+import UniCanvas from '../src/core/UniCanvas.js';
+import HtmlTokenizer from '../src/utils/HtmlTokenizer.js';
+
+// 试图闭合属性、脚本和注释后注入元素的内容
+const PAYLOAD = `"'></script><script>alert(1)</script><!--<img src=x onerror=alert(2)>`;
+
+describe('page rendering', () => {
+  const tokenizer = new HtmlTokenizer();
+
+  function createPage(value) {
+    const uniCanvas = new UniCanvas();
+    const siteId = uniCanvas.createSite({ name: 'site' });
+    const pageId = uniCanvas.createPage(siteId, {
+      name: 'home',
+      path: '/',
+      title: value,
+      description: value,
+      meta: { [value]: value }
+    });
+
+    uniCanvas.addComponentToPage(pageId, {
+      id: value,
+      name: value,
+      type: 'text',
+      content: '<b>ok</b>',
+      data: { text: value },
+      style: `.hostile { content: "${value}"; }`,
+      script: `var text = "${value.replace(/"/g, '\\"')}";`
+    });
+
+    return { uniCanvas, pageId };
+  }
+
+  function decodeEntities(text) {
+    return text.replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)));
+  }
+
+  function startTags(tokens) {
+    return tokens.filter(token => token.type === 'startTag').map(token => token.name);
+  }
+
+  function rawTexts(tokens, element) {
+    return tokens.filter(token => token.type === 'rawText' && token.element === element).map(token => token.raw);
+  }
+
+  function attributeValues(tokens, name) {
+    return tokens
+      .filter(token => token.type === 'startTag')
+      .flatMap(token => token.attributes.filter(attr => attr.name === name))
+      .map(attr => decodeEntities(attr.value));
+  }
+
+  function expectContained(html, options) {
+    const { uniCanvas: safeCanvas, pageId: safePageId } = createPage('safe');
+    const expectedTags = startTags(tokenizer.tokenize(safeCanvas.renderPage(safePageId, options)));
+    const tokens = tokenizer.tokenize(html);
+
+    // 与普通内容的页面结构一致，没有注入额外的元素
+    expect(startTags(tokens)).toEqual(expectedTags);
+    expect(tokens.filter(token => token.type === 'comment')).toHaveLength(0);
+
+    rawTexts(tokens, 'script').forEach(text => {
+      expect(text).not.toMatch(/<\/script/i);
+      expect(text).not.toContain('<!--');
+    });
+    rawTexts(tokens, 'style').forEach(text => {
+      expect(text).not.toMatch(/<\/style/i);
+      expect(text).not.toContain('<!--');
+    });
+
+    return tokens;
+  }
+
+  test('escapes hostile page fields and component attributes', () => {
+    const { uniCanvas, pageId } = createPage(PAYLOAD);
+    const tokens = expectContained(uniCanvas.renderPage(pageId), {});
+
+    expect(rawTexts(tokens, 'title').map(decodeEntities)).toEqual([PAYLOAD]);
+    expect(attributeValues(tokens, 'content')).toEqual(expect.arrayContaining([PAYLOAD]));
+    expect(attributeValues(tokens, 'name')).toContain(PAYLOAD);
+    expect(attributeValues(tokens, 'data-component-id')).toEqual([PAYLOAD]);
+  });
+
+  test('keeps the component style and script inside their elements', () => {
+    const { uniCanvas, pageId } = createPage(PAYLOAD);
+    const tokens = expectContained(uniCanvas.renderPage(pageId), {});
+
+    const scripts = rawTexts(tokens, 'script').join('\n');
+    expect(scripts).toContain('alert(1)');
+    expect(scripts).toContain('UniCanvas.define(');
+
+    const styles = rawTexts(tokens, 'style').join('\n');
+    expect(styles).toContain('alert(2)');
+  });
+
+  test('escapes component data in the SSR state block', () => {
+    const { uniCanvas, pageId } = createPage(PAYLOAD);
+    const tokens = expectContained(uniCanvas.renderPage(pageId, { ssr: true }), { ssr: true });
+
+    const stateIndex = tokens.findIndex(token => token.type === 'startTag'
+      && token.attributes.some(attr => attr.name === 'id' && attr.value === 'unicanvas-state'));
+    const state = JSON.parse(tokens[stateIndex + 1].raw);
+
+    expect(state.components[0].id).toBe(PAYLOAD);
+    expect(state.components[0].data.text).toBe(PAYLOAD);
+  });
+
+  test('escapes hostile content in buildPage with CSP and external assets', () => {
+    const { uniCanvas, pageId } = createPage(PAYLOAD);
+    const options = { csp: true, nonce: 'fixed-nonce', assets: 'external' };
+    const { html, assets } = uniCanvas.buildPage(pageId, options);
+
+    const tokens = expectContained(html, options);
+
+    const scripts = assets.filter(asset => asset.path.endsWith('.js')).map(asset => asset.content).join('\n');
+    expect(scripts).toContain('var text =');
+    expect(rawTexts(tokens, 'script').join('\n')).not.toContain('var text =');
+  });
+});
@@ -0,0 +1,117 @@
+import UniCanvas from '../src/core/UniCanvas.js';
+import PageRouter from '../src/utils/PageRouter.js';
+
+describe('PageRouter', () => {
+  const router = new PageRouter();
+
+  test('matches static paths, dynamic segments and wildcards', () => {
+    expect(router.match('/about/', '/about')).toEqual({});
+    expect(router.match('/products/:id', '/products/caf%C3%A9')).toEqual({ id: 'café' });
+    expect(router.match('/products/:id', '/products')).toBeNull();
+    expect(router.match('/products/:id', '/products/1/reviews')).toBeNull();
+    expect(router.match('/docs/*', '/docs')).toEqual({ wildcard: '' });
+    expect(router.match('/docs/*path', '/docs/guide/intro')).toEqual({ path: 'guide/intro' });
+  });
+
+  test('orders static segments before dynamic segments before wildcards', () => {
+    const paths = ['/docs/*', '/docs/:page', '/docs/intro'];
+
+    expect([...paths].sort((a, b) => router.compare(a, b))).toEqual(['/docs/intro', '/docs/:page', '/docs/*']);
+  });
+
+  test('builds paths from parameters', () => {
+    expect(router.buildPath('/products/:id', { id: 'a b' })).toBe('/products/a%20b');
+    expect(router.buildPath('/docs/*path', { path: 'guide/intro' })).toBe('/docs/guide/intro');
+    expect(() => router.buildPath('/products/:id', {})).toThrow(expect.objectContaining({ code: 'MISSING_ROUTE_PARAM' }));
+  });
+
+  test('rejects invalid path patterns', () => {
+    ['', '/docs/*/edit', '/p/:id/:id', '/p/:1', '/a b', '/../etc'].forEach(path => {
+      expect(() => router.compile(path)).toThrow(expect.objectContaining({ code: 'INVALID_PAGE_PATH' }));
+    });
+  });
+
+  describe('site routing', () => {
+    let uniCanvas;
+    let siteId;
+    let homeId;
+    let productId;
+    let docsId;
+
+    beforeEach(() => {
+      uniCanvas = new UniCanvas();
+      siteId = uniCanvas.createSite({ name: 'shop', domain: 'shop.example' });
+      homeId = uniCanvas.createPage(siteId, { name: 'home', path: '/' });
+      productId = uniCanvas.createPage(siteId, { name: 'product', path: '/products/:id' });
+      docsId = uniCanvas.createPage(siteId, { name: 'docs', path: '/docs/*' });
+    });
+
+    test('resolves URLs to pages with their parameters and query', () => {
+      expect(uniCanvas.resolveUrl('https://Shop.example:8080/products/42?ref=mail#top')).toEqual(expect.objectContaining({
+        type: 'page',
+        siteId,
+        pageId: productId,
+        route: '/products/:id',
+        path: '/products/42',
+        params: { id: '42' },
+        query: { ref: 'mail' }
+      }));
+      expect(uniCanvas.resolveUrl('/docs/api/events')).toEqual(expect.objectContaining({ pageId: docsId, params: { wildcard: 'api/events' } }));
+      expect(uniCanvas.resolveUrl('/', { siteId }).pageId).toBe(homeId);
+    });
+
+    test('prefers static pages over dynamic ones', () => {
+      const newId = uniCanvas.createPage(siteId, { name: 'new', path: '/products/new' });
+
+      expect(uniCanvas.resolveUrl('/products/new').pageId).toBe(newId);
+      expect(uniCanvas.getRoutes(siteId).map(route => route.path)).toEqual(['/products/new', '/products/:id', '/docs/*', '/']);
+    });
+
+    test('returns null for unknown URLs and domains', () => {
+      expect(uniCanvas.resolveUrl('/cart')).toBeNull();
+      expect(uniCanvas.resolveUrl('https://other.example/')).toBeNull();
+    });
+
+    test('resolves redirects with parameters and the original query', () => {
+      uniCanvas.addRedirect(siteId, '/item/:id', '/products/:id', { status: 308 });
+      uniCanvas.addRedirect(siteId, '/support', 'https://help.example/');
+
+      expect(uniCanvas.resolveUrl('/item/7?ref=mail')).toEqual(expect.objectContaining({
+        type: 'redirect',
+        route: '/item/:id',
+        location: '/products/7?ref=mail',
+        status: 308
+      }));
+      expect(uniCanvas.resolveUrl('/support').location).toBe('https://help.example/');
+    });
+
+    test('rejects invalid redirects', () => {
+      expect(() => uniCanvas.addRedirect(siteId, '/old', '/new', { status: 200 }))
+        .toThrow(expect.objectContaining({ code: 'INVALID_REDIRECT' }));
+      expect(() => uniCanvas.addRedirect(siteId, '/old', 'new'))
+        .toThrow(expect.objectContaining({ code: 'INVALID_REDIRECT' }));
+      expect(() => uniCanvas.addRedirect(siteId, '/old/:id', '/products/:slug'))
+        .toThrow(expect.objectContaining({ code: 'INVALID_REDIRECT', details: expect.objectContaining({ missing: ['slug'] }) }));
+      expect(uniCanvas.getSite(siteId).redirects).toEqual([]);
+    });
+
+    test('rejects paths already used by a page or a redirect', () => {
+      uniCanvas.addRedirect(siteId, '/old', '/');
+
+      expect(() => uniCanvas.createPage(siteId, { name: 'product', path: '/products/:slug/' }))
+        .toThrow(expect.objectContaining({
+          code: 'PAGE_PATH_CONFLICT',
+          details: { siteId, path: '/products/:slug', conflict: { type: 'page', path: '/products/:id', pageId: productId } }
+        }));
+      expect(() => uniCanvas.updatePage(homeId, { path: '/old' }))
+        .toThrow(expect.objectContaining({ code: 'PAGE_PATH_CONFLICT', details: expect.objectContaining({ conflict: { type: 'redirect', path: '/old' } }) }));
+      expect(() => uniCanvas.addRedirect(siteId, '/docs/*rest', '/'))
+        .toThrow(expect.objectContaining({ code: 'PAGE_PATH_CONFLICT' }));
+
+      // 页面可以保留自己的路径，其他站点可以使用相同的路径
+      expect(uniCanvas.updatePage(productId, { path: '/products/:id' }).path).toBe('/products/:id');
+      const blogId = uniCanvas.createSite({ name: 'blog' });
+      expect(() => uniCanvas.createPage(blogId, { name: 'product', path: '/products/:id' })).not.toThrow();
+    });
+  });
+});
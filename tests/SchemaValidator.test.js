@@ -0,0 +1,66 @@
+import SchemaValidator from '../src/utils/SchemaValidator.js';
+
+describe('SchemaValidator', () => {
+  const validator = new SchemaValidator();
+
+  test('reports missing required fields by path', () => {
+    const result = validator.validate({
+      title: { type: 'string', required: true },
+      product: { type: 'object', properties: { sku: 'string' }, required: ['sku'] }
+    }, { product: {} });
+
+    expect(result.valid).toBe(false);
+    expect(result.errors.map(error => [error.path, error.rule])).toEqual([
+      ['title', 'required'],
+      ['product.sku', 'required']
+    ]);
+  });
+
+  test('reports type mismatches with the expected and actual types', () => {
+    const result = validator.validate({
+      price: 'number',
+      tags: { type: 'array', items: 'string' },
+      status: { type: 'string', enum: ['draft', 'live'] }
+    }, { price: '9.99', tags: ['new', 3], status: 'archived' });
+
+    expect(result.errors).toEqual([
+      expect.objectContaining({ path: 'price', rule: 'type', expected: ['number'], actual: 'string' }),
+      expect.objectContaining({ path: 'tags[1]', rule: 'type', expected: ['string'], actual: 'number' }),
+      expect.objectContaining({ path: 'status', rule: 'enum' })
+    ]);
+  });
+
+  test('validates nested schemas and fills defaults without sharing them', () => {
+    const schema = {
+      product: {
+        type: 'object',
+        required: true,
+        properties: {
+          name: { type: 'string', required: true },
+          options: { type: 'object', default: { colors: [] } },
+          variants: {
+            type: 'array',
+            items: { type: 'object', properties: { price: { type: 'number', required: true } } }
+          }
+        }
+      }
+    };
+
+    const first = validator.validate(schema, { product: { name: 'Lamp', variants: [{ price: 10 }, {}] } });
+
+    expect(first.errors.map(error => error.path)).toEqual(['product.variants[1].price']);
+    expect(first.data.product.options).toEqual({ colors: [] });
+
+    const second = validator.validate(schema, { product: { name: 'Desk' } });
+
+    expect(second.valid).toBe(true);
+    expect(second.data.product.options).not.toBe(first.data.product.options);
+  });
+
+  test('accepts a full object descriptor as the root schema', () => {
+    const schema = { type: 'object', properties: { count: 'integer' } };
+
+    expect(validator.validate(schema, { count: 2 }).valid).toBe(true);
+    expect(validator.validate(schema, { count: 2.5 }).valid).toBe(false);
+  });
+});
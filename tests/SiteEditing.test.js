@@ -0,0 +1,176 @@
+import UniCanvas from '../src/core/UniCanvas.js';
+
+describe('editing sites, pages and components', () => {
+  let uniCanvas;
+  let siteId;
+  let pageId;
+  let componentId;
+
+  beforeEach(() => {
+    uniCanvas = new UniCanvas();
+    siteId = uniCanvas.createSite({ id: 'shop', name: 'Shop', domain: 'shop.example' });
+    pageId = uniCanvas.createPage(siteId, { id: 'about', name: 'About', path: '/about', layout: 'sidebar' });
+    componentId = uniCanvas.addComponentToPage(pageId, { id: 'nav', type: 'menu', data: { items: ['home'] } }, { region: 'sidebar' });
+  });
+
+  describe('updates', () => {
+    test('updates site fields and merges config fields', () => {
+      const updated = jest.fn();
+      uniCanvas.on('site.updated', updated);
+
+      const site = uniCanvas.updateSite(siteId, { name: 'Store', locale: 'de', config: { theme: 'dark' } });
+
+      expect(site.name).toBe('Store');
+      expect(site.config).toEqual(expect.objectContaining({ locale: 'de', theme: 'dark' }));
+      expect(updated).toHaveBeenCalledWith(expect.objectContaining({ siteId, changes: ['name', 'config'] }));
+    });
+
+    test('updates a page and resets its layout to the site layout with null', () => {
+      const page = uniCanvas.updatePage(pageId, { title: 'About us', layout: null });
+
+      expect(page.title).toBe('About us');
+      expect(page.layout).toBeNull();
+      expect(uniCanvas.renderPage(pageId)).toContain('data-layout="standard"');
+    });
+
+    test('updates a component and its placement', () => {
+      const component = uniCanvas.updateComponent(pageId, componentId, { data: { items: [] }, region: 'main', order: 5 });
+
+      expect(component).toEqual(expect.objectContaining({ data: { items: [] }, region: 'main', order: 5 }));
+    });
+
+    test('rejects empty names, unknown regions and invalid orders without changing anything', () => {
+      expect(() => uniCanvas.updateSite(siteId, { name: '' })).toThrow(expect.objectContaining({ code: 'INVALID_SITE_CONFIG' }));
+      expect(() => uniCanvas.updatePage(pageId, { name: '' })).toThrow(expect.objectContaining({ code: 'INVALID_PAGE_CONFIG' }));
+      expect(() => uniCanvas.updateComponent(pageId, componentId, { data: {}, region: 'aside' }))
+        .toThrow(expect.objectContaining({ code: 'REGION_NOT_FOUND' }));
+      expect(() => uniCanvas.updateComponent(pageId, componentId, { data: {}, order: Infinity }))
+        .toThrow(expect.objectContaining({ code: 'INVALID_COMPONENT' }));
+
+      expect(uniCanvas.getSite(siteId).name).toBe('Shop');
+      expect(uniCanvas.getPage(pageId).name).toBe('About');
+      expect(uniCanvas.getPageComponent(pageId, componentId)).toEqual(expect.objectContaining({ data: { items: ['home'] }, region: 'sidebar' }));
+    });
+
+    test('rejects unknown sites, pages and components', () => {
+      expect(() => uniCanvas.updateSite('missing', {})).toThrow(expect.objectContaining({ code: 'SITE_NOT_FOUND' }));
+      expect(() => uniCanvas.updatePage('missing', {})).toThrow(expect.objectContaining({ code: 'PAGE_NOT_FOUND' }));
+      expect(() => uniCanvas.updateComponent(pageId, 'missing', {})).toThrow(expect.objectContaining({ code: 'COMPONENT_NOT_FOUND' }));
+    });
+  });
+
+  describe('cloning', () => {
+    test('clones a site with its pages, components and redirects but without its domain', () => {
+      uniCanvas.addRedirect(siteId, '/team', '/about');
+
+      const copyId = uniCanvas.cloneSite(siteId);
+      const copy = uniCanvas.getSite(copyId);
+
+      expect(copy).toEqual(expect.objectContaining({ name: 'Shop copy', domain: null }));
+      expect(copy.redirects).toEqual(uniCanvas.getSite(siteId).redirects);
+      expect(copy.pages).toHaveLength(1);
+
+      const page = uniCanvas.getPage(copy.pages[0]);
+      expect(page).toEqual(expect.objectContaining({ name: 'About', path: '/about', layout: 'sidebar' }));
+      expect(page.components[0]).toEqual(expect.objectContaining({ id: 'nav', region: 'sidebar', data: { items: ['home'] } }));
+      expect(page.components[0].data).not.toBe(uniCanvas.getPageComponent(pageId, componentId).data);
+    });
+
+    test('clones a page into the same site under a free path', () => {
+      const copyId = uniCanvas.clonePage(pageId);
+
+      expect(uniCanvas.getPage(copyId)).toEqual(expect.objectContaining({ siteId, name: 'About copy', path: '/about-copy' }));
+      expect(uniCanvas.getSite(siteId).pages).toEqual([pageId, copyId]);
+    });
+
+    test('clones a component to the end of its region', () => {
+      const copyId = uniCanvas.cloneComponent(pageId, componentId);
+
+      expect(copyId).not.toBe(componentId);
+      expect(uniCanvas.getPageComponent(pageId, copyId)).toEqual(expect.objectContaining({ region: 'sidebar', order: 1 }));
+    });
+
+    test('rejects a clone that reuses an existing ID', () => {
+      expect(() => uniCanvas.clonePage(pageId, { id: pageId })).toThrow(expect.objectContaining({ code: 'PAGE_EXISTS' }));
+      expect(() => uniCanvas.cloneComponent(pageId, componentId, { id: componentId }))
+        .toThrow(expect.objectContaining({ code: 'COMPONENT_EXISTS' }));
+    });
+  });
+
+  describe('moving', () => {
+    test('moves a page to another site', () => {
+      const blogId = uniCanvas.createSite({ name: 'Blog' });
+
+      uniCanvas.movePage(pageId, blogId);
+
+      expect(uniCanvas.getPage(pageId).siteId).toBe(blogId);
+      expect(uniCanvas.getSite(siteId).pages).toEqual([]);
+      expect(uniCanvas.getSite(blogId).pages).toEqual([pageId]);
+      expect(uniCanvas.analyzeImpact({ type: 'page', id: pageId }).sites).toEqual([{ id: blogId, name: 'Blog' }]);
+    });
+
+    test('rejects moving a page onto a path used in the target site', () => {
+      const blogId = uniCanvas.createSite({ name: 'Blog' });
+      uniCanvas.createPage(blogId, { name: 'About', path: '/about' });
+
+      expect(() => uniCanvas.movePage(pageId, blogId)).toThrow(expect.objectContaining({ code: 'PAGE_PATH_CONFLICT' }));
+      expect(uniCanvas.getPage(pageId).siteId).toBe(siteId);
+      expect(() => uniCanvas.movePage(pageId, 'missing')).toThrow(expect.objectContaining({ code: 'SITE_NOT_FOUND' }));
+    });
+
+    test('moves a component to the default region when the target layout lacks its region', () => {
+      const homeId = uniCanvas.createPage(siteId, { name: 'Home', path: '/' });
+      const moved = jest.fn();
+      uniCanvas.on('component.moved', moved);
+
+      uniCanvas.moveComponent(pageId, componentId, homeId);
+
+      expect(uniCanvas.getPage(pageId).components).toEqual([]);
+      expect(uniCanvas.getPageComponent(homeId, componentId).region).toBe('main');
+      expect(moved).toHaveBeenCalledWith(expect.objectContaining({
+        from: { pageId, region: 'sidebar', order: 0 },
+        to: { pageId: homeId, region: 'main', order: 0 }
+      }));
+    });
+
+    test('rejects moving a component onto a page that has a component with its ID', () => {
+      const homeId = uniCanvas.createPage(siteId, { name: 'Home', path: '/' });
+      uniCanvas.addComponentToPage(homeId, { id: componentId, type: 'menu' });
+
+      expect(() => uniCanvas.moveComponent(pageId, componentId, homeId)).toThrow(expect.objectContaining({ code: 'COMPONENT_EXISTS' }));
+      expect(uniCanvas.getPageComponent(pageId, componentId)).not.toBeNull();
+    });
+  });
+
+  describe('removal', () => {
+    test('removes a component', () => {
+      expect(uniCanvas.removeComponent(pageId, componentId).id).toBe(componentId);
+      expect(uniCanvas.getPage(pageId).components).toEqual([]);
+      expect(() => uniCanvas.removeComponent(pageId, componentId)).toThrow(expect.objectContaining({ code: 'COMPONENT_NOT_FOUND' }));
+    });
+
+    test('removes a page from its site', () => {
+      uniCanvas.removePage(pageId);
+
+      expect(uniCanvas.getPage(pageId)).toBeNull();
+      expect(uniCanvas.getSite(siteId).pages).toEqual([]);
+      expect(() => uniCanvas.removePage(pageId)).toThrow(expect.objectContaining({ code: 'PAGE_NOT_FOUND' }));
+    });
+
+    test('removes a site with its pages and communication permissions', () => {
+      const partnerId = uniCanvas.createSite({ name: 'Partner' });
+      uniCanvas.configureSiteCommunication(siteId, partnerId);
+      expect(uniCanvas.sandboxBridge.options.allowedOrigins).toContain(`site_${siteId}`);
+      const removed = jest.fn();
+      uniCanvas.on('page.removed', removed);
+
+      uniCanvas.removeSite(siteId);
+
+      expect(uniCanvas.getSite(siteId)).toBeNull();
+      expect(uniCanvas.getPage(pageId)).toBeNull();
+      expect(removed).toHaveBeenCalledWith(expect.objectContaining({ pageId, siteId }));
+      expect(uniCanvas.sandboxBridge.options.allowedOrigins).not.toContain(`site_${siteId}`);
+      expect(() => uniCanvas.removeSite(siteId)).toThrow(expect.objectContaining({ code: 'SITE_NOT_FOUND' }));
+    });
+  });
+});
@@ -0,0 +1,440 @@
+import SmartTemplateEngine from '../src/core/SmartTemplateEngine.js';
+import GlobalResourceHub from '../src/utils/GlobalResourceHub.js';
+
+describe('SmartTemplateEngine', () => {
+  describe('compiled template cache', () => {
+    let engine;
+
+    beforeEach(() => {
+      engine = new SmartTemplateEngine();
+      engine.saveTemplate('card', { html: '<div>{{title}}</div>' });
+    });
+
+    test('counts a miss for the first render and hits afterwards', () => {
+      engine.renderTemplate('card', { title: 'a' });
+      engine.renderTemplate('card', { title: 'b' });
+      engine.renderTemplate('card', { title: 'c' });
+
+      expect(engine.getCacheStats()).toMatchObject({
+        hits: 2,
+        misses: 1,
+        size: 1,
+        hitRate: 2 / 3
+      });
+    });
+
+    test('reports a zero hit rate before any lookup', () => {
+      expect(engine.getCacheStats()).toMatchObject({ hits: 0, misses: 0, size: 0, hitRate: 0 });
+    });
+
+    test('invalidates the compiled template when saveTemplate overwrites the ID', () => {
+      expect(engine.renderTemplate('card', { title: 'a' })).toBe('<div>a</div>');
+
+      engine.saveTemplate('card', { html: '<section>{{title}}</section>' });
+
+      expect(engine.getCacheStats()).toMatchObject({ invalidations: 1, size: 0 });
+      expect(engine.renderTemplate('card', { title: 'a' })).toBe('<section>a</section>');
+      expect(engine.getCacheStats()).toMatchObject({ hits: 0, misses: 2 });
+    });
+
+    test('keeps other templates cached when one template is overwritten', () => {
+      engine.saveTemplate('badge', { html: '<span>{{label}}</span>' });
+      engine.renderTemplate('card', {});
+      engine.renderTemplate('badge', {});
+
+      engine.saveTemplate('card', { html: '<p>{{title}}</p>' });
+      engine.renderTemplate('badge', {});
+
+      expect(engine.getCacheStats()).toMatchObject({ hits: 1, misses: 2, invalidations: 1, size: 1 });
+    });
+
+    test('evicts the least recently used template when the cache is full', () => {
+      engine = new SmartTemplateEngine({ maxCompiledTemplates: 2 });
+      ['a', 'b', 'c'].forEach(id => engine.saveTemplate(id, { html: `<i>${id}</i>` }));
+
+      engine.renderTemplate('a');
+      engine.renderTemplate('b');
+      engine.renderTemplate('a');
+      engine.renderTemplate('c');
+      engine.renderTemplate('a');
+      engine.renderTemplate('b');
+
+      expect(engine.getCacheStats()).toMatchObject({ hits: 2, misses: 4, evictions: 2, size: 2, maxSize: 2 });
+    });
+  });
+
+  describe('partials', () => {
+    let engine;
+
+    beforeEach(() => {
+      engine = new SmartTemplateEngine();
+    });
+
+    test('renders a recursive partial over finite tree data', () => {
+      engine.saveTemplate('node', { html: '<li>{{name}}<ul>{{#each children}}{{> node}}{{/each}}</ul></li>' });
+      engine.saveTemplate('tree', { html: '<ul>{{> node}}</ul>' });
+
+      const html = engine.renderTemplate('tree', {
+        name: 'root',
+        children: [
+          { name: 'a', children: [{ name: 'a1', children: [] }] },
+          { name: 'b', children: [] }
+        ]
+      });
+
+      expect(html).toBe('<ul><li>root<ul><li>a<ul><li>a1<ul></ul></li></ul></li><li>b<ul></ul></li></ul></li></ul>');
+    });
+
+    test('stops a partial that references itself without a terminating condition', () => {
+      engine.saveTemplate('loop', { html: '<i>{{> loop}}</i>' });
+
+      expect(() => engine.renderTemplate('loop')).toThrow(expect.objectContaining({
+        code: 'TEMPLATE_PARTIAL_DEPTH_EXCEEDED',
+        details: expect.objectContaining({ cycle: ['loop', 'loop'] })
+      }));
+    });
+
+    test('reports the chain of mutually recursive partials', () => {
+      engine.saveTemplate('a', { html: '{{> b}}' });
+      engine.saveTemplate('b', { html: '{{> a}}' });
+
+      expect(() => engine.renderTemplate('a')).toThrow(expect.objectContaining({
+        code: 'TEMPLATE_PARTIAL_DEPTH_EXCEEDED',
+        details: expect.objectContaining({ cycle: ['a', 'b', 'a'] })
+      }));
+    });
+  });
+
+  describe('data validation', () => {
+    let engine;
+
+    beforeEach(() => {
+      engine = new SmartTemplateEngine();
+      engine.saveTemplate('product', {
+        html: '<h2>{{product.name}}</h2>',
+        schema: { product: { type: 'object', required: true, properties: { name: { type: 'string', required: true } } } }
+      });
+    });
+
+    test('rejects data that fails the schema when applying a template', () => {
+      expect(() => engine.applyTemplate('product', { id: 'shop' }, { data: { product: { name: 42 } } }))
+        .toThrow(expect.objectContaining({
+          code: 'TEMPLATE_DATA_INVALID',
+          details: expect.objectContaining({ errors: [expect.objectContaining({ path: 'product.name', rule: 'type' })] })
+        }));
+    });
+
+    test('applies the template when the data is valid or validation is disabled', () => {
+      expect(() => engine.applyTemplate('product', { id: 'shop' }, { data: { product: { name: 'Lamp' } } })).not.toThrow();
+      expect(() => engine.applyTemplate('product', { id: 'shop' }, { data: {}, validateData: false })).not.toThrow();
+    });
+
+    test('validates data before rendering', () => {
+      expect(() => engine.renderTemplate('product', {})).toThrow(expect.objectContaining({ code: 'TEMPLATE_DATA_INVALID' }));
+      expect(engine.renderTemplate('product', { product: { name: 'Lamp' } })).toBe('<h2>Lamp</h2>');
+    });
+  });
+
+  describe('version history', () => {
+    let engine;
+
+    beforeEach(() => {
+      engine = new SmartTemplateEngine();
+      engine.saveTemplate('card', { html: '<div>\n{{title}}\n</div>', data: { title: 'Hi', size: 'sm' } }, { version: '1.0.0' });
+      engine.saveTemplate('card', { html: '<section>\n{{title}}\n</section>', data: { title: 'Hi', tone: 'dark' } }, { version: '1.1.0' });
+    });
+
+    test('lists revisions and returns copies of earlier versions', () => {
+      expect(engine.listTemplateVersions('card').map(({ revision, version, current }) => ({ revision, version, current }))).toEqual([
+        { revision: 1, version: '1.0.0', current: false },
+        { revision: 2, version: '1.1.0', current: true }
+      ]);
+
+      const first = engine.getTemplateVersion('card', '1.0.0');
+      first.html = 'changed';
+
+      expect(engine.getTemplateVersion('card', 1).html).toBe('<div>\n{{title}}\n</div>');
+    });
+
+    test('diffs the markup and data of two versions', () => {
+      const diff = engine.diffTemplateVersions('card', 1);
+
+      expect(diff.from).toEqual({ revision: 1, version: '1.0.0' });
+      expect(diff.to).toEqual({ revision: 2, version: '1.1.0' });
+      expect(diff.html.lines).toEqual([
+        { type: 'removed', text: '<div>' },
+        { type: 'added', text: '<section>' },
+        { type: 'unchanged', text: '{{title}}' },
+        { type: 'removed', text: '</div>' },
+        { type: 'added', text: '</section>' }
+      ]);
+      expect(diff.css.changed).toBe(false);
+      expect(diff.data.changes).toEqual([
+        { path: 'size', type: 'removed', from: 'sm' },
+        { path: 'tone', type: 'added', to: 'dark' }
+      ]);
+      expect(() => engine.diffTemplateVersions('card', 1, 9)).toThrow(expect.objectContaining({ code: 'TEMPLATE_VERSION_NOT_FOUND' }));
+    });
+
+    test('rolls back as a new revision and keeps the history', () => {
+      const revision = engine.rollbackTemplate('card', '1.0.0');
+
+      expect(revision).toBe(3);
+      expect(engine.getTemplate('card').html).toBe('<div>\n{{title}}\n</div>');
+      expect(engine.getTemplate('card').metadata).toMatchObject({ rolledBackFrom: 2, restoredRevision: 1 });
+      expect(engine.listTemplateVersions('card')).toHaveLength(3);
+      expect(() => engine.rollbackTemplate('card', '9.9.9')).toThrow(expect.objectContaining({ code: 'TEMPLATE_VERSION_NOT_FOUND' }));
+    });
+
+    test('does not serve a stale compiled template after an overwrite with the same version', () => {
+      engine.saveTemplate('badge', { html: '<b>{{label}}</b>' }, { version: '1.0.0' });
+      expect(engine.renderTemplate('badge', { label: 'a' })).toBe('<b>a</b>');
+
+      engine.saveTemplate('badge', { html: '<i>{{label}}</i>' }, { version: '1.0.0' });
+
+      expect(engine.compiledCache.has('badge@1.0.0')).toBe(false);
+      expect(engine.renderTemplate('badge', { label: 'a' })).toBe('<i>a</i>');
+
+      engine.rollbackTemplate('badge', 1);
+
+      expect(engine.renderTemplate('badge', { label: 'a' })).toBe('<b>a</b>');
+    });
+
+    test('applies a pinned version of the template', () => {
+      expect(engine.applyTemplate('card', { id: 'default' }, { templateVersion: '1.0.0' }).html).toBe('<div>\n{{title}}\n</div>');
+    });
+  });
+
+  describe('attribute adaptation', () => {
+    let engine;
+
+    beforeEach(() => {
+      engine = new SmartTemplateEngine();
+      engine.saveTemplate('form', {
+        html: [
+          '<!-- <div class="card"> -->',
+          `<div class='card  {{extra}}' id=main data-src="$data.items" data-kind="plain">`,
+          '<label for="main" class=title>Name</label><a href="#main">top</a>',
+          `<script>var html = '<div class="card" id="main">';</script>`,
+          '<input {{#if on}}checked{{/if}} class="uc-btn field">',
+          '</div>'
+        ].join(''),
+        css: '#main .card { color: red; } .title:hover, .field { margin: 0; }'
+      }, { sourceEnvironment: { id: 'docs' } });
+    });
+
+    test('prefixes class names on elements and in the CSS', () => {
+      const adapted = engine.applyTemplate('form', { id: 'shop' }, { prefixIds: false });
+
+      expect(adapted.html).toContain(`<div class='shop-card  {{extra}}'`);
+      expect(adapted.html).toContain('class=shop-title>');
+      expect(adapted.html).toContain('class="uc-btn shop-field"');
+      expect(adapted.css).toBe('#main .shop-card { color: red; } .shop-title:hover, .shop-field { margin: 0; }');
+      expect(adapted.adaptation.classes).toEqual({ card: 'shop-card', title: 'shop-title', field: 'shop-field' });
+    });
+
+    test('renames IDs together with the attributes and selectors that reference them', () => {
+      const adapted = engine.applyTemplate('form', { id: 'shop' });
+
+      expect(adapted.html).toContain('id=shop-main ');
+      expect(adapted.html).toContain('<label for="shop-main"');
+      expect(adapted.html).toContain('<a href="#shop-main">');
+      expect(adapted.css).toContain('#shop-main .shop-card');
+      expect(adapted.adaptation.ids).toEqual({ main: 'shop-main' });
+    });
+
+    test('rewrites data paths in data-* attributes only', () => {
+      const adapted = engine.applyTemplate('form', { id: 'shop' });
+
+      expect(adapted.html).toContain('data-src="$data.shop.items"');
+      expect(adapted.html).toContain('data-kind="plain"');
+    });
+
+    test('leaves comments, script text and template tags untouched', () => {
+      const adapted = engine.applyTemplate('form', { id: 'shop' });
+
+      expect(adapted.html.startsWith('<!-- <div class="card"> -->')).toBe(true);
+      expect(adapted.html).toContain(`var html = '<div class="card" id="main">';`);
+      expect(adapted.html).toContain('<input {{#if on}}checked{{/if}} class=');
+    });
+  });
+
+  describe('style variables', () => {
+    let engine;
+
+    beforeEach(() => {
+      const resourceHub = new GlobalResourceHub();
+      resourceHub.registerStyleVariable('--brand', '#c00');
+      resourceHub.registerStyleVariable('--shop-gap', '12px', { scope: 'shop' });
+      resourceHub.registerStyleVariable('--secret', '#000', { access: 'restricted' });
+
+      engine = new SmartTemplateEngine({ resourceHub });
+      engine.saveTemplate('banner', {
+        html: '<div class="banner" style="padding: var(--shop-gap)">{{title}}</div>',
+        css: '.banner { --local: 1px; color: var(--brand); border-width: var(--local); background: var(--missing, #fff); outline-color: var(--secret); margin: var(--unknown); }'
+      });
+    });
+
+    test('reports missing and restricted variables for the environment', () => {
+      const warnings = engine.checkStyleVariables('banner', { id: 'blog' });
+
+      expect(warnings.map(({ code, variable, hasFallback }) => [code, variable, hasFallback])).toEqual([
+        ['STYLE_VARIABLE_MISSING', '--missing', true],
+        ['STYLE_VARIABLE_RESTRICTED', '--secret', false],
+        ['STYLE_VARIABLE_MISSING', '--unknown', false],
+        ['STYLE_VARIABLE_MISSING', '--shop-gap', false]
+      ]);
+    });
+
+    test('accepts variables scoped to the target environment', () => {
+      const variables = engine.checkStyleVariables('banner', 'shop').map(warning => warning.variable);
+
+      expect(variables).not.toContain('--shop-gap');
+      expect(variables).not.toContain('--brand');
+      expect(variables).not.toContain('--local');
+    });
+
+    test('adds the hub values as fallbacks when exporting with inlineStyleVariables', () => {
+      const plain = engine.exportTemplate('banner');
+      const inlined = engine.exportTemplate('banner', { inlineStyleVariables: true });
+
+      expect(plain.css).toContain('color: var(--brand);');
+      expect(inlined.css).toContain('color: var(--brand, #c00);');
+      expect(inlined.css).toContain('background: var(--missing, #fff);');
+      expect(inlined.css).toContain('outline-color: var(--secret);');
+      expect(inlined.css).toContain('margin: var(--unknown);');
+    });
+  });
+
+  describe('un-adapting templates', () => {
+    const source = {
+      html: '<section class="card" id="promo"><label for="promo" class="title">{{title}}</label><ul data-items="$data.items"></ul></section>',
+      css: '.card #promo, .title:hover { color: red; } @media (max-width: 600px) { .card { padding: 0; } }',
+      data: { title: 'Sale', items: '$data.items' }
+    };
+    let engine;
+
+    beforeEach(() => {
+      engine = new SmartTemplateEngine();
+      engine.saveTemplate('promo', source, { sourceEnvironment: { id: 'docs' } });
+    });
+
+    test.each([['class'], ['attribute']])('reverts an unedited template adapted with %s scoping', cssScoping => {
+      const adapted = engine.applyTemplate('promo', { id: 'shop' }, { cssScoping });
+
+      expect(adapted.html).not.toBe(source.html);
+
+      const restored = engine.revertAdaptation(adapted);
+
+      expect(restored.html).toBe(source.html);
+      expect(restored.css).toBe(source.css);
+      expect(restored.data).toEqual(source.data);
+      expect(restored.adaptation).toBeUndefined();
+    });
+
+    test('saves edits made to the adapted copy back to the source template', () => {
+      const adapted = engine.applyTemplate('promo', { id: 'shop' });
+
+      adapted.html = adapted.html.replace('{{title}}', '<b class="shop-title">{{title}}</b>');
+      adapted.css += ' .shop-card .shop-title { font-weight: bold; }';
+
+      const revision = engine.unadaptTemplate(adapted);
+      const updated = engine.getTemplate('promo');
+
+      expect(revision).toBe(2);
+      expect(updated.html).toBe(source.html.replace('{{title}}', '<b class="title">{{title}}</b>'));
+      expect(updated.css).toBe(`${source.css} .card .title { font-weight: bold; }`);
+      expect(updated.metadata).toMatchObject({ unadaptedFrom: 'shop', baseRevision: 1 });
+      expect(engine.applyTemplate('promo', { id: 'shop' }).html).toBe(adapted.html);
+    });
+
+    test('rejects templates without an adaptation mapping or with merged variants', () => {
+      expect(() => engine.revertAdaptation(engine.getTemplate('promo')))
+        .toThrow(expect.objectContaining({ code: 'TEMPLATE_NOT_ADAPTED' }));
+
+      engine.saveTemplate('promo', {
+        ...source,
+        variants: [{ name: 'mobile', when: { maxWidth: 767 }, css: '.card { padding: 0; }' }]
+      }, { sourceEnvironment: { id: 'docs' } });
+      const adapted = engine.applyTemplate('promo', { id: 'shop', width: 375 });
+
+      expect(() => engine.unadaptTemplate(adapted)).toThrow(expect.objectContaining({ code: 'TEMPLATE_NOT_REVERSIBLE' }));
+      expect(engine.listTemplateVersions('promo')).toHaveLength(2);
+    });
+  });
+
+  describe('template syntaxes', () => {
+    let engine;
+
+    beforeEach(() => {
+      engine = new SmartTemplateEngine();
+    });
+
+    function render(html, syntax, data) {
+      engine.saveTemplate('view', { html, metadata: { syntax } });
+
+      return engine.renderTemplate('view', data);
+    }
+
+    test('renders Mustache sections, inverted sections, raw output and partials', () => {
+      engine.saveTemplate('item', { html: '<li>{{name}}</li>', metadata: { syntax: 'mustache' } });
+
+      const html = render(
+        '{{! comment }}<ul>{{#items}}{{> item}}{{/items}}</ul>{{^items}}<p>empty</p>{{/items}}{{#user}}{{name}}{{/user}}{{{raw}}}{{&raw}}',
+        'mustache',
+        { items: [{ name: '<a>' }, { name: 'b' }], user: { name: 'Ann' }, raw: '<i>x</i>' }
+      );
+
+      expect(html).toBe('<ul><li>&lt;a&gt;</li><li>b</li></ul>Ann<i>x</i><i>x</i>');
+      expect(engine.renderTemplate('view', { items: [] })).toBe('<ul></ul><p>empty</p>');
+    });
+
+    test('renders EJS-style output, conditions and loops', () => {
+      const html = render([
+        '<h1><%= title %></h1><%- body %><%# note %>',
+        '<% if (user.admin) { %>admin<% } else { %>guest<% } %>',
+        '<% for (const item of items) { %><i><%= item.name %>/<%= title %></i><% } %>',
+        '<% items.forEach((item, index) => { %><%= index %><% }) %>'
+      ].join(''), 'ejs', { title: 'A&B', body: '<b>b</b>', user: { admin: false }, items: [{ name: 'x' }, { name: 'y' }] });
+
+      expect(html).toBe('<h1>A&amp;B</h1><b>b</b>guest<i>x/A&amp;B</i><i>y/A&amp;B</i>01');
+    });
+
+    test('does not evaluate EJS code', () => {
+      const evaluate = jest.spyOn(globalThis, 'eval');
+
+      expect(() => render('<%= process.exit(1) %>', 'ejs', {}))
+        .toThrow(expect.objectContaining({ code: 'TEMPLATE_SYNTAX_ERROR' }));
+      expect(() => render('<% require("fs").rmSync("/") %>', 'ejs', {}))
+        .toThrow(expect.objectContaining({ code: 'TEMPLATE_SYNTAX_ERROR' }));
+      expect(render('<%= constructor.constructor %>', 'ejs', {})).toBe('');
+      expect(evaluate).not.toHaveBeenCalled();
+
+      evaluate.mockRestore();
+    });
+
+    test('renders template literal placeholders with escaping', () => {
+      expect(render('<p>${user.name} \\${literal} ${items[1]}</p>', 'literal', { user: { name: '<b>' }, items: ['a', 'b'] }))
+        .toBe('<p>&lt;b&gt; ${literal} b</p>');
+      expect(() => render('${a + b}', 'literal', {})).toThrow(expect.objectContaining({ code: 'TEMPLATE_SYNTAX_ERROR' }));
+    });
+
+    test('detects the syntax of imported templates', () => {
+      const ids = engine.importTemplates([
+        { id: 'mustache', html: '{{#items}}{{name}}{{/items}}' },
+        { id: 'ejs', html: '<%= name %>' },
+        { id: 'literal', html: '<p>${name}</p>' },
+        { id: 'handlebars', html: '{{#each items}}{{this}}{{/each}}' },
+        { id: 'declared', html: '{{#items}}x{{/items}}', metadata: { syntax: 'handlebars' } }
+      ]);
+
+      expect(ids.map(id => engine.getTemplate(id).metadata.syntax)).toEqual(['mustache', 'ejs', 'literal', 'handlebars', 'handlebars']);
+      expect(engine.renderTemplate('ejs', { name: 'x' })).toBe('x');
+    });
+
+    test('rejects templates that declare an unregistered syntax', () => {
+      expect(() => engine.saveTemplate('view', { html: '', metadata: { syntax: 'pug' } }))
+        .toThrow(expect.objectContaining({ code: 'UNKNOWN_TEMPLATE_SYNTAX' }));
+    });
+  });
+});
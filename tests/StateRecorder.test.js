@@ -0,0 +1,76 @@
+import StateRecorder from '../src/utils/StateRecorder.js';
+
+describe('StateRecorder', () => {
+  test('restores nested structures in place', () => {
+    const recorder = new StateRecorder();
+    const item = { tags: new Set(['a']), size: { width: 1 } };
+    const state = { items: [item], index: new Map([['a', item]]) };
+
+    const frame = recorder.begin();
+    recorder.capture(state, 'items');
+    recorder.capture(state, 'index');
+    recorder.end(frame);
+
+    item.tags.add('b');
+    item.size = { width: 2 };
+    state.items = [];
+    state.index.delete('a');
+
+    recorder.restore(frame.slots);
+
+    expect(state.items).toEqual([item]);
+    expect(state.items[0]).toBe(item);
+    expect(item.tags).toEqual(new Set(['a']));
+    expect(item.size).toEqual({ width: 1 });
+    expect(state.index.get('a')).toBe(item);
+  });
+
+  test('keeps references below the recorded depth', () => {
+    const recorder = new StateRecorder();
+    const handler = () => 'handler';
+    const entry = { handler };
+    const state = { entries: { one: entry } };
+
+    const frame = recorder.begin();
+    recorder.capture(state, 'entries', 1);
+    recorder.end(frame);
+
+    state.entries.two = { handler };
+    entry.extra = true;
+
+    recorder.restore(frame.slots);
+
+    expect(Object.keys(state.entries)).toEqual(['one']);
+    expect(state.entries.one).toBe(entry);
+    expect(entry.extra).toBe(true);
+    expect(entry.handler).toBe(handler);
+  });
+
+  test('removes keys that did not exist and keeps the first capture of each frame', () => {
+    const recorder = new StateRecorder();
+    const state = { count: 1 };
+    const graph = new Map();
+
+    const outer = recorder.begin();
+    recorder.capture(state, 'count');
+    state.count = 2;
+
+    const inner = recorder.begin();
+    recorder.capture(state, 'count');
+    recorder.capture(graph, 'node');
+    recorder.capture(state, 'added');
+    state.count = 3;
+    graph.set('node', {});
+    state.added = true;
+    recorder.end(inner);
+    recorder.end(outer);
+
+    recorder.restore(inner.slots);
+    expect(state).toEqual({ count: 2 });
+    expect(graph.has('node')).toBe(false);
+
+    recorder.restore(outer.slots);
+    expect(state).toEqual({ count: 1 });
+    expect(recorder.isRecording()).toBe(false);
+  });
+});
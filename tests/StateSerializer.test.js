@@ -0,0 +1,56 @@
+import UniCanvas from '../src/core/UniCanvas.js';
+import MemoryStorageAdapter from '../src/utils/MemoryStorageAdapter.js';
+import StateSerializer from '../src/utils/StateSerializer.js';
+
+describe('StateSerializer', () => {
+  const serializer = new StateSerializer();
+
+  test('round-trips dates, sets and maps', () => {
+    const value = {
+      createdAt: new Date('2026-01-02T03:04:05.000Z'),
+      tags: new Set(['a', 'b']),
+      index: new Map([['home', { order: 1 }]])
+    };
+
+    expect(serializer.parse(serializer.stringify(value))).toEqual(value);
+  });
+
+  test('rejects functions with the path of the value', () => {
+    expect(() => serializer.encode({ scripts: { tracker: { content: () => {} } } }))
+      .toThrow(expect.objectContaining({ code: 'UNSERIALIZABLE_STATE', details: { path: 'scripts.tracker.content' } }));
+    expect(() => serializer.encode({ list: [new Map([['key', () => {}]])] }))
+      .toThrow(expect.objectContaining({ details: { path: 'list[0].key' } }));
+  });
+
+  test('leaves scripts registered as functions out of snapshots and reports them', async () => {
+    const uniCanvas = new UniCanvas();
+    const tracker = function () {};
+    const saved = jest.fn();
+
+    uniCanvas.resourceHub.registerScript('tracker', tracker);
+    uniCanvas.resourceHub.registerScript('banner', 'console.log("banner");');
+    uniCanvas.on('state.saved', saved);
+
+    const snapshot = await uniCanvas.saveState('main', new MemoryStorageAdapter());
+
+    expect(Object.keys(snapshot.resourceHub.scripts)).toEqual(['banner']);
+    expect(snapshot.omitted).toEqual({ scripts: ['tracker'] });
+    expect(saved).toHaveBeenCalledWith(expect.objectContaining({ omitted: { scripts: ['tracker'] } }));
+    expect(uniCanvas.resourceHub.getScript('tracker')).toBe(tracker);
+
+    const restored = new UniCanvas().restore(snapshot);
+    expect(restored.resourceHub.getScript('banner')).toBe('console.log("banner");');
+    expect(restored.resourceHub.getScript('tracker')).toBeNull();
+  });
+
+  test('refuses to snapshot other state holding functions', () => {
+    const uniCanvas = new UniCanvas();
+    const siteId = uniCanvas.createSite({ name: 'site' });
+    const pageId = uniCanvas.createPage(siteId, { name: 'home', path: '/' });
+
+    uniCanvas.addComponentToPage(pageId, { id: 'widget', script: function () {} });
+
+    expect(() => uniCanvas.serialize())
+      .toThrow(expect.objectContaining({ code: 'UNSERIALIZABLE_STATE', message: expect.stringContaining(`pages.${pageId}.components[0].script`) }));
+  });
+});
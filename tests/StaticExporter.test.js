@@ -0,0 +1,93 @@
+import { mkdtemp, readFile, readdir, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import UniCanvas from '../src/core/UniCanvas.js';
+
+describe('StaticExporter', () => {
+  let outputDir;
+
+  beforeEach(async () => {
+    outputDir = await mkdtemp(join(tmpdir(), 'unicanvas-export-'));
+  });
+
+  afterEach(async () => {
+    await rm(outputDir, { recursive: true, force: true });
+  });
+
+  function createSite() {
+    const uniCanvas = new UniCanvas();
+    const siteId = uniCanvas.createSite({ name: 'docs', domain: 'docs.example.com' });
+
+    uniCanvas.templateEngine.saveTemplate('greeting', { html: '<p class="greeting">Hello {{name}}</p>', css: '.greeting { color: red; }' });
+
+    const home = uniCanvas.createPage(siteId, { name: 'home', path: '/', title: 'Home' });
+    const about = uniCanvas.createPage(siteId, { name: 'about', path: '/about', title: 'About' });
+
+    uniCanvas.addComponentToPage(home, {
+      type: 'text',
+      content: '<a href="/about/">About</a> <a href="/missing">Missing</a>'
+    });
+    uniCanvas.addComponentToPage(about, { type: 'greeting', templateId: 'greeting', data: { name: 'World' } });
+
+    return { uniCanvas, siteId };
+  }
+
+  test('constructs a UniCanvas instance under Node', () => {
+    const uniCanvas = new UniCanvas();
+
+    expect(uniCanvas.getSystemStatus().sites).toBe(0);
+  });
+
+  test('exports pages, assets, sitemap and manifest into the output directory', async () => {
+    const { uniCanvas, siteId } = createSite();
+
+    const report = await uniCanvas.exportSite(siteId, outputDir);
+
+    expect(report.files).toEqual(expect.arrayContaining([
+      'index.html',
+      'about/index.html',
+      'sitemap.xml',
+      'unicanvas-manifest.json'
+    ]));
+
+    const home = await readFile(join(outputDir, 'index.html'), 'utf8');
+    const about = await readFile(join(outputDir, 'about', 'index.html'), 'utf8');
+
+    expect(home).toContain('<title>Home</title>');
+    expect(about).toContain('Hello World');
+
+    // 样式和脚本输出为外部资源文件，页面通过链接引用
+    const assets = await readdir(join(outputDir, 'assets'));
+    expect(assets.length).toBeGreaterThan(0);
+    assets.forEach(asset => expect(home + about).toContain(`/assets/${asset}`));
+
+    const sitemap = await readFile(join(outputDir, 'sitemap.xml'), 'utf8');
+    expect(sitemap).toContain('<loc>https://docs.example.com/</loc>');
+    expect(sitemap).toContain('<loc>https://docs.example.com/about/</loc>');
+
+    const manifest = JSON.parse(await readFile(join(outputDir, 'unicanvas-manifest.json'), 'utf8'));
+    expect(manifest.pages.map(page => page.file)).toEqual(['index.html', 'about/index.html']);
+  });
+
+  test('reports links to pages that were not exported', async () => {
+    const { uniCanvas, siteId } = createSite();
+
+    const report = await uniCanvas.exportSite(siteId, outputDir);
+
+    expect(report.brokenLinks).toEqual([
+      expect.objectContaining({ path: '/', tag: 'a', href: '/missing' })
+    ]);
+  });
+
+  test('skips the sitemap when the site has no domain', async () => {
+    const uniCanvas = new UniCanvas();
+    const siteId = uniCanvas.createSite({ name: 'local' });
+    uniCanvas.createPage(siteId, { name: 'home', path: '/' });
+
+    const report = await uniCanvas.exportSite(siteId, outputDir);
+
+    expect(report.sitemap).toBeNull();
+    expect(report.warnings.map(warning => warning.code)).toContain('SITEMAP_SKIPPED');
+    await expect(readFile(join(outputDir, 'sitemap.xml'), 'utf8')).rejects.toThrow();
+  });
+});
@@ -0,0 +1,56 @@
+import TemplateMarket from '../src/core/TemplateMarket.js';
+
+describe('TemplateMarket', () => {
+  describe('lint before publishing', () => {
+    const failingLinter = () => ({
+      errorCount: 1,
+      warningCount: 0,
+      diagnostics: [{ severity: 'error', message: 'Inline event handler' }]
+    });
+
+    test('refuses templates with lint errors', () => {
+      const market = new TemplateMarket({ linter: failingLinter });
+
+      expect(() => market.publishTemplate({ html: '<a onclick="x()">x</a>' }, { name: 'bad' }))
+        .toThrow(expect.objectContaining({ code: 'TEMPLATE_LINT_FAILED' }));
+      expect(Object.keys(market.templates)).toHaveLength(0);
+    });
+
+    test('cannot be skipped by the publisher through metadata', () => {
+      const market = new TemplateMarket({ linter: failingLinter });
+
+      expect(() => market.publishTemplate({ html: '<a onclick="x()">x</a>' }, { name: 'bad', lint: false }))
+        .toThrow(expect.objectContaining({ code: 'TEMPLATE_LINT_FAILED' }));
+    });
+
+    test('can be disabled by the market', () => {
+      const market = new TemplateMarket({ linter: failingLinter, lintOnPublish: false });
+
+      const templateId = market.publishTemplate({ html: '<p>ok</p>' }, { name: 'unchecked' });
+
+      expect(market.getTemplate(templateId)).not.toBeNull();
+    });
+
+    test('uses the built-in template linter when none is configured', () => {
+      const market = new TemplateMarket();
+
+      expect(() => market.publishTemplate({ html: '<a onclick="steal()">x</a>' }, { name: 'bad' }))
+        .toThrow(expect.objectContaining({ code: 'TEMPLATE_LINT_FAILED' }));
+      expect(() => market.publishTemplate({ html: '<div><script>steal()</script></div>' }, { name: 'worse' }))
+        .toThrow(expect.objectContaining({ code: 'TEMPLATE_LINT_FAILED' }));
+
+      const templateId = market.publishTemplate({ html: '<p>{{title}}</p>' }, { name: 'good' });
+
+      expect(market.getTemplate(templateId)).not.toBeNull();
+    });
+
+    test('restores the built-in linter when the linter is reset', () => {
+      const market = new TemplateMarket({ linter: () => ({ errorCount: 0, warningCount: 0, diagnostics: [] }) });
+
+      market.setLinter(null);
+
+      expect(() => market.publishTemplate({ html: '<a href="javascript:steal()">x</a>' }, { name: 'bad' }))
+        .toThrow(expect.objectContaining({ code: 'TEMPLATE_LINT_FAILED' }));
+    });
+  });
+});
@@ -0,0 +1,37 @@
+import TemplateRenderer from '../src/utils/TemplateRenderer.js';
+
+describe('TemplateRenderer', () => {
+  const renderer = new TemplateRenderer();
+
+  describe('path lookup', () => {
+    test('resolves own properties and nested paths', () => {
+      const data = { user: { name: 'Ada', tags: ['a', 'b'] } };
+
+      expect(renderer.render('{{user.name}} {{user.tags.length}}', data)).toBe('Ada 2');
+    });
+
+    test('does not resolve properties from the prototype chain', () => {
+      const data = { a: {} };
+
+      expect(renderer.render('[{{constructor.name}}]', data)).toBe('[]');
+      expect(renderer.render('[{{a.constructor.constructor}}]', data)).toBe('[]');
+      expect(renderer.render('[{{__proto__}}][{{a.hasOwnProperty}}]', data)).toBe('[][]');
+    });
+
+    test('does not hand prototype members to helpers', () => {
+      const received = [];
+      const template = renderer.compile('{{inspect a.constructor}}');
+
+      template({ a: {} }, {
+        helpers: {
+          inspect: ([value]) => {
+            received.push(value);
+            return '';
+          }
+        }
+      });
+
+      expect(received).toEqual([undefined]);
+    });
+  });
+});
@@ -0,0 +1,105 @@
+import UniCanvas from '../src/core/UniCanvas.js';
+
+describe('transactions', () => {
+  test('rolls back in place', () => {
+    const uniCanvas = new UniCanvas();
+    const siteId = uniCanvas.createSite({ name: 'site' });
+    const pageId = uniCanvas.createPage(siteId, { name: 'home', path: '/' });
+    const componentId = uniCanvas.addComponentToPage(pageId, { type: 'widget', data: { text: 'original' } });
+    const page = uniCanvas.getPage(pageId);
+    const component = uniCanvas.getPageComponent(pageId, componentId);
+
+    uniCanvas.resourceHub.registerScript('tracker', 'console.log(0)');
+
+    expect(() => uniCanvas.transaction(() => {
+      uniCanvas.updatePage(pageId, { title: 'Changed' });
+      uniCanvas.updateComponent(pageId, componentId, { data: { text: 'changed' } });
+      uniCanvas.resourceHub.registerScript('tracker', 'console.log(1)');
+      throw new Error('abort');
+    })).toThrow('abort');
+
+    expect(uniCanvas.getPage(pageId)).toBe(page);
+    expect(page.title).toBe('home');
+    expect(uniCanvas.getPageComponent(pageId, componentId)).toBe(component);
+    expect(component.data).toEqual({ text: 'original' });
+    expect(uniCanvas.resourceHub.getScript('tracker')).toBe('console.log(0)');
+  });
+
+  test('delivers template engine and market events after commit', () => {
+    const uniCanvas = new UniCanvas();
+    const events = [];
+
+    uniCanvas.templateMarket.on('template.published', () => events.push('published'));
+    uniCanvas.templateEngine.on('template.saved', () => events.push('saved'));
+
+    uniCanvas.transaction(() => {
+      uniCanvas.templateMarket.publishTemplate({ html: '<div></div>' }, { id: 'card', name: 'Card' });
+
+      // 联动在事务中立即执行，其他监听器等待提交
+      expect(uniCanvas.templateEngine.getTemplate('card')).toBeTruthy();
+      expect(events).toEqual([]);
+    });
+
+    expect(events).toEqual(['saved', 'published']);
+    expect(uniCanvas.templateEngine.listTemplateVersions('card')).toHaveLength(1);
+  });
+
+  test('drops deferred events and linked changes on rollback', () => {
+    const uniCanvas = new UniCanvas();
+    const published = jest.fn();
+
+    uniCanvas.templateMarket.on('template.published', published);
+
+    expect(() => uniCanvas.transaction(() => {
+      uniCanvas.templateMarket.publishTemplate({ html: '<div></div>' }, { id: 'card', name: 'Card' });
+      throw new Error('abort');
+    })).toThrow('abort');
+
+    expect(published).not.toHaveBeenCalled();
+    expect(uniCanvas.templateMarket.templates.card).toBeUndefined();
+    expect(uniCanvas.templateEngine.getTemplate('card')).toBeFalsy();
+  });
+
+  test('rolls back when a linked subsystem fails', () => {
+    const uniCanvas = new UniCanvas();
+    const published = jest.fn();
+
+    uniCanvas.templateMarket.on('template.published', published);
+    jest.spyOn(uniCanvas.templateEngine, 'saveTemplate').mockImplementation(() => {
+      throw new Error('engine failure');
+    });
+
+    expect(() => uniCanvas.transaction(() => {
+      uniCanvas.templateMarket.publishTemplate({ html: '<div></div>' }, { id: 'card', name: 'Card' });
+    })).toThrow('engine failure');
+
+    expect(published).not.toHaveBeenCalled();
+    expect(uniCanvas.templateMarket.templates.card).toBeUndefined();
+    expect(uniCanvas.canUndo()).toBe(false);
+  });
+
+  test('rolls back only the failed nested transaction', () => {
+    const uniCanvas = new UniCanvas();
+    const siteId = uniCanvas.createSite({ name: 'site' });
+    uniCanvas.createPage(siteId, { name: 'home', path: '/' });
+    const created = jest.fn();
+
+    uniCanvas.on('page.created', created);
+
+    uniCanvas.transaction(() => {
+      uniCanvas.createPage(siteId, { name: 'about', path: '/about' });
+
+      expect(() => uniCanvas.transaction(() => {
+        uniCanvas.createPage(siteId, { name: 'contact', path: '/contact' });
+        throw new Error('abort');
+      })).toThrow('abort');
+    });
+
+    expect(uniCanvas.getSite(siteId).pages).toHaveLength(2);
+    expect(created).toHaveBeenCalledTimes(1);
+
+    uniCanvas.undo();
+
+    expect(uniCanvas.getSite(siteId).pages).toHaveLength(1);
+  });
+});
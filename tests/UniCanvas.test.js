@@ -0,0 +1,10 @@
+import UniCanvas from '../src/core/UniCanvas.js';
+
+describe('UniCanvas', () => {
+  test('can be constructed outside the browser', () => {
+    const uniCanvas = new UniCanvas();
+    const siteId = uniCanvas.createSite({ name: 'site' });
+
+    expect(uniCanvas.getSite(siteId).name).toBe('site');
+  });
+});
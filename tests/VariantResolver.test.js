@@ -0,0 +1,104 @@
+import SmartTemplateEngine from '../src/core/SmartTemplateEngine.js';
+import VariantResolver from '../src/utils/VariantResolver.js';
+
+describe('VariantResolver', () => {
+  const resolver = new VariantResolver();
+  const template = {
+    html: '<div class="banner">wide</div>',
+    css: '.banner { padding: 24px; }',
+    variants: [
+      { name: 'mobile', when: { maxWidth: 767 }, html: '<div class="banner">narrow</div>', css: '.banner { padding: 8px; }' },
+      { name: 'dark', when: { colorScheme: 'dark' }, css: '.banner { background: #111; }' },
+      { name: 'touch', when: { capabilities: ['touch'] }, css: '.banner { cursor: default; }' }
+    ]
+  };
+
+  test('merges the variants the environment statically matches', () => {
+    const result = resolver.resolve(template, { width: 375, colorScheme: 'light', capabilities: ['touch'] }, 'banner');
+
+    expect(result.selected).toEqual(['mobile', 'touch']);
+    expect(result.skipped).toEqual(['dark']);
+    expect(result.responsive).toEqual([]);
+    expect(result.html).toBe('<div class="banner">narrow</div>');
+    expect(result.css).toBe('.banner { padding: 24px; }\n.banner { padding: 8px; }\n.banner { cursor: default; }');
+  });
+
+  test('emits media queries for conditions the environment does not declare', () => {
+    const result = resolver.resolve(template, {}, 'banner');
+
+    expect(result.responsive).toEqual([
+      { name: 'mobile', media: '(max-width: 767px)' },
+      { name: 'dark', media: '(prefers-color-scheme: dark)' }
+    ]);
+    expect(result.skipped).toEqual(['touch']);
+    expect(result.html).toBe([
+      '<div data-variants="banner">',
+      '<div data-variant="default"><div class="banner">wide</div></div>',
+      '<div data-variant="mobile"><div class="banner">narrow</div></div>',
+      '</div>'
+    ].join(''));
+    expect(result.css).toContain('@media (prefers-color-scheme: dark) {\n.banner { background: #111; }\n}');
+    expect(result.css).toContain('[data-variants="banner"] > [data-variant="mobile"] { display: none; }');
+  });
+
+  test('treats undeclared conditions as unmet for environments without responsive support', () => {
+    const result = resolver.resolve(template, { responsive: false }, 'banner');
+
+    expect(result.selected).toEqual([]);
+    expect(result.skipped).toEqual(['mobile', 'dark', 'touch']);
+    expect(result.html).toBe(template.html);
+  });
+
+  test('rejects unnamed variants and unsupported conditions', () => {
+    expect(() => resolver.validate({ variants: [{ when: {} }] })).toThrow(expect.objectContaining({ code: 'INVALID_TEMPLATE' }));
+    expect(() => resolver.validate({ variants: [{ name: 'x', when: { dpi: 2 } }] }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_TEMPLATE', details: expect.objectContaining({ conditions: ['dpi'] }) }));
+    expect(() => resolver.validate({ requirements: [] })).toThrow(expect.objectContaining({ code: 'INVALID_TEMPLATE' }));
+  });
+
+  test('records the variants chosen when a template is applied to another environment', () => {
+    const engine = new SmartTemplateEngine();
+    engine.saveTemplate('banner', template);
+
+    const applied = engine.applyTemplate('banner', { id: 'phone', width: 375, colorScheme: 'dark' });
+
+    expect(applied.variants).toBeUndefined();
+    expect(applied.html).toContain('narrow');
+    expect(applied.adaptation.variants).toEqual({ selected: ['mobile', 'dark'], responsive: [], skipped: ['touch'] });
+  });
+
+  describe('template requirements', () => {
+    let engine;
+
+    beforeEach(() => {
+      engine = new SmartTemplateEngine();
+      engine.saveTemplate('map', {
+        html: '<div class="map"></div>',
+        requirements: { minWidth: 320, capabilities: ['webgl'] }
+      });
+    });
+
+    test('reports unmet requirements as warnings', () => {
+      const applied = engine.applyTemplate('map', { id: 'default', width: 280 });
+
+      expect(applied.warnings.map(warning => [warning.code, warning.requirement, warning.expected])).toEqual([
+        ['ENVIRONMENT_REQUIREMENT_UNMET', 'minWidth', 320],
+        ['ENVIRONMENT_REQUIREMENT_UNMET', 'capabilities', ['webgl']]
+      ]);
+    });
+
+    test('rejects environments that fail the requirements when enforced', () => {
+      expect(() => engine.applyTemplate('map', { id: 'kiosk', width: 1024 }, { enforceRequirements: true }))
+        .toThrow(expect.objectContaining({
+          code: 'ENVIRONMENT_REQUIREMENTS_UNMET',
+          details: { templateId: 'map', requirements: ['capabilities'] }
+        }));
+    });
+
+    test('applies the template when the requirements are met or decided at runtime', () => {
+      const applied = engine.applyTemplate('map', { id: 'kiosk', capabilities: ['webgl'] }, { enforceRequirements: true });
+
+      expect(applied.warnings).toEqual([]);
+    });
+  });
+});